@@ -23,6 +23,8 @@ const mandiPriceRoutes = require("./routes/mandiPriceRoute");
 const recentUserActivity = require('./routes/recentActivityRoute');
 const textToSpeechRoutes = require('./routes/textToSpeechRoute');
 const chatRoutes = require("./routes/chatRoutes")
+const roleRoutes = require("./routes/roleRoutes");
+const kycRoutes = require("./routes/kycRoutes");
 const logger = require("./utils/logger");
 const mime = require("mime");
 const fs = require("fs");
@@ -31,6 +33,12 @@ dotenv.config();
 
 const app = express();
 
+// Needed behind nginx/load balancers so req.ip (rate limits, login history)
+// is the client address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10));
+}
+
 // Security Middleware
 // app.use(helmet());
 app.use(cors({ origin: process.env.CORS_ORIGIN || "*" }));
@@ -81,14 +89,26 @@ app.use("/api/v1/mandi-price", mandiPriceRoutes);
 app.use("/api/v1/recent-activities", recentUserActivity);
 app.use("/api/v1/textToSpeech", textToSpeechRoutes);
 app.use("/api/v1/chat", chatRoutes);
+app.use("/api/v1/roles", roleRoutes);
+app.use("/api/v1/kyc", kycRoutes);
 
 // Health Check
 app.get("/api/v1/health", (req, res) => {
   res.status(200).json({ status: "OK", timestamp: new Date().toISOString() });
 });
 
+// Upload folders that hold personal documents; served only through authorised APIs
+// ("kyc" for documents uploaded before they moved to private/kyc/)
+const PRIVATE_UPLOAD_TYPES = ["kyc", "imports"];
+
+// Params arrive URL-decoded, so "..%2Fkyc%2Fx" would reach another folder
+const isPlainPathSegment = (value) => !value.includes("..") && !/[\\/]/.test(value);
+
 app.get("/uploads/:type/:filename", (req, res) => {
   const { type, filename } = req.params;
+  if (!isPlainPathSegment(type) || !isPlainPathSegment(filename) || PRIVATE_UPLOAD_TYPES.includes(type)) {
+    return res.status(404).send("File not found");
+  }
   const filePath = path.join(__dirname, "uploads", type, filename);
 
   if (!fs.existsSync(filePath)) {
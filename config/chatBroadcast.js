@@ -0,0 +1,38 @@
+// Broadcast lifecycle (see services/broadcastService.js):
+// queued → sending → completed, or cancelled by an admin on the way
+const BROADCAST_STATUSES = ["queued", "sending", "completed", "cancelled"];
+
+// One farmer of a broadcast: waiting, message sent, or not sent
+// ("skipped" = blocked or no longer active, "failed" = error while sending)
+const RECIPIENT_STATUSES = ["pending", "sent", "skipped", "failed"];
+
+// How a sent message reached the farmer: live socket, push notification,
+// or only stored (seen next time the app is opened)
+const DELIVERY_CHANNELS = ["socket", "push", "stored"];
+
+// Placeholders a broadcast template may use, from the farmer's profile
+// ({{first_name|Farmer}} uses "Farmer" when the value is empty)
+const BROADCAST_PLACEHOLDERS = [
+  "first_name",
+  "last_name",
+  "full_name",
+  "state",
+  "city",
+  "crop_type",
+  "land_size",
+];
+
+// Messages per minute for one broadcast; admins may choose a lower or
+// higher rate up to the maximum
+const BROADCAST_RATE = {
+  defaultPerMinute: parseInt(process.env.CHAT_BROADCAST_RATE_PER_MINUTE || "120", 10),
+  maxPerMinute: parseInt(process.env.CHAT_BROADCAST_MAX_RATE_PER_MINUTE || "600", 10),
+};
+
+module.exports = {
+  BROADCAST_STATUSES,
+  RECIPIENT_STATUSES,
+  DELIVERY_CHANNELS,
+  BROADCAST_PLACEHOLDERS,
+  BROADCAST_RATE,
+};
@@ -0,0 +1,26 @@
+// Why a message can be reported
+const REPORT_REASONS = ["spam", "abuse", "harassment", "fraud", "other"];
+
+// Moderation case lifecycle: reported → resolved (action taken) or dismissed
+const CASE_STATUSES = ["open", "resolved", "dismissed"];
+
+// What a word filter does with a message that contains a listed word
+const WORD_FILTER_ACTIONS = ["mask", "reject"];
+
+// Word filter list that applies to every conversation, whatever its language
+const ALL_LANGUAGES = "all";
+
+// Per-socket flood protection: at most CHAT_SOCKET_MESSAGE_LIMIT messages,
+// edits and reactions per CHAT_SOCKET_MESSAGE_WINDOW_SECONDS
+const SOCKET_RATE_LIMIT = {
+  limit: parseInt(process.env.CHAT_SOCKET_MESSAGE_LIMIT || "20", 10),
+  windowSeconds: parseInt(process.env.CHAT_SOCKET_MESSAGE_WINDOW_SECONDS || "10", 10),
+};
+
+module.exports = {
+  REPORT_REASONS,
+  CASE_STATUSES,
+  WORD_FILTER_ACTIONS,
+  ALL_LANGUAGES,
+  SOCKET_RATE_LIMIT,
+};
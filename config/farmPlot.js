@@ -0,0 +1,47 @@
+// Allowed values for farm plot attributes, shared by the model and validators
+
+const AREA_UNITS = ["acre", "hectare", "bigha", "guntha", "sq_m"];
+
+// Acres per unit, to compare plots recorded in different units. A bigha
+// differs by state; this is the pucca bigha of Uttar Pradesh and Bihar.
+const ACRES_PER_AREA_UNIT = {
+  acre: 1,
+  hectare: 2.47105,
+  bigha: 0.625,
+  guntha: 0.025,
+  sq_m: 0.000247105,
+};
+
+const SOIL_TYPES = [
+  "Alluvial",
+  "Black",
+  "Red",
+  "Laterite",
+  "Arid",
+  "Mountain",
+  "Saline",
+  "Peaty",
+  "Other",
+];
+
+const IRRIGATION_TYPES = [
+  "Rainfed",
+  "Canal",
+  "Borewell",
+  "Open Well",
+  "Tank",
+  "River",
+  "Drip",
+  "Sprinkler",
+  "Other",
+];
+
+const MAX_PLOTS_PER_USER = 50;
+
+module.exports = {
+  AREA_UNITS,
+  ACRES_PER_AREA_UNIT,
+  SOIL_TYPES,
+  IRRIGATION_TYPES,
+  MAX_PLOTS_PER_USER,
+};
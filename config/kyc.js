@@ -0,0 +1,30 @@
+// Allowed values for farmer KYC and payout details, shared by the model and validators
+
+const KYC_STATUSES = ["pending", "verified", "rejected"];
+
+const PAYOUT_METHODS = ["bank", "upi"];
+
+// Document number formats per identity document
+const KYC_DOCUMENT_TYPES = {
+  aadhaar: /^\d{12}$/,
+  pan: /^[A-Z]{5}\d{4}[A-Z]$/,
+  voter_id: /^[A-Z]{3}\d{7}$/,
+  driving_licence: /^[A-Z]{2}[0-9A-Z-]{11,16}$/,
+  passport: /^[A-Z]\d{7}$/,
+};
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const UPI_ID_PATTERN = /^[\w.-]{2,256}@[a-zA-Z]{2,64}$/;
+
+const KYC_DOCUMENT_MIME_TYPES = ["image/png", "image/jpeg", "image/jpg", "application/pdf"];
+
+module.exports = {
+  KYC_STATUSES,
+  PAYOUT_METHODS,
+  KYC_DOCUMENT_TYPES,
+  IFSC_PATTERN,
+  ACCOUNT_NUMBER_PATTERN,
+  UPI_ID_PATTERN,
+  KYC_DOCUMENT_MIME_TYPES,
+};
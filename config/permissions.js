@@ -0,0 +1,94 @@
+// Role-permission defaults. The live matrix is stored in the RolePermission
+// collection and edited through /api/v1/roles; these values seed it and are
+// what "reset" restores.
+
+const ROLES = ["Admin", "Support", "User", "Content Editor", "Procurement Officer"];
+
+// Roles that sign in with email + password on the admin dashboard
+const STAFF_ROLES = ["Admin", "Support", "Content Editor", "Procurement Officer"];
+
+const PERMISSIONS = {
+  "users:read-all": "List and view any user",
+  "users:manage": "Create users, edit or delete any user and change roles",
+  "users:enable-disable": "Enable or disable user accounts",
+  "users:import": "Bulk-create users from a CSV or XLSX file",
+  "users:export": "Download the user list as CSV",
+  "referrals:report": "View sign-up attribution per referrer",
+  "kyc:read": "View farmer KYC submissions and identity documents",
+  "kyc:review": "Verify or reject farmer KYC",
+  "kyc:reveal": "View unmasked bank account, UPI and document numbers",
+  "otp-deliveries:read": "View OTP delivery records",
+  "dashboard:view": "View dashboard statistics",
+  "crops:manage": "Create, edit, enable/disable and delete crops",
+  "products:manage": "Create, edit, enable/disable and delete products",
+  "product-categories:manage": "Create, edit and delete product categories",
+  "schemes:manage": "Create, edit and delete government schemes",
+  "schemes:publish": "Publish (enable) or unpublish (disable) government schemes",
+  "media:manage": "Upload and delete media",
+  "tutorials:manage": "Create, edit, enable/disable and delete tutorials",
+  "sale-requests:read-all": "View every crop sale request",
+  "sale-requests:update-status": "Change the status of crop sale requests",
+  "orders:read-all": "View every product order",
+  "orders:update-status": "Change the status of product orders",
+  "chat:view-all": "List all support conversations",
+  "chat:read-any": "Open any conversation and its messages",
+  "chat:manage-any": "Update or delete any conversation or message, not only assigned/own ones",
+  "chat:update-status": "Change the status of support conversations",
+  "chat:reassign": "Reassign conversations between support agents",
+  "chat:stats": "View support statistics",
+  "chat:claim": "Claim conversations from the unassigned support queue",
+  "chat:internal-notes": "Write and read agent-only notes on conversations",
+  "chat:canned-use": "Use canned responses and send them as macros",
+  "chat:canned-manage": "Create, edit and delete canned responses",
+  "chat:agent-profile": "Edit own support languages, skills and capacity",
+  "chat:manage-agents": "Edit the routing profile of any support agent",
+  "chat:export-transcript": "Download conversation transcripts (PDF or text)",
+  "chat:moderate": "Review reported messages and manage chat word filters",
+  "chat:broadcast": "Send broadcast messages to farmer segments",
+  "roles:manage": "View and edit the role-permission matrix",
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  Admin: Object.keys(PERMISSIONS),
+  Support: [
+    "chat:view-all",
+    "chat:update-status",
+    "chat:stats",
+    "chat:claim",
+    "chat:internal-notes",
+    "chat:canned-use",
+    "chat:agent-profile",
+  ],
+  User: [],
+  "Content Editor": [
+    "crops:manage",
+    "products:manage",
+    "product-categories:manage",
+    "schemes:manage",
+    "schemes:publish",
+    "media:manage",
+    "tutorials:manage",
+  ],
+  "Procurement Officer": [
+    "dashboard:view",
+    "sale-requests:read-all",
+    "sale-requests:update-status",
+    "orders:read-all",
+    "orders:update-status",
+    "kyc:read",
+    "kyc:review",
+  ],
+};
+
+// Permissions a role can never lose, so the matrix cannot lock everyone out
+const LOCKED_PERMISSIONS = {
+  Admin: ["roles:manage"],
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_PERMISSIONS,
+};
@@ -0,0 +1,34 @@
+const LANG_MAP = require("../utils/Lang_Map");
+
+// Topics a support conversation can be about; agents declare the same values as skills
+const SUPPORT_TOPICS = [
+  "general",
+  "pest-disease",
+  "crop-advice",
+  "payments",
+  "orders",
+  "sale-requests",
+  "schemes",
+  "account",
+];
+
+// Two/three-letter codes understood by the routing engine (aliases like "hindi" resolve to "hi")
+const SUPPORT_LANGUAGES = [...new Set(Object.values(LANG_MAP))];
+
+const normalizeLanguage = (value) => (value ? LANG_MAP[String(value).trim().toLowerCase()] || null : null);
+
+// Selected with SUPPORT_ROUTING_STRATEGY
+const ROUTING_STRATEGIES = ["skills", "least-busy", "round-robin", "online", "single"];
+
+// What happens when the strategy finds nobody (SUPPORT_ROUTING_FALLBACK):
+// "queue" leaves the conversation unassigned for an agent to claim,
+// "least-busy" assigns the least-loaded agent even if offline or at capacity
+const ROUTING_FALLBACKS = ["queue", "least-busy"];
+
+module.exports = {
+  SUPPORT_TOPICS,
+  SUPPORT_LANGUAGES,
+  normalizeLanguage,
+  ROUTING_STRATEGIES,
+  ROUTING_FALLBACKS,
+};
@@ -0,0 +1,51 @@
+// Conversation priorities, most urgent first
+const CONVERSATION_PRIORITIES = ["urgent", "high", "normal", "low"];
+
+const DEFAULT_PRIORITY = "normal";
+
+// Default SLA targets in minutes, measured from when the conversation was opened
+const DEFAULT_FIRST_RESPONSE_MINUTES = { urgent: 5, high: 15, normal: 60, low: 240 };
+const DEFAULT_RESOLUTION_MINUTES = { urgent: 240, high: 480, normal: 1440, low: 4320 };
+
+// Overrides look like "urgent:5,high:15,normal:60,low:240"; unknown or
+// non-positive entries are ignored and the default is kept
+const parseTargets = (value, defaults) => {
+  const targets = { ...defaults };
+  String(value || "")
+    .split(",")
+    .map((entry) => entry.split(":").map((part) => part.trim()))
+    .forEach(([priority, minutes]) => {
+      const parsed = parseInt(minutes, 10);
+      if (CONVERSATION_PRIORITIES.includes(priority) && parsed > 0) {
+        targets[priority] = parsed;
+      }
+    });
+  return targets;
+};
+
+const SLA_TARGETS = {
+  firstResponseMinutes: parseTargets(process.env.CHAT_SLA_FIRST_RESPONSE_MINUTES, DEFAULT_FIRST_RESPONSE_MINUTES),
+  resolutionMinutes: parseTargets(process.env.CHAT_SLA_RESOLUTION_MINUTES, DEFAULT_RESOLUTION_MINUTES),
+};
+
+// Statuses that stop the resolution timer
+const RESOLVED_STATUSES = ["resolved", "closed"];
+
+// Bucket sizes for the SLA time series ($dateToString formats; weeks are ISO weeks)
+const SLA_REPORT_INTERVALS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+// Time series buckets follow local days, not UTC days
+const SLA_REPORT_TIMEZONE = process.env.CHAT_SLA_REPORT_TIMEZONE || "Asia/Kolkata";
+
+module.exports = {
+  CONVERSATION_PRIORITIES,
+  DEFAULT_PRIORITY,
+  SLA_TARGETS,
+  RESOLVED_STATUSES,
+  SLA_REPORT_INTERVALS,
+  SLA_REPORT_TIMEZONE,
+};
@@ -0,0 +1,69 @@
+const archiver = require("archiver");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  validateDeletionRequest,
+  validateDataExport,
+  handleValidationErrors,
+} = require("../utils/validator");
+const {
+  requestDeletionService,
+  getDeletionRequestService,
+  cancelDeletionRequestService,
+  exportUserDataService,
+} = require("../services/accountDeletionService");
+
+const requestDeletion = [
+  validateDeletionRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await requestDeletionService(req.user, { reason: req.body.reason });
+    res.status(201).json({
+      message: "Account deletion scheduled. You can cancel it until the scheduled date.",
+      data,
+    });
+  }),
+];
+
+const getDeletionRequest = asyncHandler(async (req, res) => {
+  const data = await getDeletionRequestService(req.user);
+  res.status(200).json({ message: "Deletion request fetched successfully", data });
+});
+
+const cancelDeletionRequest = asyncHandler(async (req, res) => {
+  const data = await cancelDeletionRequestService(req.user);
+  res.status(200).json({ message: "Deletion request cancelled successfully", data });
+});
+
+const exportMyData = [
+  validateDataExport,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { exportedAt, data } = await exportUserDataService(req.user);
+    const stamp = exportedAt.toISOString().slice(0, 10);
+
+    if (req.query.format !== "zip") {
+      res.setHeader("Content-Disposition", `attachment; filename="my-data-${stamp}.json"`);
+      return res.status(200).json({ exportedAt, ...data });
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="my-data-${stamp}.zip"`);
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (error) => res.destroy(error));
+    archive.pipe(res);
+    Object.entries(data).forEach(([key, content]) => {
+      // farmPlots -> farm-plots.json
+      const name = `${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}.json`;
+      archive.append(JSON.stringify(content, null, 2), { name });
+    });
+    await archive.finalize();
+  }),
+];
+
+module.exports = {
+  requestDeletion,
+  getDeletionRequest,
+  cancelDeletionRequest,
+  exportMyData,
+};
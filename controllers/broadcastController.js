@@ -0,0 +1,307 @@
+/**
+ * ============================================
+ * BROADCAST CONTROLLER
+ * ============================================
+ *
+ * PURPOSE:
+ * HTTP handlers for admin broadcasts to farmer segments: preview the
+ * audience, create (now or scheduled), follow delivery per recipient and
+ * cancel before sending finishes.
+ *
+ * USED BY:
+ * - chatRoutes.js (/api/v1/chat/broadcasts)
+ */
+
+const { asyncHandler } = require("../utils/asyncHandler");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const User = require("../models/User");
+const {
+  previewBroadcastService,
+  createBroadcastService,
+  getBroadcastsService,
+  getBroadcastService,
+  getBroadcastRecipientsService,
+  cancelBroadcastService,
+} = require("../services/broadcastService");
+const {
+  BROADCAST_STATUSES,
+  RECIPIENT_STATUSES,
+  BROADCAST_RATE,
+} = require("../config/chatBroadcast");
+const { SUPPORT_LANGUAGES, normalizeLanguage } = require("../config/supportRouting");
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_SEGMENT_VALUES = 50;
+const MAX_SEGMENT_VALUE_LENGTH = 100;
+// Broadcasts can be scheduled up to 30 days ahead
+const MAX_SCHEDULE_DAYS = 30;
+
+/**
+ * Optional list of text values of a segment filter
+ */
+const segmentValues = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_SEGMENT_VALUES) {
+    throw new ApiError(`segment.${field} must be a list of at most ${MAX_SEGMENT_VALUES} values`, 400);
+  }
+  const cleaned = value.map((item) => (typeof item === "string" ? item.trim() : ""));
+  if (cleaned.some((item) => !item || item.length > MAX_SEGMENT_VALUE_LENGTH)) {
+    throw new ApiError(`Each segment.${field} value must be 1-${MAX_SEGMENT_VALUE_LENGTH} characters`, 400);
+  }
+  return [...new Set(cleaned)];
+};
+
+/**
+ * Validates the segment and template of a preview/create body and returns
+ * the cleaned fields
+ */
+const validateSegmentAndTemplate = (body = {}) => {
+  // Step 1: Segment (at least one filter, so nobody messages every farmer by mistake)
+  const segment = body.segment;
+  if (!segment || typeof segment !== "object" || Array.isArray(segment)) {
+    throw new ApiError("segment is required", 400);
+  }
+  const cleanedSegment = {
+    states: segmentValues(segment.states, "states"),
+    cities: segmentValues(segment.cities, "cities"),
+    userTypes: segmentValues(segment.userTypes, "userTypes"),
+    cropTypes: segmentValues(segment.cropTypes, "cropTypes"),
+    landSize: { min: null, max: null },
+  };
+
+  const userTypes = User.schema.path("userType").enumValues;
+  if (cleanedSegment.userTypes.some((userType) => !userTypes.includes(userType))) {
+    throw new ApiError(`segment.userTypes values must be one of: ${userTypes.join(", ")}`, 400);
+  }
+
+  if (segment.landSize !== undefined && segment.landSize !== null) {
+    const { min = null, max = null } = segment.landSize;
+    [min, max].forEach((value) => {
+      if (value !== null && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+        throw new ApiError("segment.landSize min and max must be positive numbers (acres)", 400);
+      }
+    });
+    if (min !== null && max !== null && min > max) {
+      throw new ApiError("segment.landSize min cannot be above max", 400);
+    }
+    cleanedSegment.landSize = { min, max };
+  }
+
+  const hasFilter =
+    ["states", "cities", "userTypes", "cropTypes"].some((field) => cleanedSegment[field].length > 0) ||
+    cleanedSegment.landSize.min !== null ||
+    cleanedSegment.landSize.max !== null;
+  if (!hasFilter) {
+    throw new ApiError("segment needs at least one filter: states, cities, userTypes, cropTypes or landSize", 400);
+  }
+
+  // Step 2: One text per language
+  const { variants } = body;
+  if (!Array.isArray(variants) || variants.length === 0 || variants.length > SUPPORT_LANGUAGES.length) {
+    throw new ApiError(`variants must be a list of 1-${SUPPORT_LANGUAGES.length} texts`, 400);
+  }
+  const cleanedVariants = variants.map((variant) => {
+    const language = normalizeLanguage(variant?.language);
+    if (!language) {
+      throw new ApiError(`Variant language must be one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+    }
+    if (typeof variant.content !== "string" || !variant.content.trim() || variant.content.length > MAX_CONTENT_LENGTH) {
+      throw new ApiError(`Variant content must be 1-${MAX_CONTENT_LENGTH} characters`, 400);
+    }
+    return { language, content: variant.content.trim() };
+  });
+  if (new Set(cleanedVariants.map((variant) => variant.language)).size !== cleanedVariants.length) {
+    throw new ApiError("Only one variant per language", 400);
+  }
+
+  // Step 3: Fallback language (farmers whose language has no variant)
+  const defaultLanguage =
+    body.defaultLanguage === undefined ? cleanedVariants[0].language : normalizeLanguage(body.defaultLanguage);
+  if (!cleanedVariants.some((variant) => variant.language === defaultLanguage)) {
+    throw new ApiError("defaultLanguage must be the language of one of the variants", 400);
+  }
+
+  return { segment: cleanedSegment, variants: cleanedVariants, defaultLanguage };
+};
+
+/**
+ * PREVIEW BROADCAST
+ *
+ * Audience size and the text a few matching farmers would get, without
+ * sending anything
+ *
+ * Body: { segment, variants, defaultLanguage? } (same as create)
+ *
+ * Permissions: chat:broadcast
+ *
+ * Called by: POST /api/v1/chat/broadcasts/preview
+ */
+const previewBroadcast = asyncHandler(async (req, res) => {
+  const preview = await previewBroadcastService(validateSegmentAndTemplate(req.body));
+
+  res.status(200).json({
+    message: "Broadcast preview generated successfully",
+    data: preview,
+  });
+});
+
+/**
+ * CREATE BROADCAST
+ *
+ * What happens:
+ * 1. The broadcast is queued; sending starts at sendAt (now by default)
+ * 2. Each matching farmer gets the text in their language, placeholders
+ *    filled in, in their active conversation or a new one with the sender
+ * 3. Messages go out at ratePerMinute (CHAT_BROADCAST_RATE_PER_MINUTE by
+ *    default, at most CHAT_BROADCAST_MAX_RATE_PER_MINUTE)
+ *
+ * Body: {
+ *   title,
+ *   segment: { states?, cities?, userTypes?, cropTypes?, landSize?: { min?, max? } },
+ *   variants: [{ language, content }],   // placeholders: {{first_name}}, {{city|your area}}...
+ *   defaultLanguage?, sendAt?, ratePerMinute?
+ * }
+ *
+ * Permissions: chat:broadcast
+ *
+ * Called by: POST /api/v1/chat/broadcasts
+ */
+const createBroadcast = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { title, sendAt, ratePerMinute = BROADCAST_RATE.defaultPerMinute } = req.body || {};
+  if (typeof title !== "string" || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+    throw new ApiError(`Title must be 1-${MAX_TITLE_LENGTH} characters`, 400);
+  }
+  const data = validateSegmentAndTemplate(req.body);
+
+  let sendAtDate = new Date();
+  if (sendAt !== undefined && sendAt !== null) {
+    sendAtDate = new Date(sendAt);
+    if (isNaN(sendAtDate.getTime())) {
+      throw new ApiError("sendAt must be a valid date", 400);
+    }
+    if (sendAtDate.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new ApiError(`sendAt can be at most ${MAX_SCHEDULE_DAYS} days ahead`, 400);
+    }
+  }
+
+  if (!Number.isInteger(ratePerMinute) || ratePerMinute < 1 || ratePerMinute > BROADCAST_RATE.maxPerMinute) {
+    throw new ApiError(`ratePerMinute must be a whole number from 1 to ${BROADCAST_RATE.maxPerMinute}`, 400);
+  }
+
+  // Step 2: Queue it
+  const broadcast = await createBroadcastService(
+    { ...data, title: title.trim(), sendAt: sendAtDate, ratePerMinute },
+    req.user.id
+  );
+
+  logger.info(`Broadcast "${broadcast.title}" created by ${req.user.id}`);
+
+  res.status(201).json({
+    message: "Broadcast queued successfully",
+    data: broadcast,
+  });
+});
+
+/**
+ * GET BROADCASTS
+ *
+ * Query: page, limit, status (queued | sending | completed | cancelled)
+ *
+ * Permissions: chat:broadcast
+ *
+ * Called by: GET /api/v1/chat/broadcasts
+ */
+const getBroadcasts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+  if (status && !BROADCAST_STATUSES.includes(status)) {
+    throw new ApiError(`Status must be one of: ${BROADCAST_STATUSES.join(", ")}`, 400);
+  }
+
+  const result = await getBroadcastsService(
+    Math.max(parseInt(page) || 1, 1),
+    Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+    { status }
+  );
+
+  res.status(200).json({
+    message: "Broadcasts fetched successfully",
+    ...result,
+  });
+});
+
+/**
+ * GET BROADCAST
+ *
+ * The broadcast with its stats: sent / skipped / failed counts, how the
+ * messages were delivered, and delivery and read rates
+ *
+ * Permissions: chat:broadcast
+ *
+ * Called by: GET /api/v1/chat/broadcasts/:id
+ */
+const getBroadcast = asyncHandler(async (req, res) => {
+  const broadcast = await getBroadcastService(req.params.id);
+
+  res.status(200).json({
+    message: "Broadcast fetched successfully",
+    data: broadcast,
+  });
+});
+
+/**
+ * GET BROADCAST RECIPIENTS
+ *
+ * Query: page, limit, status (pending | sent | skipped | failed)
+ *
+ * Permissions: chat:broadcast
+ *
+ * Called by: GET /api/v1/chat/broadcasts/:id/recipients
+ */
+const getBroadcastRecipients = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, status } = req.query;
+  if (status && !RECIPIENT_STATUSES.includes(status)) {
+    throw new ApiError(`Status must be one of: ${RECIPIENT_STATUSES.join(", ")}`, 400);
+  }
+
+  const result = await getBroadcastRecipientsService(
+    req.params.id,
+    Math.max(parseInt(page) || 1, 1),
+    Math.min(Math.max(parseInt(limit) || 50, 1), 100),
+    { status }
+  );
+
+  res.status(200).json({
+    message: "Broadcast recipients fetched successfully",
+    ...result,
+  });
+});
+
+/**
+ * CANCEL BROADCAST
+ *
+ * Stops a queued or sending broadcast. Messages already sent stay.
+ *
+ * Permissions: chat:broadcast
+ *
+ * Called by: POST /api/v1/chat/broadcasts/:id/cancel
+ */
+const cancelBroadcast = asyncHandler(async (req, res) => {
+  const broadcast = await cancelBroadcastService(req.params.id, req.user.id);
+
+  res.status(200).json({
+    message: "Broadcast cancelled successfully",
+    data: broadcast,
+  });
+});
+
+module.exports = {
+  previewBroadcast,
+  createBroadcast,
+  getBroadcasts,
+  getBroadcast,
+  getBroadcastRecipients,
+  cancelBroadcast,
+};
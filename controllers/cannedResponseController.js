@@ -0,0 +1,274 @@
+/**
+ * ============================================
+ * CANNED RESPONSE CONTROLLER
+ * ============================================
+ *
+ * PURPOSE:
+ * HTTP handlers for the support canned-response library: agents list,
+ * search and preview replies (rendered in the farmer's language with the
+ * placeholders filled in), admins create, edit and retire them.
+ *
+ * USED BY:
+ * - chatRoutes.js (/api/v1/chat/canned-responses)
+ */
+
+const { asyncHandler } = require("../utils/asyncHandler");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const {
+  PLACEHOLDERS,
+  getCannedResponsesService,
+  getCannedResponseByIdService,
+  createCannedResponseService,
+  updateCannedResponseService,
+  deleteCannedResponseService,
+  renderCannedResponseService,
+} = require("../services/cannedResponseService");
+const {
+  SUPPORT_TOPICS,
+  SUPPORT_LANGUAGES,
+  normalizeLanguage,
+} = require("../config/supportRouting");
+
+const SHORTCUT_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/i;
+const MAX_CONTENT_LENGTH = 2000;
+
+/**
+ * Validates a create/update body and returns the cleaned fields
+ * On update (partial = true) only the fields sent are checked
+ */
+const validateCannedResponseBody = (body = {}, partial = false) => {
+  const data = {};
+
+  // Step 1: Title
+  if (!partial || body.title !== undefined) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      throw new ApiError("Title is required", 400);
+    }
+    data.title = body.title.trim();
+  }
+
+  // Step 2: Shortcut
+  if (!partial || body.shortcut !== undefined) {
+    if (typeof body.shortcut !== "string" || !SHORTCUT_PATTERN.test(body.shortcut)) {
+      throw new ApiError("Shortcut must be 2-40 letters, digits, '-' or '_'", 400);
+    }
+    data.shortcut = body.shortcut.toLowerCase();
+  }
+
+  // Step 3: Topic
+  if (body.topic !== undefined) {
+    if (!SUPPORT_TOPICS.includes(body.topic)) {
+      throw new ApiError(`Topic must be one of: ${SUPPORT_TOPICS.join(", ")}`, 400);
+    }
+    data.topic = body.topic;
+  }
+
+  // Step 4: Language variants
+  if (!partial || body.variants !== undefined) {
+    if (!Array.isArray(body.variants) || body.variants.length === 0) {
+      throw new ApiError("At least one language variant is required", 400);
+    }
+
+    const seen = new Set();
+    data.variants = body.variants.map((variant) => {
+      const language = normalizeLanguage(variant?.language);
+      if (!language) {
+        throw new ApiError(`Unsupported language. Use one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+      }
+      if (seen.has(language)) {
+        throw new ApiError(`Duplicate variant for language "${language}"`, 400);
+      }
+      seen.add(language);
+
+      const content = typeof variant.content === "string" ? variant.content.trim() : "";
+      if (!content || content.length > MAX_CONTENT_LENGTH) {
+        throw new ApiError(`Content is required and must be at most ${MAX_CONTENT_LENGTH} characters`, 400);
+      }
+
+      // Typos like {{frist_name}} would otherwise only show up when sending
+      const unknown = [...content.matchAll(/{{\s*([^}]*?)\s*}}/g)]
+        .map((match) => match[1])
+        .filter((name) => !PLACEHOLDERS.includes(name));
+      if (unknown.length > 0) {
+        throw new ApiError(
+          `Unknown placeholder(s): ${unknown.join(", ")}. Available: ${PLACEHOLDERS.join(", ")}`,
+          400
+        );
+      }
+
+      return { language, content };
+    });
+  }
+
+  // Step 5: Default language
+  if (body.defaultLanguage !== undefined) {
+    data.defaultLanguage = normalizeLanguage(body.defaultLanguage);
+    if (!data.defaultLanguage) {
+      throw new ApiError(`Unsupported default language. Use one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+    }
+  } else if (data.variants && !partial) {
+    data.defaultLanguage = data.variants[0].language;
+  }
+
+  if (partial && Object.keys(data).length === 0) {
+    throw new ApiError("Nothing to update", 400);
+  }
+
+  return data;
+};
+
+/**
+ * GET CANNED RESPONSES
+ *
+ * Query params: page, limit, search (title, shortcut, text), topic, language
+ *
+ * Permissions: chat:canned-use
+ *
+ * Called by: GET /api/v1/chat/canned-responses
+ */
+const getCannedResponses = asyncHandler(async (req, res) => {
+  // Step 1: Extract pagination and filters
+  const { page = 1, limit = 50, search = "", topic = "", language = "" } = req.query;
+
+  // Step 2: Validate filters
+  if (topic && !SUPPORT_TOPICS.includes(topic)) {
+    throw new ApiError(`Topic must be one of: ${SUPPORT_TOPICS.join(", ")}`, 400);
+  }
+  if (language && !normalizeLanguage(language)) {
+    throw new ApiError(`Unsupported language. Use one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+  }
+
+  // Step 3: Fetch
+  const result = await getCannedResponsesService(parseInt(page), parseInt(limit), {
+    search: search.trim(),
+    topic: topic || null,
+    language: normalizeLanguage(language),
+  });
+
+  // Step 4: Send response
+  res.status(200).json({
+    message: "Canned responses fetched successfully",
+    ...result,
+  });
+});
+
+/**
+ * GET CANNED RESPONSE BY ID
+ *
+ * Permissions: chat:canned-use
+ *
+ * Called by: GET /api/v1/chat/canned-responses/:id
+ */
+const getCannedResponseById = asyncHandler(async (req, res) => {
+  const cannedResponse = await getCannedResponseByIdService(req.params.id);
+
+  res.status(200).json({
+    message: "Canned response fetched successfully",
+    data: cannedResponse,
+  });
+});
+
+/**
+ * CREATE CANNED RESPONSE
+ *
+ * Body: { title, shortcut, topic?, defaultLanguage?, variants: [{ language, content }] }
+ *
+ * Permissions: chat:canned-manage
+ *
+ * Called by: POST /api/v1/chat/canned-responses
+ */
+const createCannedResponse = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const data = validateCannedResponseBody(req.body);
+
+  // Step 2: Create
+  const cannedResponse = await createCannedResponseService(data, req.user.id);
+
+  // Step 3: Send response
+  res.status(201).json({
+    message: "Canned response created successfully",
+    data: cannedResponse,
+  });
+});
+
+/**
+ * UPDATE CANNED RESPONSE
+ *
+ * Body: any of the create fields; variants replaces the whole list
+ *
+ * Permissions: chat:canned-manage
+ *
+ * Called by: PUT /api/v1/chat/canned-responses/:id
+ */
+const updateCannedResponse = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const data = validateCannedResponseBody(req.body, true);
+
+  // Step 2: Update
+  const cannedResponse = await updateCannedResponseService(req.params.id, data, req.user.id);
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Canned response updated successfully",
+    data: cannedResponse,
+  });
+});
+
+/**
+ * DELETE CANNED RESPONSE
+ *
+ * Soft delete; the shortcut becomes available again
+ *
+ * Permissions: chat:canned-manage
+ *
+ * Called by: DELETE /api/v1/chat/canned-responses/:id
+ */
+const deleteCannedResponse = asyncHandler(async (req, res) => {
+  await deleteCannedResponseService(req.params.id, req.user.id);
+
+  res.status(200).json({
+    message: "Canned response deleted successfully",
+  });
+});
+
+/**
+ * RENDER CANNED RESPONSE
+ *
+ * What happens:
+ * 1. Picks the variant for the conversation's language
+ * 2. Fills in placeholders for that conversation's farmer
+ * 3. Returns the text for the agent to review or edit before sending
+ *
+ * Body: { conversationId }
+ *
+ * Permissions: chat:canned-use
+ *
+ * Called by: POST /api/v1/chat/canned-responses/:id/render
+ */
+const renderCannedResponse = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { conversationId } = req.body || {};
+  if (!conversationId) {
+    throw new ApiError("Conversation ID is required", 400);
+  }
+
+  // Step 2: Render
+  logger.info(`${req.user.role} ${req.user.id} rendering canned response ${req.params.id} for ${conversationId}`);
+  const rendered = await renderCannedResponseService(req.params.id, conversationId, req.user.id, req.user.role);
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Canned response rendered successfully",
+    data: rendered,
+  });
+});
+
+module.exports = {
+  getCannedResponses,
+  getCannedResponseById,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+};
@@ -26,6 +26,7 @@
 const { asyncHandler } = require("../utils/asyncHandler");
 const ApiError = require("../utils/error");
 const logger = require("../utils/logger");
+const { parseRangeStart, parseRangeEnd } = require("../utils/dateRange");
 const {
   createOrGetConversationService,
   getConversationsService,
@@ -34,6 +35,7 @@ const {
   deleteConversationService,
   sendMessageService,
   getMessagesService,
+  syncMessagesService,
   markMessageAsReadService,
   markConversationAsReadService,
   deleteMessageService,
@@ -41,7 +43,62 @@ const {
   getAllConversationsForSupportService,
   reassignConversationService,
   getConversationStatsService,
+  updateConversationPriorityService,
+  getSupportAgentsService,
+  updateSupportProfileService,
 } = require("../services/chatService");
+const { searchMessagesService } = require("../services/messageSearchService");
+const {
+  RATING_SCORES,
+  MAX_COMMENT_LENGTH,
+  rateConversationService,
+} = require("../services/conversationRatingService");
+const {
+  TRANSCRIPT_FORMATS,
+  getTranscriptService,
+  renderTranscriptText,
+  writeTranscriptPdf,
+} = require("../services/conversationTranscriptService");
+const {
+  addInternalNoteService,
+  getInternalNotesService,
+} = require("../services/internalNoteService");
+const {
+  editMessageService,
+  toggleReactionService,
+} = require("../services/messageActionService");
+const { translateMessageService } = require("../services/messageTranslationService");
+const {
+  emitInternalNote,
+  emitMessageUpdate,
+  translateInBackground,
+  leaveConversationRooms,
+} = require("../socket/chatSocket");
+const { isUserOnline } = require("../services/presenceService");
+const {
+  TIME_PATTERN,
+  isValidTimezone,
+  notifyChatMessage,
+  getChatNotificationSettingsService,
+  updateChatNotificationSettingsService,
+} = require("../services/chatNotificationService");
+const {
+  getQueueService,
+  claimConversationService,
+} = require("../services/supportQueueService");
+const {
+  SUPPORT_TOPICS,
+  SUPPORT_LANGUAGES,
+  normalizeLanguage,
+} = require("../config/supportRouting");
+const {
+  CONVERSATION_PRIORITIES,
+  SLA_REPORT_INTERVALS,
+  SLA_REPORT_TIMEZONE,
+} = require("../config/supportSla");
+
+// SLA report covers the last 30 days unless from/to are given
+const DEFAULT_STATS_RANGE_DAYS = 30;
 
 // ========================================
 // CONVERSATION CONTROLLERS
@@ -68,11 +125,21 @@ const createOrGetConversation = asyncHandler(async (req, res) => {
   // Step 2: Log action for debugging and monitoring
   logger.info(`User ${userId} attempting to create/get conversation`);
 
-  // Step 3: Call service to handle business logic
-  // Service will check for existing conversation or create new one
-  const conversation = await createOrGetConversationService(userId);
+  // Step 3: Validate optional routing hints
+  // language: farmer's language (e.g. "hi"), topic: what they need help with
+  const { language, topic } = req.body || {};
+  if (language && !normalizeLanguage(language)) {
+    throw new ApiError(`Unsupported language. Use one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+  }
+  if (topic && !SUPPORT_TOPICS.includes(topic)) {
+    throw new ApiError(`Topic must be one of: ${SUPPORT_TOPICS.join(", ")}`, 400);
+  }
+
+  // Step 4: Call service to handle business logic
+  // Service will check for existing conversation or route a new one
+  const conversation = await createOrGetConversationService(userId, { language, topic });
 
-  // Step 4: Send success response to client
+  // Step 5: Send success response to client
   res.status(200).json({
     message: "Conversation retrieved successfully",
     data: conversation,
@@ -169,7 +236,7 @@ const getConversationById = asyncHandler(async (req, res) => {
  *    - "waiting" → "open" (support responded)
  *    - "resolved" → "closed" (archived)
  * 
- * Permissions: Support and Admin only (Users cannot change status)
+ * Permissions: chat:update-status (Support and Admin by default)
  * 
  * Called by: PATCH /api/v1/chat/conversations/:id/status
  * Called from: Next.js dashboard (Support/Admin)
@@ -196,24 +263,136 @@ const updateConversationStatus = asyncHandler(async (req, res) => {
     throw new ApiError(`Invalid status. Must be one of: ${validStatuses.join(", ")}`, 400);
   }
 
-  // Step 6: Check user has permission (Support or Admin only)
-  if (!["Support", "Admin"].includes(userRole)) {
-    throw new ApiError("Only Support and Admin can update conversation status", 403);
-  }
-
-  // Step 7: Log status change
+  // Step 6: Log status change
+  // (chat:update-status permission is enforced by the route)
   logger.info(`User ${userId} (${userRole}) updating conversation ${id} status to ${status}`);
 
-  // Step 8: Update status in database
+  // Step 7: Update status in database
   const conversation = await updateConversationStatusService(id, status, userId, userRole);
 
-  // Step 9: Send success response
+  // Step 8: Send success response
   res.status(200).json({
     message: "Conversation status updated successfully",
     data: conversation,
   });
 });
 
+/**
+ * UPDATE CONVERSATION PRIORITY
+ * 
+ * What happens:
+ * 1. Support/Admin sets priority (urgent, high, normal, low)
+ * 2. SLA deadlines are recalculated for the new priority
+ * 
+ * Permissions: chat:update-status, and the conversation must be assigned
+ * to the caller unless they have chat:manage-any
+ * 
+ * Called by: PATCH /api/v1/chat/conversations/:id/priority
+ */
+const updateConversationPriority = asyncHandler(async (req, res) => {
+  // Step 1: Get conversation ID and new priority
+  const { id } = req.params;
+  const { priority } = req.body || {};
+
+  // Step 2: Validate priority value
+  if (!CONVERSATION_PRIORITIES.includes(priority)) {
+    throw new ApiError(`Invalid priority. Must be one of: ${CONVERSATION_PRIORITIES.join(", ")}`, 400);
+  }
+
+  // Step 3: Update priority in database
+  const conversation = await updateConversationPriorityService(id, priority, req.user.id, req.user.role);
+
+  // Step 4: Send success response
+  res.status(200).json({
+    message: "Conversation priority updated successfully",
+    data: conversation,
+  });
+});
+
+/**
+ * RATE CONVERSATION
+ * 
+ * What happens:
+ * 1. Farmer is asked for a rating when the conversation is resolved
+ *    ("conversation:rating-requested" or a push notification)
+ * 2. Farmer sends 1-5 and an optional comment (once per conversation)
+ * 3. Assigned agent gets "conversation:rated"
+ * 
+ * Body: { score: 1-5, comment? }
+ * 
+ * Called by: POST /api/v1/chat/conversations/:id/rating
+ * Called from: Flutter app (User)
+ */
+const rateConversation = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { score, comment } = req.body || {};
+  if (!RATING_SCORES.includes(score)) {
+    throw new ApiError("Score must be a whole number from 1 to 5", 400);
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== "string") {
+    throw new ApiError("Comment must be text", 400);
+  }
+  if (comment && comment.trim().length > MAX_COMMENT_LENGTH) {
+    throw new ApiError(`Comment must be at most ${MAX_COMMENT_LENGTH} characters`, 400);
+  }
+
+  // Step 2: Save (service checks farmer, resolved and not rated yet)
+  const rating = await rateConversationService(req.params.id, req.user.id, {
+    score,
+    comment: comment?.trim(),
+  });
+
+  // Step 3: Send response
+  res.status(201).json({
+    message: "Thank you for your feedback",
+    data: rating,
+  });
+});
+
+/**
+ * EXPORT CONVERSATION TRANSCRIPT
+ * 
+ * What happens:
+ * 1. Builds the transcript: header (farmer, agent, SLA, rating) and every
+ *    message with time, sender and media links
+ * 2. Sends it as a PDF or plain text download
+ * 
+ * Query params:
+ * - format: "pdf" (default) or "txt"
+ * - includeInternal: "true" to include agent-only notes
+ * 
+ * Permissions: chat:export-transcript (Admin by default), plus
+ * chat:internal-notes for includeInternal
+ * 
+ * Called by: GET /api/v1/chat/conversations/:id/transcript
+ */
+const exportConversationTranscript = asyncHandler(async (req, res) => {
+  // Step 1: Validate query
+  const { format = "pdf", includeInternal = "false" } = req.query;
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    throw new ApiError(`Format must be one of: ${TRANSCRIPT_FORMATS.join(", ")}`, 400);
+  }
+
+  // Step 2: Build transcript
+  logger.info(`${req.user.role} ${req.user.id} exporting transcript of ${req.params.id} (${format})`);
+  const transcript = await getTranscriptService(req.params.id, {
+    includeInternal: includeInternal === "true",
+    userId: req.user.id,
+    userRole: req.user.role,
+  });
+
+  // Step 3: Send file
+  const fileName = `conversation-${transcript.conversation._id}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  if (format === "txt") {
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.status(200).send(renderTranscriptText(transcript));
+    return;
+  }
+  res.setHeader("Content-Type", "application/pdf");
+  writeTranscriptPdf(transcript, res);
+});
+
 /**
  * DELETE CONVERSATION
  * 
@@ -261,7 +440,7 @@ const deleteConversation = asyncHandler(async (req, res) => {
  * 1. User types message and clicks send (or selects media)
  * 2. For media: File must be uploaded first to /media endpoint
  * 3. Message saved to database
- * 4. Other participant notified (if using HTTP, not Socket.IO)
+ * 4. Other participant gets a push notification if they have no live socket
  * 
  * Message types:
  * - text: Plain text message (content field required)
@@ -274,7 +453,7 @@ const deleteConversation = asyncHandler(async (req, res) => {
  */
 const sendMessage = asyncHandler(async (req, res) => {
   // Step 1: Extract message data from request body
-  const { conversationId, messageType, content, mediaId } = req.body;
+  const { conversationId, messageType, content, mediaId, replyToId, clientMessageId } = req.body;
 
   // Step 2: Get sender's ID from authenticated token
   const senderId = req.user.id;
@@ -313,8 +492,21 @@ const sendMessage = asyncHandler(async (req, res) => {
     messageType,
     content,
     mediaId,
+    replyToId,
+    clientMessageId, // Retrying with the same id returns the stored message
   });
 
+  // Step 7.1: Push notification when the receiver's app is closed
+  const { receiverId, duplicate } = message.$locals;
+  if (!duplicate && receiverId && !(await isUserOnline(receiverId))) {
+    await notifyChatMessage({ conversationId, message, receiverId });
+  }
+
+  // Step 7.2: Receiver reads another language: "message:translated" follows
+  if (!duplicate) {
+    translateInBackground(message);
+  }
+
   // Step 8: Send success response with created message
   res.status(201).json({
     message: "Message sent successfully",
@@ -335,6 +527,9 @@ const sendMessage = asyncHandler(async (req, res) => {
  * - Scroll up: Load previous 50 messages (pagination)
  * - Refresh: Reload messages if connection lost
  * 
+ * Translations: each message has "translation" (cached, in the reader's
+ * language or ?lang=); ?translate=true also translates the missing ones
+ * 
  * Called by: GET /api/v1/chat/messages/:conversationId
  * Called from: Flutter app, Next.js dashboard
  */
@@ -346,9 +541,17 @@ const getMessages = asyncHandler(async (req, res) => {
   // Example: /messages/abc123?page=2&limit=50
   const { 
     page = 1,      // Default to first page
-    limit = 50     // Default to 50 messages per page
+    limit = 50,    // Default to 50 messages per page
+    around,        // Optional message ID: open the page that contains it (search hits)
+    lang,          // Optional language to translate into (default: reader's language)
+    translate,     // "true": translate messages that have no cached translation yet
   } = req.query;
 
+  const language = lang ? normalizeLanguage(lang) : undefined;
+  if (lang && !language) {
+    throw new ApiError("Invalid lang. Use a language code like 'hi' or 'te'", 400);
+  }
+
   // Step 3: Get user info for permission check
   const userId = req.user.id;
   const userRole = req.user.role;
@@ -363,7 +566,8 @@ const getMessages = asyncHandler(async (req, res) => {
     userId,
     userRole,
     parseInt(page),
-    parseInt(limit)
+    parseInt(limit),
+    { aroundMessageId: around, language, translate: translate === "true" }
   );
 
   // Step 6: Send paginated message list
@@ -373,6 +577,315 @@ const getMessages = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * SYNC MESSAGES
+ * 
+ * What happens:
+ * 1. Client reconnects after being offline (HTTP version of the
+ *    lastMessageId / lastSeenAt options of "conversation:join")
+ * 2. Returns messages created after lastMessageId (or lastSeenAt), oldest
+ *    first, plus older messages edited/reacted to/read since then
+ * 3. If hasMore is true, call again with the last returned message ID
+ * 
+ * Query params: lastMessageId and/or lastSeenAt (ISO date); one is required
+ * 
+ * Called by: GET /api/v1/chat/messages/:conversationId/sync
+ */
+const syncMessages = asyncHandler(async (req, res) => {
+  // Step 1: Validate query
+  const { lastMessageId, lastSeenAt } = req.query;
+  if (!lastMessageId && !lastSeenAt) {
+    throw new ApiError("lastMessageId or lastSeenAt is required", 400);
+  }
+
+  // Step 2: Replay (service checks access)
+  const result = await syncMessagesService(req.params.conversationId, req.user.id, req.user.role, {
+    lastMessageId,
+    lastSeenAt,
+  });
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Messages synced successfully",
+    data: result,
+  });
+});
+
+/**
+ * EDIT MESSAGE
+ * 
+ * What happens:
+ * 1. Sender changes the text of their own text message
+ * 2. Allowed within CHAT_MESSAGE_EDIT_WINDOW_MINUTES (default 15) of sending
+ * 3. Old text is kept in editHistory; editedAt marks the message as edited
+ * 4. "message:edited" is broadcast to the conversation; the receiver gets
+ *    a new "message:translated" when they read another language
+ * 
+ * Body: { content }
+ * 
+ * Called by: PATCH /api/v1/chat/messages/:messageId
+ */
+const editMessage = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { content } = req.body || {};
+  if (!content || typeof content !== "string" || !content.trim()) {
+    throw new ApiError("Content is required", 400);
+  }
+
+  // Step 2: Edit (service checks sender, type and time window)
+  const message = await editMessageService(req.params.messageId, content, req.user.id, req.user.role);
+
+  // Step 3: Tell the other participant
+  emitMessageUpdate(message, "message:edited", {
+    messageId: message._id,
+    content: message.content,
+    editedAt: message.editedAt,
+    message: message,
+  });
+  translateInBackground(message);
+
+  // Step 4: Send response
+  res.status(200).json({
+    message: "Message edited successfully",
+    data: message,
+  });
+});
+
+/**
+ * TOGGLE REACTION
+ * 
+ * What happens:
+ * 1. Adds the emoji reaction for the user, or removes it if already there
+ * 2. "message:reaction" is broadcast with the updated list
+ * 
+ * Body: { emoji }
+ * 
+ * Called by: POST /api/v1/chat/messages/:messageId/reactions
+ */
+const toggleReaction = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { emoji } = req.body || {};
+  if (!emoji || typeof emoji !== "string") {
+    throw new ApiError("Emoji is required", 400);
+  }
+
+  // Step 2: Toggle
+  const { message, action } = await toggleReactionService(
+    req.params.messageId,
+    emoji,
+    req.user.id,
+    req.user.role
+  );
+
+  // Step 3: Tell the other participant
+  emitMessageUpdate(message, "message:reaction", {
+    messageId: message._id,
+    emoji: emoji.trim(),
+    userId: req.user.id,
+    action: action,
+    reactions: message.reactions,
+  });
+
+  // Step 4: Send response
+  res.status(200).json({
+    message: action === "added" ? "Reaction added" : "Reaction removed",
+    data: { messageId: message._id, action, reactions: message.reactions },
+  });
+});
+
+/**
+ * TRANSLATE MESSAGE
+ * 
+ * What happens:
+ * 1. Returns the original text and its translation
+ * 2. Translations are cached on the message, so asking again (or loading
+ *    history) does not call the translation API again
+ * 
+ * Body: { language? } (default: the reader's preferred language)
+ * 
+ * Called by: POST /api/v1/chat/messages/:messageId/translate
+ */
+const translateMessage = asyncHandler(async (req, res) => {
+  // Step 1: Validate target language
+  const { language } = req.body || {};
+  const target = language ? normalizeLanguage(language) : undefined;
+  if (language && !target) {
+    throw new ApiError("Invalid language. Use a language code like 'hi' or 'te'", 400);
+  }
+
+  // Step 2: Translate (service checks access)
+  const result = await translateMessageService(req.params.messageId, req.user.id, req.user.role, target);
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Message translated successfully",
+    data: result,
+  });
+});
+
+/**
+ * ADD INTERNAL NOTE
+ * 
+ * What happens:
+ * 1. Agent leaves a note only other agents can see (e.g. before a reassign)
+ * 2. Note is delivered to agents in the conversation over Socket.IO
+ * 3. Mentioned agents get "note:mention" and a push notification
+ * 
+ * Body: { content, mentions?: [agentUserId], clientMessageId? }
+ * 
+ * Permissions: chat:internal-notes, on conversations assigned to the caller
+ * unless they have chat:read-any
+ * 
+ * Called by: POST /api/v1/chat/conversations/:id/notes
+ */
+const addInternalNote = asyncHandler(async (req, res) => {
+  // Step 1: Extract note data
+  const { content, mentions = [], clientMessageId } = req.body || {};
+
+  // Step 2: Save note (service validates content, mentions and access)
+  const { note, mentionedUserIds, duplicate } = await addInternalNoteService({
+    conversationId: req.params.id,
+    senderId: req.user.id,
+    senderRole: req.user.role,
+    content,
+    mentions,
+    clientMessageId,
+  });
+
+  // Step 3: Deliver to agents only (a retried note was already delivered)
+  if (!duplicate) {
+    emitInternalNote(note, mentionedUserIds);
+    translateInBackground(note);
+  }
+
+  // Step 4: Send response
+  res.status(201).json({
+    message: "Internal note added successfully",
+    data: note,
+  });
+});
+
+/**
+ * GET INTERNAL NOTES
+ * 
+ * Lists only the internal notes of a conversation (the full history from
+ * GET /messages/:conversationId already includes them for agents)
+ * 
+ * Permissions: chat:internal-notes
+ * 
+ * Called by: GET /api/v1/chat/conversations/:id/notes
+ */
+const getInternalNotes = asyncHandler(async (req, res) => {
+  // Step 1: Extract pagination
+  const { page = 1, limit = 50 } = req.query;
+
+  // Step 2: Fetch notes
+  const result = await getInternalNotesService(
+    req.params.id,
+    req.user.id,
+    req.user.role,
+    parseInt(page),
+    parseInt(limit)
+  );
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Internal notes fetched successfully",
+    ...result,
+  });
+});
+
+/**
+ * SEARCH MESSAGES
+ * 
+ * What happens:
+ * 1. Full-text search over message text in conversations the user can read
+ *    (own conversations, or all with chat:read-any)
+ * 2. Optional filters narrow by agent, farmer, date range, conversation
+ *    status and message type
+ * 3. Each hit has a highlighted snippet and the page to open with
+ *    GET /messages/:conversationId?page=...&limit=... (or ?around=messageId)
+ * 
+ * Called by: GET /api/v1/chat/search/messages
+ */
+const searchMessages = asyncHandler(async (req, res) => {
+  // Step 1: Extract query params
+  const {
+    q = "",
+    agentId,
+    farmerId,
+    status,
+    messageType,
+    from,
+    to,
+    sort = "relevance",
+    page = 1,
+    limit = 20,
+    contextLimit = 50,
+  } = req.query;
+
+  // Step 2: Validate search text and filters
+  const query = String(q).trim();
+  if (query.length < 2 || query.length > 200) {
+    throw new ApiError("Search text (q) must be 2-200 characters", 400);
+  }
+
+  const objectIdPattern = /^[a-f\d]{24}$/i;
+  if (agentId && !objectIdPattern.test(agentId)) {
+    throw new ApiError("Invalid agentId", 400);
+  }
+  if (farmerId && !objectIdPattern.test(farmerId)) {
+    throw new ApiError("Invalid farmerId", 400);
+  }
+
+  const validStatuses = ["open", "waiting", "resolved", "closed"];
+  if (status && !validStatuses.includes(status)) {
+    throw new ApiError(`Invalid status. Must be one of: ${validStatuses.join(", ")}`, 400);
+  }
+
+  const validTypes = ["text", "image", "audio", "video"];
+  if (messageType && !validTypes.includes(messageType)) {
+    throw new ApiError(`Invalid message type. Must be one of: ${validTypes.join(", ")}`, 400);
+  }
+
+  // A date-only "to" includes that whole day
+  const fromDate = from ? parseRangeStart(from) : null;
+  const toDate = to ? parseRangeEnd(to) : null;
+  if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+    throw new ApiError("from and to must be valid dates", 400);
+  }
+
+  if (!["relevance", "newest"].includes(sort)) {
+    throw new ApiError("Sort must be one of: relevance, newest", 400);
+  }
+
+  // Step 3: Search
+  logger.info(`User ${req.user.id} searching messages`);
+  const result = await searchMessagesService(
+    {
+      q: query,
+      agentId,
+      farmerId,
+      status,
+      messageType,
+      from: fromDate,
+      to: toDate,
+      sort,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(50, Math.max(1, parseInt(limit) || 20)),
+      contextLimit: Math.min(100, Math.max(1, parseInt(contextLimit) || 50)),
+    },
+    req.user.id,
+    req.user.role
+  );
+
+  // Step 4: Send results
+  res.status(200).json({
+    message: "Search results fetched successfully",
+    ...result,
+  });
+});
+
 /**
  * MARK MESSAGE AS READ
  * 
@@ -560,7 +1073,7 @@ const uploadChatMedia = asyncHandler(async (req, res) => {
  * 2. Shows list of ALL conversations in system (not just assigned)
  * 3. Used for overview, monitoring, and reassignment
  * 
- * Permissions: Support and Admin only
+ * Permissions: chat:view-all (Support and Admin by default)
  * 
  * Difference from getMyConversations:
  * - getMyConversations: Shows conversations assigned to logged-in support
@@ -570,15 +1083,11 @@ const uploadChatMedia = asyncHandler(async (req, res) => {
  * Called from: Next.js dashboard (Support/Admin panel)
  */
 const getAllConversationsForSupport = asyncHandler(async (req, res) => {
-  // Step 1: Get user role for permission check
+  // Step 1: Get user role for logging
+  // (chat:view-all permission is enforced by the route)
   const userRole = req.user.role;
 
-  // Step 2: Check user has permission
-  if (!["Support", "Admin"].includes(userRole)) {
-    throw new ApiError("Access denied. Support or Admin role required", 403);
-  }
-
-  // Step 3: Extract query parameters
+  // Step 2: Extract query parameters
   const { 
     page = 1, 
     limit = 20, 
@@ -586,10 +1095,10 @@ const getAllConversationsForSupport = asyncHandler(async (req, res) => {
     assignedTo = "" // Filter by specific support agent (Admin feature)
   } = req.query;
 
-  // Step 4: Log access
+  // Step 3: Log access
   logger.info(`${userRole} fetching all conversations - Page: ${page}`);
 
-  // Step 5: Fetch all conversations with filters
+  // Step 4: Fetch all conversations with filters
   const result = await getAllConversationsForSupportService(
     parseInt(page),
     parseInt(limit),
@@ -597,7 +1106,7 @@ const getAllConversationsForSupport = asyncHandler(async (req, res) => {
     assignedTo
   );
 
-  // Step 6: Send response
+  // Step 5: Send response
   res.status(200).json({
     message: "All conversations fetched successfully",
     ...result,
@@ -611,39 +1120,39 @@ const getAllConversationsForSupport = asyncHandler(async (req, res) => {
  * 1. Admin transfers conversation from one support agent to another
  * 2. Updates assignedSupportId in conversation
  * 3. New support agent sees conversation in their list
- * 4. Old support agent no longer sees it
+ * 4. Old support agent no longer sees it, and their sockets leave its rooms
  * 
  * Use cases:
  * - Load balancing between support agents
  * - Specialist needed for specific issue
  * - Support agent going offline/on leave
  * 
- * Permissions: Admin only
+ * Permissions: chat:reassign (Admin by default)
  * 
  * Called by: POST /api/v1/chat/support/reassign
  * Called from: Next.js dashboard (Admin panel)
  */
 const reassignConversation = asyncHandler(async (req, res) => {
-  // Step 1: Check user is Admin
-  const userRole = req.user.role;
-  if (userRole !== "Admin") {
-    throw new ApiError("Access denied. Admin role required", 403);
-  }
-
-  // Step 2: Extract data from request body
+  // Step 1: Extract data from request body
   const { conversationId, newSupportId } = req.body;
 
-  // Step 3: Validate required fields
+  // Step 2: Validate required fields
   if (!conversationId || !newSupportId) {
     throw new ApiError("Conversation ID and new support ID are required", 400);
   }
 
-  // Step 4: Log reassignment action
-  logger.info(`Admin ${req.user.id} reassigning conversation ${conversationId} to support ${newSupportId}`);
+  // Step 3: Log reassignment action
+  logger.info(`${req.user.role} ${req.user.id} reassigning conversation ${conversationId} to support ${newSupportId}`);
 
-  // Step 5: Reassign conversation
+  // Step 4: Reassign conversation
   // Service verifies new support exists and has correct role
-  const conversation = await reassignConversationService(conversationId, newSupportId);
+  const { conversation, previousSupportId } = await reassignConversationService(conversationId, newSupportId);
+
+  // Step 5: The previous agent stops receiving the conversation's messages
+  // and internal notes
+  if (previousSupportId && String(previousSupportId) !== String(newSupportId)) {
+    leaveConversationRooms(previousSupportId, conversationId);
+  }
 
   // Step 6: Send success response
   res.status(200).json({
@@ -666,24 +1175,45 @@ const reassignConversation = asyncHandler(async (req, res) => {
  * - Conversations by status (open, waiting, resolved, closed)
  * - Average response time
  * - Per-agent stats (total chats, active chats)
+ * - SLA: first response / resolution averages and breaches,
+ *   per priority, per agent and as a time series
+ * - Ratings: average, 1-5 distribution and per-agent averages
  * 
- * Permissions: Support and Admin
+ * Query params (SLA and ratings sections only):
+ * - from, to: ISO dates, conversations opened (SLA) or rated (ratings)
+ *   in this range (default: last 30 days). A date-only "to" includes that
+ *   whole day; date-only bounds are days in SLA_REPORT_TIMEZONE
+ * - interval: day | week | month (default: day)
+ * 
+ * Permissions: chat:stats (Support and Admin by default)
  * 
  * Called by: GET /api/v1/chat/support/stats
  * Called from: Next.js dashboard (for charts and metrics)
  */
 const getConversationStats = asyncHandler(async (req, res) => {
-  // Step 1: Check user has permission
-  const userRole = req.user.role;
-  if (!["Support", "Admin"].includes(userRole)) {
-    throw new ApiError("Access denied. Support or Admin role required", 403);
+  // Step 1: Log stats request
+  logger.info(`${req.user.role} ${req.user.id} fetching conversation statistics`);
+
+  // Step 2: Validate the SLA report range
+  const { from, to, interval = "day" } = req.query;
+  const toDate = to ? parseRangeEnd(to, SLA_REPORT_TIMEZONE) : new Date();
+  const fromDate = from
+    ? parseRangeStart(from, SLA_REPORT_TIMEZONE)
+    : new Date(toDate.getTime() - DEFAULT_STATS_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    throw new ApiError("from and to must be valid dates", 400);
+  }
+  if (fromDate >= toDate) {
+    throw new ApiError("from must be before to", 400);
+  }
+  // Own keys only: "constructor" or "__proto__" must not pass as an interval
+  if (typeof interval !== "string" || !Object.hasOwn(SLA_REPORT_INTERVALS, interval)) {
+    throw new ApiError(`Interval must be one of: ${Object.keys(SLA_REPORT_INTERVALS).join(", ")}`, 400);
   }
-
-  // Step 2: Log stats request
-  logger.info(`${userRole} ${req.user.id} fetching conversation statistics`);
 
   // Step 3: Calculate statistics
-  const stats = await getConversationStatsService();
+  const stats = await getConversationStatsService({ from: fromDate, to: toDate, interval });
 
   // Step 4: Send statistics response
   res.status(200).json({
@@ -692,6 +1222,229 @@ const getConversationStats = asyncHandler(async (req, res) => {
   });
 });
 
+// ========================================
+// UNASSIGNED QUEUE CONTROLLERS
+// ========================================
+
+/**
+ * GET SUPPORT QUEUE
+ * 
+ * What happens:
+ * 1. Lists conversations nobody is assigned to yet, oldest first
+ * 2. Optional filters: language, topic
+ * 3. Each item includes waitingMinutes
+ * 
+ * Permissions: chat:view-all (Support and Admin by default)
+ * 
+ * Called by: GET /api/v1/chat/support/queue
+ */
+const getSupportQueue = asyncHandler(async (req, res) => {
+  // Step 1: Extract pagination and filters
+  const { page = 1, limit = 20, language = "", topic = "" } = req.query;
+
+  // Step 2: Validate filters
+  if (language && !normalizeLanguage(language)) {
+    throw new ApiError(`Unsupported language. Use one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+  }
+  if (topic && !SUPPORT_TOPICS.includes(topic)) {
+    throw new ApiError(`Topic must be one of: ${SUPPORT_TOPICS.join(", ")}`, 400);
+  }
+
+  // Step 3: Fetch queue
+  const result = await getQueueService(parseInt(page), parseInt(limit), {
+    language: normalizeLanguage(language),
+    topic: topic || null,
+  });
+
+  // Step 4: Send response
+  res.status(200).json({
+    message: "Support queue fetched successfully",
+    ...result,
+  });
+});
+
+/**
+ * CLAIM CONVERSATION
+ * 
+ * What happens:
+ * 1. Agent takes an unassigned conversation from the queue
+ * 2. First claim wins; later claims get 409
+ * 3. Farmer gets "conversation:assigned", other agents get "queue:claimed"
+ * 
+ * Permissions: chat:claim (Support by default)
+ * 
+ * Called by: POST /api/v1/chat/support/queue/:conversationId/claim
+ */
+const claimConversation = asyncHandler(async (req, res) => {
+  // Step 1: Log claim attempt
+  logger.info(`${req.user.role} ${req.user.id} claiming conversation ${req.params.conversationId}`);
+
+  // Step 2: Claim
+  const conversation = await claimConversationService(req.params.conversationId, req.user.id);
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Conversation claimed successfully",
+    data: conversation,
+  });
+});
+
+// ========================================
+// SUPPORT AGENT PROFILE CONTROLLERS
+// ========================================
+
+/**
+ * Validates a routing profile body; every field is optional
+ * { languages: ["hi", "en"], skills: ["payments"], maxActiveConversations: 10 }
+ */
+const validateSupportProfileBody = (body = {}) => {
+  const errors = [];
+  const { languages, skills, maxActiveConversations } = body;
+
+  if (languages !== undefined) {
+    if (!Array.isArray(languages) || languages.some((language) => !normalizeLanguage(language))) {
+      errors.push({ field: "languages", message: `languages must be an array of: ${SUPPORT_LANGUAGES.join(", ")}` });
+    }
+  }
+  if (skills !== undefined) {
+    if (!Array.isArray(skills) || skills.some((skill) => !SUPPORT_TOPICS.includes(skill))) {
+      errors.push({ field: "skills", message: `skills must be an array of: ${SUPPORT_TOPICS.join(", ")}` });
+    }
+  }
+  if (
+    maxActiveConversations !== undefined &&
+    maxActiveConversations !== null &&
+    !(Number.isInteger(maxActiveConversations) && maxActiveConversations > 0)
+  ) {
+    errors.push({ field: "maxActiveConversations", message: "maxActiveConversations must be a positive integer or null" });
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError("Validation failed", 400, errors);
+  }
+  return { languages, skills, maxActiveConversations };
+};
+
+/**
+ * GET SUPPORT AGENTS
+ * 
+ * Lists Support users with languages, skills, capacity, online status
+ * and number of open/waiting conversations
+ * 
+ * Permissions: chat:view-all (Support and Admin by default)
+ * 
+ * Called by: GET /api/v1/chat/support/agents
+ */
+const getSupportAgents = asyncHandler(async (req, res) => {
+  const agents = await getSupportAgentsService();
+
+  res.status(200).json({
+    message: "Support agents fetched successfully",
+    data: agents,
+  });
+});
+
+/**
+ * UPDATE MY SUPPORT PROFILE
+ * 
+ * Support agent declares which languages and topics they handle
+ * 
+ * Permissions: chat:agent-profile (Support by default)
+ * 
+ * Called by: PUT /api/v1/chat/support/profile
+ */
+const updateMySupportProfile = asyncHandler(async (req, res) => {
+  const updates = validateSupportProfileBody(req.body);
+  const profile = await updateSupportProfileService(req.user.id, updates, req.user);
+
+  res.status(200).json({
+    message: "Support profile updated successfully",
+    data: profile,
+  });
+});
+
+/**
+ * UPDATE SUPPORT AGENT PROFILE
+ * 
+ * Admin edits another agent's routing profile
+ * 
+ * Permissions: chat:manage-agents (Admin by default)
+ * 
+ * Called by: PUT /api/v1/chat/support/agents/:agentId/profile
+ */
+const updateSupportAgentProfile = asyncHandler(async (req, res) => {
+  const updates = validateSupportProfileBody(req.body);
+  const profile = await updateSupportProfileService(req.params.agentId, updates, req.user);
+
+  res.status(200).json({
+    message: "Support profile updated successfully",
+    data: profile,
+  });
+});
+
+// ========================================
+// CHAT NOTIFICATION SETTINGS
+// ========================================
+
+/**
+ * GET CHAT NOTIFICATION SETTINGS
+ * 
+ * Returns the caller's quiet hours for chat push notifications
+ * 
+ * Called by: GET /api/v1/chat/notifications/settings
+ */
+const getChatNotificationSettings = asyncHandler(async (req, res) => {
+  const settings = await getChatNotificationSettingsService(req.user.id);
+
+  res.status(200).json({
+    message: "Chat notification settings fetched successfully",
+    data: settings,
+  });
+});
+
+/**
+ * UPDATE CHAT NOTIFICATION SETTINGS
+ * 
+ * Body: { quietHours: { enabled?, start?: "22:00", end?: "07:00", timezone?: "Asia/Kolkata" } }
+ * 
+ * Called by: PUT /api/v1/chat/notifications/settings
+ */
+const updateChatNotificationSettings = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { quietHours } = req.body || {};
+  if (!quietHours || typeof quietHours !== "object" || Array.isArray(quietHours)) {
+    throw new ApiError("quietHours is required", 400);
+  }
+
+  const errors = [];
+  const { enabled, start, end, timezone } = quietHours;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    errors.push({ field: "quietHours.enabled", message: "enabled must be true or false" });
+  }
+  for (const [field, value] of [["start", start], ["end", end]]) {
+    if (value !== undefined && !(typeof value === "string" && TIME_PATTERN.test(value))) {
+      errors.push({ field: `quietHours.${field}`, message: `${field} must be a time in HH:MM (24h) format` });
+    }
+  }
+  if (timezone !== undefined && !(typeof timezone === "string" && isValidTimezone(timezone))) {
+    errors.push({ field: "quietHours.timezone", message: "timezone must be an IANA time zone, e.g. Asia/Kolkata" });
+  }
+  if (errors.length > 0) {
+    throw new ApiError("Validation failed", 400, errors);
+  }
+
+  // Step 2: Save
+  const settings = await updateChatNotificationSettingsService(req.user.id, {
+    quietHours: { enabled, start, end, timezone },
+  });
+
+  // Step 3: Send response
+  res.status(200).json({
+    message: "Chat notification settings updated successfully",
+    data: settings,
+  });
+});
+
 // ========================================
 // EXPORT ALL CONTROLLERS
 // ========================================
@@ -702,11 +1455,21 @@ module.exports = {
   getMyConversations,
   getConversationById,
   updateConversationStatus,
+  updateConversationPriority,
+  rateConversation,
+  exportConversationTranscript,
   deleteConversation,
   
   // Message controllers
   sendMessage,
   getMessages,
+  syncMessages,
+  searchMessages,
+  addInternalNote,
+  getInternalNotes,
+  editMessage,
+  toggleReaction,
+  translateMessage,
   markMessageAsRead,
   markConversationAsRead,
   deleteMessage,
@@ -718,4 +1481,17 @@ module.exports = {
   getAllConversationsForSupport,
   reassignConversation,
   getConversationStats,
+
+  // Unassigned queue controllers
+  getSupportQueue,
+  claimConversation,
+
+  // Support agent profile controllers
+  getSupportAgents,
+  updateMySupportProfile,
+  updateSupportAgentProfile,
+
+  // Notification settings controllers
+  getChatNotificationSettings,
+  updateChatNotificationSettings,
 };
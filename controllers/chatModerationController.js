@@ -0,0 +1,345 @@
+/**
+ * ============================================
+ * CHAT MODERATION CONTROLLER
+ * ============================================
+ *
+ * PURPOSE:
+ * HTTP handlers for blocking users, reporting messages and the admin
+ * moderation tools (cases, word filters). Reviewing a case can also
+ * delete the reported message for everyone.
+ *
+ * USED BY:
+ * - chatRoutes.js (/api/v1/chat/blocks, /messages/:messageId/report,
+ *   /moderation/*)
+ */
+
+const { asyncHandler } = require("../utils/asyncHandler");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const {
+  getWordFiltersService,
+  updateWordFilterService,
+  blockUserService,
+  unblockUserService,
+  getBlockedUsersService,
+  reportMessageService,
+  getModerationCasesService,
+  getModerationCaseService,
+  reviewModerationCaseService,
+} = require("../services/chatModerationService");
+const { deleteMessageService } = require("../services/chatService");
+const { hasPermission } = require("../services/permissionService");
+const { notifyConversationQueued } = require("../services/supportQueueService");
+const { emitToRoom, leaveConversationRooms } = require("../socket/chatSocket");
+const {
+  REPORT_REASONS,
+  CASE_STATUSES,
+  WORD_FILTER_ACTIONS,
+  ALL_LANGUAGES,
+} = require("../config/chatModeration");
+const { SUPPORT_LANGUAGES, normalizeLanguage } = require("../config/supportRouting");
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_FILTER_WORDS = 1000;
+const MAX_WORD_LENGTH = 60;
+
+/**
+ * Optional free text field: trimmed string or null
+ */
+const optionalText = (value, field, max = MAX_TEXT_LENGTH) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || value.trim().length > max) {
+    throw new ApiError(`${field} must be text of at most ${max} characters`, 400);
+  }
+  return value.trim() || null;
+};
+
+// ========================================
+// BLOCKING
+// ========================================
+
+/**
+ * GET BLOCKED USERS
+ *
+ * Users the caller has blocked
+ *
+ * Called by: GET /api/v1/chat/blocks
+ */
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const blocks = await getBlockedUsersService(req.user.id);
+
+  res.status(200).json({
+    message: "Blocked users fetched successfully",
+    data: blocks,
+  });
+});
+
+/**
+ * BLOCK USER
+ *
+ * What happens:
+ * 1. The caller and the blocked user can no longer message each other
+ *    (either direction)
+ * 2. Conversations between them go back to the unassigned queue so
+ *    another agent can help; routing and claims skip the pair
+ *
+ * Body: { userId, reason? }
+ *
+ * Called by: POST /api/v1/chat/blocks
+ */
+const blockUser = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { userId, reason } = req.body || {};
+  if (!userId || !OBJECT_ID_PATTERN.test(String(userId))) {
+    throw new ApiError("A valid userId is required", 400);
+  }
+
+  // Step 2: Block
+  const { block, blockedUser, releasedConversations } = await blockUserService(
+    req.user.id,
+    userId,
+    optionalText(reason, "Reason", 500)
+  );
+
+  // Step 3: The agent (whichever side is not the farmer) leaves the released
+  // conversations' rooms, then other agents can pick them up
+  releasedConversations.forEach((conversation) => {
+    const agentId = String(conversation.userId) === String(req.user.id) ? userId : req.user.id;
+    leaveConversationRooms(agentId, conversation._id);
+    notifyConversationQueued(conversation);
+  });
+
+  // Step 4: Send response
+  res.status(201).json({
+    message: "User blocked successfully",
+    data: {
+      ...block.toObject(),
+      blockedUser,
+      releasedConversationIds: releasedConversations.map((conversation) => conversation._id),
+    },
+  });
+});
+
+/**
+ * UNBLOCK USER
+ *
+ * Called by: DELETE /api/v1/chat/blocks/:userId
+ */
+const unblockUser = asyncHandler(async (req, res) => {
+  if (!OBJECT_ID_PATTERN.test(req.params.userId)) {
+    throw new ApiError("Invalid user ID", 400);
+  }
+
+  await unblockUserService(req.user.id, req.params.userId);
+
+  res.status(200).json({
+    message: "User unblocked successfully",
+  });
+});
+
+// ========================================
+// REPORTS
+// ========================================
+
+/**
+ * REPORT MESSAGE
+ *
+ * What happens:
+ * 1. A participant flags a message (spam, abuse, ...)
+ * 2. A moderation case is opened with a copy of the message
+ * 3. Connected admins get "moderation:case-created"
+ *
+ * Body: { reason, details? }
+ *
+ * Called by: POST /api/v1/chat/messages/:messageId/report
+ */
+const reportMessage = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { reason, details } = req.body || {};
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ApiError(`Reason must be one of: ${REPORT_REASONS.join(", ")}`, 400);
+  }
+
+  // Step 2: Open the case (service checks access)
+  const moderationCase = await reportMessageService(req.params.messageId, req.user.id, req.user.role, {
+    reason,
+    details: optionalText(details, "Details"),
+  });
+
+  // Step 3: Alert admins
+  emitToRoom("role:Admin", "moderation:case-created", {
+    caseId: moderationCase._id,
+    messageId: moderationCase.messageId,
+    conversationId: moderationCase.conversationId,
+    reportedUserId: moderationCase.reportedUserId,
+    reason: moderationCase.reason,
+  });
+
+  // Step 4: Send response
+  res.status(201).json({
+    message: "Message reported. Our team will review it.",
+    data: { caseId: moderationCase._id, status: moderationCase.status },
+  });
+});
+
+/**
+ * GET MODERATION CASES
+ *
+ * Query: page, limit, status (open | resolved | dismissed), reportedUserId
+ *
+ * Permissions: chat:moderate
+ *
+ * Called by: GET /api/v1/chat/moderation/cases
+ */
+const getModerationCases = asyncHandler(async (req, res) => {
+  // Step 1: Extract and validate filters
+  const { page = 1, limit = 20, status, reportedUserId } = req.query;
+  if (status && !CASE_STATUSES.includes(status)) {
+    throw new ApiError(`Status must be one of: ${CASE_STATUSES.join(", ")}`, 400);
+  }
+  if (reportedUserId && !OBJECT_ID_PATTERN.test(reportedUserId)) {
+    throw new ApiError("Invalid reportedUserId", 400);
+  }
+
+  // Step 2: Fetch cases
+  const result = await getModerationCasesService(
+    Math.max(parseInt(page) || 1, 1),
+    Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+    { status, reportedUserId }
+  );
+
+  res.status(200).json({
+    message: "Moderation cases fetched successfully",
+    ...result,
+  });
+});
+
+/**
+ * REVIEW MODERATION CASE
+ *
+ * What happens:
+ * 1. Admin closes the case as "resolved" or "dismissed"
+ * 2. deleteMessage: true also deletes the reported message (needs
+ *    chat:manage-any; blocking or disabling the sender is done with the
+ *    usual endpoints)
+ *
+ * Body: { status, resolution?, deleteMessage? }
+ *
+ * Permissions: chat:moderate
+ *
+ * Called by: PATCH /api/v1/chat/moderation/cases/:id
+ */
+const reviewModerationCase = asyncHandler(async (req, res) => {
+  // Step 1: Validate body
+  const { status, resolution, deleteMessage = false } = req.body || {};
+  if (!["resolved", "dismissed"].includes(status)) {
+    throw new ApiError("Status must be resolved or dismissed", 400);
+  }
+  if (typeof deleteMessage !== "boolean") {
+    throw new ApiError("deleteMessage must be true or false", 400);
+  }
+  if (deleteMessage && !(await hasPermission(req.user.role, "chat:manage-any"))) {
+    throw new ApiError("You don't have permission to delete messages", 403);
+  }
+
+  // Step 2: Delete the message first, so a failed delete leaves the case open
+  const moderationCase = await getModerationCaseService(req.params.id);
+  if (deleteMessage && !moderationCase.messageDeleted) {
+    await deleteMessageService(moderationCase.messageId.toString(), req.user.id, req.user.role).catch((error) => {
+      // Already deleted by its sender: the copy in the case is all that is left
+      if (error.status !== 404) throw error;
+    });
+    logger.warn(`Message ${moderationCase.messageId} deleted by moderator ${req.user.id}`);
+  }
+
+  // Step 3: Close the case
+  const updated = await reviewModerationCaseService(req.params.id, req.user.id, {
+    status,
+    resolution: optionalText(resolution, "Resolution"),
+    messageDeleted: deleteMessage,
+  });
+
+  res.status(200).json({
+    message: "Moderation case updated successfully",
+    data: updated,
+  });
+});
+
+// ========================================
+// WORD FILTERS
+// ========================================
+
+/**
+ * GET WORD FILTERS
+ *
+ * Permissions: chat:moderate
+ *
+ * Called by: GET /api/v1/chat/moderation/word-filters
+ */
+const getWordFilters = asyncHandler(async (req, res) => {
+  const filters = await getWordFiltersService();
+
+  res.status(200).json({
+    message: "Word filters fetched successfully",
+    data: filters,
+  });
+});
+
+/**
+ * UPDATE WORD FILTER
+ *
+ * Replaces the word list of one language ("all" = every conversation)
+ *
+ * Body: { words?: ["..."], action?: "mask" | "reject" }
+ *
+ * Permissions: chat:moderate
+ *
+ * Called by: PUT /api/v1/chat/moderation/word-filters/:language
+ */
+const updateWordFilter = asyncHandler(async (req, res) => {
+  // Step 1: Language
+  const language =
+    req.params.language.toLowerCase() === ALL_LANGUAGES ? ALL_LANGUAGES : normalizeLanguage(req.params.language);
+  if (!language) {
+    throw new ApiError(`Unsupported language. Use "${ALL_LANGUAGES}" or one of: ${SUPPORT_LANGUAGES.join(", ")}`, 400);
+  }
+
+  // Step 2: Body
+  const { words, action } = req.body || {};
+  if (words === undefined && action === undefined) {
+    throw new ApiError("Nothing to update", 400);
+  }
+  if (action !== undefined && !WORD_FILTER_ACTIONS.includes(action)) {
+    throw new ApiError(`Action must be one of: ${WORD_FILTER_ACTIONS.join(", ")}`, 400);
+  }
+  let cleaned;
+  if (words !== undefined) {
+    if (!Array.isArray(words) || words.length > MAX_FILTER_WORDS) {
+      throw new ApiError(`Words must be a list of at most ${MAX_FILTER_WORDS} entries`, 400);
+    }
+    cleaned = words.map((word) => (typeof word === "string" ? word.trim() : ""));
+    if (cleaned.some((word) => !word || word.length > MAX_WORD_LENGTH)) {
+      throw new ApiError(`Each word must be 1-${MAX_WORD_LENGTH} characters`, 400);
+    }
+  }
+
+  // Step 3: Save
+  const filter = await updateWordFilterService(language, { words: cleaned, action }, req.user.id);
+
+  res.status(200).json({
+    message: "Word filter updated successfully",
+    data: filter,
+  });
+});
+
+module.exports = {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  reportMessage,
+  getModerationCases,
+  reviewModerationCase,
+  getWordFilters,
+  updateWordFilter,
+};
@@ -0,0 +1,64 @@
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  validateCreateFarmPlot,
+  validateUpdateFarmPlot,
+  validatePlotId,
+  handleValidationErrors,
+} = require("../utils/validator");
+const {
+  createPlotService,
+  getMyPlotsService,
+  getPlotByIdService,
+  updatePlotService,
+  deletePlotService,
+} = require("../services/farmPlotService");
+
+const createPlot = [
+  validateCreateFarmPlot,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await createPlotService(req.body, req.user);
+    res.status(201).json({ message: "Farm plot created successfully", data });
+  }),
+];
+
+const getMyPlots = asyncHandler(async (req, res) => {
+  const data = await getMyPlotsService(req.user);
+  res.status(200).json({ message: "Farm plots fetched successfully", data });
+});
+
+const getPlotById = [
+  validatePlotId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await getPlotByIdService(req.params.plotId, req.user);
+    res.status(200).json({ message: "Farm plot fetched successfully", data });
+  }),
+];
+
+const updatePlot = [
+  validatePlotId,
+  validateUpdateFarmPlot,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await updatePlotService(req.params.plotId, req.body, req.user);
+    res.status(200).json({ message: "Farm plot updated successfully", data });
+  }),
+];
+
+const deletePlot = [
+  validatePlotId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await deletePlotService(req.params.plotId, req.user);
+    res.status(200).json({ message: "Farm plot deleted successfully" });
+  }),
+];
+
+module.exports = {
+  createPlot,
+  getMyPlots,
+  getPlotById,
+  updatePlot,
+  deletePlot,
+};
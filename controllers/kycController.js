@@ -0,0 +1,119 @@
+const { validationResult } = require("express-validator");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  validatePagination,
+  validateKycSubmission,
+  validateKycUserId,
+  validateKycList,
+  validateKycDetails,
+  validateKycReview,
+  handleValidationErrors,
+} = require("../utils/validator");
+const {
+  getMyKycService,
+  submitKycService,
+  getKycDocumentService,
+  getAllKycService,
+  getKycByUserIdService,
+  reviewKycService,
+  discardUploadedDocument,
+} = require("../services/kycService");
+
+// Header values must be ASCII: an ASCII fallback name plus the real one
+// percent-encoded (RFC 5987), so names like "आधार.pdf" still download
+const inlineDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const sendDocument = async (res, userId, requestingUser) => {
+  const document = await getKycDocumentService(userId, requestingUser);
+  res.setHeader("Content-Type", document.mimeType || "application/octet-stream");
+  res.setHeader("Content-Disposition", inlineDisposition(document.originalName || "document"));
+  res.setHeader("Cache-Control", "private, no-store");
+  res.sendFile(document.absolutePath);
+};
+
+// Farmer
+
+const getMyKyc = asyncHandler(async (req, res) => {
+  const data = await getMyKycService(req.user);
+  res.status(200).json({ message: "KYC details fetched successfully", data });
+});
+
+// multer has already stored the document; a rejected submission must not
+// leave it on disk
+const discardRejectedUpload = async (req, res, next) => {
+  if (req.file && !validationResult(req).isEmpty()) {
+    await discardUploadedDocument(req.file);
+  }
+  next();
+};
+
+const submitKyc = [
+  validateKycSubmission,
+  discardRejectedUpload,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await submitKycService(req.user, req.body, req.file);
+    res.status(200).json({ message: "KYC submitted for verification", data });
+  }),
+];
+
+const getMyKycDocument = asyncHandler(async (req, res) => {
+  await sendDocument(res, req.user.id, req.user);
+});
+
+// Admin
+
+const getAllKyc = [
+  validatePagination,
+  validateKycList,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+    const result = await getAllKycService({ page: parseInt(page), limit: parseInt(limit), status });
+    res.status(200).json({ message: "KYC submissions fetched successfully", ...result });
+  }),
+];
+
+const getKycByUserId = [
+  validateKycUserId,
+  validateKycDetails,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await getKycByUserIdService(req.params.userId, req.user, {
+      reveal: req.query.reveal === "true",
+    });
+    res.status(200).json({ message: "KYC details fetched successfully", data });
+  }),
+];
+
+const getKycDocument = [
+  validateKycUserId,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await sendDocument(res, req.params.userId, req.user);
+  }),
+];
+
+const reviewKyc = [
+  validateKycUserId,
+  validateKycReview,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await reviewKycService(req.params.userId, req.body, req.user);
+    res.status(200).json({ message: `KYC ${data.status}`, data });
+  }),
+];
+
+module.exports = {
+  getMyKyc,
+  submitKyc,
+  getMyKycDocument,
+  getAllKyc,
+  getKycByUserId,
+  getKycDocument,
+  reviewKyc,
+};
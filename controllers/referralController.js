@@ -0,0 +1,29 @@
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  validateReferralReport,
+  handleValidationErrors,
+} = require("../utils/validator");
+const {
+  getOrCreateReferralCodeService,
+  getReferralReportService,
+} = require("../services/referralService");
+
+const getMyReferralCode = asyncHandler(async (req, res) => {
+  const data = await getOrCreateReferralCodeService(req.user.id);
+  res.status(200).json({ message: "Referral code fetched successfully", data });
+});
+
+const getReferralReport = [
+  validateReferralReport,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { from, to, referrerId } = req.query;
+    const result = await getReferralReportService({ from, to, referrerId });
+    res.status(200).json({ message: "Referral report fetched successfully", ...result });
+  }),
+];
+
+module.exports = {
+  getMyReferralCode,
+  getReferralReport,
+};
@@ -0,0 +1,52 @@
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  validateRoleParam,
+  validateRolePermissionsUpdate,
+  handleValidationErrors,
+} = require("../utils/validator");
+const {
+  getPermissionMatrixService,
+  getRoleService,
+  updateRolePermissionsService,
+  resetRolePermissionsService,
+} = require("../services/permissionService");
+
+const getPermissionMatrix = asyncHandler(async (req, res) => {
+  const data = await getPermissionMatrixService();
+  res.status(200).json({ message: "Permission matrix fetched successfully", data });
+});
+
+const getRole = [
+  validateRoleParam,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await getRoleService(req.params.role);
+    res.status(200).json({ message: "Role fetched successfully", data });
+  }),
+];
+
+const updateRolePermissions = [
+  validateRoleParam,
+  validateRolePermissionsUpdate,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await updateRolePermissionsService(req.params.role, req.body.permissions, req.user);
+    res.status(200).json({ message: "Role permissions updated successfully", data });
+  }),
+];
+
+const resetRolePermissions = [
+  validateRoleParam,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const data = await resetRolePermissionsService(req.params.role, req.user);
+    res.status(200).json({ message: "Role permissions reset to defaults", data });
+  }),
+];
+
+module.exports = {
+  getPermissionMatrix,
+  getRole,
+  updateRolePermissions,
+  resetRolePermissions,
+};
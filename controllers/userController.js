@@ -1,11 +1,16 @@
+const crypto = require("crypto");
 const { asyncHandler } = require("../utils/asyncHandler");
+const ApiError = require("../utils/error");
 const {
   validateUser,
   validateLogin,
   validateUserId,
   validatePagination,
+  validateUserListFilters,
+  validateUserImport,
   validateOtpGenerate,
   validateOtpVerify,
+  validateRefreshToken,
   validateSimpleRegistration,
   validateSimpleUserUpdate,
   handleValidationErrors,
@@ -25,17 +30,43 @@ const {
   enableUser,
   disableUser,
   getLoginHistory,
+  getActiveSessionsService,
   logoutAllSessionsService,
   logoutSessionService,
+  refreshTokenService,
   saveUserFCMTokenService
 } = require("../services/userService");
+const {
+  updateDeliveryStatus,
+  getOtpDeliveries,
+} = require("../services/otpDeliveryService");
+const {
+  importUsersService,
+  exportUsersCsvService,
+} = require("../services/userBulkService");
+const { parseRangeStart, parseRangeEnd } = require("../utils/dateRange");
+
+// Query values are strings under Express 5. A date-only "to" covers that
+// whole day (the range ends at the start of the next one)
+const pickUserFilters = (query) => {
+  const { role, userType, state, city, isActive, from, to } = query;
+  return {
+    role,
+    userType: userType?.trim(),
+    state: state?.trim(),
+    city: city?.trim(),
+    isActive: isActive === undefined ? undefined : isActive === "true",
+    from: from ? parseRangeStart(from) : undefined,
+    to: to ? parseRangeEnd(to) : undefined,
+  };
+};
 
 const generateOtpHandler = [
   validateOtpGenerate,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { phone, location, userType } = req.body;
-    const result = await generateOtp(phone, location, userType);
+    const { phone, location, userType, referralCode } = req.body;
+    const result = await generateOtp(phone, location, userType, referralCode);
     res.status(200).json(result);
   }),
 ];
@@ -50,6 +81,15 @@ const verifyOtpHandler = [
   }),
 ];
 
+const refreshTokenHandler = [
+  validateRefreshToken,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await refreshTokenService(req.body.refreshToken, { req });
+    res.status(200).json(result);
+  }),
+];
+
 const resendOtpHandler = [
   validateOtpGenerate,
   handleValidationErrors,
@@ -60,6 +100,44 @@ const resendOtpHandler = [
   }),
 ];
 
+// Constant-time comparison; hashing first gives both buffers the same length
+const secretMatches = (provided, secret) =>
+  crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(String(provided || "")).digest(),
+    crypto.createHash("sha256").update(secret).digest()
+  );
+
+// Delivery report callback from the SMS gateway
+const otpDeliveryStatusHandler = asyncHandler(async (req, res) => {
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+  if (!secret || !secretMatches(req.header("x-sms-webhook-secret"), secret)) {
+    throw new ApiError("Unauthorized", 401);
+  }
+
+  const { providerMessageId, status, error } = req.body;
+  if (!providerMessageId) {
+    throw new ApiError("providerMessageId is required", 400);
+  }
+
+  await updateDeliveryStatus({ providerMessageId, status, error });
+  res.status(200).json({ message: "Delivery status updated" });
+});
+
+const getOtpDeliveriesHandler = [
+  validatePagination,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, phone, status } = req.query;
+    const result = await getOtpDeliveries(req.user, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      phone,
+      status,
+    });
+    res.status(200).json(result);
+  }),
+];
+
 const registerUser = [
   validateUser,
   handleValidationErrors,
@@ -118,8 +196,8 @@ const registerSimpleUser = [
   validateSimpleRegistration,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { phone, userType, location } = req.body;
-    const result = await createSimpleUser({ phone, userType, location });
+    const { phone, userType, location, referralCode } = req.body;
+    const result = await createSimpleUser({ phone, userType, location, referralCode });
     res.status(200).json(result);
   }),
 ];
@@ -161,6 +239,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
 
 const getAllUsers = [
   validatePagination,
+  validateUserListFilters,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
     const { page = 1, limit = 10, q = "" } = req.query;
@@ -168,12 +247,38 @@ const getAllUsers = [
       parseInt(page),
       parseInt(limit),
       req.user,
-      q
+      q,
+      pickUserFilters(req.query)
     );
     res.status(200).json(result);
   }),
 ];
 
+const importUsers = [
+  validateUserImport,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await importUsersService(req.file, req.user, {
+      dryRun: req.query.dryRun === "true",
+    });
+    res.status(200).json({
+      message: result.dryRun ? "Import file validated" : "User import completed",
+      data: result,
+    });
+  }),
+];
+
+const exportUsers = [
+  validateUserListFilters,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const fileName = `users-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    await exportUsersCsvService(res, req.query.q || "", pickUserFilters(req.query));
+  }),
+];
+
 const getUser = [
   validateUserId,
   handleValidationErrors,
@@ -254,7 +359,7 @@ const getUserLoginHistory = asyncHandler(async (req, res) => {
 });
 
 const getActiveSessions = asyncHandler(async (req, res) => {
-  const sessions = await getActiveSessionsService(req.user.id);
+  const sessions = await getActiveSessionsService(req.user.id, req.user.sid);
   res.status(200).json({
     message: "Active sessions fetched successfully",
     data: sessions,
@@ -262,10 +367,7 @@ const getActiveSessions = asyncHandler(async (req, res) => {
 });
 
 const logoutSession = asyncHandler(async (req, res) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
-  if (!token) throw new ApiError("No token provided", 401);
-
-  await logoutSessionService(req.user.id, token);
+  await logoutSessionService(req.user.id, req.user.sid);
   res.status(200).json({ message: "Logged out from this device successfully" });
 });
 
@@ -287,13 +389,18 @@ const saveFCMToken = asyncHandler(async (req, res) => {
 module.exports = {
   generateOtpHandler,
   verifyOtpHandler,
+  refreshTokenHandler,
   resendOtpHandler,
+  otpDeliveryStatusHandler,
+  getOtpDeliveriesHandler,
   registerUser,
   registerSimpleUser,
   updateSimpleUserProfile,
   loginUser,
   getUserProfile,
   getAllUsers,
+  importUsers,
+  exportUsers,
   getUser,
   updateUserDetails,
   deleteUserAccount,
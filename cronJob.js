@@ -17,4 +17,20 @@ cron.schedule(cronString, () => {
   });
 });
 
+const accountDeletionCronString = process.env.ACCOUNT_DELETION_CRON || "30 2 * * *"; // daily at 02:30
+
+console.log(`🕒 Using account deletion cron schedule: ${accountDeletionCronString}`);
+
+cron.schedule(accountDeletionCronString, () => {
+  console.log("⏳ Running Account Deletion Cron Job...");
+
+  const process = spawn("node", ["purgeDeletedAccounts.js"], {
+    stdio: "inherit",
+  });
+
+  process.on("close", (code) => {
+    console.log(`📌 Account deletion script finished with code ${code}`);
+  });
+});
+
 console.log("🟢 Cron scheduler started...");
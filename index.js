@@ -23,7 +23,18 @@ const logger = require("./utils/logger");
 const dotenv = require("dotenv");
 const { validateEnv } = require("./utils/envValidator");
 const mongoose = require("mongoose");
-const { initializeSocket } = require("./socket/chatSocket"); // ← ADDED: Chat socket configuration
+const {
+  initializeSocket,
+  emitMessageTranscribed,
+  getLocalSockets,
+  emitUserPresence,
+} = require("./socket/chatSocket"); // ← ADDED: Chat socket configuration
+const { startQueueEscalationMonitor } = require("./services/supportQueueService");
+const { startTranscriptionWorker } = require("./services/transcriptionService");
+const { startPresenceMonitor, releaseInstancePresence } = require("./services/presenceService");
+const { startBroadcastWorker } = require("./services/broadcastService");
+const { getSocketAdapter } = require("./utils/socketAdapter");
+const { migrateSearchIndex } = require("./services/messageSearchService");
 
 const startServer = async () => {
   dotenv.config();
@@ -34,6 +45,9 @@ const startServer = async () => {
     
     // Step 2: Connect to MongoDB
     await connectDB();
+
+    // Step 2.1: Replace the message search index of older databases
+    await migrateSearchIndex();
     
     // Step 3: Get port from environment
     const PORT = process.env.PORT || 5000;
@@ -50,6 +64,14 @@ const startServer = async () => {
      */
     const server = http.createServer(app);
     
+    /**
+     * Step 4.1: Adapter that shares room broadcasts with the other server
+     * instances. CHAT_SOCKET_ADAPTER: memory (one instance) or mongo
+     * (several instances on the same replica set), see utils/socketAdapter.js
+     */
+    const SocketAdapter = getSocketAdapter();
+    logger.info(`Socket.IO adapter: ${SocketAdapter.busName}`);
+
     /**
      * Step 5: Initialize Socket.IO with CORS configuration
      * 
@@ -71,6 +93,7 @@ const startServer = async () => {
       pingTimeout: 60000,    // 60 seconds - how long to wait for pong response
       pingInterval: 25000,   // 25 seconds - how often to send ping
       // If client doesn't respond to ping within timeout, connection is closed
+      adapter: SocketAdapter,
     });
     
     /**
@@ -91,6 +114,34 @@ const startServer = async () => {
      * you can access io via req.app.get('io')
      */
     app.set("io", io);
+
+    /**
+     * Step 7.1: Escalate conversations stuck in the unassigned support queue
+     * Runs in this process because it emits Socket.IO events to Admins
+     */
+    const stopQueueMonitor = startQueueEscalationMonitor();
+
+    /**
+     * Step 7.2: Transcribe voice notes in the background
+     * Transcripts are announced to the conversation with "message:transcribed"
+     */
+    const stopTranscriptionWorker = startTranscriptionWorker({ onTranscribed: emitMessageTranscribed });
+
+    /**
+     * Step 7.3: Presence heartbeats for this instance's sockets, and cleanup
+     * of sockets left behind by crashed instances
+     */
+    const stopPresenceMonitor = startPresenceMonitor({
+      getLocalSockets,
+      onOnline: ({ userId }) => emitUserPresence({ userId, isOnline: true }),
+      onOffline: ({ userId, lastSeen }) => emitUserPresence({ userId, isOnline: false, lastSeen }),
+    });
+
+    /**
+     * Step 7.4: Send queued admin broadcasts, throttled per broadcast
+     * Every instance runs it; a broadcast is sent by one instance at a time
+     */
+    const stopBroadcastWorker = startBroadcastWorker();
     
     // ========================================
     // START SERVER
@@ -123,12 +174,21 @@ const startServer = async () => {
       logger.info("⚠️  Shutting down gracefully...");
       
       // Step 1: Stop accepting new connections
+      stopQueueMonitor();
+      stopTranscriptionWorker();
+      stopPresenceMonitor();
+      stopBroadcastWorker();
       server.close(() => {
         logger.info("✅ HTTP server closed");
         
         // Step 2: Close Socket.IO connections
-        io.close(() => {
+        io.close(async () => {
           logger.info("✅ Socket.IO connections closed");
+
+          // Step 2.1: This instance's users go offline unless connected elsewhere
+          await releaseInstancePresence().catch((error) =>
+            logger.error(`Failed to release presence: ${error.message}`)
+          );
           
           // Step 3: Close database connection
           mongoose.connection.close(false, () => {
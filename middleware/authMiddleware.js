@@ -1,7 +1,6 @@
 const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
 const ApiError = require("../utils/error");
-const User = require("../models/User");
 
 const authMiddleware = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "");
@@ -10,11 +9,12 @@ const authMiddleware = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    const user = await User.findById(decoded.id).select("activeSessions");
-    if (!user) return next(new ApiError("User not found", 404));
-
-    const sessionExists = user.activeSessions?.some(s => s.token === token);
-    if (!sessionExists) return next(new ApiError("Invalid or expired token", 401));
+    // Only access tokens; refresh tokens may share the secret. No session
+    // lookup: access tokens are short-lived, and a revoked session cannot
+    // refresh, so logout takes effect within ACCESS_TOKEN_TTL.
+    if (decoded.typ !== "access" || !decoded.sid) {
+      return next(new ApiError("Invalid or expired token", 401));
+    }
 
     req.user = decoded;
     logger.info(`Authenticated user: ${decoded.phone}`);
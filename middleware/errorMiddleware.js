@@ -7,6 +7,7 @@ const errorMiddleware = (err, req, res, next) => {
     error: {
       message: err.message || "Internal Server Error",
       ...(err.errors && { errors: err.errors }), // ← add this line
+      ...(err.retryAfter && { retryAfter: err.retryAfter }),
       ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
     },
   };
@@ -18,6 +19,10 @@ const errorMiddleware = (err, req, res, next) => {
     ...(err.errors && { errors: err.errors }),
   });
 
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   res.status(statusCode).json(errorResponse);
 };
 
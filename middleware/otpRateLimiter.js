@@ -0,0 +1,50 @@
+const { rateLimit, ipKeyGenerator } = require("express-rate-limit");
+const ApiError = require("../utils/error");
+
+const minutes = (value, fallback) => parseInt(value || fallback, 10) * 60 * 1000;
+
+// Turn the limiter rejection into an ApiError so the error middleware
+// shapes the 429 like every other error and sets Retry-After.
+const rejectWithApiError = (message) => (req, res, next, options) => {
+  const resetTime = req.rateLimit?.resetTime;
+  const retryAfter = resetTime
+    ? (resetTime.getTime() - Date.now()) / 1000
+    : options.windowMs / 1000;
+  next(ApiError.tooManyRequests(message, retryAfter));
+};
+
+const phoneKey = (req) => {
+  const phone = typeof req.body?.phone === "string" ? req.body.phone.trim() : "";
+  return phone ? `phone:${phone}` : `ip:${ipKeyGenerator(req.ip)}`;
+};
+
+// Budget of OTP sends per phone number (generate + resend share it)
+const otpPhoneLimiter = rateLimit({
+  windowMs: minutes(process.env.OTP_PHONE_WINDOW_MINUTES, "60"),
+  limit: parseInt(process.env.OTP_PHONE_MAX_REQUESTS || "5", 10),
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  keyGenerator: phoneKey,
+  handler: rejectWithApiError("Too many OTP requests for this phone number. Please try again later."),
+});
+
+// Budget of OTP sends per client IP, across all phone numbers
+const otpIpLimiter = rateLimit({
+  windowMs: minutes(process.env.OTP_IP_WINDOW_MINUTES, "60"),
+  limit: parseInt(process.env.OTP_IP_MAX_REQUESTS || "20", 10),
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  handler: rejectWithApiError("Too many OTP requests from this device. Please try again later."),
+});
+
+// Budget of verification calls per client IP; per-phone guesses are capped
+// by the lockout counter on the user record.
+const otpVerifyIpLimiter = rateLimit({
+  windowMs: minutes(process.env.OTP_VERIFY_IP_WINDOW_MINUTES, "15"),
+  limit: parseInt(process.env.OTP_VERIFY_IP_MAX_REQUESTS || "30", 10),
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  handler: rejectWithApiError("Too many verification attempts. Please try again later."),
+});
+
+module.exports = { otpPhoneLimiter, otpIpLimiter, otpVerifyIpLimiter };
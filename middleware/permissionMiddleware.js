@@ -0,0 +1,22 @@
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+const { hasPermission } = require("../services/permissionService");
+
+// Use after authMiddleware: router.put("/:id", authMiddleware, requirePermission("orders:update-status"), ...)
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!req.user) return next(new ApiError("No token provided", 401));
+
+    const allowed = await hasPermission(req.user.role, permission);
+    if (!allowed) {
+      logger.warn(`Permission denied: ${req.user.id} (${req.user.role}) lacks ${permission}`);
+      return next(new ApiError("Access denied", 403));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { requirePermission };
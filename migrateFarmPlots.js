@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("./models/User");
+const FarmPlot = require("./models/FarmPlot");
+const CropMaster = require("./models/cropMasterModel");
+const { SOIL_TYPES } = require("./config/farmPlot");
+
+dotenv.config();
+
+// Copies the flat soilType / cropType / landSize / farmLocation fields of each
+// user into a first FarmPlot. Users who already have a plot are skipped, so
+// the script is safe to re-run. The flat fields are left untouched.
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const matchSoilType = (text) => {
+  const value = text.toLowerCase();
+  if (/desert|sand|arid/.test(value)) return "Arid";
+  return SOIL_TYPES.find((soil) => value.includes(soil.toLowerCase())) || null;
+};
+
+const matchCrops = async (text) => {
+  const names = text.split(/[,/;&]| and /i).map((name) => name.trim()).filter(Boolean);
+  const cropIds = [];
+  const unmatched = [];
+
+  for (const name of names) {
+    const crop = await CropMaster.findOne({
+      name: { $regex: `^${escapeRegex(name)}$`, $options: "i" },
+      deleted_at: null,
+    }).select("_id");
+    if (crop) cropIds.push(crop._id);
+    else unmatched.push(name);
+  }
+
+  return { cropIds, unmatched };
+};
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/agritech");
+    console.log("✅ MongoDB connected");
+
+    const users = await User.find({
+      deleted_at: null,
+      $or: [
+        { soilType: { $nin: [null, ""] } },
+        { cropType: { $nin: [null, ""] } },
+        { landSize: { $gt: 0 } },
+        { farmLocation: { $nin: [null, ""] } },
+      ],
+    }).select("soilType cropType landSize farmLocation location");
+
+    console.log(`🔍 Found ${users.length} users with flat farm data`);
+
+    let created = 0;
+    for (const user of users) {
+      const hasPlot = await FarmPlot.exists({ userId: user._id, deleted_at: null });
+      if (hasPlot) continue;
+
+      const notes = [];
+      const plot = new FarmPlot({
+        userId: user._id,
+        name: "Main plot",
+        address: user.farmLocation || undefined,
+        area: user.landSize || undefined,
+        areaUnit: "acre", // landSize has always been captured in acres
+      });
+
+      if (user.soilType) {
+        plot.soilType = matchSoilType(user.soilType) || "Other";
+        if (plot.soilType === "Other") notes.push(`Soil: ${user.soilType}`);
+      }
+
+      if (user.cropType) {
+        const { cropIds, unmatched } = await matchCrops(user.cropType);
+        plot.crops = cropIds;
+        if (unmatched.length) notes.push(`Crops: ${unmatched.join(", ")}`);
+      }
+
+      if (user.location?.lat !== undefined && user.location?.long !== undefined) {
+        plot.location = { type: "Point", coordinates: [user.location.long, user.location.lat] };
+      }
+
+      if (notes.length) plot.notes = `Migrated from profile. ${notes.join("; ")}`;
+
+      await plot.save();
+      created += 1;
+      console.log(`✅ Created plot for user: ${user._id}`);
+    }
+
+    console.log(`🎉 Migration completed successfully (${created} plots created)`);
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Migration failed", err);
+    process.exit(1);
+  }
+})();
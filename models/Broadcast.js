@@ -0,0 +1,136 @@
+/**
+ * ============================================
+ * BROADCAST MODEL
+ * ============================================
+ *
+ * PURPOSE:
+ * A message an admin sends proactively to a segment of farmers
+ * (e.g. all paddy farmers in one district about a pest outbreak).
+ *
+ * WHAT THIS STORES:
+ * - The segment: state, city, userType, cropType and land size filters
+ * - The template: one text per language with {{placeholders}}
+ * - Sending progress, throttle rate and lock (see broadcastService.js)
+ *
+ * Each farmer reached gets a BroadcastRecipient; the messages themselves
+ * are normal chat messages with broadcastId set.
+ */
+
+const mongoose = require("mongoose");
+const { BROADCAST_STATUSES } = require("../config/chatBroadcast");
+
+const broadcastSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    /**
+     * segment: Farmers to reach; every filter given must match
+     * - states, cities, cropTypes: case-insensitive, any of the values
+     *   (cropTypes: farm plot crops, or names in the older User.cropType)
+     * - userTypes: any of the values
+     * - landSize: acres, min and/or max (inclusive); total farm plot area,
+     *   else the older User.landSize
+     */
+    segment: {
+      states: { type: [String], default: [] },
+      cities: { type: [String], default: [] },
+      userTypes: { type: [String], default: [] },
+      cropTypes: { type: [String], default: [] },
+      landSize: {
+        min: { type: Number, default: null },
+        max: { type: Number, default: null },
+      },
+    },
+
+    /**
+     * variants: One text per language; the farmer's preferredLanguage picks
+     * it, else defaultLanguage
+     */
+    variants: [
+      {
+        _id: false,
+        language: { type: String, required: true, trim: true, lowercase: true },
+        content: { type: String, required: true, trim: true },
+      },
+    ],
+    defaultLanguage: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "en",
+    },
+
+    status: {
+      type: String,
+      enum: BROADCAST_STATUSES,
+      default: "queued",
+    },
+
+    // Sending starts at this time (now unless scheduled)
+    sendAt: {
+      type: Date,
+      default: Date.now,
+    },
+    ratePerMinute: {
+      type: Number,
+      min: 1,
+      required: true,
+    },
+
+    // Set once the segment has been turned into recipients
+    audienceResolvedAt: {
+      type: Date,
+      default: null,
+    },
+    targetedCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // A worker sending it holds the lock until then (crashed workers' locks expire)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Next batch not before then, so ratePerMinute holds across instances
+    nextSendAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Worker picks due broadcasts
+broadcastSchema.index({ status: 1, sendAt: 1 });
+// Admin list, newest first
+broadcastSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Broadcast", broadcastSchema);
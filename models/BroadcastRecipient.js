@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { RECIPIENT_STATUSES, DELIVERY_CHANNELS } = require("../config/chatBroadcast");
+
+// One farmer of a broadcast and what happened to their message
+// (see services/broadcastService.js)
+const broadcastRecipientSchema = new mongoose.Schema(
+  {
+    broadcastId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Broadcast",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: RECIPIENT_STATUSES,
+      default: "pending",
+    },
+    // Conversation reused or created for the message
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    deliveredVia: {
+      type: String,
+      enum: [...DELIVERY_CHANNELS, null],
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    // Why it was skipped or failed
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One message per farmer per broadcast, also when a worker retries
+broadcastRecipientSchema.index({ broadcastId: 1, userId: 1 }, { unique: true });
+// Next pending farmers, and counts per status
+broadcastRecipientSchema.index({ broadcastId: 1, status: 1 });
+
+module.exports = mongoose.model("BroadcastRecipient", broadcastRecipientSchema);
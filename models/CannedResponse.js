@@ -0,0 +1,91 @@
+/**
+ * ============================================
+ * CANNED RESPONSE MODEL
+ * ============================================
+ *
+ * PURPOSE:
+ * Reusable answers support agents can insert or send as a macro
+ * (order status, scheme eligibility, ...).
+ *
+ * WHAT THIS STORES:
+ * - A unique shortcut agents type to find it (e.g. "order-status")
+ * - One text per language; the conversation's language picks the variant
+ * - Placeholders like {{first_name}} resolved when the response is used
+ *   (see cannedResponseService.js for the full list)
+ */
+
+const mongoose = require("mongoose");
+const { SUPPORT_TOPICS } = require("../config/supportRouting");
+
+const cannedResponseSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    /**
+     * shortcut: What agents type to pick this response, e.g. "/order-status"
+     * Unique among active responses (see index below)
+     */
+    shortcut: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+
+    topic: {
+      type: String,
+      enum: SUPPORT_TOPICS,
+      default: "general",
+    },
+
+    /**
+     * variants: One entry per language
+     * defaultLanguage is used when the conversation's language has no variant
+     */
+    variants: [
+      {
+        _id: false,
+        language: { type: String, required: true, trim: true, lowercase: true },
+        content: { type: String, required: true, trim: true },
+      },
+    ],
+    defaultLanguage: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "en",
+    },
+
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Soft delete, so messages already sent keep a valid reference
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+cannedResponseSchema.index(
+  { shortcut: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+cannedResponseSchema.index({ topic: 1, isActive: 1 });
+
+module.exports = mongoose.model("CannedResponse", cannedResponseSchema);
@@ -12,6 +12,8 @@
  * - Conversation status (open, waiting, resolved, closed)
  * - Last message reference (for showing preview in conversation list)
  * - Unread message count for each participant
+ * - Priority and SLA timers (first response, resolution)
+ * - Farmer's satisfaction rating after the conversation is resolved
  * - Timestamps (created, updated)
  * 
  * USED BY:
@@ -26,6 +28,8 @@
  */
 
 const mongoose = require("mongoose");
+const { SUPPORT_TOPICS } = require("../config/supportRouting");
+const { CONVERSATION_PRIORITIES, DEFAULT_PRIORITY } = require("../config/supportSla");
 
 const conversationSchema = new mongoose.Schema(
   {
@@ -48,14 +52,37 @@ const conversationSchema = new mongoose.Schema(
     /**
      * assignedSupportId: The support agent handling this conversation
      * - Can be a user with role "Support" or "Admin"
-     * - For single support: Always the same support person
-     * - For multiple support: Assigned via round-robin/load-balancing logic
+     * - Picked by the routing engine (see supportRoutingService.js)
+     * - null while the conversation waits in the unassigned queue
      * - Can be reassigned if needed (transfer chat to another support)
      */
     assignedSupportId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "Assigned support ID is required"],
+      default: null,
+    },
+
+    // ========================================
+    // UNASSIGNED QUEUE
+    // ========================================
+
+    /**
+     * queuedAt: When the conversation entered the unassigned queue
+     * - Set when routing finds no agent; cleared when an agent claims it
+     * - Used to order the queue (oldest first) and to detect long waits
+     */
+    queuedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * escalatedAt: When Admins were alerted that this conversation waited too long
+     * - Set once per queue stay, so Admins are not alerted repeatedly
+     */
+    escalatedAt: {
+      type: Date,
+      default: null,
     },
 
     // ========================================
@@ -82,6 +109,97 @@ const conversationSchema = new mongoose.Schema(
       default: "open",
     },
 
+    // ========================================
+    // ROUTING
+    // ========================================
+
+    /**
+     * language: Language the farmer wants to be helped in (e.g. "hi", "en")
+     * - Taken from the request, else the farmer's preferredLanguage, else "en"
+     * - Routing prefers agents who list this language
+     */
+    language: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "en",
+    },
+
+    /**
+     * topic: What the conversation is about (pest issues, payments, orders...)
+     * - Routing prefers agents who list this topic as a skill
+     */
+    topic: {
+      type: String,
+      enum: SUPPORT_TOPICS,
+      default: "general",
+    },
+
+    /**
+     * routing: How the current agent was picked (for audits and tuning)
+     * - strategy: Value of SUPPORT_ROUTING_STRATEGY at assignment time
+     * - tier: Which rule matched (e.g. "language+skill", "fallback")
+     */
+    routing: {
+      strategy: { type: String },
+      tier: { type: String },
+      assignedAt: { type: Date },
+    },
+
+    // ========================================
+    // SLA TRACKING
+    // ========================================
+
+    /**
+     * priority: How quickly this conversation must be handled
+     * - Picks the SLA targets (CHAT_SLA_FIRST_RESPONSE_MINUTES / CHAT_SLA_RESOLUTION_MINUTES)
+     * - Set by Support/Admin; new conversations start as "normal"
+     */
+    priority: {
+      type: String,
+      enum: CONVERSATION_PRIORITIES,
+      default: DEFAULT_PRIORITY,
+    },
+
+    /**
+     * sla: Timers measured from createdAt (time spent in the queue counts)
+     * - firstResponseAt: First message from anyone other than the farmer
+     * - resolvedAt: When the conversation was last marked resolved/closed
+     *   (cleared again if the conversation is reopened)
+     * - *DueAt: Deadlines for the current priority
+     * - *Seconds / *Breached: Filled in when the timer stops
+     */
+    sla: {
+      firstResponseDueAt: { type: Date, default: null },
+      firstResponseAt: { type: Date, default: null },
+      firstResponseSeconds: { type: Number, default: null },
+      firstResponseBreached: { type: Boolean, default: false },
+      resolutionDueAt: { type: Date, default: null },
+      resolvedAt: { type: Date, default: null },
+      resolutionSeconds: { type: Number, default: null },
+      resolutionBreached: { type: Boolean, default: false },
+    },
+
+    // ========================================
+    // SATISFACTION RATING
+    // ========================================
+
+    /**
+     * rating: Farmer's rating of the support they got
+     * - requestedAt: When the farmer was asked (conversation marked resolved)
+     * - score: 1 (very unhappy) to 5 (very happy), comment: optional
+     * - agentId: Agent assigned when the farmer rated, so later reassigns
+     *   do not move the rating to someone else
+     * See conversationRatingService.js
+     */
+    rating: {
+      requestedAt: { type: Date, default: null },
+      score: { type: Number, min: 1, max: 5, default: null },
+      comment: { type: String, trim: true, maxlength: 1000, default: null },
+      agentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      ratedAt: { type: Date, default: null },
+    },
+
     // ========================================
     // MESSAGE TRACKING
     // ========================================
@@ -171,6 +289,30 @@ conversationSchema.index({ assignedSupportId: 1 });
  */
 conversationSchema.index({ userId: 1, assignedSupportId: 1 });
 
+/**
+ * Compound index for the unassigned queue: oldest waiting conversations first
+ * Used when: Agents open the queue, escalation job looks for long waits
+ */
+conversationSchema.index({ assignedSupportId: 1, isActive: 1, queuedAt: 1 });
+
+/**
+ * Compound index for round-robin routing: the last conversation routed
+ * Used when: SUPPORT_ROUTING_STRATEGY=round-robin picks whose turn it is
+ */
+conversationSchema.index({ "routing.strategy": 1, "routing.assignedAt": -1 });
+
+/**
+ * Compound index for SLA reports: conversations opened in a date range
+ * Used when: Support stats build the SLA time series and per-agent averages
+ */
+conversationSchema.index({ isActive: 1, createdAt: 1 });
+
+/**
+ * Compound index for rating reports: ratings given in a date range
+ * Used when: Support stats build the satisfaction averages per agent
+ */
+conversationSchema.index({ "rating.ratedAt": 1, "rating.agentId": 1 });
+
 /**
  * Index on status: Filter conversations by status (open, waiting, resolved, closed)
  * Used when: Support filters to see only "waiting" conversations
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const deletionRequestSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "cancelled", "processing", "completed", "failed"],
+      default: "pending",
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // End of the grace period; the purge job picks the request up after this
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // "anonymise" or "purge", recorded when the job runs
+    mode: {
+      type: String,
+      enum: ["anonymise", "purge"],
+    },
+    error: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+deletionRequestSchema.index({ status: 1, scheduledFor: 1 });
+// Only one open request per user
+deletionRequestSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("DeletionRequest", deletionRequestSchema);
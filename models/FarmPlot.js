@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const { AREA_UNITS, SOIL_TYPES, IRRIGATION_TYPES } = require("../config/farmPlot");
+
+const farmPlotSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Plot name is required"],
+      trim: true,
+    },
+    // GeoJSON point: coordinates are [longitude, latitude]
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        validate: {
+          validator: (value) =>
+            value.length === 0 ||
+            (value.length === 2 &&
+              value[0] >= -180 && value[0] <= 180 &&
+              value[1] >= -90 && value[1] <= 90),
+          message: "Coordinates must be [longitude, latitude]",
+        },
+        default: undefined,
+      },
+    },
+    // Free-text village/landmark description
+    address: {
+      type: String,
+      trim: true,
+    },
+    area: {
+      type: Number,
+      min: [0, "Area cannot be negative"],
+    },
+    areaUnit: {
+      type: String,
+      enum: AREA_UNITS,
+      default: "acre",
+    },
+    soilType: {
+      type: String,
+      enum: SOIL_TYPES,
+    },
+    irrigationType: {
+      type: String,
+      enum: IRRIGATION_TYPES,
+    },
+    crops: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CropMaster",
+      },
+    ],
+    notes: {
+      type: String,
+      trim: true,
+    },
+    deleted_at: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+farmPlotSchema.index({ location: "2dsphere" });
+farmPlotSchema.index({ userId: 1, deleted_at: 1, createdAt: 1 });
+
+module.exports = mongoose.model("FarmPlot", farmPlotSchema);
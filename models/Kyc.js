@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const { KYC_STATUSES, PAYOUT_METHODS, KYC_DOCUMENT_TYPES } = require("../config/kyc");
+
+// Full account/document numbers are stored as entered; API responses only
+// ever expose the masked form (see services/kycService.js).
+const kycSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    documentType: {
+      type: String,
+      enum: Object.keys(KYC_DOCUMENT_TYPES),
+      required: true,
+    },
+    documentNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    // Stored under private/kyc/ (random names), outside the served uploads/ folder
+    documentFile: {
+      path: { type: String, required: true },
+      originalName: { type: String },
+      mimeType: { type: String },
+      size: { type: Number },
+      uploadedAt: { type: Date, default: Date.now },
+    },
+    payoutMethod: {
+      type: String,
+      enum: PAYOUT_METHODS,
+      required: true,
+    },
+    bankAccount: {
+      accountHolderName: { type: String, trim: true },
+      accountNumber: { type: String, trim: true },
+      ifsc: { type: String, trim: true, uppercase: true },
+      bankName: { type: String, trim: true },
+    },
+    upiId: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: KYC_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Audit trail of submissions and review decisions
+    history: [
+      {
+        _id: false,
+        status: { type: String, enum: KYC_STATUSES },
+        reason: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+kycSchema.index({ status: 1, submittedAt: 1 });
+
+module.exports = mongoose.model("Kyc", kycSchema);
@@ -18,8 +18,61 @@ const loginHistorySchema = new mongoose.Schema(
     ipAddress: {
       type: String,
     },
+    userAgent: {
+      type: String,
+    },
+    device: {
+      type: { type: String }, // mobile, tablet, desktop, ...
+      vendor: { type: String },
+      model: { type: String },
+    },
+    os: {
+      name: { type: String },
+      version: { type: String },
+    },
+    browser: {
+      name: { type: String },
+      version: { type: String },
+    },
+    appVersion: {
+      type: String,
+    },
+    // Only filled when a proxy/CDN in front of the API supplies it
+    geo: {
+      country: { type: String },
+      region: { type: String },
+      city: { type: String },
+    },
+    // Stable key for "have we seen this device before?"
+    deviceFingerprint: {
+      type: String,
+    },
+    method: {
+      type: String,
+      enum: ["otp", "password"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+    failureReason: {
+      type: String,
+    },
+    // Names of the security rules this attempt triggered
+    flags: {
+      type: [String],
+      default: [],
+    },
+    alertSentAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+loginHistorySchema.index({ userId: 1, loginAt: -1 });
+loginHistorySchema.index({ userId: 1, status: 1, loginAt: -1 });
+
 module.exports = mongoose.model("LoginHistory", loginHistorySchema);
@@ -91,6 +91,100 @@ const messageSchema = new mongoose.Schema(
       default: "text",
     },
 
+    /**
+     * clientMessageId: ID generated by the client before sending
+     * 
+     * Makes retries safe: if a send is repeated after a dropped connection,
+     * the server finds this id and returns the stored message instead of
+     * creating a duplicate (unique per sender, see index below)
+     */
+    clientMessageId: {
+      type: String,
+      trim: true,
+      default: undefined,
+    },
+
+    /**
+     * replyTo: Message this one replies to (shown as a quote)
+     * - Same conversation only; public messages cannot quote internal notes
+     * - null for normal messages
+     */
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+
+    /**
+     * visibility: Who can see this message
+     * 
+     * - "public": Normal chat message, seen by the farmer and agents
+     * - "internal": Agent-only note (context for the next agent, whispers)
+     *   Never sent to the farmer's sockets or returned by farmer-facing
+     *   endpoints; does not change lastMessage, unread counts, status or SLA
+     */
+    visibility: {
+      type: String,
+      enum: ["public", "internal"],
+      default: "public",
+    },
+
+    /**
+     * broadcastId: Set when the message was sent by an admin broadcast
+     * (see broadcastService.js); read rates are counted from it
+     */
+    broadcastId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Broadcast",
+      default: undefined,
+    },
+
+    // ========================================
+    // EDITS AND REACTIONS
+    // ========================================
+
+    /**
+     * editedAt: Last time the sender edited the text (null = never edited)
+     * editHistory: Previous versions, oldest first
+     * 
+     * Only text messages can be edited, by the sender, within
+     * CHAT_MESSAGE_EDIT_WINDOW_MINUTES (see messageActionService.js)
+     */
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    editHistory: [
+      {
+        _id: false,
+        content: { type: String },
+        editedAt: { type: Date },
+      },
+    ],
+
+    /**
+     * reactions: One entry per user per emoji
+     * Example: [{ emoji: "👍", userId: "user123", reactedAt: ... }]
+     */
+    reactions: [
+      {
+        emoji: { type: String, required: true },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        reactedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    /**
+     * mentions: Agents @mentioned in an internal note
+     * Each one gets a "note:mention" socket event and a push notification
+     */
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
     /**
      * content: Text content of the message
      * 
@@ -136,6 +230,64 @@ const messageSchema = new mongoose.Schema(
       default: null,
     },
 
+    // ========================================
+    // TRANSLATION
+    // ========================================
+
+    /**
+     * language: Detected language of content ("te", "mr", "hi", "en"...)
+     * - Filled in right after the message is saved (null until then, and
+     *   for media or emoji-only messages); reset when the text is edited
+     */
+    language: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * translations: Cached translations of content, by target language
+     * 
+     * Example: { "en": "My crop has yellow leaves" }
+     * - content always keeps the original text
+     * - Filled on demand or automatically for the receiver, so history
+     *   loads do not call the translation API again
+     * - Cleared when the text is edited
+     * See messageTranslationService.js
+     */
+    translations: {
+      type: Map,
+      of: String,
+      default: undefined,
+    },
+
+    // ========================================
+    // VOICE NOTE TRANSCRIPT
+    // ========================================
+
+    /**
+     * transcript: Speech-to-text of an audio message
+     * 
+     * - status: "pending" (audio messages start here), "completed" or
+     *   "failed" (provider gave up after retries)
+     * - text / language: filled when completed; searchable like content
+     * - completedAt: when the job finished
+     * 
+     * Empty for other message types. Filled by the transcription worker,
+     * which then emits "message:transcribed" (see transcriptionService.js)
+     */
+    transcript: {
+      status: {
+        type: String,
+        enum: ["pending", "completed", "failed"],
+        default: function () {
+          return this.messageType === "audio" ? "pending" : undefined;
+        },
+      },
+      text: { type: String, default: undefined },
+      language: { type: String, default: undefined },
+      completedAt: { type: Date, default: undefined },
+    },
+
     // ========================================
     // READ STATUS TRACKING
     // ========================================
@@ -231,6 +383,61 @@ messageSchema.index({ senderId: 1 });
  */
 messageSchema.index({ isRead: 1 });
 
+/**
+ * Unique index on senderId + clientMessageId
+ * 
+ * Purpose: Idempotent sends (retries with the same client id)
+ * Only messages that carry a clientMessageId are indexed
+ */
+messageSchema.index(
+  { senderId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } }
+);
+
+/**
+ * Compound index on conversationId + updatedAt
+ * 
+ * Purpose: Reconnect sync - messages edited, reacted to or read since
+ * the client was last online (see chatSyncService.js)
+ */
+messageSchema.index({ conversationId: 1, updatedAt: 1 });
+
+/**
+ * Compound index on conversationId + visibility + createdAt
+ * 
+ * Purpose: List the internal notes of a conversation
+ * Used when: GET /api/v1/chat/conversations/:id/notes
+ */
+messageSchema.index({ conversationId: 1, visibility: 1, createdAt: -1 });
+
+/**
+ * Compound index on broadcastId + isRead
+ * 
+ * Purpose: Read rate of a broadcast
+ * Only broadcast messages are indexed
+ */
+messageSchema.index(
+  { broadcastId: 1, isRead: 1 },
+  { partialFilterExpression: { broadcastId: { $exists: true } } }
+);
+
+/**
+ * Text index on content and voice note transcripts
+ * 
+ * Purpose: Full-text search over chat history (crop names, order ids...)
+ * Used when: GET /api/v1/chat/search/messages (see messageSearchService.js)
+ * 
+ * default_language "none": no English stemming or stop words, since farmers
+ * write in Hindi, Marathi, Tamil and other languages too
+ * 
+ * Replaces the former "content_text" index (a collection can only have one
+ * text index), dropped at startup by migrateSearchIndex()
+ */
+messageSchema.index(
+  { content: "text", "transcript.text": "text" },
+  { name: "content_transcript_text", default_language: "none" }
+);
+
 // ========================================
 // EXPORT MODEL
 // ========================================
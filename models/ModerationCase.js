@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const { REPORT_REASONS, CASE_STATUSES } = require("../config/chatModeration");
+
+// A chat message reported by a participant, reviewed by admins
+// (chat:moderate). The message is copied so the case still shows it after
+// the message is edited or deleted.
+const moderationCaseSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Sender of the reported message
+    reportedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: null,
+    },
+    snapshot: {
+      messageType: { type: String },
+      content: { type: String, default: null },
+      mediaId: { type: mongoose.Schema.Types.ObjectId, ref: "MediaMaster", default: null },
+      sentAt: { type: Date },
+    },
+    status: {
+      type: String,
+      enum: CASE_STATUSES,
+      default: "open",
+    },
+    resolution: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: null,
+    },
+    // Whether the reviewer deleted the reported message
+    messageDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One report per message per reporter
+moderationCaseSchema.index({ messageId: 1, reportedBy: 1 }, { unique: true });
+// Admin queue: open cases, oldest first
+moderationCaseSchema.index({ status: 1, createdAt: 1 });
+moderationCaseSchema.index({ reportedUserId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ModerationCase", moderationCaseSchema);
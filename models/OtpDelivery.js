@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const otpDeliverySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["login", "registration", "resend"],
+      default: "login",
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "sent", "delivered", "failed"],
+      default: "queued",
+      index: true,
+    },
+    providerMessageId: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+otpDeliverySchema.index({ phone: 1, createdAt: -1 });
+otpDeliverySchema.index({ providerMessageId: 1 }, { sparse: true });
+// Delivery records are operational data only; keep them for 30 days
+otpDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("OtpDelivery", otpDeliverySchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
+
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+      unique: true,
+    },
+    permissions: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Defaults this role has already been given, so permissions added to
+    // DEFAULT_ROLE_PERMISSIONS later are granted once and an admin's removal
+    // of a default sticks
+    seededPermissions: {
+      type: [String],
+      default: undefined,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RolePermission", rolePermissionSchema);
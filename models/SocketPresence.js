@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// One document per connected Socket.IO socket, on any server instance
+// (see services/presenceService.js). A user is online while they have one.
+const socketPresenceSchema = new mongoose.Schema(
+  {
+    socketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Server instance holding the socket (hostname:pid:random)
+    instanceId: {
+      type: String,
+      required: true,
+    },
+    connectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Refreshed by the holding instance; an old value means it crashed
+    heartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false }
+);
+
+socketPresenceSchema.index({ userId: 1 });
+socketPresenceSchema.index({ instanceId: 1 });
+socketPresenceSchema.index({ heartbeatAt: 1 });
+
+module.exports = mongoose.model("SocketPresence", socketPresenceSchema);
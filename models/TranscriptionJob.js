@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// One speech-to-text job per uploaded chat audio file
+// (see services/transcriptionService.js)
+const transcriptionJobSchema = new mongoose.Schema(
+  {
+    mediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MediaMaster",
+      required: true,
+      unique: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Audio on local disk, relative to the app root (uploads/chat/...)
+    filePath: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+    },
+    languageHint: {
+      type: String,
+      default: null,
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Queued jobs wait until then (retries back off)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    text: {
+      type: String,
+      default: null,
+    },
+    language: {
+      type: String,
+      default: null,
+    },
+    confidence: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Worker picks the next due job
+transcriptionJobSchema.index({ status: 1, nextAttemptAt: 1 });
+// Finished jobs are only needed until the transcript is on the message; keep them for 30 days
+transcriptionJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { completedAt: { $type: "date" } } }
+);
+
+module.exports = mongoose.model("TranscriptionJob", transcriptionJobSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
 const bcrypt = require("bcryptjs");
 
 const userSchema = new mongoose.Schema(
@@ -39,6 +40,20 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // Failed verifications since the last successful login (not reset on resend)
+    otpAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    otpLockedUntil: {
+      type: Date,
+      select: false,
+    },
+    otpLastSentAt: {
+      type: Date,
+      select: false,
+    },
     location: {
       type: {
         lat: { type: Number, min: -90, max: 90 },
@@ -59,7 +74,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["Admin", "User", "Support"], // ← Added "Support" role
+      enum: ROLES,
       default: "User",
     },
     isActive: {
@@ -69,13 +84,6 @@ const userSchema = new mongoose.Schema(
     deleted_at: {
       type: Date,
     },
-    activeSessions: [
-      {
-        token: { type: String },
-        loginTime: { type: Date, default: Date.now },
-        userAgent: { type: String },
-      },
-    ],
     userType: {
       type: String,
       enum: ["Farmer", "Seller", "Local Dealers", "Distributors", "Buyer"]
@@ -97,17 +105,51 @@ const userSchema = new mongoose.Schema(
       trim: true
     },
 
+    // Referral attribution: every user can share their own code, and new
+    // sign-ups remember who brought them in (used to pay field agents)
+    referralCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Language the farmer prefers for support chat (see config/supportRouting.js)
+    preferredLanguage: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+
+    // Routing profile for support agents: which conversations they can take
+    supportProfile: {
+      languages: { type: [String], default: [] },
+      skills: { type: [String], default: [] },
+      maxActiveConversations: { type: Number, min: 1, default: null },
+    },
+
     // ========================================
     // CHAT SYSTEM FIELDS (Added for real-time chat functionality)
     // ========================================
     
     // Tracks if user is currently online/connected to Socket.IO
     // Used to show online/offline status in chat
-    // Updated when user connects/disconnects from Socket.IO
+    // True while connectionCount > 0 (see services/presenceService.js)
     isOnline: {
       type: Boolean,
       default: false,
     },
+
+    // Open Socket.IO connections across devices and server instances
+    connectionCount: {
+      type: Number,
+      default: 0,
+    },
     
     // Stores last time user was seen (for "last seen" feature)
     // Updated on disconnect or periodically while online
@@ -121,6 +163,18 @@ const userSchema = new mongoose.Schema(
     fcmToken: {
       type: [String],
       default: []
+    },
+
+    // Chat push notifications: no pushes between start and end ("HH:MM",
+    // local time in timezone; may cross midnight)
+    // See services/chatNotificationService.js
+    chatNotifications: {
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: "22:00" },
+        end: { type: String, default: "07:00" },
+        timezone: { type: String, default: "Asia/Kolkata" },
+      },
     }
 
   },
@@ -149,4 +203,7 @@ userSchema.index(
   { unique: true,sparse: true, partialFilterExpression: { deleted_at: null } }
 );
 
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
+userSchema.index({ referredBy: 1, createdAt: -1 });
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// blockerId does not want to be reached by blockedId. Chat checks both
+// directions, so neither can message the other (see chatModerationService.js).
+const userBlockSchema = new mongoose.Schema(
+  {
+    blockerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blockedId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userBlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+userBlockSchema.index({ blockedId: 1 });
+
+module.exports = mongoose.model("UserBlock", userBlockSchema);
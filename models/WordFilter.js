@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const { WORD_FILTER_ACTIONS } = require("../config/chatModeration");
+
+// Words that are not allowed in chat, one list per language
+// ("all" applies to every conversation). See chatModerationService.js.
+const wordFilterSchema = new mongoose.Schema(
+  {
+    language: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+    // Whole words or phrases, matched case-insensitively
+    words: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // "mask": replace each letter with "*"; "reject": refuse the message
+    action: {
+      type: String,
+      enum: WORD_FILTER_ACTIONS,
+      default: "mask",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("WordFilter", wordFilterSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const { processDueDeletionRequests } = require("./services/accountDeletionService");
+
+// Anonymises or purges accounts whose deletion grace period has ended.
+// Scheduled from cronJob.js; safe to run by hand.
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/agritech");
+    console.log("✅ MongoDB connected");
+
+    const { processed, failed } = await processDueDeletionRequests();
+
+    console.log(`🎉 Account deletion run finished: ${processed} processed, ${failed} failed`);
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  } catch (err) {
+    console.error("❌ Account deletion run failed", err);
+    process.exit(1);
+  }
+})();
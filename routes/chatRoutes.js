@@ -28,6 +28,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const { createMulterInstance } = require("../utils/multerConfig");
 const {
   // Conversation-related controllers
@@ -35,11 +36,21 @@ const {
   getMyConversations,
   getConversationById,
   updateConversationStatus,
+  updateConversationPriority,
+  rateConversation,
+  exportConversationTranscript,
   deleteConversation,
   
   // Message-related controllers
   sendMessage,
   getMessages,
+  syncMessages,
+  searchMessages,
+  addInternalNote,
+  getInternalNotes,
+  editMessage,
+  toggleReaction,
+  translateMessage,
   markMessageAsRead,
   markConversationAsRead,
   deleteMessage,
@@ -51,7 +62,46 @@ const {
   getAllConversationsForSupport,
   reassignConversation,
   getConversationStats,
+
+  // Unassigned queue controllers
+  getSupportQueue,
+  claimConversation,
+
+  // Support agent profile controllers
+  getSupportAgents,
+  updateMySupportProfile,
+  updateSupportAgentProfile,
+
+  // Notification settings controllers
+  getChatNotificationSettings,
+  updateChatNotificationSettings,
 } = require("../controllers/chatController");
+const {
+  getCannedResponses,
+  getCannedResponseById,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+} = require("../controllers/cannedResponseController");
+const {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  reportMessage,
+  getModerationCases,
+  reviewModerationCase,
+  getWordFilters,
+  updateWordFilter,
+} = require("../controllers/chatModerationController");
+const {
+  previewBroadcast,
+  createBroadcast,
+  getBroadcasts,
+  getBroadcast,
+  getBroadcastRecipients,
+  cancelBroadcast,
+} = require("../controllers/broadcastController");
 
 // ========================================
 // MULTER CONFIGURATION FOR CHAT MEDIA
@@ -106,9 +156,11 @@ const chatMediaUpload = createMulterInstance({
  * - User clicks "Contact Support" button in app
  * - Checks if conversation already exists between user and support
  * - If exists: returns existing conversation
- * - If not: creates new conversation with assigned support
+ * - If not: routes a new conversation to a support agent
  * 
- * REQUEST BODY: None (user ID comes from auth token)
+ * REQUEST BODY (optional, user ID comes from auth token):
+ * - language: "hi", "te", ... (defaults to the farmer's preferredLanguage, then "en")
+ * - topic: "general", "pest-disease", "payments", "orders", ... (default "general")
  * 
  * RESPONSE: Conversation object with IDs and details
  * 
@@ -184,14 +236,70 @@ router.get(
  * REQUEST BODY:
  * - status: New status ("open", "waiting", "resolved", "closed")
  * 
- * WHO CAN CALL: Support, Admin (not User)
+ * WHO CAN CALL: chat:update-status (Support, Admin by default)
  */
 router.patch(
   "/conversations/:id/status",
   authMiddleware,
+  requirePermission("chat:update-status"),
   updateConversationStatus
 );
 
+/**
+ * PATCH /api/v1/chat/conversations/:id/priority
+ * 
+ * Update conversation priority (drives SLA targets)
+ * 
+ * URL PARAMS:
+ * - id: Conversation ID
+ * 
+ * REQUEST BODY:
+ * - priority: "urgent", "high", "normal" or "low"
+ * 
+ * WHO CAN CALL: chat:update-status (Support, Admin by default)
+ */
+router.patch(
+  "/conversations/:id/priority",
+  authMiddleware,
+  requirePermission("chat:update-status"),
+  updateConversationPriority
+);
+
+/**
+ * POST /api/v1/chat/conversations/:id/rating
+ * 
+ * Farmer rates a resolved conversation (once)
+ * 
+ * REQUEST BODY:
+ * - score: 1 to 5
+ * - comment: Optional text
+ * 
+ * WHO CAN CALL: The farmer of the conversation
+ */
+router.post(
+  "/conversations/:id/rating",
+  authMiddleware,
+  rateConversation
+);
+
+/**
+ * GET /api/v1/chat/conversations/:id/transcript
+ * 
+ * Download the conversation as a transcript
+ * 
+ * QUERY PARAMS:
+ * - format: "pdf" (default) or "txt"
+ * - includeInternal: "true" to include agent-only notes
+ * 
+ * WHO CAN CALL: chat:export-transcript (Admin by default)
+ */
+router.get(
+  "/conversations/:id/transcript",
+  authMiddleware,
+  requirePermission("chat:export-transcript"),
+  exportConversationTranscript
+);
+
 /**
  * DELETE /api/v1/chat/conversations/:id
  * 
@@ -232,6 +340,7 @@ router.delete(
  * - messageType: "text", "image", "audio", or "video"
  * - content: Message text (required if type is "text")
  * - mediaId: Media ID (required if type is image/audio/video)
+ * - replyToId: Optional message being replied to (same conversation)
  * 
  * PROCESS:
  * 1. If sending media: First upload file to /media endpoint
@@ -246,6 +355,64 @@ router.post(
   sendMessage
 );
 
+/**
+ * POST /api/v1/chat/conversations/:id/notes
+ * 
+ * Add an internal note (never shown to the farmer)
+ * 
+ * REQUEST BODY:
+ * - content: Note text
+ * - mentions: Optional array of agent user IDs to notify
+ * 
+ * WHO CAN CALL: chat:internal-notes (Support, Admin by default), on
+ * conversations assigned to them unless they have chat:read-any
+ */
+router.post(
+  "/conversations/:id/notes",
+  authMiddleware,
+  requirePermission("chat:internal-notes"),
+  addInternalNote
+);
+
+/**
+ * GET /api/v1/chat/conversations/:id/notes
+ * 
+ * List a conversation's internal notes
+ * 
+ * WHO CAN CALL: chat:internal-notes (Support, Admin by default)
+ */
+router.get(
+  "/conversations/:id/notes",
+  authMiddleware,
+  requirePermission("chat:internal-notes"),
+  getInternalNotes
+);
+
+/**
+ * GET /api/v1/chat/search/messages
+ * 
+ * Full-text search over message history
+ * 
+ * QUERY PARAMS:
+ * - q: Search text (required); every word must appear
+ * - agentId, farmerId, status: Conversation filters
+ * - from, to, messageType: Message filters
+ * - sort: relevance (default) | newest
+ * - page, limit: Pagination of results (limit max 50)
+ * - contextLimit: Page size used to compute each hit's context page (default: 50)
+ * 
+ * RESPONSE: Hits with snippet { text, highlights: [{ start, end }] } and
+ * context { conversationId, page, limit }
+ * 
+ * WHO CAN CALL: Anyone; results only cover conversations they can open
+ * (participants, or chat:read-any)
+ */
+router.get(
+  "/search/messages",
+  authMiddleware,
+  searchMessages
+);
+
 /**
  * GET /api/v1/chat/messages/:conversationId
  * 
@@ -261,8 +428,12 @@ router.post(
  * QUERY PARAMS:
  * - page: Page number (default: 1)
  * - limit: Messages per page (default: 50)
+ * - around: Message ID; returns the page containing it instead of "page"
+ * - lang: Language to translate into (default: reader's preferred language)
+ * - translate: "true" to also translate messages not translated yet
  * 
- * RESPONSE: Array of messages (oldest to newest) with pagination
+ * RESPONSE: Array of messages (oldest to newest) with pagination; each has
+ * "translation" ({ language, content } or null) next to the original content
  * 
  * WHO CAN CALL: Participants of the conversation only
  */
@@ -272,6 +443,25 @@ router.get(
   getMessages
 );
 
+/**
+ * GET /api/v1/chat/messages/:conversationId/sync
+ * 
+ * Replay what the client missed while offline
+ * 
+ * QUERY PARAMS:
+ * - lastMessageId: Newest message the client has
+ * - lastSeenAt: Last time the client was in sync (ISO date)
+ * 
+ * RESPONSE: { messages, updatedMessages, readReceipts, hasMore, syncedAt }
+ * 
+ * WHO CAN CALL: Participants of the conversation (or chat:read-any)
+ */
+router.get(
+  "/messages/:conversationId/sync",
+  authMiddleware,
+  syncMessages
+);
+
 /**
  * PATCH /api/v1/chat/messages/:messageId/read
  * 
@@ -327,6 +517,59 @@ router.delete(
   deleteMessage
 );
 
+/**
+ * PATCH /api/v1/chat/messages/:messageId
+ * 
+ * Edit a text message
+ * 
+ * REQUEST BODY:
+ * - content: New text
+ * 
+ * NOTE: Only within CHAT_MESSAGE_EDIT_WINDOW_MINUTES (default 15) of sending.
+ * The previous text is kept in editHistory.
+ * 
+ * WHO CAN CALL: Message sender
+ */
+router.patch(
+  "/messages/:messageId",
+  authMiddleware,
+  editMessage
+);
+
+/**
+ * POST /api/v1/chat/messages/:messageId/reactions
+ * 
+ * Add an emoji reaction, or remove it if already added by this user
+ * 
+ * REQUEST BODY:
+ * - emoji: A single emoji, e.g. "👍"
+ * 
+ * WHO CAN CALL: Participants of the conversation
+ */
+router.post(
+  "/messages/:messageId/reactions",
+  authMiddleware,
+  toggleReaction
+);
+
+/**
+ * POST /api/v1/chat/messages/:messageId/translate
+ * 
+ * Translate a text message (cached per message and language)
+ * 
+ * REQUEST BODY:
+ * - language: Target language code (optional, default: reader's language)
+ * 
+ * RESPONSE: { messageId, original: { language, content }, translation: { language, content } }
+ * 
+ * WHO CAN CALL: Participants of the conversation (or chat:read-any)
+ */
+router.post(
+  "/messages/:messageId/translate",
+  authMiddleware,
+  translateMessage
+);
+
 // ========================================
 // MEDIA UPLOAD ROUTE
 // ========================================
@@ -380,11 +623,12 @@ router.post(
  * - status: Filter by status
  * - assignedTo: Filter by assigned support agent (Admin only)
  * 
- * WHO CAN CALL: Support, Admin only
+ * WHO CAN CALL: chat:view-all (Support, Admin by default)
  */
 router.get(
   "/support/conversations",
   authMiddleware,
+  requirePermission("chat:view-all"),
   getAllConversationsForSupport
 );
 
@@ -401,11 +645,12 @@ router.get(
  * - conversationId: ID of conversation to reassign
  * - newSupportId: ID of new support agent
  * 
- * WHO CAN CALL: Admin only
+ * WHO CAN CALL: chat:reassign (Admin by default)
  */
 router.post(
   "/support/reassign",
   authMiddleware,
+  requirePermission("chat:reassign"),
   reassignConversation
 );
 
@@ -420,19 +665,472 @@ router.post(
  * - Conversations by status
  * - Average response time
  * - Per-agent statistics (for multiple support)
+ * - SLA report: first response / resolution times and breaches
+ * - Satisfaction ratings: average, distribution, per agent
+ * 
+ * QUERY PARAMS:
+ * - from, to: Date range for the SLA and rating reports (default: last 30 days)
+ * - interval: day | week | month time series buckets
  * 
  * WHEN TO CALL:
  * - Loading support dashboard
  * - Generating reports
  * 
- * WHO CAN CALL: Support, Admin
+ * WHO CAN CALL: chat:stats (Support, Admin by default)
  */
 router.get(
   "/support/stats",
   authMiddleware,
+  requirePermission("chat:stats"),
   getConversationStats
 );
 
+// ========================================
+// UNASSIGNED QUEUE
+// ========================================
+
+/**
+ * GET /api/v1/chat/support/queue
+ * 
+ * Conversations waiting without an agent, oldest first
+ * 
+ * QUERY PARAMS:
+ * - page, limit: Pagination
+ * - language, topic: Optional filters
+ * 
+ * WHO CAN CALL: chat:view-all (Support, Admin by default)
+ */
+router.get(
+  "/support/queue",
+  authMiddleware,
+  requirePermission("chat:view-all"),
+  getSupportQueue
+);
+
+/**
+ * POST /api/v1/chat/support/queue/:conversationId/claim
+ * 
+ * Take a queued conversation. Returns 409 if someone else claimed it first.
+ * 
+ * WHO CAN CALL: chat:claim (Support by default)
+ */
+router.post(
+  "/support/queue/:conversationId/claim",
+  authMiddleware,
+  requirePermission("chat:claim"),
+  claimConversation
+);
+
+// ========================================
+// SUPPORT AGENT ROUTING PROFILES
+// ========================================
+
+/**
+ * GET /api/v1/chat/support/agents
+ * 
+ * List Support users with languages, skills, capacity, presence and load
+ * 
+ * WHO CAN CALL: chat:view-all (Support, Admin by default)
+ */
+router.get(
+  "/support/agents",
+  authMiddleware,
+  requirePermission("chat:view-all"),
+  getSupportAgents
+);
+
+/**
+ * PUT /api/v1/chat/support/profile
+ * 
+ * Support agent updates their own routing profile
+ * 
+ * REQUEST BODY (all optional):
+ * - languages: ["hi", "en"]
+ * - skills: ["payments", "orders"]
+ * - maxActiveConversations: 10 (null = no limit)
+ * 
+ * WHO CAN CALL: chat:agent-profile (Support by default)
+ */
+router.put(
+  "/support/profile",
+  authMiddleware,
+  requirePermission("chat:agent-profile"),
+  updateMySupportProfile
+);
+
+/**
+ * PUT /api/v1/chat/support/agents/:agentId/profile
+ * 
+ * Update any agent's routing profile (same body as above)
+ * 
+ * WHO CAN CALL: chat:manage-agents (Admin by default)
+ */
+router.put(
+  "/support/agents/:agentId/profile",
+  authMiddleware,
+  requirePermission("chat:manage-agents"),
+  updateSupportAgentProfile
+);
+
+// ========================================
+// CANNED RESPONSES
+// ========================================
+
+/**
+ * GET /api/v1/chat/canned-responses
+ * 
+ * List canned responses, most used first
+ * 
+ * QUERY PARAMS:
+ * - page, limit: Pagination
+ * - search: Matches title, shortcut or text
+ * - topic, language: Optional filters
+ * 
+ * WHO CAN CALL: chat:canned-use (Support, Admin by default)
+ */
+router.get(
+  "/canned-responses",
+  authMiddleware,
+  requirePermission("chat:canned-use"),
+  getCannedResponses
+);
+
+/**
+ * GET /api/v1/chat/canned-responses/:id
+ * 
+ * WHO CAN CALL: chat:canned-use (Support, Admin by default)
+ */
+router.get(
+  "/canned-responses/:id",
+  authMiddleware,
+  requirePermission("chat:canned-use"),
+  getCannedResponseById
+);
+
+/**
+ * POST /api/v1/chat/canned-responses
+ * 
+ * REQUEST BODY:
+ * {
+ *   "title": "Order status",
+ *   "shortcut": "order-status",
+ *   "topic": "orders",
+ *   "variants": [
+ *     { "language": "en", "content": "Hi {{first_name}}, order {{latest_order_id}} is {{latest_order_status}}." },
+ *     { "language": "hi", "content": "नमस्ते {{first_name}}, ..." }
+ *   ]
+ * }
+ * 
+ * WHO CAN CALL: chat:canned-manage (Admin by default)
+ */
+router.post(
+  "/canned-responses",
+  authMiddleware,
+  requirePermission("chat:canned-manage"),
+  createCannedResponse
+);
+
+/**
+ * PUT /api/v1/chat/canned-responses/:id
+ * 
+ * WHO CAN CALL: chat:canned-manage (Admin by default)
+ */
+router.put(
+  "/canned-responses/:id",
+  authMiddleware,
+  requirePermission("chat:canned-manage"),
+  updateCannedResponse
+);
+
+/**
+ * DELETE /api/v1/chat/canned-responses/:id
+ * 
+ * WHO CAN CALL: chat:canned-manage (Admin by default)
+ */
+router.delete(
+  "/canned-responses/:id",
+  authMiddleware,
+  requirePermission("chat:canned-manage"),
+  deleteCannedResponse
+);
+
+/**
+ * POST /api/v1/chat/canned-responses/:id/render
+ * 
+ * Preview a canned response for a conversation (language + placeholders)
+ * 
+ * REQUEST BODY:
+ * - conversationId: Conversation the response is for
+ * 
+ * RESPONSE: { content, language, missing: [placeholders without a value] }
+ * 
+ * WHO CAN CALL: chat:canned-use (Support, Admin by default)
+ */
+router.post(
+  "/canned-responses/:id/render",
+  authMiddleware,
+  requirePermission("chat:canned-use"),
+  renderCannedResponse
+);
+
+// ========================================
+// BLOCKING & MODERATION
+// ========================================
+
+/**
+ * GET /api/v1/chat/blocks
+ * 
+ * Users the caller has blocked
+ * 
+ * WHO CAN CALL: Any authenticated user
+ */
+router.get(
+  "/blocks",
+  authMiddleware,
+  getBlockedUsers
+);
+
+/**
+ * POST /api/v1/chat/blocks
+ * 
+ * Block a user: neither side can message the other any more, shared
+ * conversations go back to the support queue for another agent
+ * 
+ * REQUEST BODY:
+ * - userId: User to block
+ * - reason: Optional note (max 500 characters)
+ * 
+ * WHO CAN CALL: Any authenticated user
+ */
+router.post(
+  "/blocks",
+  authMiddleware,
+  blockUser
+);
+
+/**
+ * DELETE /api/v1/chat/blocks/:userId
+ * 
+ * WHO CAN CALL: The user who created the block
+ */
+router.delete(
+  "/blocks/:userId",
+  authMiddleware,
+  unblockUser
+);
+
+/**
+ * POST /api/v1/chat/messages/:messageId/report
+ * 
+ * Report a message; opens a moderation case for admins
+ * 
+ * REQUEST BODY:
+ * - reason: spam | abuse | harassment | fraud | other
+ * - details: Optional text (max 1000 characters)
+ * 
+ * WHO CAN CALL: Participants of the conversation (or chat:read-any),
+ * not for their own messages
+ */
+router.post(
+  "/messages/:messageId/report",
+  authMiddleware,
+  reportMessage
+);
+
+/**
+ * GET /api/v1/chat/moderation/cases
+ * 
+ * QUERY PARAMS:
+ * - page, limit: Pagination
+ * - status: open | resolved | dismissed
+ * - reportedUserId: Cases about one user
+ * 
+ * WHO CAN CALL: chat:moderate (Admin by default)
+ */
+router.get(
+  "/moderation/cases",
+  authMiddleware,
+  requirePermission("chat:moderate"),
+  getModerationCases
+);
+
+/**
+ * PATCH /api/v1/chat/moderation/cases/:id
+ * 
+ * REQUEST BODY:
+ * - status: resolved | dismissed
+ * - resolution: Optional note
+ * - deleteMessage: true to delete the reported message (needs chat:manage-any)
+ * 
+ * WHO CAN CALL: chat:moderate (Admin by default)
+ */
+router.patch(
+  "/moderation/cases/:id",
+  authMiddleware,
+  requirePermission("chat:moderate"),
+  reviewModerationCase
+);
+
+/**
+ * GET /api/v1/chat/moderation/word-filters
+ * 
+ * WHO CAN CALL: chat:moderate (Admin by default)
+ */
+router.get(
+  "/moderation/word-filters",
+  authMiddleware,
+  requirePermission("chat:moderate"),
+  getWordFilters
+);
+
+/**
+ * PUT /api/v1/chat/moderation/word-filters/:language
+ * 
+ * Replace the filtered words of a language ("all" = every conversation)
+ * 
+ * REQUEST BODY:
+ * - words: ["..."]
+ * - action: mask (replace letters with *) | reject (refuse the message)
+ * 
+ * WHO CAN CALL: chat:moderate (Admin by default)
+ */
+router.put(
+  "/moderation/word-filters/:language",
+  authMiddleware,
+  requirePermission("chat:moderate"),
+  updateWordFilter
+);
+
+// ========================================
+// BROADCASTS
+// ========================================
+
+/**
+ * POST /api/v1/chat/broadcasts/preview
+ * 
+ * Audience size and sample texts for a segment, without sending
+ * 
+ * REQUEST BODY: same segment / variants / defaultLanguage as below
+ * 
+ * WHO CAN CALL: chat:broadcast (Admin by default)
+ */
+router.post(
+  "/broadcasts/preview",
+  authMiddleware,
+  requirePermission("chat:broadcast"),
+  previewBroadcast
+);
+
+/**
+ * POST /api/v1/chat/broadcasts
+ * 
+ * Queue a message to every farmer of a segment
+ * 
+ * REQUEST BODY:
+ * - title: Shown in the admin list
+ * - segment: { states, cities, userTypes, cropTypes, landSize: { min, max } }
+ * - variants: [{ language, content }] with {{first_name}}, {{city|fallback}}...
+ * - defaultLanguage: Variant for farmers whose language has none
+ * - sendAt: Optional schedule (default now)
+ * - ratePerMinute: Optional throttle (default CHAT_BROADCAST_RATE_PER_MINUTE)
+ * 
+ * WHO CAN CALL: chat:broadcast (Admin by default)
+ */
+router.post(
+  "/broadcasts",
+  authMiddleware,
+  requirePermission("chat:broadcast"),
+  createBroadcast
+);
+
+/**
+ * GET /api/v1/chat/broadcasts
+ * 
+ * QUERY PARAMS: page, limit, status
+ * 
+ * WHO CAN CALL: chat:broadcast (Admin by default)
+ */
+router.get(
+  "/broadcasts",
+  authMiddleware,
+  requirePermission("chat:broadcast"),
+  getBroadcasts
+);
+
+/**
+ * GET /api/v1/chat/broadcasts/:id
+ * 
+ * Broadcast with progress, delivery and read stats
+ * 
+ * WHO CAN CALL: chat:broadcast (Admin by default)
+ */
+router.get(
+  "/broadcasts/:id",
+  authMiddleware,
+  requirePermission("chat:broadcast"),
+  getBroadcast
+);
+
+/**
+ * GET /api/v1/chat/broadcasts/:id/recipients
+ * 
+ * QUERY PARAMS: page, limit, status (pending | sent | skipped | failed)
+ * 
+ * WHO CAN CALL: chat:broadcast (Admin by default)
+ */
+router.get(
+  "/broadcasts/:id/recipients",
+  authMiddleware,
+  requirePermission("chat:broadcast"),
+  getBroadcastRecipients
+);
+
+/**
+ * POST /api/v1/chat/broadcasts/:id/cancel
+ * 
+ * Stop a queued or sending broadcast (messages already sent stay)
+ * 
+ * WHO CAN CALL: chat:broadcast (Admin by default)
+ */
+router.post(
+  "/broadcasts/:id/cancel",
+  authMiddleware,
+  requirePermission("chat:broadcast"),
+  cancelBroadcast
+);
+
+// ========================================
+// CHAT NOTIFICATION SETTINGS
+// ========================================
+
+/**
+ * GET /api/v1/chat/notifications/settings
+ * 
+ * Caller's quiet hours for chat push notifications
+ * 
+ * WHO CAN CALL: Any authenticated user
+ */
+router.get(
+  "/notifications/settings",
+  authMiddleware,
+  getChatNotificationSettings
+);
+
+/**
+ * PUT /api/v1/chat/notifications/settings
+ * 
+ * REQUEST BODY:
+ * - quietHours: { enabled, start: "22:00", end: "07:00", timezone: "Asia/Kolkata" }
+ *   (all fields optional; no chat pushes between start and end)
+ * 
+ * WHO CAN CALL: Any authenticated user
+ */
+router.put(
+  "/notifications/settings",
+  authMiddleware,
+  updateChatNotificationSettings
+);
+
 // ========================================
 // EXPORT ROUTER
 // ========================================
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const {
   createCrop,
   getAllCrops,
@@ -23,7 +24,7 @@ const upload = createMulterInstance({
   destinationFolder: "uploads/crops/",
 });
 
-router.post("/", authMiddleware, upload.single("image"), createCrop);
+router.post("/", authMiddleware, requirePermission("crops:manage"), upload.single("image"), createCrop);
 router.get("/", authMiddleware, getAllCrops);
 // Get parent crops (crops where category is null)
 router.get("/parent-crops", authMiddleware, getParentCrops);
@@ -34,9 +35,9 @@ router.get("/public/parents", getParentsCropPublic);
 // Public: child crops by parentId (no auth)
 router.get("/public/children/:parentId", getChildCropPublic);
 router.get("/:id", authMiddleware, getCropById);
-router.put("/:id", authMiddleware, upload.single("image"), updateCrop);
-router.delete("/:id", authMiddleware, deleteCrop);
-router.put("/disable/:id", authMiddleware, disableCrop);
-router.put("/enable/:id", authMiddleware, enableCrop);
+router.put("/:id", authMiddleware, requirePermission("crops:manage"), upload.single("image"), updateCrop);
+router.delete("/:id", authMiddleware, requirePermission("crops:manage"), deleteCrop);
+router.put("/disable/:id", authMiddleware, requirePermission("crops:manage"), disableCrop);
+router.put("/enable/:id", authMiddleware, requirePermission("crops:manage"), enableCrop);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const {
   createSaleRequest,
   getMySaleRequests,
@@ -17,9 +18,9 @@ router.get("/user/:id", authMiddleware, getSaleRequestById);
 router.put("/user/:id", authMiddleware, updateSaleRequestUser);
 
 // Admin routes
-router.get("/", authMiddleware, getAllSaleRequests);
+router.get("/", authMiddleware, requirePermission("sale-requests:read-all"), getAllSaleRequests);
 router.get("/:id", authMiddleware, getSaleRequestById);
-router.put("/:id", authMiddleware, updateSaleRequestStatus);
+router.put("/:id", authMiddleware, requirePermission("sale-requests:update-status"), updateSaleRequestStatus);
 
 module.exports = router;
 
@@ -1,10 +1,11 @@
 const express = require("express");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const { getDashboardStats, searchDashboard } = require("../controllers/dashboardController");
 
 const router = express.Router();
 
-router.get("/stats", authMiddleware, getDashboardStats);
+router.get("/stats", authMiddleware, requirePermission("dashboard:view"), getDashboardStats);
 router.get("/search", searchDashboard);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const {
   createScheme,
   getAllSchemes,
@@ -21,16 +22,16 @@ const upload = createMulterInstance({
   destinationFolder: "uploads/schemes/",
 });
 
-router.post("/", authMiddleware, upload.any(), createScheme);
+router.post("/", authMiddleware, requirePermission("schemes:manage"), upload.any(), createScheme);
 router.get("/", authMiddleware, getAllSchemes);
 // Public: active schemes list (no auth)
 router.get("/public/top-schemes", getTopActiveSchemesPublic);
 router.get("/public/active", getActiveSchemesPublic);
 router.get("/public/active/:id", getActiveSchemesByIdPublic);
 router.get("/:schemeId", authMiddleware, getSchemeById);
-router.put("/:id", authMiddleware, upload.any(), updateScheme);
-router.delete("/:id", authMiddleware, deleteScheme);
-router.put("/disable/:id", authMiddleware, disableScheme);
-router.put("/enable/:id", authMiddleware, enableScheme);
+router.put("/:id", authMiddleware, requirePermission("schemes:manage"), upload.any(), updateScheme);
+router.delete("/:id", authMiddleware, requirePermission("schemes:manage"), deleteScheme);
+router.put("/disable/:id", authMiddleware, requirePermission("schemes:publish"), disableScheme);
+router.put("/enable/:id", authMiddleware, requirePermission("schemes:publish"), enableScheme);
 
 module.exports = router;
\ No newline at end of file
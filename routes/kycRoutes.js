@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAllKyc,
+  getKycByUserId,
+  getKycDocument,
+  reviewKyc,
+} = require("../controllers/kycController");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+
+router.use(authMiddleware);
+
+router.get("/", requirePermission("kyc:read"), getAllKyc);
+router.get("/:userId", requirePermission("kyc:read"), getKycByUserId);
+router.get("/:userId/document", requirePermission("kyc:read"), getKycDocument);
+router.put("/:userId/status", requirePermission("kyc:review"), reviewKyc);
+
+module.exports = router;
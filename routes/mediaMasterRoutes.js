@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const {
   createMedia,
   getAllMedia,
@@ -26,9 +27,9 @@ const upload = createMulterInstance({
 });
 
 // Routes
-router.post("/", authMiddleware, upload.array("media", 10), validateCreateMedia, handleValidationErrors, createMedia);
+router.post("/", authMiddleware, requirePermission("media:manage"), upload.array("media", 10), validateCreateMedia, handleValidationErrors, createMedia);
 router.get("/", authMiddleware, getAllMedia);
 router.get("/:id", authMiddleware, getMediaById);
-router.delete("/:id", authMiddleware, deleteMedia);
+router.delete("/:id", authMiddleware, requirePermission("media:manage"), deleteMedia);
 
 module.exports = router;
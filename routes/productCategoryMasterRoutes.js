@@ -1,5 +1,6 @@
 const express = require("express");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const router = express.Router();
 const {
     createProductCategory,
@@ -10,12 +11,12 @@ const {
     deleteProductCategory,
 } = require("../controllers/productCategoryMasterController");
 
-router.post("/", authMiddleware, createProductCategory);
+router.post("/", authMiddleware, requirePermission("product-categories:manage"), createProductCategory);
 router.get("/", authMiddleware, getAllProductCategories);
 // Public: active products list (no auth)
 router.get("/public/active", getActiveProductCategoriesPublic);
 router.get("/:id", authMiddleware, getProductCategoryById);
-router.put("/:id", authMiddleware,  updateProductCategory);
-router.delete("/:id", authMiddleware, deleteProductCategory);
+router.put("/:id", authMiddleware, requirePermission("product-categories:manage"), updateProductCategory);
+router.delete("/:id", authMiddleware, requirePermission("product-categories:manage"), deleteProductCategory);
 
 module.exports = router;
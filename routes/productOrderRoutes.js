@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const {
   createOrder,
   getMyOrders,
@@ -19,9 +20,9 @@ router.put("/user/:id", authMiddleware, updateOrderUser);
 router.post("/validate-cart", authMiddleware, validateCart);
 
 // Admin routes
-router.get("/", authMiddleware, getAllOrders);
+router.get("/", authMiddleware, requirePermission("orders:read-all"), getAllOrders);
 router.get("/:id", authMiddleware, getOrderById);
-router.put("/:id", authMiddleware, updateOrderStatus);
+router.put("/:id", authMiddleware, requirePermission("orders:update-status"), updateOrderStatus);
 
 module.exports = router;
 
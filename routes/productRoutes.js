@@ -1,5 +1,6 @@
 const express = require("express");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const { createMulterInstance } = require("../utils/multerConfig");
 const router = express.Router();
 const {
@@ -20,14 +21,14 @@ const upload = createMulterInstance({
   destinationFolder: "uploads/products/",
 });
 
-router.post("/", authMiddleware, upload.single("image"), createProduct);
+router.post("/", authMiddleware, requirePermission("products:manage"), upload.single("image"), createProduct);
 router.get("/", authMiddleware, getAllProducts);
 // Public: active products list (no auth)
 router.get("/public/active", getActiveProductsPublic);
 router.get("/:id", authMiddleware, getProductById);
-router.put("/:id", authMiddleware, upload.single("image"), updateProduct);
-router.delete("/:id", authMiddleware, deleteProduct);
-router.put("/disable/:id", authMiddleware, disableProduct);
-router.put("/enable/:id", authMiddleware, enableProduct);
+router.put("/:id", authMiddleware, requirePermission("products:manage"), upload.single("image"), updateProduct);
+router.delete("/:id", authMiddleware, requirePermission("products:manage"), deleteProduct);
+router.put("/disable/:id", authMiddleware, requirePermission("products:manage"), disableProduct);
+router.put("/enable/:id", authMiddleware, requirePermission("products:manage"), enableProduct);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissionMatrix,
+  getRole,
+  updateRolePermissions,
+  resetRolePermissions,
+} = require("../controllers/roleController");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+
+router.use(authMiddleware, requirePermission("roles:manage"));
+
+router.get("/", getPermissionMatrix);
+router.get("/:role", getRole);
+router.put("/:role/permissions", updateRolePermissions);
+router.post("/:role/reset", resetRolePermissions);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const {
   createTutorial,
   getAllTutorials,
@@ -21,15 +22,15 @@ const upload = createMulterInstance({
   destinationFolder: "uploads/tutorials/",
 });
 
-router.post("/", authMiddleware, upload.single("image"), createTutorial);
+router.post("/", authMiddleware, requirePermission("tutorials:manage"), upload.single("image"), createTutorial);
 router.get("/", authMiddleware, getAllTutorials);
 // Public: active tutorials list (no auth)
 router.get("/public/active", getActiveTutorialsPublic);
 router.get("/public/active/:id", getActiveTutorialsByIdPublic);
 router.get("/:id", authMiddleware, getTutorialById);
-router.put("/:id", authMiddleware, upload.single("image"), updateTutorial);
-router.delete("/:id", authMiddleware, deleteTutorial);
-router.put("/disable/:id", authMiddleware, disableTutorial);
-router.put("/enable/:id", authMiddleware, enableTutorial);
+router.put("/:id", authMiddleware, requirePermission("tutorials:manage"), upload.single("image"), updateTutorial);
+router.delete("/:id", authMiddleware, requirePermission("tutorials:manage"), deleteTutorial);
+router.put("/disable/:id", authMiddleware, requirePermission("tutorials:manage"), disableTutorial);
+router.put("/enable/:id", authMiddleware, requirePermission("tutorials:manage"), enableTutorial);
 
 module.exports = router;
@@ -3,13 +3,18 @@ const router = express.Router();
 const {
   generateOtpHandler,
   verifyOtpHandler,
+  refreshTokenHandler,
   resendOtpHandler,
+  otpDeliveryStatusHandler,
+  getOtpDeliveriesHandler,
   registerUser,
   registerSimpleUser,
   updateSimpleUserProfile,
   loginUser,
   getUserProfile,
   getAllUsers,
+  importUsers,
+  exportUsers,
   getUser,
   updateUserDetails,
   deleteUserAccount,
@@ -21,8 +26,37 @@ const {
   logoutAllSessions,
   saveFCMToken,
 } = require("../controllers/userController");
+const {
+  createPlot,
+  getMyPlots,
+  getPlotById,
+  updatePlot,
+  deletePlot,
+} = require("../controllers/farmPlotController");
+const {
+  requestDeletion,
+  getDeletionRequest,
+  cancelDeletionRequest,
+  exportMyData,
+} = require("../controllers/accountDeletionController");
+const {
+  getMyReferralCode,
+  getReferralReport,
+} = require("../controllers/referralController");
+const {
+  getMyKyc,
+  submitKyc,
+  getMyKycDocument,
+} = require("../controllers/kycController");
 const { authMiddleware } = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const {
+  otpPhoneLimiter,
+  otpIpLimiter,
+  otpVerifyIpLimiter,
+} = require("../middleware/otpRateLimiter");
 const { createMulterInstance } = require("../utils/multerConfig");
+const { KYC_DOCUMENT_MIME_TYPES } = require("../config/kyc");
 
 // Create Multer instance for CropMaster
 const upload = createMulterInstance({
@@ -31,28 +65,80 @@ const upload = createMulterInstance({
   destinationFolder: "uploads/users/",
 });
 
+const importUpload = createMulterInstance({
+  allowedTypes: [
+    "text/csv",
+    // Windows browsers send .csv files as application/vnd.ms-excel; the
+    // import itself only reads .csv and .xlsx
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ],
+  maxFileSize: 5 * 1024 * 1024, // 5MB
+  destinationFolder: "uploads/imports/",
+});
+
+// KYC documents are kept outside the publicly served uploads/ folder,
+// under random names
+const kycUpload = createMulterInstance({
+  allowedTypes: KYC_DOCUMENT_MIME_TYPES,
+  maxFileSize: 5 * 1024 * 1024, // 5MB
+  destinationFolder: "private/kyc/",
+  randomFilenames: true,
+});
+
 router.get("/login-history", authMiddleware, getUserLoginHistory);
 
-router.post("/otp/generate", generateOtpHandler);
-router.post("/otp/verify", verifyOtpHandler);
-router.post("/otp/resend", resendOtpHandler);
-router.post("/register", authMiddleware, upload.single("image"), registerUser);
-router.post("/register-user", registerSimpleUser);
+router.post("/otp/generate", otpIpLimiter, otpPhoneLimiter, generateOtpHandler);
+router.post("/otp/verify", otpVerifyIpLimiter, verifyOtpHandler);
+router.post("/otp/resend", otpIpLimiter, otpPhoneLimiter, resendOtpHandler);
+router.post("/otp/delivery-status", otpDeliveryStatusHandler);
+router.get("/otp/deliveries", authMiddleware, requirePermission("otp-deliveries:read"), getOtpDeliveriesHandler);
+router.post("/register", authMiddleware, requirePermission("users:manage"), upload.single("image"), registerUser);
+router.post("/register-user", otpIpLimiter, otpPhoneLimiter, registerSimpleUser);
 router.put("/update-user/:id", authMiddleware, upload.single("image"), updateSimpleUserProfile);
 router.post("/login", loginUser);
-router.get("/profile", authMiddleware, getUserProfile);
-router.get("/", authMiddleware, getAllUsers);
-router.get("/:id", authMiddleware, getUser);
-router.put("/:id", authMiddleware, upload.single("image"), updateUserDetails);
-router.delete("/:id", authMiddleware, deleteUserAccount);
-router.put("/:id/enable", authMiddleware, enableUserAccount);
-router.put("/:id/disable", authMiddleware, disableUserAccount);
+router.post("/token/refresh", refreshTokenHandler);
 
 // 🔹 Session management routes
 router.get("/sessions", authMiddleware, getActiveSessions);      // List active sessions
 router.post("/logout", authMiddleware, logoutSession);           // Logout current session
 router.post("/logout-all", authMiddleware, logoutAllSessions);   // Logout all sessions
 
+router.get("/profile", authMiddleware, getUserProfile);
+
+// 🔹 Farm plots of the logged-in user
+router.get("/profile/plots", authMiddleware, getMyPlots);
+router.post("/profile/plots", authMiddleware, createPlot);
+router.get("/profile/plots/:plotId", authMiddleware, getPlotById);
+router.put("/profile/plots/:plotId", authMiddleware, updatePlot);
+router.delete("/profile/plots/:plotId", authMiddleware, deletePlot);
+
+// 🔹 Self-service data export and account deletion
+router.get("/me/data-export", authMiddleware, exportMyData);
+router.get("/me/deletion-request", authMiddleware, getDeletionRequest);
+router.post("/me/deletion-request", authMiddleware, requestDeletion);
+router.delete("/me/deletion-request", authMiddleware, cancelDeletionRequest);
+
+// 🔹 KYC and payout details
+router.get("/me/kyc", authMiddleware, getMyKyc);
+router.put("/me/kyc", authMiddleware, kycUpload.single("document"), submitKyc);
+router.get("/me/kyc/document", authMiddleware, getMyKycDocument);
+
+// 🔹 Referral codes and attribution report
+router.get("/me/referral-code", authMiddleware, getMyReferralCode);
+router.get("/referrals/report", authMiddleware, requirePermission("referrals:report"), getReferralReport);
+
+// 🔹 Bulk user import / export
+router.post("/import", authMiddleware, requirePermission("users:import"), importUpload.single("file"), importUsers);
+router.get("/export", authMiddleware, requirePermission("users:export"), exportUsers);
+
+router.get("/", authMiddleware, requirePermission("users:read-all"), getAllUsers);
+router.get("/:id", authMiddleware, getUser);
+router.put("/:id", authMiddleware, upload.single("image"), updateUserDetails);
+router.delete("/:id", authMiddleware, deleteUserAccount);
+router.put("/:id/enable", authMiddleware, requirePermission("users:enable-disable"), enableUserAccount);
+router.put("/:id/disable", authMiddleware, requirePermission("users:enable-disable"), disableUserAccount);
+
 router.post('/save-fcm-token', authMiddleware, saveFCMToken);
 
 module.exports = router;
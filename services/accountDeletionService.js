@@ -0,0 +1,336 @@
+const fs = require("fs").promises;
+const path = require("path");
+const User = require("../models/User");
+const DeletionRequest = require("../models/DeletionRequest");
+const LoginHistory = require("../models/LoginHistory");
+const Session = require("../models/Session");
+const OtpDelivery = require("../models/OtpDelivery");
+const FarmPlot = require("../models/FarmPlot");
+const CropSaleRequest = require("../models/cropSaleRequestModel");
+const ProductOrder = require("../models/productOrderModel");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const MediaMaster = require("../models/mediaMaster");
+const TranscriptionJob = require("../models/TranscriptionJob");
+const ModerationCase = require("../models/ModerationCase");
+const UserBlock = require("../models/UserBlock");
+const SocketPresence = require("../models/SocketPresence");
+const BroadcastRecipient = require("../models/BroadcastRecipient");
+const { getKycForExport, removeKycData } = require("./kycService");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "14", 10);
+
+// "anonymise" keeps sale requests and orders (attached to an anonymous user)
+// for bookkeeping; "purge" removes every record tied to the user.
+const getDeletionMode = () =>
+  process.env.ACCOUNT_DELETION_MODE === "purge" ? "purge" : "anonymise";
+
+const DELETED_MESSAGE_TEXT = "This message was deleted";
+
+// ========================================
+// SELF-SERVICE REQUEST
+// ========================================
+
+const requestDeletionService = async (requestingUser, { reason } = {}) => {
+  const existing = await DeletionRequest.findOne({ userId: requestingUser.id, status: "pending" });
+  if (existing) {
+    throw new ApiError("A deletion request is already pending", 409);
+  }
+
+  // Two requests at once both pass the check above; the unique index on
+  // pending requests rejects the second
+  let request;
+  try {
+    request = await DeletionRequest.create({
+      userId: requestingUser.id,
+      reason,
+      scheduledFor: new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError("A deletion request is already pending", 409);
+    }
+    throw error;
+  }
+
+  logger.info(`Account deletion requested by user ${requestingUser.id}, scheduled for ${request.scheduledFor.toISOString()}`);
+  return request;
+};
+
+const getDeletionRequestService = async (requestingUser) => {
+  const request = await DeletionRequest.findOne({ userId: requestingUser.id })
+    .sort({ createdAt: -1 });
+  if (!request) {
+    throw new ApiError("No deletion request found", 404);
+  }
+  return request;
+};
+
+const cancelDeletionRequestService = async (requestingUser) => {
+  const request = await DeletionRequest.findOneAndUpdate(
+    { userId: requestingUser.id, status: "pending" },
+    { status: "cancelled", cancelledAt: new Date() },
+    { new: true }
+  );
+  if (!request) {
+    throw new ApiError("No pending deletion request to cancel", 404);
+  }
+
+  logger.info(`Account deletion cancelled by user ${requestingUser.id}`);
+  return request;
+};
+
+// ========================================
+// DATA EXPORT
+// ========================================
+
+// Each top-level key becomes one file in the ZIP export
+const buildUserExport = async (userId) => {
+  const user = await User.findOne({ _id: userId, deleted_at: null })
+    .select("-password -otp -otpExpires -otpAttempts -otpLockedUntil -otpLastSentAt -activeSessions -fcmToken -connectionCount")
+    .lean();
+  if (!user) {
+    throw new ApiError("User not found", 404);
+  }
+
+  const conversations = await Conversation.find({ userId }).select("_id status createdAt").lean();
+  const conversationIds = conversations.map((conversation) => conversation._id);
+
+  const [farmPlots, kyc, loginHistory, cropSaleRequests, productOrders, messages, blocks, reports, connections, broadcasts] = await Promise.all([
+    FarmPlot.find({ userId, deleted_at: null }).populate("crops", "name").lean(),
+    getKycForExport(userId),
+    LoginHistory.find({ userId }).sort({ loginAt: -1 }).lean(),
+    CropSaleRequest.find({ userId, deleted_at: null }).populate("cropId", "name").lean(),
+    ProductOrder.find({ userId, deleted_at: null }).populate("products.productId", "name").lean(),
+    // Agent-only notes are not the farmer's to see
+    Message.find({ conversationId: { $in: conversationIds }, visibility: { $ne: "internal" } })
+      .populate("mediaId", "name url")
+      .sort({ createdAt: 1 })
+      .lean(),
+    UserBlock.find({ blockerId: userId }).select("blockedId reason createdAt").lean(),
+    // Reports the user filed (not the ones filed against them, which would
+    // name the reporter)
+    ModerationCase.find({ reportedBy: userId })
+      .select("messageId conversationId reason details status createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    // Devices connected to chat right now (socket and server ids are internal)
+    SocketPresence.find({ userId }).select("-_id connectedAt heartbeatAt").lean(),
+    // Broadcasts that reached the user (the messages are in chatMessages)
+    BroadcastRecipient.find({ userId })
+      .populate("broadcastId", "title")
+      .select("-_id broadcastId status deliveredVia messageId sentAt createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  return {
+    profile: user,
+    farmPlots,
+    kyc,
+    loginHistory,
+    cropSaleRequests,
+    productOrders,
+    chatBlocks: blocks,
+    chatReports: reports,
+    chatConnections: connections,
+    chatBroadcasts: broadcasts,
+    chatMessages: conversations.map((conversation) => ({
+      ...conversation,
+      messages: messages
+        .filter((message) => String(message.conversationId) === String(conversation._id))
+        .map((message) => {
+          const sentByMe = String(message.senderId) === String(userId);
+          return {
+            id: message._id,
+            sentByMe,
+            messageType: message.messageType,
+            content: message.content,
+            language: message.language || null,
+            translations: message.translations || {},
+            media: message.mediaId,
+            ...(message.transcript?.text && {
+              transcript: { text: message.transcript.text, language: message.transcript.language || null },
+            }),
+            replyTo: message.replyTo || null,
+            editedAt: message.editedAt || null,
+            ...(sentByMe && { editHistory: message.editHistory || [] }),
+            myReactions: (message.reactions || [])
+              .filter((reaction) => String(reaction.userId) === String(userId))
+              .map(({ emoji, reactedAt }) => ({ emoji, reactedAt })),
+            createdAt: message.createdAt,
+            readAt: message.readAt,
+          };
+        }),
+    })),
+  };
+};
+
+const exportUserDataService = async (requestingUser) => {
+  const data = await buildUserExport(requestingUser.id);
+  logger.info(`Data export generated for user ${requestingUser.id}`);
+
+  return {
+    exportedAt: new Date(),
+    data,
+  };
+};
+
+// ========================================
+// PURGE JOB
+// ========================================
+
+const removeUploadedFile = async (url) => {
+  if (!url) return;
+  const relative = url.startsWith("http") ? url.replace(`${process.env.BASE_URL}/`, "") : url;
+  try {
+    await fs.unlink(path.resolve(__dirname, "../", relative));
+  } catch (error) {
+    logger.warn(`Failed to delete file ${url}: ${error.message}`);
+  }
+};
+
+// Media the user sent in chat, deleted together with the messages and the
+// speech-to-text jobs of their voice notes (which hold the transcript)
+const removeChatMedia = async (userId) => {
+  const mediaIds = await Message.distinct("mediaId", { senderId: userId, mediaId: { $ne: null } });
+  const media = await MediaMaster.find({ _id: { $in: mediaIds } });
+  for (const item of media) {
+    await removeUploadedFile(item.url);
+  }
+  await MediaMaster.deleteMany({ _id: { $in: mediaIds } });
+  await TranscriptionJob.deleteMany({ $or: [{ mediaId: { $in: mediaIds } }, { uploadedBy: userId }] });
+};
+
+const eraseUserData = async (userId, mode) => {
+  const user = await User.findById(userId).select("phone image");
+  if (!user) return;
+
+  await removeChatMedia(userId);
+  await removeUploadedFile(user.image);
+  await removeKycData(userId);
+
+  await Promise.all([
+    LoginHistory.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    OtpDelivery.deleteMany({ $or: [{ userId }, { phone: user.phone }] }),
+    FarmPlot.deleteMany({ userId }),
+    // Reactions on other people's messages, in any conversation
+    Message.updateMany({ "reactions.userId": userId }, { $pull: { reactions: { userId } } }),
+    UserBlock.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] }),
+    SocketPresence.deleteMany({ userId }),
+    BroadcastRecipient.deleteMany({ userId }),
+  ]);
+
+  if (mode === "purge") {
+    const conversationIds = await Conversation.distinct("_id", { userId });
+    await Promise.all([
+      Message.deleteMany({ $or: [{ conversationId: { $in: conversationIds } }, { senderId: userId }] }),
+      Conversation.deleteMany({ userId }),
+      ModerationCase.deleteMany({ $or: [{ reportedBy: userId }, { reportedUserId: userId }] }),
+      CropSaleRequest.deleteMany({ userId }),
+      ProductOrder.deleteMany({ userId }),
+    ]);
+    await User.deleteOne({ _id: userId });
+    return;
+  }
+
+  // Keep the conversation skeleton for support statistics, drop the content
+  // (earlier versions of edited messages and cached translations too)
+  await Message.updateMany(
+    { senderId: userId },
+    {
+      $set: { messageType: "text", content: DELETED_MESSAGE_TEXT, mediaId: null, editHistory: [], language: null },
+      $unset: { translations: 1, transcript: 1 },
+    }
+  );
+  await Conversation.updateMany({ userId }, { $set: { isActive: false } });
+
+  // Moderation cases stay for the audit trail, without the user's words
+  await ModerationCase.updateMany(
+    { reportedUserId: userId },
+    { $set: { "snapshot.messageType": "text", "snapshot.content": DELETED_MESSAGE_TEXT, "snapshot.mediaId": null } }
+  );
+  await ModerationCase.updateMany({ reportedBy: userId }, { $set: { details: null } });
+
+  // Validators are skipped on purpose: the placeholder phone is not a real number
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        first_name: "Deleted",
+        last_name: "User",
+        phone: `deleted-${userId}`,
+        isActive: false,
+        isOnline: false,
+        connectionCount: 0,
+        deleted_at: new Date(),
+        fcmToken: [],
+      },
+      $unset: {
+        email: 1,
+        password: 1,
+        image: 1,
+        otp: 1,
+        otpExpires: 1,
+        otpAttempts: 1,
+        otpLockedUntil: 1,
+        otpLastSentAt: 1,
+        location: 1,
+        state: 1,
+        city: 1,
+        address: 1,
+        soilType: 1,
+        cropType: 1,
+        landSize: 1,
+        farmLocation: 1,
+        activeSessions: 1,
+        referralCode: 1,
+        preferredLanguage: 1,
+        supportProfile: 1,
+      },
+    }
+  );
+};
+
+// Called by purgeDeletedAccounts.js (see cronJob.js)
+const processDueDeletionRequests = async ({ now = new Date(), limit = 100 } = {}) => {
+  const mode = getDeletionMode();
+  const summary = { processed: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    // Claim one request at a time so parallel runs never process the same user
+    const request = await DeletionRequest.findOneAndUpdate(
+      { status: "pending", scheduledFor: { $lte: now } },
+      { status: "processing", mode },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+    if (!request) break;
+
+    try {
+      await eraseUserData(request.userId, mode);
+      request.status = "completed";
+      request.completedAt = new Date();
+      summary.processed += 1;
+      logger.info(`Account ${request.userId} ${mode === "purge" ? "purged" : "anonymised"}`);
+    } catch (error) {
+      request.status = "failed";
+      request.error = error.message;
+      summary.failed += 1;
+      logger.error(`Account deletion failed for ${request.userId}: ${error.message}`);
+    }
+    await request.save();
+  }
+
+  return summary;
+};
+
+module.exports = {
+  requestDeletionService,
+  getDeletionRequestService,
+  cancelDeletionRequestService,
+  exportUserDataService,
+  processDueDeletionRequests,
+};
@@ -0,0 +1,688 @@
+/**
+ * ============================================
+ * BROADCAST SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Lets admins message a segment of farmers first (pest outbreak in a
+ * district, a new scheme for small farms...), instead of waiting for
+ * farmers to open a chat.
+ *
+ * HOW IT WORKS:
+ * 1. An admin creates a broadcast: segment (state, city, userType, cropType,
+ *    land size) + one template per language
+ * 2. A worker in every server instance picks due broadcasts; the first pass
+ *    turns the segment into BroadcastRecipients (one per farmer)
+ * 3. Farmers are messaged at the broadcast's ratePerMinute, a batch per
+ *    tick, so chat, push and the database are never flooded. Only one
+ *    instance sends a broadcast at a time (lockedUntil), and after a batch
+ *    nextSendAt keeps every instance off it until the batch's share of the
+ *    rate has passed
+ * 4. Each farmer gets a normal chat message (broadcastId set) in their
+ *    active conversation with the admin who sent the broadcast, or in a new
+ *    one assigned to them, so replies reach the sender (reassign as usual).
+ *    Conversations with other agents are never used.
+ * 5. Delivery (live socket / push) is recorded per recipient; read rates
+ *    come from the messages' isRead
+ *
+ * Farmers who blocked the sender or were deactivated are skipped.
+ */
+
+const Broadcast = require("../models/Broadcast");
+const BroadcastRecipient = require("../models/BroadcastRecipient");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const FarmPlot = require("../models/FarmPlot");
+const CropMaster = require("../models/cropMasterModel");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { emitToRoom } = require("../socket/chatSocket");
+const { isUserOnline } = require("./presenceService");
+const { notifyChatMessage } = require("./chatNotificationService");
+const { isBlockedBetween } = require("./chatModerationService");
+const { buildSlaDeadlines, recordFirstResponse } = require("./supportSlaService");
+const { DEFAULT_PRIORITY } = require("../config/supportSla");
+const { BROADCAST_PLACEHOLDERS } = require("../config/chatBroadcast");
+const { ACRES_PER_AREA_UNIT } = require("../config/farmPlot");
+
+const TICK_SECONDS = 10;
+// A batch is sent without pauses, so it takes far less than this; the lock
+// only keeps other instances off while it is sent (or after a crash)
+const LOCK_SECONDS = 60;
+// Stop a batch this long before the lock runs out
+const LOCK_MARGIN_MS = 5000;
+const AUDIENCE_CHUNK_SIZE = 1000;
+const PREVIEW_SAMPLE_SIZE = 3;
+
+// {{first_name}} or {{first_name|Farmer}} (fallback when the value is empty)
+const PLACEHOLDER_PATTERN = /{{\s*([a-z_]+)\s*(?:\|([^}]*))?}}/g;
+
+const FARMER_FIELDS = "first_name last_name state city cropType landSize preferredLanguage";
+
+let running = false;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ========================================
+// SEGMENT & TEMPLATE
+// ========================================
+
+/**
+ * Farmers growing any of the crops: on a farm plot (CropMaster), or listed
+ * in the older free-text User.cropType ("Paddy, Cotton"), split the way
+ * migrateFarmPlots.js splits it
+ */
+const buildCropFilter = async (cropTypes) => {
+  const names = cropTypes.map((name) => new RegExp(`^${escapeRegex(name)}$`, "i"));
+  const cropIds = await CropMaster.find({ name: { $in: names }, deleted_at: null }).distinct("_id");
+  const plotUserIds = cropIds.length
+    ? await FarmPlot.find({ crops: { $in: cropIds }, deleted_at: null }).distinct("userId")
+    : [];
+
+  const separator = "[,/;&]|\\sand\\s";
+  const listed = cropTypes.map(
+    (name) => new RegExp(`(^|${separator})\\s*${escapeRegex(name)}\\s*($|${separator})`, "i")
+  );
+  return { $or: [{ _id: { $in: plotUserIds } }, { cropType: { $in: listed } }] };
+};
+
+/**
+ * Farmers whose land is in the range (acres): the total area of their farm
+ * plots, or the older User.landSize for farmers without plot areas
+ */
+const buildLandSizeFilter = async ({ min, max }) => {
+  const toAcres = {
+    $switch: {
+      branches: Object.entries(ACRES_PER_AREA_UNIT).map(([unit, acres]) => ({
+        case: { $eq: ["$areaUnit", unit] },
+        then: { $multiply: ["$area", acres] },
+      })),
+      // Plots saved before units existed are in acres
+      default: "$area",
+    },
+  };
+  const totals = await FarmPlot.aggregate([
+    { $match: { deleted_at: null, area: { $gt: 0 } } },
+    { $group: { _id: "$userId", acres: { $sum: toAcres } } },
+  ]);
+
+  const inRange = (acres) => (min == null || acres >= min) && (max == null || acres <= max);
+  const matching = totals.filter((total) => inRange(total.acres)).map((total) => total._id);
+  const outside = totals.filter((total) => !inRange(total.acres)).map((total) => total._id);
+
+  const range = {
+    ...(min != null && { $gte: min }),
+    ...(max != null && { $lte: max }),
+  };
+  return {
+    $or: [
+      { _id: { $in: matching } },
+      { _id: { $nin: [...matching, ...outside] }, landSize: range },
+    ],
+  };
+};
+
+/**
+ * User query for a segment: active farmers matching every filter given
+ */
+const buildSegmentFilter = async (segment = {}) => {
+  const anyOf = (values) => ({ $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i")) });
+  const landSize = segment.landSize || {};
+
+  const farmFilters = [];
+  if (segment.cropTypes?.length) {
+    farmFilters.push(await buildCropFilter(segment.cropTypes));
+  }
+  if (landSize.min != null || landSize.max != null) {
+    farmFilters.push(await buildLandSizeFilter(landSize));
+  }
+
+  return {
+    role: "User",
+    isActive: true,
+    deleted_at: null,
+    ...(segment.states?.length && { state: anyOf(segment.states) }),
+    ...(segment.cities?.length && { city: anyOf(segment.cities) }),
+    ...(segment.userTypes?.length && { userType: { $in: segment.userTypes } }),
+    ...(farmFilters.length && { $and: farmFilters }),
+  };
+};
+
+/**
+ * Placeholders used in the texts that do not exist
+ */
+const findUnknownPlaceholders = (variants) => {
+  const unknown = new Set();
+  variants.forEach((variant) => {
+    for (const [, name] of variant.content.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!BROADCAST_PLACEHOLDERS.includes(name)) unknown.add(name);
+    }
+  });
+  return [...unknown];
+};
+
+/**
+ * Text for one farmer: their language's variant (else the default one)
+ * with placeholders filled in
+ */
+const renderForFarmer = ({ variants, defaultLanguage }, farmer) => {
+  const variant =
+    variants.find((item) => item.language === farmer.preferredLanguage) ||
+    variants.find((item) => item.language === defaultLanguage) ||
+    variants[0];
+
+  const values = {
+    first_name: farmer.first_name,
+    last_name: farmer.last_name,
+    full_name: [farmer.first_name, farmer.last_name].filter(Boolean).join(" "),
+    state: farmer.state,
+    city: farmer.city,
+    crop_type: farmer.cropType,
+    land_size: farmer.landSize,
+  };
+
+  const content = variant.content
+    .replace(PLACEHOLDER_PATTERN, (placeholder, name, fallback = "") => {
+      const value = values[name];
+      return value === undefined || value === null || value === "" ? fallback.trim() : String(value);
+    })
+    // An empty value without fallback must not leave double spaces
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+
+  return { content, language: variant.language };
+};
+
+/**
+ * PREVIEW BROADCAST SERVICE
+ *
+ * How many farmers a segment reaches and what a few of them would get
+ */
+const previewBroadcastService = async ({ segment, variants, defaultLanguage }) => {
+  const unknown = findUnknownPlaceholders(variants);
+  if (unknown.length > 0) {
+    throw new ApiError(`Unknown placeholders: ${unknown.join(", ")}`, 400);
+  }
+
+  const filter = await buildSegmentFilter(segment);
+  const [audienceSize, farmers] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter).select(FARMER_FIELDS).limit(PREVIEW_SAMPLE_SIZE).lean(),
+  ]);
+
+  return {
+    audienceSize,
+    samples: farmers.map((farmer) => ({
+      userId: farmer._id,
+      name: [farmer.first_name, farmer.last_name].filter(Boolean).join(" "),
+      ...renderForFarmer({ variants, defaultLanguage }, farmer),
+    })),
+  };
+};
+
+// ========================================
+// CRUD
+// ========================================
+
+/**
+ * CREATE BROADCAST SERVICE
+ *
+ * Business logic:
+ * - Placeholders must exist and the segment must match at least one farmer
+ * - Sending starts at sendAt (now by default), in the background
+ */
+const createBroadcastService = async (data, userId) => {
+  // Step 1: Check template and audience
+  const unknown = findUnknownPlaceholders(data.variants);
+  if (unknown.length > 0) {
+    throw new ApiError(`Unknown placeholders: ${unknown.join(", ")}`, 400);
+  }
+  const audienceSize = await User.countDocuments(await buildSegmentFilter(data.segment));
+  if (audienceSize === 0) {
+    throw new ApiError("No farmers match this segment", 400);
+  }
+
+  // Step 2: Queue it
+  const broadcast = await Broadcast.create({ ...data, status: "queued", createdBy: userId });
+  logger.info(`Broadcast ${broadcast._id} queued by ${userId} for about ${audienceSize} farmers`);
+
+  setImmediate(processBroadcasts);
+  return broadcast;
+};
+
+/**
+ * GET BROADCASTS SERVICE
+ */
+const getBroadcastsService = async (page, limit, { status } = {}) => {
+  const query = status ? { status } : {};
+  const skip = (page - 1) * limit;
+
+  const total = await Broadcast.countDocuments(query);
+  const broadcasts = await Broadcast.find(query)
+    .populate("createdBy", "first_name last_name")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data: broadcasts,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+const findBroadcast = async (id) => {
+  if (!/^[a-f\d]{24}$/i.test(id)) {
+    throw new ApiError("Invalid broadcast ID", 400);
+  }
+  const broadcast = await Broadcast.findById(id).populate("createdBy", "first_name last_name").lean();
+  if (!broadcast) {
+    throw new ApiError("Broadcast not found", 404);
+  }
+  return broadcast;
+};
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * Progress, delivery and read counts of a broadcast
+ * Rates are 0-1 of the messages sent (null before anything was sent)
+ */
+const getBroadcastStats = async (broadcast) => {
+  const [byStatus, byChannel, read] = await Promise.all([
+    BroadcastRecipient.aggregate([
+      { $match: { broadcastId: broadcast._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+    BroadcastRecipient.aggregate([
+      { $match: { broadcastId: broadcast._id, status: "sent" } },
+      { $group: { _id: "$deliveredVia", count: { $sum: 1 } } },
+    ]),
+    Message.countDocuments({ broadcastId: broadcast._id, isRead: true }),
+  ]);
+
+  const statusCount = (status) => byStatus.find((row) => row._id === status)?.count || 0;
+  const channelCount = (channel) => byChannel.find((row) => row._id === channel)?.count || 0;
+  const sent = statusCount("sent");
+  const delivered = channelCount("socket") + channelCount("push");
+
+  return {
+    targeted: broadcast.targetedCount,
+    pending: statusCount("pending"),
+    sent: sent,
+    skipped: statusCount("skipped"),
+    failed: statusCount("failed"),
+    delivered: delivered,
+    deliveredVia: {
+      socket: channelCount("socket"),
+      push: channelCount("push"),
+      stored: channelCount("stored"),
+    },
+    read: read,
+    deliveryRate: rate(delivered, sent),
+    readRate: rate(read, sent),
+  };
+};
+
+/**
+ * GET BROADCAST SERVICE
+ *
+ * The broadcast with its delivery and read stats
+ */
+const getBroadcastService = async (id) => {
+  const broadcast = await findBroadcast(id);
+  return { ...broadcast, stats: await getBroadcastStats(broadcast) };
+};
+
+/**
+ * GET BROADCAST RECIPIENTS SERVICE
+ *
+ * Farmers of a broadcast and what happened to their message
+ */
+const getBroadcastRecipientsService = async (id, page, limit, { status } = {}) => {
+  const broadcast = await findBroadcast(id);
+  const query = { broadcastId: broadcast._id, ...(status && { status }) };
+  const skip = (page - 1) * limit;
+
+  const total = await BroadcastRecipient.countDocuments(query);
+  const recipients = await BroadcastRecipient.find(query)
+    .populate("userId", "first_name last_name phone state city")
+    .populate("messageId", "isRead readAt")
+    .sort({ _id: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data: recipients,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+/**
+ * CANCEL BROADCAST SERVICE
+ *
+ * Stops a queued or sending broadcast; farmers not messaged yet are skipped
+ * (messages already sent stay)
+ */
+const cancelBroadcastService = async (id, userId) => {
+  await findBroadcast(id);
+
+  const broadcast = await Broadcast.findOneAndUpdate(
+    { _id: id, status: { $in: ["queued", "sending"] } },
+    { $set: { status: "cancelled", cancelledAt: new Date(), cancelledBy: userId, lockedUntil: null } },
+    { new: true }
+  );
+  if (!broadcast) {
+    throw new ApiError("Only queued or sending broadcasts can be cancelled", 400);
+  }
+
+  await BroadcastRecipient.updateMany(
+    { broadcastId: broadcast._id, status: "pending" },
+    { $set: { status: "skipped", error: "Broadcast cancelled" } }
+  );
+
+  logger.info(`Broadcast ${id} cancelled by ${userId}`);
+  return broadcast;
+};
+
+// ========================================
+// SENDING
+// ========================================
+
+/**
+ * Turns the segment into recipients (once per broadcast)
+ * Duplicates from an interrupted earlier run are ignored
+ */
+const resolveAudience = async (broadcast) => {
+  const cursor = User.find(await buildSegmentFilter(broadcast.segment)).select("_id").lean().cursor();
+
+  const insertChunk = async (userIds) => {
+    await BroadcastRecipient.insertMany(
+      userIds.map((userId) => ({ broadcastId: broadcast._id, userId })),
+      { ordered: false }
+    ).catch((error) => {
+      if (error.code !== 11000 && !error.writeErrors?.every((writeError) => writeError.code === 11000)) {
+        throw error;
+      }
+    });
+  };
+
+  let chunk = [];
+  for await (const user of cursor) {
+    chunk.push(user._id);
+    if (chunk.length === AUDIENCE_CHUNK_SIZE) {
+      await insertChunk(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) await insertChunk(chunk);
+
+  broadcast.targetedCount = await BroadcastRecipient.countDocuments({ broadcastId: broadcast._id });
+  broadcast.audienceResolvedAt = new Date();
+  await Broadcast.updateOne(
+    { _id: broadcast._id },
+    { $set: { targetedCount: broadcast.targetedCount, audienceResolvedAt: broadcast.audienceResolvedAt } }
+  );
+  logger.info(`Broadcast ${broadcast._id}: ${broadcast.targetedCount} farmers targeted`);
+};
+
+/**
+ * The farmer's active conversation with the broadcast's sender, or a new
+ * one with the sender as the agent (no routing: most farmers never reply)
+ * A conversation with another agent is left alone, so the broadcast never
+ * lands in (or draws replies into) someone else's chat.
+ */
+const getBroadcastConversation = async (broadcast, farmer, language) => {
+  const senderId = broadcast.createdBy.toString();
+  const existing = await Conversation.findOne({
+    userId: farmer._id,
+    assignedSupportId: senderId,
+    isActive: true,
+  }).sort({ updatedAt: -1 });
+  if (existing) return { conversation: existing, created: false };
+
+  const conversation = await Conversation.create({
+    userId: farmer._id,
+    assignedSupportId: senderId,
+    status: "open",
+    language: language,
+    topic: "general",
+    routing: { strategy: "broadcast", tier: "sender", assignedAt: new Date() },
+    queuedAt: null,
+    sla: buildSlaDeadlines(DEFAULT_PRIORITY),
+    unreadCount: {
+      [farmer._id.toString()]: 0,
+      [senderId]: 0,
+    },
+    isActive: true,
+  });
+  return { conversation, created: true };
+};
+
+/**
+ * Messages one farmer and records the result on the recipient
+ */
+const sendToRecipient = async (broadcast, recipient) => {
+  const farmerId = recipient.userId.toString();
+
+  try {
+    // Step 1: Farmer still reachable
+    const farmer = await User.findOne({ _id: farmerId, isActive: true, deleted_at: null })
+      .select(FARMER_FIELDS)
+      .lean();
+    if (!farmer) {
+      await BroadcastRecipient.updateOne(
+        { _id: recipient._id },
+        { $set: { status: "skipped", error: "Farmer is no longer active" } }
+      );
+      return;
+    }
+    if (await isBlockedBetween(farmerId, broadcast.createdBy)) {
+      await BroadcastRecipient.updateOne(
+        { _id: recipient._id },
+        { $set: { status: "skipped", error: "Farmer and sender blocked each other" } }
+      );
+      return;
+    }
+
+    // Step 2: Text and conversation
+    const { content, language } = renderForFarmer(broadcast, farmer);
+    const { conversation, created } = await getBroadcastConversation(broadcast, farmer, language);
+
+    // Step 3: Store the message
+    const message = await Message.create({
+      conversationId: conversation._id,
+      senderId: broadcast.createdBy,
+      messageType: "text",
+      content: content,
+      broadcastId: broadcast._id,
+      deliveredAt: new Date(),
+    });
+    await message.populate("senderId", "first_name last_name phone email image role");
+
+    // Step 4: Update conversation (a broadcast answers nothing, so only a
+    // conversation it opened has its first response set)
+    conversation.lastMessage = message._id;
+    conversation.unreadCount.set(farmerId, (conversation.unreadCount.get(farmerId) || 0) + 1);
+    if (created) {
+      recordFirstResponse(conversation, broadcast.createdBy, message.createdAt);
+    }
+    conversation.updatedAt = new Date();
+    await conversation.save();
+
+    // Step 5: Deliver: live socket, else push notification
+    const conversationId = conversation._id.toString();
+    emitToRoom(conversationId, "message:new", { message: message, conversationId: conversationId });
+
+    let deliveredVia = "stored";
+    if (await isUserOnline(farmerId)) {
+      emitToRoom(farmerId, "notification:new-message", {
+        conversationId: conversationId,
+        message: message,
+        sender: {
+          id: broadcast.createdBy,
+          name: `${message.senderId.first_name} ${message.senderId.last_name}`,
+          role: message.senderId.role,
+        },
+      });
+      deliveredVia = "socket";
+    } else if (await notifyChatMessage({ conversationId, message, receiverId: farmerId })) {
+      deliveredVia = "push";
+    }
+
+    await BroadcastRecipient.updateOne(
+      { _id: recipient._id },
+      {
+        $set: {
+          status: "sent",
+          conversationId: conversation._id,
+          messageId: message._id,
+          deliveredVia: deliveredVia,
+          sentAt: message.createdAt,
+          error: null,
+        },
+      }
+    );
+  } catch (error) {
+    logger.error(`Broadcast ${broadcast._id} to ${farmerId} failed: ${error.message}`);
+    await BroadcastRecipient.updateOne(
+      { _id: recipient._id },
+      { $set: { status: "failed", error: error.message } }
+    );
+  }
+};
+
+/**
+ * Atomically takes the next due broadcast nobody is sending right now and
+ * whose next batch is due
+ */
+const claimNextBroadcast = () => {
+  const now = new Date();
+  return Broadcast.findOneAndUpdate(
+    {
+      status: { $in: ["queued", "sending"] },
+      sendAt: { $lte: now },
+      $and: [
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+        { $or: [{ nextSendAt: null }, { nextSendAt: { $lte: now } }] },
+      ],
+    },
+    { $set: { status: "sending", lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000) } },
+    { sort: { sendAt: 1 }, new: true }
+  ).lean();
+};
+
+/**
+ * One tick of a broadcast: resolve its audience on the first pass, then
+ * message the next batch and hold the broadcast back until the batch's
+ * share of ratePerMinute has passed (nextSendAt)
+ */
+const runBroadcastTick = async (broadcast) => {
+  // Step 1: First pass
+  if (!broadcast.startedAt) {
+    await Broadcast.updateOne({ _id: broadcast._id }, { $set: { startedAt: new Date() } });
+  }
+  if (!broadcast.audienceResolvedAt) {
+    await resolveAudience(broadcast);
+  }
+
+  // Step 2: Next batch (at least one message, so low rates still progress)
+  const startedAt = Date.now();
+  const batchSize = Math.max(1, Math.round((broadcast.ratePerMinute * TICK_SECONDS) / 60));
+  const gapMs = 60000 / broadcast.ratePerMinute;
+  const recipients = await BroadcastRecipient.find({ broadcastId: broadcast._id, status: "pending" })
+    .sort({ _id: 1 })
+    .limit(batchSize)
+    .lean();
+
+  // Step 3: Send, stopping early if cancelled or the lock runs out
+  let sent = 0;
+  for (const recipient of recipients) {
+    if (sent > 0 && new Date(broadcast.lockedUntil) - Date.now() < LOCK_MARGIN_MS) break;
+    if (await Broadcast.exists({ _id: broadcast._id, status: "cancelled" })) return;
+
+    await sendToRecipient(broadcast, recipient);
+    sent += 1;
+  }
+
+  // Step 4: Done, or release it; no instance takes the next batch before
+  // nextSendAt, so the rate holds however many instances run
+  const remaining = await BroadcastRecipient.exists({ broadcastId: broadcast._id, status: "pending" });
+  await Broadcast.updateOne(
+    { _id: broadcast._id, status: "sending" },
+    remaining
+      ? { $set: { lockedUntil: null, nextSendAt: new Date(startedAt + sent * gapMs) } }
+      : { $set: { status: "completed", completedAt: new Date(), lockedUntil: null, nextSendAt: null } }
+  );
+  if (!remaining) {
+    logger.info(`Broadcast ${broadcast._id} completed`);
+  }
+};
+
+/**
+ * Runs one tick of every due broadcast (one broadcast at a time)
+ */
+const processBroadcasts = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const claimed = new Set();
+    let broadcast = await claimNextBroadcast();
+    // A broadcast released in this pass is picked up again on the next tick
+    while (broadcast && !claimed.has(broadcast._id.toString())) {
+      claimed.add(broadcast._id.toString());
+      await runBroadcastTick(broadcast).catch((error) => {
+        logger.error(`Broadcast ${broadcast._id} tick failed: ${error.message}`);
+        return Broadcast.updateOne({ _id: broadcast._id }, { $set: { lockedUntil: null } });
+      });
+      broadcast = await claimNextBroadcast();
+    }
+    if (broadcast) {
+      await Broadcast.updateOne({ _id: broadcast._id }, { $set: { lockedUntil: null } });
+    }
+  } catch (error) {
+    logger.error(`Broadcast queue check failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Starts the broadcast worker; returns a function that stops it
+ */
+const startBroadcastWorker = () => {
+  const timer = setInterval(processBroadcasts, TICK_SECONDS * 1000);
+  timer.unref();
+  setImmediate(processBroadcasts);
+
+  logger.info("Broadcast worker started");
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  previewBroadcastService,
+  createBroadcastService,
+  getBroadcastsService,
+  getBroadcastService,
+  getBroadcastRecipientsService,
+  cancelBroadcastService,
+  startBroadcastWorker,
+};
@@ -0,0 +1,268 @@
+/**
+ * ============================================
+ * CANNED RESPONSE SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * CRUD for the canned-response library and rendering a response for a
+ * specific conversation (language variant + placeholders).
+ *
+ * PLACEHOLDERS:
+ * - {{first_name}}, {{last_name}}, {{full_name}}, {{phone}}, {{state}}, {{city}}
+ *   from the farmer's profile
+ * - {{latest_order_id}}, {{latest_order_status}} from the farmer's newest order
+ * - {{latest_sale_request_id}}, {{latest_sale_request_status}} from the
+ *   farmer's newest crop sale request
+ * - {{agent_first_name}} from the agent using the response
+ *
+ * A placeholder without a value (e.g. no orders yet) is left in the text and
+ * listed in "missing", so the agent can fix it before sending.
+ */
+
+const CannedResponse = require("../models/CannedResponse");
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const ProductOrder = require("../models/productOrderModel");
+const CropSaleRequest = require("../models/cropSaleRequestModel");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { hasPermission } = require("./permissionService");
+
+const PLACEHOLDER_PATTERN = /{{\s*([a-z_]+)\s*}}/g;
+
+const PLACEHOLDERS = [
+  "first_name",
+  "last_name",
+  "full_name",
+  "phone",
+  "state",
+  "city",
+  "latest_order_id",
+  "latest_order_status",
+  "latest_sale_request_id",
+  "latest_sale_request_status",
+  "agent_first_name",
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ========================================
+// CRUD
+// ========================================
+
+const getCannedResponsesService = async (page, limit, { search, topic, language } = {}) => {
+  // Step 1: Build query
+  const query = { isActive: true };
+  if (topic) query.topic = topic;
+  if (language) query["variants.language"] = language;
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: "i" };
+    query.$or = [{ title: pattern }, { shortcut: pattern }, { "variants.content": pattern }];
+  }
+
+  // Step 2: Count and fetch, most used first
+  const skip = (page - 1) * limit;
+  const total = await CannedResponse.countDocuments(query);
+  const data = await CannedResponse.find(query)
+    .sort({ usageCount: -1, title: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+const getCannedResponseByIdService = async (id) => {
+  const cannedResponse = await CannedResponse.findOne({ _id: id, isActive: true });
+  if (!cannedResponse) {
+    throw new ApiError("Canned response not found", 404);
+  }
+  return cannedResponse;
+};
+
+const assertShortcutAvailable = async (shortcut, excludeId) => {
+  const existing = await CannedResponse.exists({
+    shortcut: shortcut.toLowerCase(),
+    isActive: true,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  });
+  if (existing) {
+    throw new ApiError(`Shortcut "${shortcut}" is already in use`, 409);
+  }
+};
+
+const createCannedResponseService = async (data, userId) => {
+  await assertShortcutAvailable(data.shortcut);
+
+  const cannedResponse = await CannedResponse.create({
+    ...data,
+    createdBy: userId,
+    updatedBy: userId,
+  });
+
+  logger.info(`Canned response ${cannedResponse._id} (${cannedResponse.shortcut}) created by ${userId}`);
+  return cannedResponse;
+};
+
+const updateCannedResponseService = async (id, data, userId) => {
+  const cannedResponse = await getCannedResponseByIdService(id);
+
+  if (data.shortcut && data.shortcut.toLowerCase() !== cannedResponse.shortcut) {
+    await assertShortcutAvailable(data.shortcut, id);
+  }
+
+  ["title", "shortcut", "topic", "variants", "defaultLanguage"].forEach((field) => {
+    if (data[field] !== undefined) cannedResponse[field] = data[field];
+  });
+  cannedResponse.updatedBy = userId;
+  await cannedResponse.save();
+
+  logger.info(`Canned response ${id} updated by ${userId}`);
+  return cannedResponse;
+};
+
+const deleteCannedResponseService = async (id, userId) => {
+  const cannedResponse = await getCannedResponseByIdService(id);
+  cannedResponse.isActive = false;
+  cannedResponse.updatedBy = userId;
+  await cannedResponse.save();
+
+  logger.info(`Canned response ${id} deleted by ${userId}`);
+};
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Values for every placeholder used in the text; only the lookups the
+ * text needs are run
+ */
+const resolvePlaceholderValues = async (text, farmerId, agentId) => {
+  const used = new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]));
+  const needs = (...names) => names.some((name) => used.has(name));
+  const values = {};
+
+  if (needs("first_name", "last_name", "full_name", "phone", "state", "city")) {
+    const farmer = await User.findById(farmerId).select("first_name last_name phone state city").lean();
+    if (farmer) {
+      values.first_name = farmer.first_name;
+      values.last_name = farmer.last_name;
+      values.full_name = [farmer.first_name, farmer.last_name].filter(Boolean).join(" ");
+      values.phone = farmer.phone;
+      values.state = farmer.state;
+      values.city = farmer.city;
+    }
+  }
+
+  if (needs("latest_order_id", "latest_order_status")) {
+    const order = await ProductOrder.findOne({ userId: farmerId, deleted_at: null })
+      .sort({ createdAt: -1 })
+      .select("orderId status")
+      .lean();
+    values.latest_order_id = order?.orderId;
+    values.latest_order_status = order?.status;
+  }
+
+  if (needs("latest_sale_request_id", "latest_sale_request_status")) {
+    const saleRequest = await CropSaleRequest.findOne({ userId: farmerId, deleted_at: null })
+      .sort({ createdAt: -1 })
+      .select("requestId status")
+      .lean();
+    values.latest_sale_request_id = saleRequest?.requestId;
+    values.latest_sale_request_status = saleRequest?.status;
+  }
+
+  if (needs("agent_first_name") && agentId) {
+    const agent = await User.findById(agentId).select("first_name").lean();
+    values.agent_first_name = agent?.first_name;
+  }
+
+  return values;
+};
+
+/**
+ * Language variant to use: conversation language, then the response's
+ * default language, then whatever exists
+ */
+const pickVariant = (cannedResponse, language) =>
+  cannedResponse.variants.find((variant) => variant.language === language) ||
+  cannedResponse.variants.find((variant) => variant.language === cannedResponse.defaultLanguage) ||
+  cannedResponse.variants[0];
+
+/**
+ * RENDER CANNED RESPONSE SERVICE
+ *
+ * Business logic:
+ * - Caller must be able to see the conversation (participant or chat:read-any)
+ * - Picks the variant for the conversation's language
+ * - Fills in placeholders for the conversation's farmer
+ *
+ * Returns { content, language, missing }
+ */
+const renderCannedResponseService = async (id, conversationId, userId, userRole) => {
+  // Step 1: Load response and conversation
+  const cannedResponse = await getCannedResponseByIdService(id);
+  const conversation = await Conversation.findOne({ _id: conversationId, isActive: true })
+    .select("userId assignedSupportId language")
+    .lean();
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+
+  // Step 2: Same access rule as opening the conversation
+  const isParticipant =
+    conversation.userId.toString() === userId || conversation.assignedSupportId?.toString() === userId;
+  if (!isParticipant && !(await hasPermission(userRole, "chat:read-any"))) {
+    throw new ApiError("Access denied. You are not a participant of this conversation", 403);
+  }
+
+  // Step 3: Pick language variant
+  const variant = pickVariant(cannedResponse, conversation.language);
+  if (!variant) {
+    throw new ApiError("Canned response has no text", 422);
+  }
+
+  // Step 4: Fill in placeholders
+  const values = await resolvePlaceholderValues(variant.content, conversation.userId, userId);
+  const missing = new Set();
+  const content = variant.content.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === "") {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+
+  return { content, language: variant.language, missing: [...missing] };
+};
+
+/**
+ * Counts a use of the response (called when a macro is actually sent)
+ */
+const recordCannedResponseUse = (id) =>
+  CannedResponse.updateOne({ _id: id }, { $inc: { usageCount: 1 } }).catch((error) =>
+    logger.error(`Failed to record canned response use for ${id}: ${error.message}`)
+  );
+
+module.exports = {
+  PLACEHOLDERS,
+  getCannedResponsesService,
+  getCannedResponseByIdService,
+  createCannedResponseService,
+  updateCannedResponseService,
+  deleteCannedResponseService,
+  renderCannedResponseService,
+  recordCannedResponseUse,
+};
@@ -0,0 +1,413 @@
+/**
+ * ============================================
+ * CHAT MODERATION SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Keeps support chat free of abuse.
+ *
+ * WHAT IT DOES:
+ * 1. Word filters: admins keep a list of words per language (plus "all").
+ *    Public text messages and edits are checked against the lists of the
+ *    conversation language, English and "all"; listed words are masked
+ *    ("****") or the message is rejected, depending on the list's action
+ * 2. Blocking: a user blocks another one; from then on neither can message
+ *    the other, routing and claims skip the pair, and conversations they
+ *    share go back to the unassigned queue for another agent
+ * 3. Reports: a participant reports a message; a moderation case with a
+ *    copy of the message is opened for admins (chat:moderate)
+ *
+ * Per-socket flood limits live in chatSocket.js (SOCKET_RATE_LIMIT).
+ * Internal notes are agent-only and not filtered.
+ */
+
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const ModerationCase = require("../models/ModerationCase");
+const User = require("../models/User");
+const UserBlock = require("../models/UserBlock");
+const WordFilter = require("../models/WordFilter");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { hasPermission } = require("./permissionService");
+const { ALL_LANGUAGES } = require("../config/chatModeration");
+
+// Every instance keeps its own copy of the lists; edits made on another
+// instance are picked up once the cache expires
+const FILTER_CACHE_TTL_MS = 60 * 1000;
+
+let filterCache = null; // Map<language, { action, pattern }>
+let filterCacheLoadedAt = 0;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// ========================================
+// WORD FILTERS
+// ========================================
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * One pattern per list. Whole words only: a listed word inside a longer
+ * word does not match. Letters, digits and combining marks (Indic vowel
+ * signs) count as part of a word.
+ */
+const buildFilterPattern = (words) => {
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => escapeRegex(word).replace(/\s+/g, "\\s+"))
+    .join("|");
+  return new RegExp(`(?<![\\p{L}\\p{N}\\p{M}])(?:${alternatives})(?![\\p{L}\\p{N}\\p{M}])`, "giu");
+};
+
+const loadFilters = async () => {
+  const lists = await WordFilter.find({ "words.0": { $exists: true } }).lean();
+  filterCache = new Map(
+    lists.map((list) => [list.language, { action: list.action, pattern: buildFilterPattern(list.words) }])
+  );
+  filterCacheLoadedAt = Date.now();
+  return filterCache;
+};
+
+const getFilters = async () => {
+  if (filterCache && Date.now() - filterCacheLoadedAt < FILTER_CACHE_TTL_MS) return filterCache;
+  return loadFilters();
+};
+
+/**
+ * FILTER MESSAGE CONTENT
+ *
+ * Applies the word lists of the conversation language, English and "all"
+ * - Any "reject" list matching: 400, nothing is saved
+ * - "mask" lists: each listed word becomes asterisks
+ *
+ * Returns { content, masked } (masked = number of words hidden)
+ */
+const filterMessageContent = async (content, language) => {
+  if (!content) return { content, masked: 0 };
+
+  const filters = await getFilters();
+  const applicable = [...new Set([ALL_LANGUAGES, language || "en", "en"])]
+    .map((code) => filters.get(code))
+    .filter(Boolean);
+
+  // Step 1: Rejecting lists first, so a rejected message is never half-masked
+  for (const filter of applicable.filter((item) => item.action === "reject")) {
+    filter.pattern.lastIndex = 0;
+    if (filter.pattern.test(content)) {
+      throw new ApiError("Your message contains words that are not allowed in chat", 400);
+    }
+  }
+
+  // Step 2: Mask
+  let masked = 0;
+  let result = content;
+  for (const filter of applicable.filter((item) => item.action === "mask")) {
+    result = result.replace(filter.pattern, (match) => {
+      masked += 1;
+      return match.replace(/[\p{L}\p{N}\p{M}]/gu, "*");
+    });
+  }
+
+  return { content: result, masked };
+};
+
+/**
+ * GET WORD FILTERS SERVICE
+ */
+const getWordFiltersService = () =>
+  WordFilter.find().sort({ language: 1 }).populate("updatedBy", "first_name last_name").lean();
+
+/**
+ * UPDATE WORD FILTER SERVICE
+ *
+ * Replaces the list of one language (created on first use); an empty
+ * list turns filtering off for that language
+ */
+const updateWordFilterService = async (language, { words, action }, userId) => {
+  const update = {
+    updatedBy: userId,
+    ...(words !== undefined && { words: [...new Set(words.map((word) => word.toLowerCase()))] }),
+    ...(action !== undefined && { action }),
+  };
+
+  const filter = await WordFilter.findOneAndUpdate({ language }, { $set: update }, { upsert: true, new: true });
+  filterCache = null;
+
+  logger.info(`Word filter "${language}" updated by ${userId}: ${filter.words.length} word(s), ${filter.action}`);
+  return filter;
+};
+
+// ========================================
+// BLOCKING
+// ========================================
+
+const blockBetween = (userA, userB) =>
+  UserBlock.findOne({
+    $or: [
+      { blockerId: userA, blockedId: userB },
+      { blockerId: userB, blockedId: userA },
+    ],
+  }).lean();
+
+/**
+ * Whether either user blocked the other
+ */
+const isBlockedBetween = async (userA, userB) => {
+  if (!userA || !userB) return false;
+  return Boolean(await blockBetween(userA, userB));
+};
+
+/**
+ * Users this one blocked or was blocked by (Set of ids), e.g. agents
+ * routing must skip for a farmer
+ */
+const getBlockedUserIds = async (userId) => {
+  const blocks = await UserBlock.find({ $or: [{ blockerId: userId }, { blockedId: userId }] })
+    .select("blockerId blockedId")
+    .lean();
+  return new Set(
+    blocks.map((block) =>
+      idOf(block.blockerId) === idOf(userId) ? idOf(block.blockedId) : idOf(block.blockerId)
+    )
+  );
+};
+
+/**
+ * Throws 403 when sender and receiver blocked each other
+ * (no receiver yet while the conversation is queued: nothing to check)
+ */
+const assertCanMessage = async (senderId, receiverId) => {
+  if (!receiverId) return;
+
+  const block = await blockBetween(senderId, receiverId);
+  if (!block) return;
+  if (idOf(block.blockerId) === idOf(senderId)) {
+    throw new ApiError("You have blocked this user. Unblock them to send messages", 403);
+  }
+  throw new ApiError("You can't send messages to this user", 403);
+};
+
+/**
+ * BLOCK USER SERVICE
+ *
+ * Business logic:
+ * - Any user can block any other active user (not themselves)
+ * - Blocking again only updates the reason
+ * - Active conversations where one of them is the assigned agent of the
+ *   other go back to the unassigned queue (returned, the caller announces
+ *   them with notifyConversationQueued)
+ */
+const blockUserService = async (blockerId, blockedId, reason) => {
+  // Step 1: Validate
+  if (idOf(blockerId) === idOf(blockedId)) {
+    throw new ApiError("You cannot block yourself", 400);
+  }
+  const blocked = await User.findOne({ _id: blockedId, deleted_at: null }).select("first_name last_name role").lean();
+  if (!blocked) {
+    throw new ApiError("User not found", 404);
+  }
+
+  // Step 2: Save (idempotent)
+  const block = await UserBlock.findOneAndUpdate(
+    { blockerId, blockedId },
+    { $set: { reason: reason || null } },
+    { upsert: true, new: true }
+  );
+
+  // Step 3: Release shared conversations to the queue
+  const shared = await Conversation.find({
+    isActive: true,
+    $or: [
+      { userId: blockerId, assignedSupportId: blockedId },
+      { userId: blockedId, assignedSupportId: blockerId },
+    ],
+  });
+  const now = new Date();
+  for (const conversation of shared) {
+    conversation.assignedSupportId = null;
+    conversation.queuedAt = now;
+    conversation.escalatedAt = null;
+    conversation.set("routing.tier", "blocked");
+    await conversation.save();
+  }
+
+  logger.info(`User ${blockerId} blocked ${blockedId} (${shared.length} conversation(s) back in the queue)`);
+  return { block, blockedUser: blocked, releasedConversations: shared };
+};
+
+/**
+ * UNBLOCK USER SERVICE
+ */
+const unblockUserService = async (blockerId, blockedId) => {
+  const result = await UserBlock.deleteOne({ blockerId, blockedId });
+  if (result.deletedCount === 0) {
+    throw new ApiError("This user is not blocked", 404);
+  }
+  logger.info(`User ${blockerId} unblocked ${blockedId}`);
+};
+
+/**
+ * GET BLOCKED USERS SERVICE
+ * Users the caller blocked, most recent first
+ */
+const getBlockedUsersService = (userId) =>
+  UserBlock.find({ blockerId: userId })
+    .populate("blockedId", "first_name last_name image role")
+    .sort({ createdAt: -1 })
+    .lean();
+
+// ========================================
+// REPORTS
+// ========================================
+
+/**
+ * REPORT MESSAGE SERVICE
+ *
+ * Business logic:
+ * - Participants only, and only messages they can see
+ * - Not their own messages; once per message per reporter (409)
+ * - The message is copied into the case
+ */
+const reportMessageService = async (messageId, userId, userRole, { reason, details }) => {
+  // Step 1: Message and access (same rules as edits and reactions in
+  // messageActionService.js, which uses this service for filtering)
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw new ApiError("Message not found", 404);
+  }
+  const conversation = await Conversation.findOne({ _id: message.conversationId, isActive: true }).lean();
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+  if (idOf(conversation.userId) !== userId && idOf(conversation.assignedSupportId) !== userId) {
+    throw new ApiError("You are not a participant of this conversation", 403);
+  }
+  if (
+    message.visibility === "internal" &&
+    (idOf(conversation.userId) === userId || !(await hasPermission(userRole, "chat:internal-notes")))
+  ) {
+    throw new ApiError("Message not found", 404);
+  }
+  if (idOf(message.senderId) === userId) {
+    throw new ApiError("You cannot report your own message", 400);
+  }
+
+  // Step 2: Open the case
+  try {
+    const moderationCase = await ModerationCase.create({
+      messageId: message._id,
+      conversationId: message.conversationId,
+      reportedBy: userId,
+      reportedUserId: message.senderId,
+      reason,
+      details: details || null,
+      snapshot: {
+        messageType: message.messageType,
+        content: message.content,
+        mediaId: message.mediaId,
+        sentAt: message.createdAt,
+      },
+    });
+
+    logger.warn(`Message ${messageId} reported by ${userId} (${reason}), case ${moderationCase._id}`);
+    return moderationCase;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError("You have already reported this message", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * GET MODERATION CASES SERVICE
+ * Oldest first, so the longest-waiting reports are reviewed first
+ */
+const getModerationCasesService = async (page, limit, { status, reportedUserId } = {}) => {
+  const query = {
+    ...(status && { status }),
+    ...(reportedUserId && { reportedUserId }),
+  };
+  const skip = (page - 1) * limit;
+
+  const total = await ModerationCase.countDocuments(query);
+  const cases = await ModerationCase.find(query)
+    .populate("reportedBy", "first_name last_name role")
+    .populate("reportedUserId", "first_name last_name phone role isActive")
+    .populate("snapshot.mediaId", "name type url")
+    .populate("reviewedBy", "first_name last_name")
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data: cases,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+/**
+ * REVIEW MODERATION CASE SERVICE
+ *
+ * Closes a case as "resolved" or "dismissed" with an optional note.
+ * messageDeleted records that the reviewer deleted the message (the
+ * caller deletes it first).
+ */
+const reviewModerationCaseService = async (caseId, reviewerId, { status, resolution, messageDeleted = false }) => {
+  const moderationCase = await ModerationCase.findById(caseId);
+  if (!moderationCase) {
+    throw new ApiError("Moderation case not found", 404);
+  }
+
+  moderationCase.status = status;
+  moderationCase.resolution = resolution || null;
+  moderationCase.messageDeleted = moderationCase.messageDeleted || messageDeleted;
+  moderationCase.reviewedBy = reviewerId;
+  moderationCase.reviewedAt = new Date();
+  await moderationCase.save();
+
+  logger.info(`Moderation case ${caseId} ${status} by ${reviewerId}`);
+  return moderationCase;
+};
+
+/**
+ * Looks up a case (for the controller, before acting on its message)
+ */
+const getModerationCaseService = async (caseId) => {
+  const moderationCase = await ModerationCase.findById(caseId).lean();
+  if (!moderationCase) {
+    throw new ApiError("Moderation case not found", 404);
+  }
+  return moderationCase;
+};
+
+module.exports = {
+  // Word filters
+  filterMessageContent,
+  getWordFiltersService,
+  updateWordFilterService,
+
+  // Blocking
+  isBlockedBetween,
+  getBlockedUserIds,
+  assertCanMessage,
+  blockUserService,
+  unblockUserService,
+  getBlockedUsersService,
+
+  // Reports
+  reportMessageService,
+  getModerationCasesService,
+  getModerationCaseService,
+  reviewModerationCaseService,
+};
@@ -0,0 +1,249 @@
+/**
+ * ============================================
+ * CHAT NOTIFICATION SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Push notifications (FCM) for chat messages when the receiver has no live
+ * socket, e.g. the farmer's app is closed.
+ *
+ * HOW IT WORKS:
+ * 1. The first message of a burst is pushed right away
+ * 2. Further messages to the same receiver in the same conversation within
+ *    CHAT_PUSH_COLLAPSE_SECONDS are collected; when the window ends, one
+ *    "N new messages" push replaces the first one on the device (same
+ *    collapse key), unless the receiver has read them in the meantime
+ * 3. Nothing is pushed during the receiver's quiet hours; the messages stay
+ *    unread and show up in the app as usual
+ * 4. Every push carries the conversation and message ids plus a deep link
+ *    (CHAT_PUSH_DEEP_LINK) so tapping it opens the right conversation
+ *
+ * Callers decide whether the receiver is online (chatSocket.js keeps the
+ * connections). Pending bursts live in memory, per server instance.
+ */
+
+const Message = require("../models/Message");
+const User = require("../models/User");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const COLLAPSE_SECONDS = parseInt(process.env.CHAT_PUSH_COLLAPSE_SECONDS || "60", 10);
+const DEEP_LINK_TEMPLATE = process.env.CHAT_PUSH_DEEP_LINK || "agritech://chat/{conversationId}";
+const MAX_BODY_LENGTH = 120;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MEDIA_LABELS = {
+  image: "Sent a photo",
+  audio: "Sent a voice message",
+  video: "Sent a video",
+};
+
+/**
+ * Open bursts: "receiverId:conversationId" → { messageIds, senderName, lastMessageId }
+ */
+const bursts = new Map();
+
+// ========================================
+// QUIET HOURS
+// ========================================
+
+/**
+ * Whether a timezone name is known to this Node.js build
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether "now" falls inside the user's quiet hours
+ * Windows may cross midnight (22:00 → 07:00)
+ */
+const isInQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+  const local = new Intl.DateTimeFormat("en-GB", {
+    timeZone: quietHours.timezone || "Asia/Kolkata",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+
+  const { start, end } = quietHours;
+  if (start === end) return false;
+  return start < end ? local >= start && local < end : local >= start || local < end;
+};
+
+// ========================================
+// PUSH
+// ========================================
+
+const buildDeepLink = (conversationId) => DEEP_LINK_TEMPLATE.replace("{conversationId}", conversationId);
+
+const truncate = (text) => (text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 3)}...` : text);
+
+/**
+ * Sends one chat push to a user, honouring quiet hours
+ */
+const pushToUser = async (userId, conversationId, { title, body, messageId, count }) => {
+  const user = await User.findById(userId).select("fcmToken chatNotifications").lean();
+  if (!user?.fcmToken?.length) return false;
+
+  if (isInQuietHours(user.chatNotifications?.quietHours)) {
+    logger.info(`Chat push to ${userId} skipped (quiet hours)`);
+    return false;
+  }
+
+  // FCM data values must be strings
+  await sendPushNotification(user.fcmToken, {
+    title,
+    body,
+    collapseKey: `chat-${conversationId}`,
+    data: {
+      click_action: "FLUTTER_NOTIFICATION_CLICK",
+      type: "chat",
+      conversationId: conversationId,
+      messageId: messageId.toString(),
+      count: String(count),
+      deepLink: buildDeepLink(conversationId),
+    },
+  });
+  return true;
+};
+
+/**
+ * Ends a collapse window: sends the summary of what is still unread and
+ * opens a new window if it did, so a long burst keeps collapsing
+ */
+const flushBurst = async (key, receiverId, conversationId) => {
+  const burst = bursts.get(key);
+  bursts.delete(key);
+  if (!burst || burst.messageIds.length === 0) return;
+
+  const unread = await Message.countDocuments({ _id: { $in: burst.messageIds }, isRead: false });
+  if (unread === 0) return;
+
+  openBurst(key, receiverId, conversationId);
+  await pushToUser(receiverId, conversationId, {
+    title: `New messages from ${burst.senderName}`,
+    body: unread === 1 ? "1 new message" : `${unread} new messages`,
+    messageId: burst.lastMessageId,
+    count: unread,
+  });
+};
+
+const openBurst = (key, receiverId, conversationId) => {
+  const burst = { messageIds: [], senderName: null, lastMessageId: null };
+  bursts.set(key, burst);
+
+  const timer = setTimeout(() => {
+    flushBurst(key, receiverId, conversationId).catch((error) =>
+      logger.error(`Chat push summary failed: ${error.message}`)
+    );
+  }, COLLAPSE_SECONDS * 1000);
+  timer.unref();
+
+  return burst;
+};
+
+/**
+ * NOTIFY CHAT MESSAGE
+ *
+ * Business logic:
+ * - Call only when the receiver has no live socket
+ * - First message of a burst: pushed now
+ * - Later messages in the window: counted for the summary push
+ *
+ * message must have senderId populated (first_name)
+ */
+const notifyChatMessage = async ({ conversationId, message, receiverId }) => {
+  if (!receiverId) return false;
+
+  const id = conversationId.toString();
+  const key = `${receiverId}:${id}`;
+  const senderName = message.senderId.first_name;
+
+  // Step 1: Inside a window, only count it
+  const open = bursts.get(key);
+  if (open) {
+    open.messageIds.push(message._id);
+    open.senderName = senderName;
+    open.lastMessageId = message._id;
+    return false;
+  }
+
+  // Step 2: First message of a burst (window opened before any await so
+  // messages arriving meanwhile are collapsed)
+  openBurst(key, receiverId.toString(), id);
+  return pushToUser(receiverId, id, {
+    title: `New message from ${senderName}`,
+    body: message.messageType === "text" ? truncate(message.content) : MEDIA_LABELS[message.messageType],
+    messageId: message._id,
+    count: 1,
+  });
+};
+
+// ========================================
+// SETTINGS
+// ========================================
+
+const formatSettings = (user) => ({
+  quietHours: {
+    enabled: user.chatNotifications?.quietHours?.enabled ?? false,
+    start: user.chatNotifications?.quietHours?.start ?? "22:00",
+    end: user.chatNotifications?.quietHours?.end ?? "07:00",
+    timezone: user.chatNotifications?.quietHours?.timezone ?? "Asia/Kolkata",
+  },
+});
+
+/**
+ * GET CHAT NOTIFICATION SETTINGS SERVICE
+ */
+const getChatNotificationSettingsService = async (userId) => {
+  const user = await User.findOne({ _id: userId, deleted_at: null }).select("chatNotifications").lean();
+  if (!user) {
+    throw new ApiError("User not found", 404);
+  }
+  return formatSettings(user);
+};
+
+/**
+ * UPDATE CHAT NOTIFICATION SETTINGS SERVICE
+ *
+ * Only the quiet hours fields that were sent are changed
+ */
+const updateChatNotificationSettingsService = async (userId, { quietHours = {} }) => {
+  // Step 1: Find the user
+  const user = await User.findOne({ _id: userId, deleted_at: null });
+  if (!user) {
+    throw new ApiError("User not found", 404);
+  }
+
+  // Step 2: Apply only the provided fields
+  for (const field of ["enabled", "start", "end", "timezone"]) {
+    if (quietHours[field] !== undefined) {
+      user.set(`chatNotifications.quietHours.${field}`, quietHours[field]);
+    }
+  }
+  await user.save();
+
+  logger.info(`Chat notification settings of ${userId} updated`);
+  return formatSettings(user);
+};
+
+module.exports = {
+  COLLAPSE_SECONDS,
+  TIME_PATTERN,
+  isValidTimezone,
+  isInQuietHours,
+  buildDeepLink,
+  notifyChatMessage,
+  getChatNotificationSettingsService,
+  updateChatNotificationSettingsService,
+};
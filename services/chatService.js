@@ -22,6 +22,7 @@
  * 
  * SCALABILITY:
  * - Assignment logic is centralized in assignSupportToUser()
+ * - Routing strategies live in supportRoutingService.js
  * - Easy to change from single support to multiple support
  * - Just update ONE function when scaling
  */
@@ -32,6 +33,51 @@ const User = require("../models/User");
 const MediaMaster = require("../models/mediaMaster");
 const ApiError = require("../utils/error");
 const logger = require("../utils/logger");
+const { hasPermission } = require("./permissionService");
+const { routeConversation, getActiveLoads } = require("./supportRoutingService");
+const { notifyConversationQueued } = require("./supportQueueService");
+const {
+  buildSlaDeadlines,
+  refreshSlaDeadlines,
+  recordFirstResponse,
+  recordStatusChange,
+  getSlaReportService,
+} = require("./supportSlaService");
+const { canSeeInternalNotes } = require("./internalNoteService");
+const { requestRating, notifyRatingRequested, getRatingReportService } = require("./conversationRatingService");
+const { resolveReplyTo, REPLY_TO_POPULATE } = require("./messageActionService");
+const { attachTranslations } = require("./messageTranslationService");
+const { enqueueTranscription, attachTranscript } = require("./transcriptionService");
+const { filterMessageContent, assertCanMessage, isBlockedBetween } = require("./chatModerationService");
+const {
+  normalizeClientMessageId,
+  findMessageByClientId,
+  isDuplicateClientMessageError,
+  getConversationSyncService,
+} = require("./chatSyncService");
+const { normalizeLanguage } = require("../config/supportRouting");
+const { DEFAULT_PRIORITY } = require("../config/supportSla");
+
+// ========================================
+// PARTICIPANT HELPERS
+// ========================================
+
+/**
+ * Conversation references may be populated documents or plain ObjectIds,
+ * and assignedSupportId is null while a conversation waits in the queue
+ */
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const isConversationParticipant = (conversation, userId) =>
+  idOf(conversation.userId) === userId || idOf(conversation.assignedSupportId) === userId;
+
+/**
+ * The other side of the conversation, or null when nobody is assigned yet
+ */
+const getReceiverId = (conversation, senderId) =>
+  idOf(conversation.userId) === senderId
+    ? idOf(conversation.assignedSupportId) || null
+    : idOf(conversation.userId);
 
 // ========================================
 // CONVERSATION SERVICES
@@ -41,52 +87,79 @@ const logger = require("../utils/logger");
  * CREATE OR GET CONVERSATION SERVICE
  * 
  * Business logic:
- * 1. Check if conversation already exists between user and support
+ * 1. Check if the user already has an active conversation
  * 2. If exists: Return existing conversation (prevent duplicates)
- * 3. If not: Assign a support agent and create new conversation
+ * 3. If not: Route to a support agent and create new conversation
  * 
- * Scalability:
- * - Currently assigns the single support agent
- * - When multiple support: Just update assignSupportToUser() function
- * - No other code changes needed
+ * Routing:
+ * - language: from the request, else the farmer's preferredLanguage, else "en"
+ * - topic: from the request, else "general"
+ * - The agent is picked by supportRoutingService (see SUPPORT_ROUTING_STRATEGY)
  */
-const createOrGetConversationService = async (userId) => {
-  // Step 1: Find which support agent to assign
-  // This function handles single or multiple support logic
-  const assignedSupportId = await assignSupportToUser();
-
-  // Step 2: Check if conversation already exists between this user and support
-  // Prevents duplicate conversations for same user-support pair
+const createOrGetConversationService = async (userId, { language, topic } = {}) => {
+  // Step 1: Check if the user already has an active conversation
+  // Prevents duplicate conversations for the same farmer
   const existingConversation = await Conversation.findOne({
     userId: userId,
-    assignedSupportId: assignedSupportId,
     isActive: true, // Only check active conversations
   })
+    .sort({ updatedAt: -1 })
     .populate("userId", "first_name last_name phone email image isOnline lastSeen") // Get user details
     .populate("assignedSupportId", "first_name last_name phone email image role isOnline lastSeen") // Get support details
     .populate("lastMessage"); // Get last message preview
 
-  // Step 3: If conversation exists, return it
+  // Step 2: If conversation exists, return it
   if (existingConversation) {
     logger.info(`Existing conversation found: ${existingConversation._id}`);
     return existingConversation;
   }
 
-  // Step 4: No existing conversation, create new one
-  logger.info(`Creating new conversation between user ${userId} and support ${assignedSupportId}`);
+  // Step 3: Work out language and topic for routing
+  const user = await User.findById(userId).select("preferredLanguage").lean();
+  const conversationLanguage = normalizeLanguage(language) || user?.preferredLanguage || "en";
+  const conversationTopic = topic || "general";
+
+  // Step 4: Find which support agent to assign
+  const routing = await assignSupportToUser({
+    userId,
+    language: conversationLanguage,
+    topic: conversationTopic,
+  });
+  const assignedSupportId = routing.agentId;
+
+  // Step 5: Create the conversation
+  // With no agent it waits in the unassigned queue until someone claims it
+  logger.info(
+    assignedSupportId
+      ? `Creating new conversation between user ${userId} and support ${assignedSupportId}`
+      : `Creating new queued conversation for user ${userId}`
+  );
 
   const newConversation = await Conversation.create({
     userId: userId,
     assignedSupportId: assignedSupportId,
     status: "open", // New conversation starts as "open"
+    language: conversationLanguage,
+    topic: conversationTopic,
+    routing: {
+      strategy: routing.strategy,
+      tier: routing.tier,
+      assignedAt: assignedSupportId ? new Date() : null,
+    },
+    queuedAt: assignedSupportId ? null : new Date(),
+    sla: buildSlaDeadlines(DEFAULT_PRIORITY), // SLA timers start now, queue time included
     unreadCount: {
       [userId]: 0,              // User has 0 unread (they just created it)
-      [assignedSupportId]: 0,   // Support has 0 unread initially
+      ...(assignedSupportId && { [assignedSupportId]: 0 }), // Support has 0 unread initially
     },
     isActive: true,
   });
 
-  // Step 5: Populate user details before returning
+  if (!assignedSupportId) {
+    notifyConversationQueued(newConversation);
+  }
+
+  // Step 6: Populate user details before returning
   await newConversation.populate("userId", "first_name last_name phone email image isOnline lastSeen");
   await newConversation.populate("assignedSupportId", "first_name last_name phone email image role isOnline lastSeen");
 
@@ -97,155 +170,84 @@ const createOrGetConversationService = async (userId) => {
 /**
  * ASSIGN SUPPORT TO USER
  * 
- * ⭐ THIS IS THE KEY FUNCTION FOR SCALABILITY ⭐
- * 
- * CURRENT BEHAVIOR (Single Support):
- * - Finds the one user with role "Support"
- * - Returns that support's ID
+ * ⭐ SINGLE ENTRY POINT FOR AGENT ASSIGNMENT ⭐
  * 
- * FUTURE BEHAVIOR (Multiple Support):
- * - Uncomment one of the strategy functions below
- * - No other code changes needed!
+ * Delegates to supportRoutingService, which picks an agent using the
+ * strategy configured in SUPPORT_ROUTING_STRATEGY (skills, least-busy,
+ * round-robin, online, single) and SUPPORT_ROUTING_FALLBACK.
  * 
- * Available strategies (included below):
- * 1. Round Robin: Distribute evenly among all support agents
- * 2. Load Based: Assign to agent with fewest active chats
- * 3. Availability Based: Only assign to online agents
+ * Returns { agentId, strategy, tier }; agentId is null when the
+ * conversation should wait in the unassigned queue
  */
-const assignSupportToUser = async () => {
-  // Step 1: Find all users with role "Support" who are active
-  const supportUsers = await User.find({
-    role: "Support",
-    isActive: true,
-    deleted_at: null, // Exclude soft-deleted users
-  });
-
-  // Step 2: Validate that at least one support user exists
-  if (!supportUsers || supportUsers.length === 0) {
-    // No support users found - this is a critical error
-    logger.error("No active support users found in system");
-    throw new ApiError("No support agents available. Please contact administrator.", 503);
-  }
-
-  // ========================================
-  // CURRENT: Single Support Assignment
-  // ========================================
-  
-  // For single support: Just return the first (only) support user
-  logger.info(`Assigning support user: ${supportUsers[0]._id}`);
-  return supportUsers[0]._id;
-
-  // ========================================
-  // FUTURE: Multiple Support Assignment
-  // ========================================
-  
-  // When you have multiple support agents, REPLACE the above return with ONE of these:
-
-  // OPTION 1: Round Robin Assignment (Distribute evenly)
-  // return await getRoundRobinSupport(supportUsers);
-
-  // OPTION 2: Load-Based Assignment (Least busy agent)
-  // return await getLeastBusySupport(supportUsers);
+const assignSupportToUser = async (context) => routeConversation(context);
 
-  // OPTION 3: Availability-Based Assignment (Only online agents)
-  // return await getOnlineSupport(supportUsers);
-};
-
-/**
- * ROUND ROBIN SUPPORT ASSIGNMENT (For Future Use)
- * 
- * How it works:
- * - Rotates through support agents in order
- * - Support 1 → Support 2 → Support 3 → Support 1 (cycle)
- * - Ensures equal distribution of workload
- * 
- * Implementation:
- * - Counts total conversations per support agent
- * - Assigns to agent with fewest total conversations
- * 
- * To activate: Uncomment the return statement in assignSupportToUser()
- */
-const getRoundRobinSupport = async (supportUsers) => {
-  // Step 1: Count total conversations for each support agent
-  const supportCounts = await Promise.all(
-    supportUsers.map(async (support) => {
-      const count = await Conversation.countDocuments({
-        assignedSupportId: support._id,
-      });
-      return { supportId: support._id, count };
-    })
-  );
-
-  // Step 2: Sort by count (ascending) and get agent with least conversations
-  supportCounts.sort((a, b) => a.count - b.count);
-  
-  const selectedSupport = supportCounts[0].supportId;
-  logger.info(`Round-robin: Assigned support ${selectedSupport} (has ${supportCounts[0].count} conversations)`);
-  
-  return selectedSupport;
-};
+// ========================================
+// SUPPORT AGENT PROFILES
+// ========================================
 
 /**
- * LOAD-BASED SUPPORT ASSIGNMENT (For Future Use)
- * 
- * How it works:
- * - Assigns to support agent with fewest ACTIVE conversations
- * - Only counts open/waiting conversations (not resolved/closed)
- * - Prevents overloading busy agents
+ * GET SUPPORT AGENTS SERVICE
  * 
- * To activate: Uncomment the return statement in assignSupportToUser()
+ * Lists Support users with their routing profile, presence and current load
+ * Used by the dashboard to see who can take which conversations
  */
-const getLeastBusySupport = async (supportUsers) => {
-  // Step 1: Count active conversations for each support agent
-  const supportCounts = await Promise.all(
-    supportUsers.map(async (support) => {
-      const count = await Conversation.countDocuments({
-        assignedSupportId: support._id,
-        status: { $in: ["open", "waiting"] }, // Only count active conversations
-        isActive: true,
-      });
-      return { supportId: support._id, count };
-    })
-  );
-
-  // Step 2: Find agent with minimum active conversations
-  supportCounts.sort((a, b) => a.count - b.count);
-  
-  const selectedSupport = supportCounts[0].supportId;
-  logger.info(`Load-based: Assigned support ${selectedSupport} (has ${supportCounts[0].count} active chats)`);
-  
-  return selectedSupport;
+const getSupportAgentsService = async () => {
+  // Step 1: Fetch active Support users
+  const agents = await User.find({ role: "Support", isActive: true, deleted_at: null })
+    .select("first_name last_name phone email image isOnline lastSeen supportProfile")
+    .lean();
+
+  // Step 2: Attach open/waiting conversation counts
+  const loads = await getActiveLoads(agents.map((agent) => agent._id));
+
+  return agents.map((agent) => ({
+    ...agent,
+    activeConversations: loads.get(String(agent._id)) || 0,
+  }));
 };
 
 /**
- * AVAILABILITY-BASED SUPPORT ASSIGNMENT (For Future Use)
- * 
- * How it works:
- * - Only assigns to support agents who are currently online
- * - If no one online, assigns to agent who was online most recently
- * - Ensures faster response times
+ * UPDATE SUPPORT PROFILE SERVICE
  * 
- * To activate: Uncomment the return statement in assignSupportToUser()
+ * Business logic:
+ * - Agents edit their own profile (chat:agent-profile)
+ * - chat:manage-agents can edit any agent's profile
+ * - Only Support users are routed, so only they have a profile
  */
-const getOnlineSupport = async (supportUsers) => {
-  // Step 1: Filter only online support agents
-  const onlineSupport = supportUsers.filter((support) => support.isOnline === true);
+const updateSupportProfileService = async (agentId, updates, requestingUser) => {
+  // Step 1: Permission check
+  if (
+    agentId !== requestingUser.id &&
+    !(await hasPermission(requestingUser.role, "chat:manage-agents"))
+  ) {
+    throw new ApiError("You can only update your own support profile", 403);
+  }
 
-  // Step 2: If someone is online, assign to them (use load-based among online agents)
-  if (onlineSupport.length > 0) {
-    logger.info(`${onlineSupport.length} support agents online, using load-based assignment`);
-    return await getLeastBusySupport(onlineSupport);
+  // Step 2: Find the agent
+  const agent = await User.findOne({ _id: agentId, role: "Support", deleted_at: null });
+  if (!agent) {
+    throw new ApiError("Support user not found", 404);
   }
 
-  // Step 3: No one online, find who was online most recently
-  const sortedByLastSeen = supportUsers.sort((a, b) => {
-    return new Date(b.lastSeen) - new Date(a.lastSeen); // Most recent first
-  });
+  // Step 3: Apply only the provided fields
+  if (updates.languages !== undefined) {
+    agent.supportProfile.languages = [...new Set(updates.languages.map(normalizeLanguage))];
+  }
+  if (updates.skills !== undefined) {
+    agent.supportProfile.skills = [...new Set(updates.skills)];
+  }
+  if (updates.maxActiveConversations !== undefined) {
+    agent.supportProfile.maxActiveConversations = updates.maxActiveConversations || null;
+  }
+  await agent.save();
 
-  const selectedSupport = sortedByLastSeen[0]._id;
-  logger.info(`No support online, assigned to most recently active: ${selectedSupport}`);
-  
-  return selectedSupport;
+  logger.info(`Support profile of ${agentId} updated by ${requestingUser.id}`);
+  return {
+    id: agent._id,
+    first_name: agent.first_name,
+    last_name: agent.last_name,
+    supportProfile: agent.supportProfile,
+  };
 };
 
 /**
@@ -253,8 +255,8 @@ const getOnlineSupport = async (supportUsers) => {
  * 
  * Business logic:
  * - User role: Returns conversations where userId = logged-in user
- * - Support role: Returns conversations assigned to them
- * - Admin role: Returns ALL conversations (override)
+ * - chat:read-any (Admin by default): Returns ALL conversations (override)
+ * - Other staff roles: Returns conversations assigned to them
  * 
  * Includes pagination and status filtering
  */
@@ -268,11 +270,11 @@ const getConversationsService = async (userId, userRole, page, limit, status) =>
   if (userRole === "User") {
     // Regular users see only their own conversations
     query.userId = userId;
-  } else if (userRole === "Support") {
+  } else if (!(await hasPermission(userRole, "chat:read-any"))) {
     // Support sees conversations assigned to them
     query.assignedSupportId = userId;
   }
-  // Admin: No additional filters (sees all conversations)
+  // chat:read-any: No additional filters (sees all conversations)
 
   // Step 3: Add status filter if provided
   if (status && status !== "") {
@@ -334,13 +336,9 @@ const getConversationByIdService = async (conversationId, userId, userRole) => {
   }
 
   // Step 4: Permission check - verify user can access this conversation
-  const isParticipant =
-    conversation.userId._id.toString() === userId ||
-    conversation.assignedSupportId._id.toString() === userId;
+  const isParticipant = isConversationParticipant(conversation, userId);
 
-  const isAdmin = userRole === "Admin";
-
-  if (!isParticipant && !isAdmin) {
+  if (!isParticipant && !(await hasPermission(userRole, "chat:read-any"))) {
     throw new ApiError("Access denied. You are not a participant of this conversation", 403);
   }
 
@@ -352,9 +350,10 @@ const getConversationByIdService = async (conversationId, userId, userRole) => {
  * UPDATE CONVERSATION STATUS SERVICE
  * 
  * Business logic:
- * - Only Support and Admin can change status
+ * - Requires chat:update-status (checked by the route)
  * - Validates new status is valid
  * - Logs status change for audit trail
+ * - First "resolved": asks the farmer for a satisfaction rating
  */
 const updateConversationStatusService = async (conversationId, newStatus, userId, userRole) => {
   // Step 1: Find conversation
@@ -366,22 +365,34 @@ const updateConversationStatusService = async (conversationId, newStatus, userId
   }
 
   // Step 3: Check user has permission to update
-  // Support can only update their own assigned conversations
-  // Admin can update any conversation
-  if (userRole === "Support") {
-    if (conversation.assignedSupportId.toString() !== userId) {
-      throw new ApiError("You can only update conversations assigned to you", 403);
-    }
+  // Agents can only update their own assigned conversations
+  // chat:manage-any (Admin by default) can update any conversation
+  if (
+    conversation.assignedSupportId?.toString() !== userId &&
+    !(await hasPermission(userRole, "chat:manage-any"))
+  ) {
+    throw new ApiError("You can only update conversations assigned to you", 403);
   }
 
   // Step 4: Update status
+  // Resolving stops the SLA resolution timer, reopening restarts it
   const oldStatus = conversation.status;
   conversation.status = newStatus;
+  recordStatusChange(conversation, newStatus);
+
+  // The first time it is resolved, the farmer is asked for a rating
+  const askForRating = newStatus === "resolved" && requestRating(conversation);
   await conversation.save();
 
   // Step 5: Log status change for audit
   logger.info(`Conversation ${conversationId} status changed: ${oldStatus} → ${newStatus} by ${userId}`);
 
+  if (askForRating) {
+    await notifyRatingRequested(conversation).catch((error) =>
+      logger.error(`Rating prompt for ${conversationId} failed: ${error.message}`)
+    );
+  }
+
   // Step 6: Return updated conversation
   await conversation.populate("userId", "first_name last_name phone email image isOnline lastSeen");
   await conversation.populate("assignedSupportId", "first_name last_name phone email image role isOnline lastSeen");
@@ -389,14 +400,52 @@ const updateConversationStatusService = async (conversationId, newStatus, userId
   return conversation;
 };
 
+/**
+ * UPDATE CONVERSATION PRIORITY SERVICE
+ * 
+ * Business logic:
+ * - Same access rule as status: assigned agent, or chat:manage-any
+ * - SLA deadlines are recalculated from when the conversation was opened,
+ *   so raising the priority can put a conversation straight into breach
+ */
+const updateConversationPriorityService = async (conversationId, priority, userId, userRole) => {
+  // Step 1: Find conversation
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation || !conversation.isActive) {
+    throw new ApiError("Conversation not found", 404);
+  }
+
+  // Step 2: Check user has permission to update
+  if (
+    conversation.assignedSupportId?.toString() !== userId &&
+    !(await hasPermission(userRole, "chat:manage-any"))
+  ) {
+    throw new ApiError("You can only update conversations assigned to you", 403);
+  }
+
+  // Step 3: Update priority and deadlines
+  const oldPriority = conversation.priority;
+  conversation.priority = priority;
+  refreshSlaDeadlines(conversation);
+  await conversation.save();
+
+  logger.info(`Conversation ${conversationId} priority changed: ${oldPriority} → ${priority} by ${userId}`);
+
+  // Step 4: Return updated conversation
+  await conversation.populate("userId", "first_name last_name phone email image isOnline lastSeen");
+  await conversation.populate("assignedSupportId", "first_name last_name phone email image role isOnline lastSeen");
+
+  return conversation;
+};
+
 /**
  * DELETE CONVERSATION SERVICE
  * 
  * Business logic:
  * - Soft delete (sets isActive to false)
  * - User can delete their own conversations
- * - Admin can delete any conversation
- * - Support cannot delete conversations
+ * - chat:manage-any (Admin by default) can delete any conversation
  */
 const deleteConversationService = async (conversationId, userId, userRole) => {
   // Step 1: Find conversation
@@ -408,16 +457,13 @@ const deleteConversationService = async (conversationId, userId, userRole) => {
   }
 
   // Step 3: Permission check
-  if (userRole === "User") {
-    // User can only delete their own conversations
+  const canManageAny = await hasPermission(userRole, "chat:manage-any");
+  if (!canManageAny) {
+    // Only the farmer who owns the conversation can delete it
     if (conversation.userId.toString() !== userId) {
       throw new ApiError("You can only delete your own conversations", 403);
     }
-  } else if (userRole === "Support") {
-    // Support cannot delete conversations
-    throw new ApiError("Support agents cannot delete conversations", 403);
   }
-  // Admin can delete any conversation (no check needed)
 
   // Step 4: Soft delete
   conversation.isActive = false;
@@ -430,6 +476,20 @@ const deleteConversationService = async (conversationId, userId, userRole) => {
 // MESSAGE SERVICES
 // ========================================
 
+/**
+ * Sender, media and quoted message, as returned by sendMessageService
+ */
+const populateSentMessage = async (message) => {
+  await message.populate("senderId", "first_name last_name phone email image role");
+  if (message.messageType !== "text") {
+    await message.populate("mediaId");
+  }
+  if (message.replyTo) {
+    await message.populate(REPLY_TO_POPULATE);
+  }
+  return message;
+};
+
 /**
  * SEND MESSAGE SERVICE
  * 
@@ -439,8 +499,19 @@ const deleteConversationService = async (conversationId, userId, userRole) => {
  * 3. Create message in database
  * 4. Update conversation (last message, unread count)
  * 5. Update conversation status if needed
+ * 
+ * With clientMessageId, retries are idempotent: the stored message is
+ * returned (with $locals.duplicate = true) and nothing else changes
  */
-const sendMessageService = async ({ conversationId, senderId, messageType, content, mediaId }) => {
+const sendMessageService = async ({
+  conversationId,
+  senderId,
+  messageType,
+  content,
+  mediaId,
+  replyToId,
+  clientMessageId,
+}) => {
   // Step 1: Verify conversation exists and user is participant
   const conversation = await Conversation.findById(conversationId);
 
@@ -453,26 +524,43 @@ const sendMessageService = async ({ conversationId, senderId, messageType, conte
   }
 
   // Step 2: Check sender is participant
-  const isParticipant =
-    conversation.userId.toString() === senderId ||
-    conversation.assignedSupportId.toString() === senderId;
+  const isParticipant = isConversationParticipant(conversation, senderId);
 
   if (!isParticipant) {
     throw new ApiError("You are not a participant of this conversation", 403);
   }
 
+  // Step 2.1: A retry of a message that was already stored returns it as is
+  const clientId = normalizeClientMessageId(clientMessageId);
+  const alreadySent = await findMessageByClientId(senderId, clientId, conversationId);
+  if (alreadySent) {
+    logger.info(`Duplicate send ignored: ${alreadySent._id} (client id ${clientId})`);
+    alreadySent.$locals.duplicate = true;
+    return populateSentMessage(alreadySent);
+  }
+
+  // Step 2.2: Blocked users cannot reach each other
+  const receiverId = getReceiverId(conversation, senderId);
+  await assertCanMessage(senderId, receiverId);
+
   // Step 3: Build message data object
   const messageData = {
     conversationId,
     senderId,
     messageType,
+    replyTo: await resolveReplyTo(conversationId, replyToId),
+    ...(clientId && { clientMessageId: clientId }),
     deliveredAt: new Date(),
   };
 
   // Step 4: Add content based on message type
   if (messageType === "text") {
-    // Text message: store content
-    messageData.content = content;
+    // Text message: store content (word filters may mask or reject it)
+    const filtered = await filterMessageContent(content, conversation.language);
+    if (filtered.masked > 0) {
+      logger.warn(`Message from ${senderId} in ${conversationId}: ${filtered.masked} filtered word(s) masked`);
+    }
+    messageData.content = filtered.content;
   } else {
     // Media message: verify media exists and store reference
     const media = await MediaMaster.findById(mediaId);
@@ -483,36 +571,43 @@ const sendMessageService = async ({ conversationId, senderId, messageType, conte
   }
 
   // Step 5: Create message in database
-  const message = await Message.create(messageData);
-
-  // Step 6: Populate sender details
-  await message.populate("senderId", "first_name last_name phone email image role");
-  
-  // Step 7: Populate media details if media message
-  if (messageType !== "text") {
-    await message.populate("mediaId");
+  // (a concurrent retry with the same client id may win the insert)
+  let message;
+  try {
+    message = await Message.create(messageData);
+  } catch (error) {
+    if (!isDuplicateClientMessageError(error)) throw error;
+    const existing = await findMessageByClientId(senderId, clientId, conversationId);
+    existing.$locals.duplicate = true;
+    return populateSentMessage(existing);
   }
 
+  // Step 6-7: Populate sender, media and quoted message
+  await populateSentMessage(message);
+  await attachTranscript(message); // Voice notes: transcript, or "pending"
+
   // Step 8: Update conversation
   // - Set this message as last message
   // - Increase unread count for receiver
   // - Update timestamp
-  const receiverId =
-    conversation.userId.toString() === senderId
-      ? conversation.assignedSupportId.toString()
-      : conversation.userId.toString();
-
+  // (no receiver yet while the conversation is queued)
   conversation.lastMessage = message._id;
   
   // Increase receiver's unread count
-  const currentUnread = conversation.unreadCount.get(receiverId) || 0;
-  conversation.unreadCount.set(receiverId, currentUnread + 1);
+  if (receiverId) {
+    const currentUnread = conversation.unreadCount.get(receiverId) || 0;
+    conversation.unreadCount.set(receiverId, currentUnread + 1);
+  }
   
   // Update conversation status
   // If user sends message, set to "waiting" (waiting for support response)
   if (conversation.userId.toString() === senderId && conversation.status !== "closed") {
     conversation.status = "waiting";
+    recordStatusChange(conversation, "waiting", message.createdAt);
   }
+
+  // First reply from the support side stops the SLA first-response timer
+  recordFirstResponse(conversation, senderId, message.createdAt);
   
   conversation.updatedAt = new Date();
   await conversation.save();
@@ -520,9 +615,25 @@ const sendMessageService = async ({ conversationId, senderId, messageType, conte
   logger.info(`Message sent: ${message._id} in conversation ${conversationId}`);
 
   // Step 9: Return created message
+  // ($locals.receiverId lets the caller notify the receiver; not saved)
+  message.$locals.receiverId = receiverId;
   return message;
 };
 
+/**
+ * Page of getMessagesService (newest first) that contains a message,
+ * for jumping from a search hit or a link straight into its context
+ * includeInternal must match what the reader's history shows
+ */
+const getMessagePageNumber = async (message, limit, { includeInternal = false } = {}) => {
+  const newer = await Message.countDocuments({
+    conversationId: message.conversationId?._id || message.conversationId,
+    createdAt: { $gt: message.createdAt },
+    ...(!includeInternal && { visibility: { $ne: "internal" } }),
+  });
+  return Math.floor(newer / limit) + 1;
+};
+
 /**
  * GET MESSAGES SERVICE
  * 
@@ -530,8 +641,17 @@ const sendMessageService = async ({ conversationId, senderId, messageType, conte
  * - Verify user is participant
  * - Fetch messages with pagination
  * - Return in chronological order (oldest to newest)
+ * - Each message carries the cached translation into the reader's
+ *   language (or language); translate: also translate the missing ones
  */
-const getMessagesService = async (conversationId, userId, userRole, page, limit) => {
+const getMessagesService = async (
+  conversationId,
+  userId,
+  userRole,
+  page,
+  limit,
+  { aroundMessageId, language, translate = false } = {}
+) => {
   // Step 1: Verify conversation exists
   const conversation = await Conversation.findById(conversationId);
 
@@ -540,26 +660,41 @@ const getMessagesService = async (conversationId, userId, userRole, page, limit)
   }
 
   // Step 2: Check user has permission to view messages
-  const isParticipant =
-    conversation.userId.toString() === userId ||
-    conversation.assignedSupportId.toString() === userId;
+  const isParticipant = isConversationParticipant(conversation, userId);
 
-  const isAdmin = userRole === "Admin";
-
-  if (!isParticipant && !isAdmin) {
+  if (!isParticipant && !(await hasPermission(userRole, "chat:read-any"))) {
     throw new ApiError("Access denied. You are not a participant of this conversation", 403);
   }
 
+  // Step 2.1: Internal notes are only part of the agents' view
+  const includeInternal = await canSeeInternalNotes(conversation, userId, userRole);
+  const query = {
+    conversationId,
+    ...(!includeInternal && { visibility: { $ne: "internal" } }),
+  };
+
   // Step 3: Calculate pagination
+  // With aroundMessageId, open the page that contains that message
+  if (aroundMessageId) {
+    const focusMessage = await Message.findOne({ ...query, _id: aroundMessageId })
+      .select("conversationId createdAt")
+      .lean();
+    if (!focusMessage) {
+      throw new ApiError("Message not found in this conversation", 404);
+    }
+    page = await getMessagePageNumber(focusMessage, limit, { includeInternal });
+  }
   const skip = (page - 1) * limit;
 
   // Step 4: Count total messages
-  const total = await Message.countDocuments({ conversationId });
+  const total = await Message.countDocuments(query);
 
   // Step 5: Fetch messages with pagination
-  const messages = await Message.find({ conversationId })
+  const messages = await Message.find(query)
     .populate("senderId", "first_name last_name phone email image role")
     .populate("mediaId")
+    .populate(REPLY_TO_POPULATE)
+    .populate("reactions.userId", "first_name last_name role")
     .sort({ createdAt: -1 }) // Newest first (for pagination from bottom)
     .skip(skip)
     .limit(limit);
@@ -567,12 +702,20 @@ const getMessagesService = async (conversationId, userId, userRole, page, limit)
   // Step 6: Reverse array to show oldest first (chronological order)
   messages.reverse();
 
-  // Step 7: Calculate pagination metadata
+  // Step 7: Translations for this reader (originals stay in content)
+  const translated = await attachTranslations(messages, conversation, userId, {
+    language,
+    translateMissing: translate,
+  });
+
+  // Step 8: Calculate pagination metadata
   const totalPages = Math.ceil(total / limit);
 
-  // Step 8: Return messages with pagination
+  // Step 9: Return messages with pagination
   return {
-    data: messages,
+    data: translated.messages,
+    translationLanguage: translated.language,
+    ...(aroundMessageId && { focusMessageId: aroundMessageId }),
     pagination: {
       currentPage: page,
       totalPages: totalPages,
@@ -584,6 +727,33 @@ const getMessagesService = async (conversationId, userId, userRole, page, limit)
   };
 };
 
+/**
+ * SYNC MESSAGES SERVICE
+ * 
+ * Business logic:
+ * - Same access rule as getMessagesService
+ * - Replays what the client missed since lastMessageId / lastSeenAt
+ *   (see chatSyncService.js); internal notes only for agents
+ */
+const syncMessagesService = async (conversationId, userId, userRole, { lastMessageId, lastSeenAt }) => {
+  // Step 1: Verify conversation exists and user may read it
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+
+  const isParticipant = isConversationParticipant(conversation, userId);
+
+  if (!isParticipant && !(await hasPermission(userRole, "chat:read-any"))) {
+    throw new ApiError("Access denied. You are not a participant of this conversation", 403);
+  }
+
+  // Step 2: Replay
+  const includeInternal = await canSeeInternalNotes(conversation, userId, userRole);
+  return getConversationSyncService(conversationId, userId, { lastMessageId, lastSeenAt, includeInternal });
+};
+
 /**
  * MARK MESSAGE AS READ SERVICE
  * 
@@ -607,14 +777,20 @@ const markMessageAsReadService = async (messageId, userId) => {
 
   // Step 3: Check user is participant of conversation
   const conversation = message.conversationId;
-  const isParticipant =
-    conversation.userId.toString() === userId ||
-    conversation.assignedSupportId.toString() === userId;
+  const isParticipant = isConversationParticipant(conversation, userId);
 
   if (!isParticipant) {
     throw new ApiError("Access denied", 403);
   }
 
+  // Step 3.1: Internal notes do not exist for the farmer and have no read receipts
+  if (message.visibility === "internal") {
+    if (idOf(conversation.userId) === userId) {
+      throw new ApiError("Message not found", 404);
+    }
+    return message;
+  }
+
   // Step 4: Mark message as read
   if (!message.isRead) {
     message.isRead = true;
@@ -648,9 +824,7 @@ const markConversationAsReadService = async (conversationId, userId) => {
     throw new ApiError("Conversation not found", 404);
   }
 
-  const isParticipant =
-    conversation.userId.toString() === userId ||
-    conversation.assignedSupportId.toString() === userId;
+  const isParticipant = isConversationParticipant(conversation, userId);
 
   if (!isParticipant) {
     throw new ApiError("Access denied", 403);
@@ -660,6 +834,7 @@ const markConversationAsReadService = async (conversationId, userId) => {
   const unreadMessages = await Message.find({
     conversationId: conversationId,
     senderId: { $ne: userId }, // Not sent by this user
+    visibility: { $ne: "internal" }, // Internal notes have no read receipts
     isRead: false,
   });
 
@@ -670,6 +845,7 @@ const markConversationAsReadService = async (conversationId, userId) => {
       {
         conversationId: conversationId,
         senderId: { $ne: userId },
+        visibility: { $ne: "internal" },
         isRead: false,
       },
       {
@@ -704,9 +880,8 @@ const deleteMessageService = async (messageId, userId, userRole) => {
 
   // Step 2: Permission check
   const isSender = message.senderId.toString() === userId;
-  const isAdmin = userRole === "Admin";
 
-  if (!isSender && !isAdmin) {
+  if (!isSender && !(await hasPermission(userRole, "chat:manage-any"))) {
     throw new ApiError("You can only delete your own messages", 403);
   }
 
@@ -719,9 +894,10 @@ const deleteMessageService = async (messageId, userId, userRole) => {
 
   // Step 5: If deleted message was last message, update conversation
   if (wasLastMessage) {
-    // Find new last message (most recent remaining message)
+    // Find new last message (most recent remaining message the farmer can see)
     const newLastMessage = await Message.findOne({
       conversationId: conversation._id,
+      visibility: { $ne: "internal" },
     })
       .sort({ createdAt: -1 })
       .limit(1);
@@ -744,6 +920,7 @@ const deleteMessageService = async (messageId, userId, userRole) => {
  * - Saves uploaded files to MediaMaster collection
  * - Similar to existing media upload but for chat context
  * - No role restriction (User, Support, Admin can all upload)
+ * - Audio files are queued for transcription (see transcriptionService.js)
  */
 const uploadChatMediaService = async (files, type, userId) => {
   // Step 1: Prepare array to store created media items
@@ -770,6 +947,14 @@ const uploadChatMediaService = async (files, type, userId) => {
     mediaItems.push(media);
 
     logger.info(`Chat media uploaded: ${media._id} by user ${userId}`);
+
+    // Step 4.1: Voice notes are transcribed in the background
+    // (a failure here must not fail the upload; sending the message retries)
+    if (type === "audio") {
+      await enqueueTranscription(media, userId).catch((error) =>
+        logger.error(`Queueing transcription of ${media._id} failed: ${error.message}`)
+      );
+    }
   }
 
   // Step 5: Return array of created media items with IDs
@@ -858,10 +1043,14 @@ const reassignConversationService = async (conversationId, newSupportId) => {
   if (!newSupport) {
     throw new ApiError("Support user not found or invalid", 404);
   }
+  if (await isBlockedBetween(conversation.userId, newSupportId)) {
+    throw new ApiError("This agent and the farmer have blocked each other", 400);
+  }
 
-  // Step 3: Update assignedSupportId
+  // Step 3: Update assignedSupportId (also takes it out of the queue)
   const oldSupportId = conversation.assignedSupportId;
   conversation.assignedSupportId = newSupportId;
+  conversation.queuedAt = null;
   
   // Reset unread count for new support agent
   conversation.unreadCount.set(newSupportId.toString(), 0);
@@ -871,11 +1060,12 @@ const reassignConversationService = async (conversationId, newSupportId) => {
   // Step 4: Log reassignment
   logger.info(`Conversation ${conversationId} reassigned from ${oldSupportId} to ${newSupportId}`);
 
-  // Step 5: Return updated conversation
+  // Step 5: Return updated conversation (and who had it, so their sockets
+  // can leave its rooms)
   await conversation.populate("userId", "first_name last_name phone email image isOnline lastSeen");
   await conversation.populate("assignedSupportId", "first_name last_name phone email image role isOnline lastSeen");
 
-  return conversation;
+  return { conversation, previousSupportId: oldSupportId };
 };
 
 /**
@@ -886,7 +1076,7 @@ const reassignConversationService = async (conversationId, newSupportId) => {
  * - Per-agent statistics (for multiple support)
  * - Overall system health indicators
  */
-const getConversationStatsService = async () => {
+const getConversationStatsService = async ({ from, to, interval } = {}) => {
   // Step 1: Total conversations
   const totalConversations = await Conversation.countDocuments({ isActive: true });
 
@@ -906,9 +1096,15 @@ const getConversationStatsService = async () => {
   const activeConversations =
     (statusStats.open || 0) + (statusStats.waiting || 0);
 
+  // Step 3.1: Conversations waiting in the unassigned queue
+  const queuedConversations = await Conversation.countDocuments({
+    isActive: true,
+    assignedSupportId: null,
+  });
+
   // Step 4: Per-agent statistics
   const agentStats = await Conversation.aggregate([
-    { $match: { isActive: true } },
+    { $match: { isActive: true, assignedSupportId: { $ne: null } } },
     {
       $group: {
         _id: "$assignedSupportId",
@@ -947,13 +1143,22 @@ const getConversationStatsService = async () => {
   // Step 5: Total messages count
   const totalMessages = await Message.countDocuments();
 
-  // Step 6: Return statistics object
+  // Step 6: SLA metrics for conversations opened in the requested range
+  const sla = await getSlaReportService({ from, to, interval });
+
+  // Step 6.1: Satisfaction ratings given in the same range
+  const ratings = await getRatingReportService({ from, to });
+
+  // Step 7: Return statistics object
   return {
     totalConversations,
     activeConversations,
+    queuedConversations,
     statusBreakdown: statusStats,
     perAgentStats: agentStatsWithNames,
     totalMessages,
+    sla,
+    ratings,
     generatedAt: new Date(),
   };
 };
@@ -968,11 +1173,14 @@ module.exports = {
   getConversationsService,
   getConversationByIdService,
   updateConversationStatusService,
+  updateConversationPriorityService,
   deleteConversationService,
 
   // Message services
   sendMessageService,
   getMessagesService,
+  syncMessagesService,
+  getMessagePageNumber,
   markMessageAsReadService,
   markConversationAsReadService,
   deleteMessageService,
@@ -984,4 +1192,6 @@ module.exports = {
   getAllConversationsForSupportService,
   reassignConversationService,
   getConversationStatsService,
+  getSupportAgentsService,
+  updateSupportProfileService,
 };
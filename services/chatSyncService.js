@@ -0,0 +1,180 @@
+/**
+ * ============================================
+ * CHAT SYNC SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Lets clients on flaky connections catch up after a reconnect and retry
+ * sends safely.
+ *
+ * HOW IT WORKS:
+ * 1. Reconnect sync: the client tells the server the newest message it has
+ *    (lastMessageId) and/or when it last heard from the server (lastSeenAt).
+ *    The server replays:
+ *    - messages created after that point, oldest first (capped; hasMore
+ *      tells the client to sync again from the last one returned)
+ *    - older messages changed since then: edits, reactions, read state
+ *    - read receipts for the client's own messages
+ * 2. Idempotent sends: messages may carry a client-generated
+ *    clientMessageId. A retry with the same id returns the message that
+ *    was already stored instead of creating a duplicate.
+ *
+ * Deleted messages are removed from the database, so they are not replayed.
+ */
+
+const Message = require("../models/Message");
+const ApiError = require("../utils/error");
+const { REPLY_TO_POPULATE } = require("./messageActionService");
+
+const SYNC_MAX_MESSAGES = 200;
+
+// UUIDs, ULIDs, nanoids... anything URL-safe up to 64 characters
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// ========================================
+// IDEMPOTENT SENDS
+// ========================================
+
+/**
+ * Returns the cleaned clientMessageId, or null when the client sent none
+ */
+const normalizeClientMessageId = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || !CLIENT_MESSAGE_ID_PATTERN.test(value)) {
+    throw new ApiError("clientMessageId must be 8-64 letters, digits, '-' or '_'", 400);
+  }
+  return value;
+};
+
+/**
+ * A message this sender already stored with the same client id
+ * (a client id reused in another conversation is a client bug: 409)
+ */
+const findMessageByClientId = async (senderId, clientMessageId, conversationId) => {
+  if (!clientMessageId) return null;
+
+  const message = await Message.findOne({ senderId, clientMessageId });
+  if (message && message.conversationId.toString() !== conversationId.toString()) {
+    throw new ApiError("clientMessageId was already used in another conversation", 409);
+  }
+  return message;
+};
+
+/**
+ * True when Message.create lost a race against a retry with the same id
+ */
+const isDuplicateClientMessageError = (error) =>
+  error?.code === 11000 && Boolean(error.keyPattern?.clientMessageId);
+
+// ========================================
+// RECONNECT SYNC
+// ========================================
+
+const populateMessage = (query) =>
+  query
+    .populate("senderId", "first_name last_name phone email image role")
+    .populate("mediaId")
+    .populate(REPLY_TO_POPULATE)
+    .populate("reactions.userId", "first_name last_name role");
+
+/**
+ * GET CONVERSATION SYNC SERVICE
+ *
+ * Business logic:
+ * - Caller has already checked access to the conversation
+ * - includeInternal: whether this reader sees internal notes
+ * - lastMessageId wins over lastSeenAt for new messages; lastSeenAt (when
+ *   given) is used for changes, so edits/reactions made while the client
+ *   was offline are not missed
+ */
+const getConversationSyncService = async (
+  conversationId,
+  userId,
+  { lastMessageId, lastSeenAt, includeInternal = false } = {}
+) => {
+  const visibility = includeInternal ? {} : { visibility: { $ne: "internal" } };
+
+  // Step 1: Work out where the client stopped
+  let since = lastSeenAt ? new Date(lastSeenAt) : null;
+  if (since && Number.isNaN(since.getTime())) {
+    throw new ApiError("lastSeenAt must be a valid date", 400);
+  }
+
+  let newMessagesFilter = null;
+  if (lastMessageId) {
+    if (!/^[a-f\d]{24}$/i.test(String(lastMessageId))) {
+      throw new ApiError("Invalid lastMessageId", 400);
+    }
+    const lastMessage = await Message.findOne({ _id: lastMessageId, conversationId, ...visibility })
+      .select("createdAt")
+      .lean();
+    if (!lastMessage) {
+      throw new ApiError("Last message not found in this conversation", 404);
+    }
+    // Messages in the same millisecond are ordered by id
+    newMessagesFilter = {
+      $or: [
+        { createdAt: { $gt: lastMessage.createdAt } },
+        { createdAt: lastMessage.createdAt, _id: { $gt: lastMessage._id } },
+      ],
+    };
+    since = since || lastMessage.createdAt;
+  } else if (since) {
+    newMessagesFilter = { createdAt: { $gt: since } };
+  } else {
+    throw new ApiError("lastMessageId or lastSeenAt is required to sync", 400);
+  }
+
+  const syncedAt = new Date();
+
+  // Step 2: New messages, oldest first
+  const newMessages = await populateMessage(
+    Message.find({ conversationId, ...visibility, ...newMessagesFilter })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(SYNC_MAX_MESSAGES + 1)
+  );
+  const hasMore = newMessages.length > SYNC_MAX_MESSAGES;
+  if (hasMore) newMessages.pop();
+
+  // Step 3: Older messages changed since then (edits, reactions, reads)
+  const newIds = newMessages.map((message) => message._id);
+  const updatedMessages = await populateMessage(
+    Message.find({
+      conversationId,
+      ...visibility,
+      _id: { $nin: newIds },
+      createdAt: { $lte: since },
+      updatedAt: { $gt: since },
+    })
+      .sort({ createdAt: 1 })
+      .limit(SYNC_MAX_MESSAGES)
+  );
+
+  // Step 4: Read receipts for the caller's own messages
+  const readReceipts = [...newMessages, ...updatedMessages]
+    .filter(
+      (message) =>
+        (message.senderId?._id || message.senderId).toString() === userId &&
+        message.isRead &&
+        message.readAt > since
+    )
+    .map((message) => ({ messageId: message._id, readAt: message.readAt }));
+
+  return {
+    conversationId,
+    since,
+    messages: newMessages,
+    updatedMessages,
+    readReceipts,
+    hasMore,
+    syncedAt,
+  };
+};
+
+module.exports = {
+  SYNC_MAX_MESSAGES,
+  normalizeClientMessageId,
+  findMessageByClientId,
+  isDuplicateClientMessageError,
+  getConversationSyncService,
+};
@@ -0,0 +1,204 @@
+/**
+ * ============================================
+ * CONVERSATION RATING SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Customer satisfaction (CSAT): the farmer rates the support they got.
+ *
+ * HOW IT WORKS:
+ * 1. An agent marks the conversation "resolved" → the farmer is asked to
+ *    rate it ("conversation:rating-requested" socket event, or a push
+ *    notification when the app is closed)
+ * 2. The farmer sends a 1-5 score and an optional comment, once per
+ *    conversation; the assigned agent gets "conversation:rated"
+ * 3. Support stats report averages, the score distribution and per-agent
+ *    averages for ratings given in the requested range
+ */
+
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { emitToRoom } = require("../socket/chatSocket");
+const { isUserOnline } = require("./presenceService");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const { isInQuietHours, buildDeepLink } = require("./chatNotificationService");
+
+const RATING_SCORES = [1, 2, 3, 4, 5];
+const MAX_COMMENT_LENGTH = 1000;
+
+// ========================================
+// PROMPT
+// ========================================
+
+/**
+ * Asks the farmer for a rating (first time the conversation is resolved
+ * and not rated yet). Sets rating.requestedAt in memory; the caller saves.
+ * Returns true when the farmer should be notified (see notifyRatingRequested).
+ */
+const requestRating = (conversation) => {
+  if (conversation.rating?.score || conversation.rating?.requestedAt) return false;
+
+  conversation.set("rating.requestedAt", new Date());
+  return true;
+};
+
+/**
+ * Socket event when the farmer is online, push notification otherwise
+ */
+const notifyRatingRequested = async (conversation) => {
+  const farmerId = (conversation.userId?._id || conversation.userId).toString();
+  const conversationId = conversation._id.toString();
+
+  if (await isUserOnline(farmerId)) {
+    emitToRoom(farmerId, "conversation:rating-requested", {
+      conversationId: conversationId,
+      requestedAt: conversation.rating.requestedAt,
+    });
+    return;
+  }
+
+  const farmer = await User.findById(farmerId).select("fcmToken chatNotifications").lean();
+  if (!farmer?.fcmToken?.length || isInQuietHours(farmer.chatNotifications?.quietHours)) return;
+
+  await sendPushNotification(farmer.fcmToken, {
+    title: "How was your support chat?",
+    body: "Tap to rate the help you got (1-5 stars)",
+    data: {
+      click_action: "FLUTTER_NOTIFICATION_CLICK",
+      type: "chatRating",
+      conversationId: conversationId,
+      deepLink: buildDeepLink(conversationId),
+    },
+  });
+};
+
+// ========================================
+// RATE
+// ========================================
+
+/**
+ * RATE CONVERSATION SERVICE
+ *
+ * Business logic:
+ * - Only the farmer of the conversation
+ * - Only after it was resolved (rating requested), and only once
+ * - The rating is attributed to the agent assigned at that moment
+ */
+const rateConversationService = async (conversationId, userId, { score, comment }) => {
+  // Step 1: Find conversation
+  const conversation = await Conversation.findOne({ _id: conversationId, isActive: true });
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+
+  // Step 2: Farmer only
+  if (conversation.userId.toString() !== userId) {
+    throw new ApiError("Only the farmer of this conversation can rate it", 403);
+  }
+
+  // Step 3: Resolved and not rated yet
+  if (!conversation.rating?.requestedAt) {
+    throw new ApiError("This conversation can be rated once it is resolved", 400);
+  }
+  if (conversation.rating.score) {
+    throw new ApiError("This conversation has already been rated", 409);
+  }
+
+  // Step 4: Save
+  conversation.rating.score = score;
+  conversation.rating.comment = comment || null;
+  conversation.rating.agentId = conversation.assignedSupportId;
+  conversation.rating.ratedAt = new Date();
+  await conversation.save();
+
+  logger.info(`Conversation ${conversationId} rated ${score}/5 by ${userId}`);
+
+  // Step 5: Let the agent know
+  if (conversation.assignedSupportId) {
+    emitToRoom(conversation.assignedSupportId.toString(), "conversation:rated", {
+      conversationId: conversation._id,
+      score: score,
+      comment: conversation.rating.comment,
+    });
+  }
+
+  return conversation.rating;
+};
+
+// ========================================
+// REPORT
+// ========================================
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+/**
+ * RATING REPORT SERVICE
+ *
+ * Ratings given from "from" up to, not including, "to": average, count, distribution (1-5)
+ * and per-agent averages (lowest average first, to spot who needs help)
+ */
+const getRatingReportService = async ({ from, to } = {}) => {
+  // Step 1: Ratings in the range, all groupings in one pass
+  const [result] = await Conversation.aggregate([
+    { $match: { isActive: true, "rating.ratedAt": { $gte: from, $lt: to } } },
+    {
+      $facet: {
+        summary: [{ $group: { _id: null, average: { $avg: "$rating.score" }, count: { $sum: 1 } } }],
+        distribution: [{ $group: { _id: "$rating.score", count: { $sum: 1 } } }],
+        perAgent: [
+          { $match: { "rating.agentId": { $ne: null } } },
+          {
+            $group: {
+              _id: "$rating.agentId",
+              average: { $avg: "$rating.score" },
+              count: { $sum: 1 },
+              lowScores: { $sum: { $cond: [{ $lte: ["$rating.score", 2] }, 1, 0] } },
+            },
+          },
+          { $sort: { average: 1, count: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  // Step 2: Agent names
+  const agents = await User.find({ _id: { $in: result.perAgent.map((row) => row._id) } })
+    .select("first_name last_name email")
+    .lean();
+  const agentsById = new Map(agents.map((agent) => [agent._id.toString(), agent]));
+
+  // Step 3: Shape the response
+  const distribution = Object.fromEntries(RATING_SCORES.map((score) => [score, 0]));
+  result.distribution.forEach((row) => {
+    distribution[row._id] = row.count;
+  });
+
+  return {
+    range: { from, to },
+    average: round(result.summary[0]?.average),
+    count: result.summary[0]?.count || 0,
+    distribution,
+    perAgent: result.perAgent.map((row) => {
+      const agent = agentsById.get(row._id.toString());
+      return {
+        agentId: row._id,
+        agentName: agent ? `${agent.first_name} ${agent.last_name}` : "Unknown",
+        agentEmail: agent?.email,
+        average: round(row.average),
+        count: row.count,
+        lowScores: row.lowScores,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  RATING_SCORES,
+  MAX_COMMENT_LENGTH,
+  requestRating,
+  notifyRatingRequested,
+  rateConversationService,
+  getRatingReportService,
+};
@@ -0,0 +1,215 @@
+/**
+ * ============================================
+ * CONVERSATION TRANSCRIPT SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Exports a support conversation as a readable transcript (PDF or plain
+ * text) for audits, disputes and handing over to other teams.
+ *
+ * WHAT IT CONTAINS:
+ * - Header: farmer, agent, status, priority, topic, language, SLA times,
+ *   satisfaction rating
+ * - Every message oldest first with time, sender and role; media messages
+ *   show the file name and its MediaMaster URL, voice notes their
+ *   transcript; replies, edits and (optionally) internal notes are marked.
+ *   Internal notes need the same access as in the chat (canSeeInternalNotes)
+ *
+ * Times are shown in CHAT_TRANSCRIPT_TIMEZONE. PDFs use Helvetica, which
+ * only covers Latin text; set CHAT_TRANSCRIPT_PDF_FONT to a .ttf file
+ * (e.g. Noto Sans Devanagari) for Hindi and other scripts. Plain text is
+ * UTF-8 and always complete. Deleted messages are not included.
+ */
+
+const PDFDocument = require("pdfkit");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const ApiError = require("../utils/error");
+const { canSeeInternalNotes } = require("./internalNoteService");
+
+const TRANSCRIPT_FORMATS = ["pdf", "txt"];
+const TRANSCRIPT_TIMEZONE = process.env.CHAT_TRANSCRIPT_TIMEZONE || "Asia/Kolkata";
+const PDF_FONT = process.env.CHAT_TRANSCRIPT_PDF_FONT || null;
+
+const dateFormat = new Intl.DateTimeFormat("sv-SE", {
+  timeZone: TRANSCRIPT_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// "2024-01-15 16:00"
+const formatDate = (date) => (date ? dateFormat.format(new Date(date)) : "-");
+
+const fullName = (user) => (user ? `${user.first_name || ""} ${user.last_name || ""}`.trim() : "Unknown");
+
+// Farmers have the role "User"
+const roleLabel = (role) => (role === "User" ? "Farmer" : role || "Unknown");
+
+// ========================================
+// BUILD
+// ========================================
+
+/**
+ * GET TRANSCRIPT SERVICE
+ *
+ * Returns { conversation, title, header: [[label, value]], entries }
+ * that the renderers below turn into text or PDF
+ * includeInternal is refused (403) unless userId/userRole may see the
+ * conversation's internal notes
+ */
+const getTranscriptService = async (conversationId, { includeInternal = false, userId, userRole } = {}) => {
+  // Step 1: Conversation with participants
+  const conversation = await Conversation.findOne({ _id: conversationId, isActive: true })
+    .populate("userId", "first_name last_name phone")
+    .populate("assignedSupportId", "first_name last_name")
+    .lean();
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+  if (includeInternal && !(await canSeeInternalNotes(conversation, userId, userRole))) {
+    throw new ApiError("Internal notes are only available to support agents", 403);
+  }
+
+  // Step 2: Messages, oldest first
+  const messages = await Message.find({
+    conversationId,
+    ...(!includeInternal && { visibility: { $ne: "internal" } }),
+  })
+    .populate("senderId", "first_name last_name role")
+    .populate("mediaId", "name type url format size")
+    .populate({
+      path: "replyTo",
+      select: "senderId messageType content createdAt",
+      populate: { path: "senderId", select: "first_name last_name" },
+    })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  // Step 3: Header
+  const { rating, sla } = conversation;
+  const header = [
+    ["Conversation", conversation._id.toString()],
+    ["Farmer", `${fullName(conversation.userId)}${conversation.userId?.phone ? ` (${conversation.userId.phone})` : ""}`],
+    ["Agent", conversation.assignedSupportId ? fullName(conversation.assignedSupportId) : "Unassigned"],
+    ["Status", conversation.status],
+    ["Priority", conversation.priority || "normal"],
+    ["Topic / language", `${conversation.topic || "general"} / ${conversation.language || "en"}`],
+    ["Opened", formatDate(conversation.createdAt)],
+    ["First response", formatDate(sla?.firstResponseAt)],
+    ["Resolved", formatDate(sla?.resolvedAt)],
+    ["Rating", rating?.score ? `${rating.score}/5${rating.comment ? ` - "${rating.comment}"` : ""}` : "Not rated"],
+    ["Messages", String(messages.length)],
+    ["Exported", `${formatDate(new Date())} (${TRANSCRIPT_TIMEZONE})`],
+  ];
+
+  // Step 4: One entry per message
+  const entries = messages.map((message) => {
+    const media = message.mediaId;
+    let text = message.content || "";
+    if (message.messageType !== "text") {
+      text = media ? `[${message.messageType}] ${media.name}` : `[${message.messageType}] (file no longer available)`;
+    }
+    if (message.transcript?.status === "completed") {
+      text += `\nTranscript: ${message.transcript.text}`;
+    }
+
+    return {
+      at: formatDate(message.createdAt),
+      sender: fullName(message.senderId),
+      role: roleLabel(message.senderId?.role),
+      internal: message.visibility === "internal",
+      edited: Boolean(message.editedAt),
+      replyTo: message.replyTo
+        ? `${fullName(message.replyTo.senderId)}: ${
+            message.replyTo.messageType === "text" ? message.replyTo.content : `[${message.replyTo.messageType}]`
+          }`
+        : null,
+      text,
+      mediaUrl: media?.url || null,
+    };
+  });
+
+  return {
+    conversation,
+    title: `Support conversation ${conversation._id}`,
+    header,
+    entries,
+  };
+};
+
+// ========================================
+// RENDER
+// ========================================
+
+const entryLabel = (entry) =>
+  `[${entry.at}] ${entry.sender} (${entry.role})${entry.internal ? " [internal note]" : ""}${
+    entry.edited ? " (edited)" : ""
+  }`;
+
+const quote = (text, max = 80) => (text.length > max ? `${text.slice(0, max - 3)}...` : text);
+
+/**
+ * Plain text transcript (UTF-8)
+ */
+const renderTranscriptText = (transcript) => {
+  const width = Math.max(...transcript.header.map(([label]) => label.length));
+  const lines = [
+    transcript.title,
+    "=".repeat(transcript.title.length),
+    ...transcript.header.map(([label, value]) => `${label.padEnd(width)} : ${value}`),
+    "",
+  ];
+
+  for (const entry of transcript.entries) {
+    lines.push(entryLabel(entry));
+    if (entry.replyTo) lines.push(`  > ${quote(entry.replyTo)}`);
+    lines.push(...entry.text.split("\n").map((line) => `  ${line}`));
+    if (entry.mediaUrl) lines.push(`  ${entry.mediaUrl}`);
+    lines.push("");
+  }
+
+  return lines.join("\n");
+};
+
+/**
+ * PDF transcript, streamed into a writable (e.g. the HTTP response)
+ */
+const writeTranscriptPdf = (transcript, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: transcript.title } });
+  doc.pipe(stream);
+  if (PDF_FONT) doc.font(PDF_FONT);
+
+  // Step 1: Title and header table
+  doc.fontSize(16).text(transcript.title);
+  doc.moveDown(0.5).fontSize(10);
+  for (const [label, value] of transcript.header) {
+    doc.fillColor("#555555").text(`${label}: `, { continued: true }).fillColor("black").text(value);
+  }
+  doc.moveDown();
+
+  // Step 2: Messages
+  for (const entry of transcript.entries) {
+    doc.fontSize(9).fillColor(entry.internal ? "#b45309" : "#555555").text(entryLabel(entry));
+    if (entry.replyTo) {
+      doc.fillColor("#777777").text(`> ${quote(entry.replyTo)}`, { indent: 10 });
+    }
+    doc.fontSize(10).fillColor("black").text(entry.text, { indent: 10 });
+    if (entry.mediaUrl) {
+      doc.fillColor("blue").text(entry.mediaUrl, { indent: 10, link: entry.mediaUrl, underline: true });
+    }
+    doc.fillColor("black").moveDown(0.5);
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  getTranscriptService,
+  renderTranscriptText,
+  writeTranscriptPdf,
+};
@@ -5,9 +5,6 @@ const path = require("path");
 const { translateObjectFields } = require("../utils/translateUtil");
 
 const createCropService = async (cropData, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const existingCrop = await CropMaster.findOne({
     name: cropData.name,
     deleted_at: null,
@@ -138,10 +135,6 @@ const getCropByIdService = async (id) => {
 };
 
 const updateCropService = async (id, updates, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
-
   const existingCrop = await CropMaster.findOne({
     name: updates.name,
     deleted_at: null,
@@ -191,9 +184,6 @@ const updateCropService = async (id, updates, requestUser) => {
 };
 
 const deleteCropService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const crop = await CropMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -217,9 +207,6 @@ const deleteCropService = async (id, requestUser) => {
 };
 
 const disableCropService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const crop = await CropMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -234,9 +221,6 @@ const disableCropService = async (id, requestUser) => {
 };
 
 const enableCropService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const crop = await CropMaster.findOne({
     _id: id,
     deleted_at: null,
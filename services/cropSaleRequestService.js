@@ -1,6 +1,8 @@
 const CropSaleRequest = require("../models/cropSaleRequestModel");
 const User = require('../models/User');
 const ApiError = require("../utils/error");
+const { hasPermission } = require("./permissionService");
+const { assertPayoutVerified } = require("./kycService");
 const { translateObjectFields } = require("../utils/translateUtil");
 const {sendPushNotification} = require('../utils/sendPushNotification');
 
@@ -79,9 +81,6 @@ const getMySaleRequestsService = async (requestingUser, { page = 1, limit = 10,
 // For Admin //
 
 const getAllSaleRequestsService = async (requestingUser, { page = 1, limit = 10, status, q = "" }) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const skip = (page - 1) * limit;
   const filter = {
     deleted_at: null,
@@ -117,7 +116,10 @@ const getSaleRequestByIdService = async (id, requestingUser) => {
   if (!request) {
     throw new ApiError("Sale request not found", 404);
   }
-  if (requestingUser.role !== "Admin" && String(request.userId._id) !== String(requestingUser.id)) {
+  if (
+    String(request.userId._id) !== String(requestingUser.id) &&
+    !(await hasPermission(requestingUser.role, "sale-requests:read-all"))
+  ) {
     throw new ApiError("Unauthorized to access this request", 403);
   }
   return request;
@@ -147,9 +149,6 @@ const updateSaleRequestUserService = async (id, updates, requestingUser) => {
 };
 
 const updateSaleRequestStatusService = async (id, updates, requestingUser) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const request = await CropSaleRequest.findOne({ _id: id, deleted_at: null });
   if (!request) {
     throw new ApiError("Sale request not found", 404);
@@ -158,6 +157,10 @@ const updateSaleRequestStatusService = async (id, updates, requestingUser) => {
     "status", // Admin can only update status now
     "remarks"
   ];
+  // The farmer is paid on completion, so payout details must be verified first
+  if (updates?.status === "Completed" && request.status !== "Completed") {
+    await assertPayoutVerified(request.userId);
+  }
   Object.keys(updates || {}).forEach((key) => {
     if (allowedUpdates.includes(key)) {
       request[key] = updates[key];
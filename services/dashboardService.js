@@ -40,10 +40,6 @@ function buildCreatedAtFilter(from, to) {
 }
 
 const getDashboardStatsService = async (requestingUser, { from, to } = {}) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
-
   const createdAtFilter = buildCreatedAtFilter(from, to);
   const commonFilter = { deleted_at: null, ...createdAtFilter };
 
@@ -0,0 +1,133 @@
+const FarmPlot = require("../models/FarmPlot");
+const CropMaster = require("../models/cropMasterModel");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { MAX_PLOTS_PER_USER } = require("../config/farmPlot");
+
+const PLOT_FIELDS = ["name", "address", "area", "areaUnit", "soilType", "irrigationType", "crops", "notes"];
+
+// API takes { lat, long } like User.location; storage is GeoJSON
+const toGeoPoint = (location) => {
+  if (!location || location.lat === undefined || location.long === undefined) return undefined;
+  return {
+    type: "Point",
+    coordinates: [parseFloat(location.long), parseFloat(location.lat)],
+  };
+};
+
+const formatPlot = (plot) => {
+  const data = plot.toObject ? plot.toObject() : plot;
+  const [long, lat] = data.location?.coordinates || [];
+
+  return {
+    ...data,
+    location: lat !== undefined ? { lat, long } : null,
+  };
+};
+
+const assertCropsExist = async (cropIds = []) => {
+  const uniqueIds = [...new Set(cropIds.map(String))];
+  if (!uniqueIds.length) return uniqueIds;
+
+  const found = await CropMaster.find({
+    _id: { $in: uniqueIds },
+    deleted_at: null,
+    isActive: true,
+  }).select("_id");
+
+  if (found.length !== uniqueIds.length) {
+    const foundIds = new Set(found.map((crop) => String(crop._id)));
+    throw new ApiError("Invalid crops", 400, [
+      {
+        field: "crops",
+        message: `Unknown or inactive crops: ${uniqueIds.filter((id) => !foundIds.has(id)).join(", ")}`,
+      },
+    ]);
+  }
+
+  return uniqueIds;
+};
+
+const findOwnPlot = async (plotId, requestingUser) => {
+  const plot = await FarmPlot.findOne({
+    _id: plotId,
+    userId: requestingUser.id,
+    deleted_at: null,
+  });
+  if (!plot) {
+    throw new ApiError("Farm plot not found", 404);
+  }
+  return plot;
+};
+
+const createPlotService = async (payload, requestingUser) => {
+  const count = await FarmPlot.countDocuments({ userId: requestingUser.id, deleted_at: null });
+  if (count >= MAX_PLOTS_PER_USER) {
+    throw new ApiError(`A profile can have at most ${MAX_PLOTS_PER_USER} farm plots`, 400);
+  }
+
+  const plot = new FarmPlot({ userId: requestingUser.id });
+  PLOT_FIELDS.forEach((field) => {
+    if (payload[field] !== undefined) plot[field] = payload[field];
+  });
+  plot.crops = await assertCropsExist(payload.crops);
+  plot.location = toGeoPoint(payload.location);
+
+  await plot.save();
+  await plot.populate("crops", "name image");
+
+  logger.info(`Farm plot ${plot._id} created for user ${requestingUser.id}`);
+  return formatPlot(plot);
+};
+
+const getMyPlotsService = async (requestingUser) => {
+  const plots = await FarmPlot.find({ userId: requestingUser.id, deleted_at: null })
+    .populate("crops", "name image")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return plots.map(formatPlot);
+};
+
+const getPlotByIdService = async (plotId, requestingUser) => {
+  const plot = await findOwnPlot(plotId, requestingUser);
+  await plot.populate("crops", "name image");
+  return formatPlot(plot);
+};
+
+const updatePlotService = async (plotId, updates, requestingUser) => {
+  const plot = await findOwnPlot(plotId, requestingUser);
+
+  PLOT_FIELDS.forEach((field) => {
+    if (updates[field] !== undefined) plot[field] = updates[field];
+  });
+  if (updates.crops !== undefined) {
+    plot.crops = await assertCropsExist(updates.crops);
+  }
+  if (updates.location !== undefined) {
+    plot.location = toGeoPoint(updates.location);
+  }
+
+  await plot.save();
+  await plot.populate("crops", "name image");
+
+  logger.info(`Farm plot ${plot._id} updated for user ${requestingUser.id}`);
+  return formatPlot(plot);
+};
+
+const deletePlotService = async (plotId, requestingUser) => {
+  const plot = await findOwnPlot(plotId, requestingUser);
+  plot.deleted_at = new Date();
+  await plot.save();
+
+  logger.info(`Farm plot ${plot._id} deleted for user ${requestingUser.id}`);
+  return plot;
+};
+
+module.exports = {
+  createPlotService,
+  getMyPlotsService,
+  getPlotByIdService,
+  updatePlotService,
+  deletePlotService,
+};
@@ -4,9 +4,6 @@ const fs = require("fs").promises;
 const path = require("path");
 
 const createSchemeService = async (schemeData, files, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const { name, translations } = schemeData;
   if (
     !translations ||
@@ -259,9 +256,6 @@ const getSchemeByIdService = async (schemeId) => {
 };
 
 const updateSchemeService = async (id, updates, files, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const scheme = await GovernmentScheme.findOne({
     schemeId: id,
     deleted_at: null,
@@ -399,9 +393,6 @@ const updateSchemeService = async (id, updates, files, requestUser) => {
 };
 
 const deleteSchemeService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const scheme = await GovernmentScheme.findOne({
     _id: id,
     deleted_at: null,
@@ -426,9 +417,6 @@ const deleteSchemeService = async (id, requestUser) => {
 };
 
 const disableSchemeService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const scheme = await GovernmentScheme.findOne({
     _id: id,
     deleted_at: null,
@@ -443,9 +431,6 @@ const disableSchemeService = async (id, requestUser) => {
 };
 
 const enableSchemeService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const scheme = await GovernmentScheme.findOne({
     _id: id,
     deleted_at: null,
@@ -0,0 +1,240 @@
+/**
+ * ============================================
+ * INTERNAL NOTE SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Agent-only notes on a conversation: context for the next agent after a
+ * reassign, or a quick whisper to a colleague.
+ *
+ * HOW IT WORKS:
+ * - Notes are Message documents with visibility "internal"
+ * - Only agents can write or read them (chat:internal-notes), and only on
+ *   conversations assigned to them unless they have chat:read-any
+ * - The farmer never sees them: they are not emitted to the conversation
+ *   room, not returned by farmer-facing endpoints and do not touch
+ *   lastMessage, unread counts, status or SLA timers
+ * - @mentions are explicit user ids; mentioned agents get a push
+ *   notification here and a "note:mention" socket event (chatSocket.js)
+ */
+
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { hasPermission } = require("./permissionService");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const { resolveReplyTo, REPLY_TO_POPULATE } = require("./messageActionService");
+const {
+  normalizeClientMessageId,
+  findMessageByClientId,
+  isDuplicateClientMessageError,
+} = require("./chatSyncService");
+
+const MAX_NOTE_LENGTH = 4000;
+const MAX_MENTIONS = 10;
+
+/**
+ * Whether this user sees internal notes in this conversation
+ * (never the farmer, even if their role were granted the permission)
+ */
+const canSeeInternalNotes = async (conversation, userId, userRole) =>
+  (conversation.userId?._id || conversation.userId).toString() !== userId &&
+  hasPermission(userRole, "chat:internal-notes");
+
+/**
+ * Loads the conversation and checks the caller may use its notes
+ */
+const getConversationForNotes = async (conversationId, userId, userRole) => {
+  // Step 1: Conversation must exist
+  const conversation = await Conversation.findOne({ _id: conversationId, isActive: true });
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+
+  // Step 2: Agent side only
+  if (!(await canSeeInternalNotes(conversation, userId, userRole))) {
+    throw new ApiError("Internal notes are only available to support agents", 403);
+  }
+
+  // Step 3: Assigned agent, or chat:read-any
+  if (
+    conversation.assignedSupportId?.toString() !== userId &&
+    !(await hasPermission(userRole, "chat:read-any"))
+  ) {
+    throw new ApiError("Access denied. You are not a participant of this conversation", 403);
+  }
+
+  return conversation;
+};
+
+/**
+ * Checks mentioned ids are active users who can read internal notes
+ */
+const resolveMentions = async (mentions = [], senderId) => {
+  if (!Array.isArray(mentions)) {
+    throw new ApiError("Mentions must be an array of user IDs", 400);
+  }
+
+  const ids = [...new Set(mentions.map(String))].filter((id) => id !== senderId);
+  if (ids.length === 0) return [];
+  if (ids.length > MAX_MENTIONS) {
+    throw new ApiError(`You can mention at most ${MAX_MENTIONS} agents`, 400);
+  }
+  if (ids.some((id) => !/^[a-f\d]{24}$/i.test(id))) {
+    throw new ApiError("Invalid user ID in mentions", 400);
+  }
+
+  const users = await User.find({ _id: { $in: ids }, isActive: true, deleted_at: null })
+    .select("first_name last_name role fcmToken")
+    .lean();
+
+  const allowed = [];
+  for (const user of users) {
+    if (await hasPermission(user.role, "chat:internal-notes")) {
+      allowed.push(user);
+    }
+  }
+  if (allowed.length !== ids.length) {
+    throw new ApiError("Only support agents can be mentioned in internal notes", 400);
+  }
+
+  return allowed;
+};
+
+/**
+ * ADD INTERNAL NOTE SERVICE
+ *
+ * Business logic:
+ * - Same access rules as reading notes
+ * - Stored as a text Message with visibility "internal"
+ * - Mentioned agents get a push notification
+ *
+ * - May reply to any message in the conversation (replyToId)
+ * - A retry with the same clientMessageId returns the stored note
+ *   (duplicate: true, no second push notification)
+ *
+ * Returns { note, mentionedUserIds, duplicate }; the caller emits the socket events
+ */
+const addInternalNoteService = async ({
+  conversationId,
+  senderId,
+  senderRole,
+  content,
+  mentions,
+  replyToId,
+  clientMessageId,
+}) => {
+  // Step 1: Access check
+  const conversation = await getConversationForNotes(conversationId, senderId, senderRole);
+
+  // Step 2: Validate content and mentions
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text) {
+    throw new ApiError("Note content is required", 400);
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new ApiError(`Note must be at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+  const mentionedUsers = await resolveMentions(mentions, senderId);
+  const replyTo = await resolveReplyTo(conversationId, replyToId, { internal: true });
+
+  // Step 3: Save the note (or return the one a previous attempt stored)
+  const clientId = normalizeClientMessageId(clientMessageId);
+  let note = await findMessageByClientId(senderId, clientId, conversationId);
+  let duplicate = Boolean(note);
+  if (!note) {
+    try {
+      note = await Message.create({
+        conversationId,
+        senderId,
+        messageType: "text",
+        visibility: "internal",
+        content: text,
+        replyTo,
+        mentions: mentionedUsers.map((user) => user._id),
+        ...(clientId && { clientMessageId: clientId }),
+        deliveredAt: new Date(),
+      });
+    } catch (error) {
+      if (!isDuplicateClientMessageError(error)) throw error;
+      note = await findMessageByClientId(senderId, clientId, conversationId);
+      duplicate = true;
+    }
+  }
+  await note.populate("senderId", "first_name last_name phone email image role");
+  await note.populate("mentions", "first_name last_name image role");
+  if (note.replyTo) {
+    await note.populate(REPLY_TO_POPULATE);
+  }
+  const mentionedUserIds = note.mentions.map((user) => user._id.toString());
+
+  if (duplicate) {
+    logger.info(`Duplicate internal note ignored: ${note._id} (client id ${clientId})`);
+    return { note, mentionedUserIds, duplicate };
+  }
+
+  logger.info(`Internal note ${note._id} added to conversation ${conversationId} by ${senderId}`);
+
+  // Step 4: Push notification to mentioned agents
+  const tokens = mentionedUsers.flatMap((user) => user.fcmToken || []);
+  if (tokens.length > 0) {
+    await sendPushNotification(tokens, {
+      title: `${note.senderId.first_name} mentioned you`,
+      body: text.length > 120 ? `${text.slice(0, 117)}...` : text,
+      data: {
+        click_action: "FLUTTER_NOTIFICATION_CLICK",
+        type: "chatMention",
+        conversationId: conversation._id.toString(),
+        messageId: note._id.toString(),
+      },
+    });
+  }
+
+  return { note, mentionedUserIds, duplicate };
+};
+
+/**
+ * GET INTERNAL NOTES SERVICE
+ *
+ * Notes of one conversation, newest first page, returned oldest first
+ * (same shape as getMessagesService)
+ */
+const getInternalNotesService = async (conversationId, userId, userRole, page, limit) => {
+  // Step 1: Access check
+  await getConversationForNotes(conversationId, userId, userRole);
+
+  // Step 2: Count and fetch
+  const query = { conversationId, visibility: "internal" };
+  const skip = (page - 1) * limit;
+  const total = await Message.countDocuments(query);
+  const notes = await Message.find(query)
+    .populate("senderId", "first_name last_name phone email image role")
+    .populate("mentions", "first_name last_name image role")
+    .populate(REPLY_TO_POPULATE)
+    .populate("reactions.userId", "first_name last_name role")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+  notes.reverse();
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data: notes,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+module.exports = {
+  canSeeInternalNotes,
+  addInternalNoteService,
+  getInternalNotesService,
+};
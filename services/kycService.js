@@ -0,0 +1,287 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Kyc = require("../models/Kyc");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+const { hasPermission } = require("./permissionService");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const resolveFilePath = (relativePath) => path.resolve(__dirname, "../", relativePath);
+
+const removeFile = async (relativePath) => {
+  if (!relativePath) return;
+  try {
+    await fs.unlink(resolveFilePath(relativePath));
+  } catch (error) {
+    logger.warn(`Failed to delete KYC file ${relativePath}: ${error.message}`);
+  }
+};
+
+// ========================================
+// MASKING
+// ========================================
+
+const maskTail = (value, visible = 4) => {
+  if (!value) return value;
+  const text = String(value);
+  if (text.length <= visible) return text;
+  return "X".repeat(text.length - visible) + text.slice(-visible);
+};
+
+const maskUpiId = (upiId) => {
+  if (!upiId) return upiId;
+  const [name, handle] = upiId.split("@");
+  return `${name.slice(0, 2)}${"*".repeat(Math.max(name.length - 2, 2))}@${handle}`;
+};
+
+const formatKyc = (kyc, { reveal = false } = {}) => {
+  const mask = (fn, value) => (reveal ? value : fn(value));
+
+  return {
+    id: kyc._id,
+    userId: kyc.userId,
+    documentType: kyc.documentType,
+    documentNumber: mask(maskTail, kyc.documentNumber),
+    document: kyc.documentFile
+      ? {
+          originalName: kyc.documentFile.originalName,
+          mimeType: kyc.documentFile.mimeType,
+          size: kyc.documentFile.size,
+          uploadedAt: kyc.documentFile.uploadedAt,
+        }
+      : null,
+    payoutMethod: kyc.payoutMethod,
+    bankAccount:
+      kyc.payoutMethod === "bank" && kyc.bankAccount
+        ? {
+            accountHolderName: kyc.bankAccount.accountHolderName,
+            accountNumber: mask(maskTail, kyc.bankAccount.accountNumber),
+            ifsc: kyc.bankAccount.ifsc,
+            bankName: kyc.bankAccount.bankName,
+          }
+        : null,
+    upiId: kyc.payoutMethod === "upi" ? mask(maskUpiId, kyc.upiId) : null,
+    status: kyc.status,
+    rejectionReason: kyc.rejectionReason,
+    submittedAt: kyc.submittedAt,
+    reviewedAt: kyc.reviewedAt,
+    reviewedBy: kyc.reviewedBy,
+    history: kyc.history,
+  };
+};
+
+// ========================================
+// FARMER
+// ========================================
+
+const getMyKycService = async (requestingUser) => {
+  const kyc = await Kyc.findOne({ userId: requestingUser.id });
+  if (!kyc) {
+    throw new ApiError("KYC details not submitted yet", 404);
+  }
+  return formatKyc(kyc);
+};
+
+// Create or replace the user's KYC; every submission goes back to "pending"
+const submitKycService = async (requestingUser, payload, file) => {
+  try {
+    const kyc = (await Kyc.findOne({ userId: requestingUser.id })) || new Kyc({ userId: requestingUser.id });
+
+    if (!file && !kyc.documentFile?.path) {
+      throw new ApiError("Identity document file is required", 400, [
+        { field: "document", message: "Upload a photo or PDF of the identity document" },
+      ]);
+    }
+
+    const previousFile = file ? kyc.documentFile?.path : null;
+
+    kyc.documentType = payload.documentType;
+    kyc.documentNumber = payload.documentNumber;
+    if (file) {
+      kyc.documentFile = {
+        path: file.path,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedAt: new Date(),
+      };
+    }
+
+    kyc.payoutMethod = payload.payoutMethod;
+    if (payload.payoutMethod === "bank") {
+      kyc.bankAccount = {
+        accountHolderName: payload.accountHolderName,
+        accountNumber: payload.accountNumber,
+        ifsc: payload.ifsc,
+        bankName: payload.bankName,
+      };
+      kyc.upiId = undefined;
+    } else {
+      kyc.upiId = payload.upiId;
+      kyc.bankAccount = undefined;
+    }
+
+    kyc.status = "pending";
+    kyc.rejectionReason = null;
+    kyc.reviewedAt = null;
+    kyc.reviewedBy = null;
+    kyc.submittedAt = new Date();
+    kyc.history.push({ status: "pending", by: requestingUser.id });
+
+    await kyc.save();
+    await removeFile(previousFile);
+
+    logger.info(`KYC submitted by user ${requestingUser.id}`);
+    return formatKyc(kyc);
+  } catch (error) {
+    if (file) await removeFile(file.path);
+    throw error;
+  }
+};
+
+// An uploaded document whose submission was rejected before reaching the
+// service (failed validation)
+const discardUploadedDocument = (file) => removeFile(file?.path);
+
+// Streams are opened by the controller; this only resolves and authorises
+const getKycDocumentService = async (userId, requestingUser) => {
+  if (
+    String(userId) !== String(requestingUser.id) &&
+    !(await hasPermission(requestingUser.role, "kyc:read"))
+  ) {
+    throw new ApiError("Unauthorized to access this document", 403);
+  }
+
+  const kyc = await Kyc.findOne({ userId }).select("documentFile").lean();
+  if (!kyc?.documentFile?.path) {
+    throw new ApiError("KYC document not found", 404);
+  }
+
+  const absolutePath = resolveFilePath(kyc.documentFile.path);
+  try {
+    await fs.access(absolutePath);
+  } catch {
+    throw new ApiError("KYC document not found", 404);
+  }
+
+  return {
+    absolutePath,
+    mimeType: kyc.documentFile.mimeType,
+    originalName: kyc.documentFile.originalName,
+  };
+};
+
+// ========================================
+// ADMIN
+// ========================================
+
+const getAllKycService = async ({ page = 1, limit = 10, status }) => {
+  const skip = (page - 1) * limit;
+  const filter = { ...(status ? { status } : {}) };
+
+  const count = await Kyc.countDocuments(filter);
+  const records = await Kyc.find(filter)
+    .populate("userId", "first_name last_name phone state city")
+    .sort({ submittedAt: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  return {
+    data: records.map((kyc) => formatKyc(kyc)),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(count / limit),
+      totalItems: count,
+      limit,
+    },
+  };
+};
+
+const getKycByUserIdService = async (userId, requestingUser, { reveal = false } = {}) => {
+  if (reveal && !(await hasPermission(requestingUser.role, "kyc:reveal"))) {
+    throw new ApiError("Not allowed to view unmasked payout details", 403);
+  }
+
+  const kyc = await Kyc.findOne({ userId }).populate("userId", "first_name last_name phone state city");
+  if (!kyc) {
+    throw new ApiError("KYC details not found", 404);
+  }
+
+  if (reveal) {
+    logger.warn(`Unmasked KYC details of user ${userId} viewed by ${requestingUser.id}`);
+  }
+  return formatKyc(kyc, { reveal });
+};
+
+const reviewKycService = async (userId, { status, reason }, requestingUser) => {
+  const kyc = await Kyc.findOne({ userId });
+  if (!kyc) {
+    throw new ApiError("KYC details not found", 404);
+  }
+  if (kyc.status === status) {
+    throw new ApiError(`KYC is already ${status}`, 409);
+  }
+
+  kyc.status = status;
+  kyc.rejectionReason = status === "rejected" ? reason : null;
+  kyc.reviewedAt = new Date();
+  kyc.reviewedBy = requestingUser.id;
+  kyc.history.push({ status, reason, by: requestingUser.id });
+  await kyc.save();
+
+  logger.info(`KYC of user ${userId} marked ${status} by ${requestingUser.id}`);
+
+  const user = await User.findById(userId).select("fcmToken");
+  if (user?.fcmToken?.length > 0) {
+    await sendPushNotification(user.fcmToken, {
+      title: status === "verified" ? "KYC Verified" : "KYC Rejected",
+      body:
+        status === "verified"
+          ? "Your payout details have been verified."
+          : `Your KYC was rejected: ${reason}. Please update your details.`,
+      data: {
+        click_action: "FLUTTER_NOTIFICATION_CLICK",
+        type: "kycUpdate",
+      },
+    });
+  }
+
+  return formatKyc(kyc);
+};
+
+// ========================================
+// HELPERS FOR OTHER SERVICES
+// ========================================
+
+const assertPayoutVerified = async (userId) => {
+  const verified = await Kyc.exists({ userId, status: "verified" });
+  if (!verified) {
+    throw new ApiError("The farmer's KYC and payout details are not verified yet", 409);
+  }
+};
+
+const getKycForExport = async (userId) => {
+  const kyc = await Kyc.findOne({ userId }).lean();
+  return kyc ? formatKyc(kyc) : null;
+};
+
+const removeKycData = async (userId) => {
+  const kyc = await Kyc.findOne({ userId }).select("documentFile").lean();
+  if (!kyc) return;
+  await removeFile(kyc.documentFile?.path);
+  await Kyc.deleteOne({ _id: kyc._id });
+};
+
+module.exports = {
+  getMyKycService,
+  submitKycService,
+  getKycDocumentService,
+  getAllKycService,
+  getKycByUserIdService,
+  reviewKycService,
+  assertPayoutVerified,
+  getKycForExport,
+  removeKycData,
+  discardUploadedDocument,
+};
@@ -0,0 +1,158 @@
+const LoginHistory = require("../models/LoginHistory");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { getClientInfo } = require("../utils/userAgentParser");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const FAILED_BURST_THRESHOLD = parseInt(process.env.LOGIN_FAILED_BURST_THRESHOLD || "5", 10);
+const FAILED_BURST_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILED_BURST_WINDOW_MINUTES || "15", 10);
+
+// ========================================
+// RULES
+// ========================================
+// A rule gets the freshly stored attempt and returns an alert
+// ({ title, body }) when it fires, or null. Rules run in order and every
+// rule that fires is recorded in attempt.flags.
+
+const newDeviceRule = {
+  name: "new-device",
+  evaluate: async (attempt) => {
+    if (attempt.status !== "success") return null;
+
+    const previous = await LoginHistory.find({
+      userId: attempt.userId,
+      status: "success",
+      _id: { $ne: attempt._id },
+    })
+      .select("deviceFingerprint")
+      .limit(200)
+      .lean();
+
+    // First ever login is not suspicious
+    if (!previous.length) return null;
+    if (previous.some((entry) => entry.deviceFingerprint === attempt.deviceFingerprint)) return null;
+
+    const device = [attempt.device?.vendor, attempt.device?.model, attempt.os?.name]
+      .filter(Boolean)
+      .join(" ") || "a new device";
+    return {
+      title: "New sign-in to your account",
+      body: `Your account was just accessed from ${device}. If this wasn't you, log out of all devices and contact support.`,
+    };
+  },
+};
+
+const failedBurstRule = {
+  name: "failed-login-burst",
+  evaluate: async (attempt) => {
+    if (attempt.status !== "failure") return null;
+
+    const since = new Date(Date.now() - FAILED_BURST_WINDOW_MINUTES * 60 * 1000);
+    const failures = await LoginHistory.countDocuments({
+      userId: attempt.userId,
+      status: "failure",
+      loginAt: { $gte: since },
+    });
+    if (failures < FAILED_BURST_THRESHOLD) return null;
+
+    // One alert per burst window
+    const alreadyAlerted = await LoginHistory.exists({
+      userId: attempt.userId,
+      flags: "failed-login-burst",
+      loginAt: { $gte: since },
+      _id: { $ne: attempt._id },
+    });
+    if (alreadyAlerted) return null;
+
+    return {
+      title: "Failed sign-in attempts",
+      body: `We blocked ${failures} failed attempts to sign in to your account in the last ${FAILED_BURST_WINDOW_MINUTES} minutes.`,
+    };
+  },
+};
+
+const rules = [newDeviceRule, failedBurstRule];
+
+// Extension point for additional rules (e.g. from a plugin module at boot)
+const registerLoginRule = (rule) => {
+  rules.push(rule);
+};
+
+// ========================================
+// ATTEMPT RECORDING
+// ========================================
+
+const sendSecurityAlert = async (attempt, alerts) => {
+  const user = await User.findById(attempt.userId).select("fcmToken");
+  if (!user?.fcmToken?.length) return false;
+
+  const [first] = alerts;
+  await sendPushNotification(user.fcmToken, {
+    title: first.alert.title,
+    body: first.alert.body,
+    data: {
+      click_action: "FLUTTER_NOTIFICATION_CLICK",
+      type: "securityAlert",
+      reasons: alerts.map(({ rule }) => rule).join(","),
+      loginHistoryId: String(attempt._id),
+    },
+  });
+  return true;
+};
+
+const evaluateRules = async (attempt) => {
+  const fired = [];
+  for (const rule of rules) {
+    try {
+      const alert = await rule.evaluate(attempt);
+      if (alert) fired.push({ rule: rule.name, alert });
+    } catch (error) {
+      logger.error(`Login rule ${rule.name} failed: ${error.message}`);
+    }
+  }
+  if (!fired.length) return;
+
+  attempt.flags = fired.map(({ rule }) => rule);
+  logger.warn(`Suspicious login for user ${attempt.userId}: ${attempt.flags.join(", ")}`);
+
+  if (await sendSecurityAlert(attempt, fired)) {
+    attempt.alertSentAt = new Date();
+  }
+  await attempt.save();
+};
+
+/**
+ * Store a login attempt and run the alert rules.
+ * Never throws: auditing must not break the login flow itself.
+ */
+const recordLoginAttempt = async ({ user, req, method, status = "success", failureReason }) => {
+  try {
+    const client = getClientInfo(req);
+    const attempt = await LoginHistory.create({
+      userId: user._id,
+      phone: user.phone,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent,
+      device: client.device,
+      os: client.os,
+      browser: client.browser,
+      appVersion: client.appVersion,
+      geo: client.geo,
+      deviceFingerprint: client.fingerprint,
+      method,
+      status,
+      failureReason,
+    });
+
+    await evaluateRules(attempt);
+    return attempt;
+  } catch (error) {
+    logger.error(`Failed to record login attempt for user ${user?._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  recordLoginAttempt,
+  registerLoginRule,
+};
@@ -4,9 +4,6 @@ const fs = require("fs").promises;
 const path = require("path");
 
 const createMediaService = async (files, type, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const mediaItems = [];
   const baseUrl = process.env.BASE_URL
   
@@ -61,9 +58,6 @@ const getMediaByIdService = async (id) => {
 };
 
 const deleteMediaService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const media = await MediaMaster.findById(id);
   if (!media) {
     throw new ApiError("Media not found", 404);
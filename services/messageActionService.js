@@ -0,0 +1,218 @@
+/**
+ * ============================================
+ * MESSAGE ACTION SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Replies, edits and emoji reactions on chat messages.
+ *
+ * RULES:
+ * - Replies must quote a message from the same conversation; a public
+ *   message cannot quote an internal note (the quote would reach the farmer)
+ * - Only the sender can edit, only text messages, and only within
+ *   CHAT_MESSAGE_EDIT_WINDOW_MINUTES of sending; the previous text is kept
+ *   in editHistory and editedAt is set; cached translations are dropped;
+ *   the new text goes through the word filters and block checks of
+ *   chatModerationService.js like a new message
+ * - Any participant can react; sending the same emoji again removes it
+ * - Internal notes follow the internal note rules (agents only)
+ *
+ * Socket events are emitted by the callers (chatController / chatSocket).
+ */
+
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { hasPermission } = require("./permissionService");
+const { filterMessageContent, assertCanMessage } = require("./chatModerationService");
+
+const EDIT_WINDOW_MINUTES = parseInt(process.env.CHAT_MESSAGE_EDIT_WINDOW_MINUTES || "15", 10);
+const MAX_REACTIONS_PER_USER = 10;
+
+// Emoji characters only (including skin tones, flags and ZWJ sequences)
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200D|\uFE0F)+$/u;
+const graphemes = new Intl.Segmenter();
+
+const isSingleEmoji = (value) =>
+  value.length <= 16 && EMOJI_PATTERN.test(value) && [...graphemes.segment(value)].length === 1;
+
+/**
+ * How a quoted parent message is populated in every response
+ */
+const REPLY_TO_POPULATE = {
+  path: "replyTo",
+  select: "senderId messageType content mediaId visibility createdAt editedAt",
+  populate: { path: "senderId", select: "first_name last_name role" },
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Loads a message with its conversation and checks the user may act on it
+ */
+const getMessageForAction = async (messageId, userId, userRole) => {
+  // Step 1: Message and its conversation
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw new ApiError("Message not found", 404);
+  }
+  const conversation = await Conversation.findOne({ _id: message.conversationId, isActive: true });
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+
+  // Step 2: Participants only
+  const isParticipant = idOf(conversation.userId) === userId || idOf(conversation.assignedSupportId) === userId;
+  if (!isParticipant) {
+    throw new ApiError("You are not a participant of this conversation", 403);
+  }
+
+  // Step 3: Internal notes do not exist for the farmer
+  // (same rule as canSeeInternalNotes in internalNoteService.js)
+  if (
+    message.visibility === "internal" &&
+    (idOf(conversation.userId) === userId || !(await hasPermission(userRole, "chat:internal-notes")))
+  ) {
+    throw new ApiError("Message not found", 404);
+  }
+
+  return { message, conversation };
+};
+
+/**
+ * Validates a reply target and returns its id (or null when not replying)
+ */
+const resolveReplyTo = async (conversationId, replyToId, { internal = false } = {}) => {
+  if (!replyToId) return null;
+
+  if (!/^[a-f\d]{24}$/i.test(String(replyToId))) {
+    throw new ApiError("Invalid replyToId", 400);
+  }
+
+  const parent = await Message.findOne({ _id: replyToId, conversationId }).select("visibility").lean();
+  if (!parent) {
+    throw new ApiError("The message you are replying to was not found in this conversation", 404);
+  }
+  if (parent.visibility === "internal" && !internal) {
+    throw new ApiError("Only internal notes can reply to an internal note", 400);
+  }
+
+  return parent._id;
+};
+
+// ========================================
+// EDIT
+// ========================================
+
+/**
+ * EDIT MESSAGE SERVICE
+ *
+ * Business logic:
+ * - Sender only, text only, inside the edit window
+ * - Previous text goes to editHistory, editedAt marks the message as edited
+ */
+const editMessageService = async (messageId, content, userId, userRole) => {
+  // Step 1: Load and check access
+  const { message, conversation } = await getMessageForAction(messageId, userId, userRole);
+
+  // Step 2: Edit rules
+  if (message.senderId.toString() !== userId) {
+    throw new ApiError("You can only edit your own messages", 403);
+  }
+  if (message.messageType !== "text") {
+    throw new ApiError("Only text messages can be edited", 400);
+  }
+  if (Date.now() - new Date(message.createdAt).getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+    throw new ApiError(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`, 403);
+  }
+
+  // Step 3: Validate new text
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text) {
+    throw new ApiError("Content is required", 400);
+  }
+  if (text === message.content) {
+    return message;
+  }
+
+  // Step 3.1: Same checks as a new message (internal notes are agent-only)
+  let filteredText = text;
+  if (message.visibility !== "internal") {
+    const receiverId = idOf(conversation.userId) === userId ? conversation.assignedSupportId : conversation.userId;
+    await assertCanMessage(userId, receiverId);
+    filteredText = (await filterMessageContent(text, conversation.language)).content;
+  }
+
+  // Step 4: Keep the old text and save
+  message.editHistory.push({ content: message.content, editedAt: new Date() });
+  message.content = filteredText;
+  message.editedAt = new Date();
+  // Detected again and re-translated for the new text (messageTranslationService.js)
+  message.language = null;
+  message.translations = undefined;
+  await message.save();
+
+  await message.populate("senderId", "first_name last_name phone email image role");
+  await message.populate(REPLY_TO_POPULATE);
+
+  logger.info(`Message ${messageId} edited by user ${userId}`);
+  return message;
+};
+
+// ========================================
+// REACTIONS
+// ========================================
+
+/**
+ * TOGGLE REACTION SERVICE
+ *
+ * Business logic:
+ * - Adds the emoji for this user, or removes it if they already reacted with it
+ * - A user can leave at most MAX_REACTIONS_PER_USER different emoji per message
+ *
+ * Returns { message, action: "added" | "removed" }
+ */
+const toggleReactionService = async (messageId, emoji, userId, userRole) => {
+  // Step 1: Validate emoji
+  const value = typeof emoji === "string" ? emoji.trim() : "";
+  if (!isSingleEmoji(value)) {
+    throw new ApiError("Reaction must be a single emoji", 400);
+  }
+
+  // Step 2: Load and check access
+  const { message } = await getMessageForAction(messageId, userId, userRole);
+
+  // Step 3: Toggle
+  const existing = message.reactions.find(
+    (reaction) => reaction.userId.toString() === userId && reaction.emoji === value
+  );
+  let action;
+  if (existing) {
+    message.reactions.pull(existing._id);
+    action = "removed";
+  } else {
+    const mine = message.reactions.filter((reaction) => reaction.userId.toString() === userId);
+    if (mine.length >= MAX_REACTIONS_PER_USER) {
+      throw new ApiError(`You can add at most ${MAX_REACTIONS_PER_USER} reactions to a message`, 400);
+    }
+    message.reactions.push({ emoji: value, userId, reactedAt: new Date() });
+    action = "added";
+  }
+  await message.save();
+
+  logger.info(`Reaction ${value} ${action} on message ${messageId} by user ${userId}`);
+  return { message, action };
+};
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  REPLY_TO_POPULATE,
+  resolveReplyTo,
+  editMessageService,
+  toggleReactionService,
+};
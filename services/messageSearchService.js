@@ -0,0 +1,224 @@
+/**
+ * ============================================
+ * MESSAGE SEARCH SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Full-text search over chat history so agents can find the conversation
+ * where a farmer mentioned a crop, an order id, a scheme...
+ *
+ * HOW IT WORKS:
+ * 1. Works out which conversations the caller may read: their own
+ *    (farmer or assigned agent), or all of them with chat:read-any -
+ *    the same rule as getConversationByIdService
+ * 2. Narrows those by agent, farmer and conversation status
+ * 3. Runs a MongoDB $text query on Message.content and voice note
+ *    transcripts (index in Message.js); every word of the query must
+ *    appear, words with symbols such as "ORD-1042" are matched as a phrase
+ * 4. Each hit gets a snippet with highlight ranges and the page of
+ *    GET /messages/:conversationId that contains it (jump to context)
+ *
+ * Internal notes are only searched in conversations where the caller is on
+ * the agent side (the canSeeInternalNotes rule, worked out once per search).
+ *
+ * migrateSearchIndex() runs at startup (index.js) and replaces the text
+ * index of older databases.
+ */
+
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const logger = require("../utils/logger");
+const { hasPermission } = require("./permissionService");
+const { getMessagePageNumber } = require("./chatService");
+
+const SNIPPET_RADIUS = 60;
+
+// Text index on content only, from before voice note transcripts were searchable
+const LEGACY_TEXT_INDEX = "content_text";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Splits the query into terms. Quotes are stripped and every term is sent
+ * to $text as a quoted phrase, so all terms are required and "-" inside an
+ * order id is not read as negation.
+ */
+const parseSearchTerms = (query) =>
+  [...new Set(query.replace(/"/g, " ").split(/\s+/).filter(Boolean))];
+
+/**
+ * Cuts a window of text around the first match and returns the match
+ * positions inside that window, e.g. { text: "...order ORD-1042 is...", highlights: [{ start: 9, end: 17 }] }
+ */
+const buildSnippet = (content, terms) => {
+  if (!content) return { text: "", highlights: [] };
+
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const first = pattern.exec(content);
+  const center = first ? first.index : 0;
+
+  // Step 1: Window around the first match, trimmed to whole words
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(content.length, center + (first ? first[0].length : 0) + SNIPPET_RADIUS);
+  if (start > 0) {
+    const space = content.indexOf(" ", start);
+    if (space !== -1 && space < center) start = space + 1;
+  }
+  if (end < content.length) {
+    const space = content.lastIndexOf(" ", end);
+    if (space > center) end = space;
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < content.length ? "…" : "";
+  const text = `${prefix}${content.slice(start, end)}${suffix}`;
+
+  // Step 2: Every match inside the window
+  const highlights = [];
+  const windowPattern = new RegExp(pattern.source, "gi");
+  let match;
+  while ((match = windowPattern.exec(text)) !== null) {
+    if (match[0].length === 0) break;
+    highlights.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return { text, highlights };
+};
+
+/**
+ * SEARCH MESSAGES SERVICE
+ *
+ * filters:
+ * - q: search text (required)
+ * - agentId, farmerId, status: conversation filters
+ * - from, to, messageType: message filters
+ * - sort: "relevance" (default) or "newest"
+ * - contextLimit: page size the client uses for GET /messages/:conversationId
+ */
+const searchMessagesService = async (
+  { q, agentId, farmerId, status, from, to, messageType, sort = "relevance", page = 1, limit = 20, contextLimit = 50 },
+  userId,
+  userRole
+) => {
+  // Step 1: Conversations the caller may read. With chat:read-any and no
+  // conversation filter that is every active one, so only the deleted
+  // conversations are listed (to exclude them)
+  const canReadAny = await hasPermission(userRole, "chat:read-any");
+  const conversationQuery = {
+    isActive: true,
+    ...(agentId && { assignedSupportId: agentId }),
+    ...(farmerId && { userId: farmerId }),
+    ...(status && { status }),
+  };
+  if (!canReadAny) {
+    conversationQuery.$or = [{ userId: userId }, { assignedSupportId: userId }];
+  }
+  const conversationFilter =
+    canReadAny && !agentId && !farmerId && !status
+      ? { $nin: await Conversation.find({ isActive: false }).distinct("_id") }
+      : { $in: await Conversation.find(conversationQuery).distinct("_id") };
+
+  // Internal notes: agent side only, and never in the caller's own
+  // conversations as a farmer (same rule as canSeeInternalNotes)
+  const agentSide = await hasPermission(userRole, "chat:internal-notes");
+  const ownConversationIds = agentSide ? await Conversation.find({ userId: userId }).distinct("_id") : [];
+  const ownConversationIdSet = new Set(ownConversationIds.map(String));
+
+  const terms = parseSearchTerms(q);
+  const pagination = (total) => {
+    const totalPages = Math.ceil(total / limit);
+    return {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    };
+  };
+
+  if (conversationFilter.$in?.length === 0 || terms.length === 0) {
+    return { data: [], pagination: pagination(0) };
+  }
+
+  // Step 2: Message query
+  const query = {
+    conversationId: conversationFilter,
+    $text: { $search: terms.map((term) => `"${term}"`).join(" ") },
+    ...(messageType && { messageType }),
+    // Hide internal notes the caller may not see ($nor, since $text
+    // cannot be combined with an unindexed $or)
+    $nor: [{ visibility: "internal", ...(agentSide && { conversationId: { $in: ownConversationIds } }) }],
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { $gte: from }),
+        ...(to && { $lt: to }),
+      },
+    }),
+  };
+
+  // Step 3: Count and fetch
+  const skip = (page - 1) * limit;
+  const total = await Message.countDocuments(query);
+  const messages = await Message.find(query, { score: { $meta: "textScore" } })
+    .populate("senderId", "first_name last_name image role")
+    .populate({
+      path: "conversationId",
+      select: "userId assignedSupportId status language topic",
+      populate: [
+        { path: "userId", select: "first_name last_name phone" },
+        { path: "assignedSupportId", select: "first_name last_name" },
+      ],
+    })
+    .sort(sort === "newest" ? { createdAt: -1 } : { score: { $meta: "textScore" }, createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  // Step 4: Snippet and jump-to-context page for each hit
+  const data = await Promise.all(
+    messages.map(async (message) => ({
+      messageId: message._id,
+      visibility: message.visibility,
+      conversation: message.conversationId,
+      sender: message.senderId,
+      messageType: message.messageType,
+      createdAt: message.createdAt,
+      score: message.score,
+      snippet: buildSnippet(message.content || message.transcript?.text, terms),
+      context: {
+        conversationId: message.conversationId._id,
+        page: await getMessagePageNumber(message, contextLimit, {
+          includeInternal: agentSide && !ownConversationIdSet.has(String(message.conversationId._id)),
+        }),
+        limit: contextLimit,
+      },
+    }))
+  );
+
+  return { data, pagination: pagination(total) };
+};
+
+// ========================================
+// INDEX MIGRATION
+// ========================================
+
+/**
+ * Drops the legacy text index so the one in Message.js can be built (a
+ * collection can only have one text index), then builds missing indexes
+ * Safe to run on every start; a new database has nothing to drop.
+ */
+const migrateSearchIndex = async () => {
+  // indexes() fails while the collection does not exist yet
+  const indexes = await Message.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === LEGACY_TEXT_INDEX)) {
+    await Message.collection.dropIndex(LEGACY_TEXT_INDEX);
+    logger.info(`Dropped legacy message text index ${LEGACY_TEXT_INDEX}`);
+  }
+  await Message.createIndexes();
+};
+
+module.exports = {
+  searchMessagesService,
+  migrateSearchIndex,
+};
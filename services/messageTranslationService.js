@@ -0,0 +1,287 @@
+/**
+ * ============================================
+ * MESSAGE TRANSLATION SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Farmers write in Telugu, Marathi, Hindi...; agents do not read all of
+ * them. Messages are translated into each reader's language.
+ *
+ * HOW IT WORKS:
+ * 1. After a text message is saved, its language is detected and stored
+ *    (message.language)
+ * 2. Automatic: the receiver gets a "message:translated" socket event with
+ *    the text in their language, when it differs (CHAT_AUTO_TRANSLATE)
+ * 3. On demand: POST /messages/:messageId/translate
+ * 4. History: GET /messages/:conversationId adds a "translation" to each
+ *    message that has one cached for the reader (translate=true also
+ *    translates the missing ones)
+ *
+ * Translations are cached on the message (message.translations) so they
+ * are requested from the translation API once per language. The original
+ * text always stays in message.content.
+ *
+ * READER'S LANGUAGE:
+ * - ?lang= on the request, else the user's preferredLanguage
+ * - else the conversation language for the farmer and "en" for agents
+ * - agents are not sent translations of languages listed in their
+ *   support profile (supportProfile.languages)
+ */
+
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { translateText, detectLanguage } = require("../utils/translateUtil");
+const { normalizeLanguage } = require("../config/supportRouting");
+const { hasPermission } = require("./permissionService");
+const { canSeeInternalNotes } = require("./internalNoteService");
+
+const AUTO_TRANSLATE = process.env.CHAT_AUTO_TRANSLATE !== "false";
+const HISTORY_TRANSLATE_CONCURRENCY = 5;
+
+// Used when the translation API cannot tell: scripts that belong to one
+// language, and Devanagari, shared by Hindi, Marathi, Nepali...
+const SCRIPT_LANGUAGES = [
+  [/\p{Script=Telugu}/u, "te"],
+  [/\p{Script=Tamil}/u, "ta"],
+  [/\p{Script=Kannada}/u, "kn"],
+  [/\p{Script=Malayalam}/u, "ml"],
+  [/\p{Script=Bengali}/u, "bn"],
+  [/\p{Script=Gujarati}/u, "gu"],
+  [/\p{Script=Gurmukhi}/u, "pa"],
+  [/\p{Script=Oriya}/u, "or"],
+  [/\p{Script=Arabic}/u, "ur"],
+  [/\p{Script=Devanagari}/u, "hi"],
+  [/\p{Script=Latin}/u, "en"],
+];
+const DEVANAGARI_LANGUAGES = ["hi", "mr", "ne", "sa", "mai", "kok", "doi", "brx"];
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// ========================================
+// LANGUAGES
+// ========================================
+
+/**
+ * Best guess from the writing system; hint is the conversation language
+ */
+const guessLanguageFromScript = (text, hint) => {
+  const match = SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text));
+  if (!match) return null;
+  if (match[1] === "hi" && DEVANAGARI_LANGUAGES.includes(hint)) return hint;
+  return match[1];
+};
+
+/**
+ * Detected language of a text, or null for text without letters (emoji,
+ * numbers, order ids)
+ */
+const detectMessageLanguage = async (text, hint) => {
+  if (!text || !/\p{L}/u.test(text)) return null;
+
+  const detected = normalizeLanguage(await detectLanguage(text));
+  return detected || guessLanguageFromScript(text, hint);
+};
+
+/**
+ * Language a user reads chat in (see header)
+ */
+const getReaderLanguage = (reader, conversation) => {
+  if (reader?.preferredLanguage) return reader.preferredLanguage;
+  const isFarmer = idOf(conversation.userId) === idOf(reader);
+  return isFarmer ? conversation.language || "en" : "en";
+};
+
+/**
+ * Whether this reader needs the message translated into target
+ */
+const needsTranslation = (message, reader, target) =>
+  message.messageType === "text" &&
+  Boolean(message.content) &&
+  Boolean(message.language) &&
+  message.language !== target &&
+  !(reader?.supportProfile?.languages || []).includes(message.language);
+
+// ========================================
+// TRANSLATE
+// ========================================
+
+const getCachedTranslation = (message, language) =>
+  message.translations instanceof Map ? message.translations.get(language) : message.translations?.[language];
+
+/**
+ * Translation of one message, from the cache or the translation API
+ * (then cached on the message without touching updatedAt, so reconnect
+ * sync does not replay it as an edit)
+ */
+const translateMessage = async (message, language) => {
+  const cached = getCachedTranslation(message, language);
+  if (cached) return cached;
+
+  const translated = await translateText(message.content, language, { from: message.language || undefined });
+  await Message.updateOne(
+    { _id: message._id, content: message.content },
+    { $set: { [`translations.${language}`]: translated } },
+    { timestamps: false }
+  );
+  return translated;
+};
+
+/**
+ * Detects and stores the language of a message that has none yet
+ */
+const ensureMessageLanguage = async (message, hint) => {
+  if (message.language || message.messageType !== "text") return message.language;
+
+  const language = await detectMessageLanguage(message.content, hint);
+  if (language) {
+    message.language = language;
+    await Message.updateOne({ _id: message._id }, { $set: { language } }, { timestamps: false });
+  }
+  return language;
+};
+
+/**
+ * AUTO TRANSLATE MESSAGE
+ *
+ * Runs after a text message is saved or edited (not awaited by senders):
+ * - detects and stores its language
+ * - translates it for the other participant when their language differs
+ *   (public messages only)
+ *
+ * Returns { receiverId, translation } or null; the caller emits
+ * "message:translated" with translation to the receiver's personal room
+ */
+const autoTranslateMessage = async (message) => {
+  if (message.messageType !== "text") return null;
+
+  // Step 1: Source language
+  const conversation = await Conversation.findById(message.conversationId)
+    .select("userId assignedSupportId language")
+    .lean();
+  if (!conversation) return null;
+  await ensureMessageLanguage(message, conversation.language);
+
+  // Step 2: Receiver and their language
+  if (!AUTO_TRANSLATE || message.visibility === "internal") return null;
+  const receiverId =
+    idOf(message.senderId) === idOf(conversation.userId) ? idOf(conversation.assignedSupportId) : idOf(conversation.userId);
+  if (!receiverId) return null;
+  const receiver = await User.findById(receiverId).select("preferredLanguage supportProfile.languages").lean();
+  const target = getReaderLanguage(receiver, conversation);
+  if (!needsTranslation(message, receiver, target)) return null;
+
+  // Step 3: Translate and cache
+  const content = await translateMessage(message, target);
+  logger.info(`Message ${message._id} translated ${message.language} → ${target} for ${receiverId}`);
+
+  return {
+    receiverId,
+    translation: {
+      conversationId: message.conversationId,
+      messageId: message._id,
+      sourceLanguage: message.language,
+      language: target,
+      content,
+    },
+  };
+};
+
+/**
+ * TRANSLATE MESSAGE SERVICE
+ *
+ * Business logic:
+ * - Reader must be able to open the conversation (participant, or
+ *   chat:read-any); internal notes only for agents
+ * - language: target, defaults to the reader's language
+ * - Returns the original and the translation
+ */
+const translateMessageService = async (messageId, userId, userRole, language) => {
+  // Step 1: Message and access
+  const message = await Message.findById(messageId);
+  if (!message) {
+    throw new ApiError("Message not found", 404);
+  }
+  const conversation = await Conversation.findOne({ _id: message.conversationId, isActive: true });
+  if (!conversation) {
+    throw new ApiError("Conversation not found", 404);
+  }
+  const isParticipant = idOf(conversation.userId) === userId || idOf(conversation.assignedSupportId) === userId;
+  if (!isParticipant && !(await hasPermission(userRole, "chat:read-any"))) {
+    throw new ApiError("Access denied. You are not a participant of this conversation", 403);
+  }
+  if (message.visibility === "internal" && !(await canSeeInternalNotes(conversation, userId, userRole))) {
+    throw new ApiError("Message not found", 404);
+  }
+  if (message.messageType !== "text" || !message.content) {
+    throw new ApiError("Only text messages can be translated", 400);
+  }
+
+  // Step 2: Target language
+  const reader = await User.findById(userId).select("preferredLanguage").lean();
+  const target = language || getReaderLanguage(reader, conversation);
+
+  // Step 3: Translate (cached per message and language)
+  await ensureMessageLanguage(message, conversation.language);
+  const content = message.language === target ? message.content : await translateMessage(message, target);
+
+  return {
+    messageId: message._id,
+    original: { language: message.language, content: message.content },
+    translation: { language: target, content },
+  };
+};
+
+/**
+ * Adds { translation: { language, content } | null } to each message of a
+ * history page for this reader. Cached translations are always used;
+ * missing ones are requested only when translateMissing is true.
+ *
+ * messages: Mongoose documents; returns plain objects
+ */
+const attachTranslations = async (messages, conversation, userId, { language, translateMissing = false } = {}) => {
+  // Step 1: Reader's language
+  const reader = await User.findById(userId).select("preferredLanguage supportProfile.languages").lean();
+  const target = language || getReaderLanguage(reader || { _id: userId }, conversation);
+
+  // Step 2: Cached ones, and the list of missing ones
+  const result = messages.map((message) => ({
+    ...message.toJSON(),
+    translation: null,
+  }));
+  const missing = [];
+  messages.forEach((message, index) => {
+    if (!needsTranslation(message, reader, target)) return;
+    const cached = getCachedTranslation(message, target);
+    if (cached) {
+      result[index].translation = { language: target, content: cached };
+    } else if (translateMissing) {
+      missing.push(index);
+    }
+  });
+
+  // Step 3: Translate the missing ones, a few at a time
+  for (let i = 0; i < missing.length; i += HISTORY_TRANSLATE_CONCURRENCY) {
+    await Promise.all(
+      missing.slice(i, i + HISTORY_TRANSLATE_CONCURRENCY).map(async (index) => {
+        try {
+          const content = await translateMessage(messages[index], target);
+          result[index].translation = { language: target, content };
+        } catch (error) {
+          logger.error(`Translating message ${messages[index]._id} failed: ${error.message}`);
+        }
+      })
+    );
+  }
+
+  return { language: target, messages: result };
+};
+
+module.exports = {
+  detectMessageLanguage,
+  autoTranslateMessage,
+  translateMessageService,
+  attachTranslations,
+};
@@ -0,0 +1,103 @@
+const OtpDelivery = require("../models/OtpDelivery");
+const { getSmsProvider } = require("../utils/smsProvider");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+
+const OTP_TTL_MINUTES = 10;
+
+const DEFAULT_TEMPLATE =
+  "{{otp}} is your Agritech verification code. It expires in {{minutes}} minutes. Do not share it with anyone.";
+
+const buildOtpMessage = (otp) =>
+  (process.env.OTP_SMS_TEMPLATE || DEFAULT_TEMPLATE)
+    .replace(/{{otp}}/g, otp)
+    .replace(/{{minutes}}/g, String(OTP_TTL_MINUTES));
+
+// The plaintext OTP may only be echoed back in API responses when running
+// the test suite with the switch explicitly turned on.
+const shouldExposeOtp = () =>
+  process.env.NODE_ENV === "test" && process.env.OTP_EXPOSE_IN_RESPONSE === "true";
+
+const deliverOtp = async ({ userId, phone, otp, purpose = "login" }) => {
+  const provider = getSmsProvider();
+
+  const delivery = await OtpDelivery.create({
+    userId,
+    phone,
+    purpose,
+    provider: provider.name,
+    status: "queued",
+  });
+
+  try {
+    const result = await provider.send({ to: phone, message: buildOtpMessage(otp) });
+    delivery.status = "sent";
+    delivery.providerMessageId = result?.providerMessageId || null;
+    delivery.sentAt = new Date();
+    await delivery.save();
+  } catch (error) {
+    delivery.status = "failed";
+    delivery.error = error.message;
+    await delivery.save();
+
+    logger.error(`OTP delivery failed for phone: ${phone} via ${provider.name}: ${error.message}`);
+    throw new ApiError("Failed to send OTP. Please try again.", 502);
+  }
+
+  logger.info(`OTP sent to phone: ${phone} via ${provider.name}`);
+  return delivery;
+};
+
+// Delivery report pushed by the SMS gateway
+const updateDeliveryStatus = async ({ providerMessageId, status, error }) => {
+  if (!["delivered", "failed"].includes(status)) {
+    throw new ApiError("Invalid delivery status", 400);
+  }
+
+  const delivery = await OtpDelivery.findOne({ providerMessageId });
+  if (!delivery) {
+    throw new ApiError("Delivery record not found", 404);
+  }
+
+  delivery.status = status;
+  if (status === "delivered") {
+    delivery.deliveredAt = new Date();
+  } else {
+    delivery.error = error || "Rejected by gateway";
+  }
+  await delivery.save();
+
+  return delivery;
+};
+
+const getOtpDeliveries = async (requestingUser, { page = 1, limit = 10, phone, status }) => {
+  const skip = (page - 1) * limit;
+  const filter = {
+    ...(phone ? { phone } : {}),
+    ...(status ? { status } : {}),
+  };
+
+  const count = await OtpDelivery.countDocuments(filter);
+  const data = await OtpDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  return {
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(count / limit),
+      totalItems: count,
+      limit,
+    },
+  };
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  shouldExposeOtp,
+  deliverOtp,
+  updateDeliveryStatus,
+  getOtpDeliveries,
+};
@@ -0,0 +1,190 @@
+const RolePermission = require("../models/RolePermission");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+const {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_PERMISSIONS,
+} = require("../config/permissions");
+
+// Every instance keeps its own copy of the matrix; edits made on another
+// instance are picked up once the cache expires.
+const CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS || "60", 10) * 1000;
+
+let cache = null; // Map<role, Set<permission>>
+let cacheLoadedAt = 0;
+
+// Catalogue when roles were first stored, before seededPermissions was
+// tracked: defaults outside it are new to roles stored back then
+const INITIAL_PERMISSIONS = [
+  "users:read-all",
+  "users:manage",
+  "users:enable-disable",
+  "otp-deliveries:read",
+  "dashboard:view",
+  "crops:manage",
+  "products:manage",
+  "product-categories:manage",
+  "schemes:manage",
+  "schemes:publish",
+  "media:manage",
+  "tutorials:manage",
+  "sale-requests:read-all",
+  "sale-requests:update-status",
+  "orders:read-all",
+  "orders:update-status",
+  "chat:view-all",
+  "chat:read-any",
+  "chat:manage-any",
+  "chat:update-status",
+  "chat:reassign",
+  "chat:stats",
+  "roles:manage",
+];
+
+const loadMatrix = async () => {
+  const stored = new Map((await RolePermission.find().lean()).map((doc) => [doc.role, doc]));
+  const matrix = new Map();
+  const writes = [];
+  const granted = [];
+
+  ROLES.forEach((role) => {
+    const defaults = DEFAULT_ROLE_PERMISSIONS[role];
+    const doc = stored.get(role);
+
+    // Step 1: Roles never stored get their defaults
+    if (!doc) {
+      writes.push({
+        updateOne: {
+          filter: { role },
+          update: { $setOnInsert: { role, permissions: defaults, seededPermissions: defaults } },
+          upsert: true,
+        },
+      });
+      granted.push(`${role} (defaults)`);
+      matrix.set(role, new Set(defaults));
+      return;
+    }
+
+    // Step 2: Stored roles get the defaults added since they were seeded
+    const seeded = new Set(doc.seededPermissions || INITIAL_PERMISSIONS);
+    const added = defaults.filter((permission) => !seeded.has(permission));
+    if (added.length || !doc.seededPermissions) {
+      writes.push({
+        updateOne: {
+          filter: { role },
+          update: {
+            $addToSet: {
+              permissions: { $each: added },
+              seededPermissions: { $each: defaults },
+            },
+          },
+        },
+      });
+    }
+    if (added.length) granted.push(`${role} (${added.join(", ")})`);
+    matrix.set(role, new Set([...doc.permissions, ...added]));
+  });
+
+  // $addToSet keeps this safe when several instances load at once
+  if (writes.length) {
+    await RolePermission.bulkWrite(writes);
+  }
+  if (granted.length) {
+    logger.info(`Granted default permissions: ${granted.join("; ")}`);
+  }
+
+  cache = matrix;
+  cacheLoadedAt = Date.now();
+  return matrix;
+};
+
+const getMatrix = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+  return loadMatrix();
+};
+
+const clearPermissionCache = () => {
+  cache = null;
+};
+
+const hasPermission = async (role, permission) => {
+  const matrix = await getMatrix();
+  return Boolean(matrix.get(role)?.has(permission));
+};
+
+const getRolePermissions = async (role) => {
+  const matrix = await getMatrix();
+  return [...(matrix.get(role) || [])];
+};
+
+const getPermissionMatrixService = async () => {
+  const matrix = await getMatrix();
+
+  return {
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+    roles: ROLES.map((role) => ({
+      role,
+      permissions: [...(matrix.get(role) || [])],
+      locked: LOCKED_PERMISSIONS[role] || [],
+    })),
+  };
+};
+
+const getRoleService = async (role) => {
+  if (!ROLES.includes(role)) throw new ApiError("Role not found", 404);
+
+  return {
+    role,
+    permissions: await getRolePermissions(role),
+    locked: LOCKED_PERMISSIONS[role] || [],
+  };
+};
+
+const updateRolePermissionsService = async (role, permissions, requestingUser) => {
+  if (!ROLES.includes(role)) throw new ApiError("Role not found", 404);
+
+  const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+  if (unknown.length) {
+    throw new ApiError("Unknown permissions", 400, [
+      { field: "permissions", message: `Unknown: ${unknown.join(", ")}` },
+    ]);
+  }
+
+  const missingLocked = (LOCKED_PERMISSIONS[role] || []).filter(
+    (permission) => !permissions.includes(permission)
+  );
+  if (missingLocked.length) {
+    throw new ApiError(`${role} must keep: ${missingLocked.join(", ")}`, 400);
+  }
+
+  await RolePermission.findOneAndUpdate(
+    { role },
+    {
+      permissions: [...new Set(permissions)],
+      updatedBy: requestingUser.id,
+      $setOnInsert: { seededPermissions: DEFAULT_ROLE_PERMISSIONS[role] },
+    },
+    { upsert: true, runValidators: true }
+  );
+  clearPermissionCache();
+
+  logger.info(`Permissions for role ${role} updated by ${requestingUser.id}`);
+  return getRoleService(role);
+};
+
+const resetRolePermissionsService = async (role, requestingUser) => {
+  if (!ROLES.includes(role)) throw new ApiError("Role not found", 404);
+  return updateRolePermissionsService(role, DEFAULT_ROLE_PERMISSIONS[role], requestingUser);
+};
+
+module.exports = {
+  hasPermission,
+  getRolePermissions,
+  clearPermissionCache,
+  getPermissionMatrixService,
+  getRoleService,
+  updateRolePermissionsService,
+  resetRolePermissionsService,
+};
@@ -0,0 +1,258 @@
+/**
+ * ============================================
+ * PRESENCE SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Knows who is online when users have several devices and chat runs on
+ * several server instances.
+ *
+ * HOW IT WORKS:
+ * 1. Every connected socket has a SocketPresence document naming the
+ *    instance that holds it
+ * 2. User.connectionCount counts them; isOnline is true while it is above 0,
+ *    so closing one of two devices keeps the user online
+ * 3. Each instance refreshes heartbeatAt on its documents every
+ *    CHAT_PRESENCE_HEARTBEAT_SECONDS. Documents not refreshed for
+ *    CHAT_PRESENCE_STALE_SECONDS belong to a crashed instance: any instance
+ *    removes them and the users go offline if nothing else is left
+ *
+ * Counter updates are single atomic updates, so instances connecting and
+ * disconnecting the same user at once cannot leave a wrong isOnline.
+ */
+
+const os = require("os");
+const crypto = require("crypto");
+const SocketPresence = require("../models/SocketPresence");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+
+const HEARTBEAT_SECONDS = parseInt(process.env.CHAT_PRESENCE_HEARTBEAT_SECONDS || "30", 10);
+// Keep well above the heartbeat so a slow instance is not taken for dead
+const STALE_SECONDS = parseInt(process.env.CHAT_PRESENCE_STALE_SECONDS || "90", 10);
+
+// This server process, as recorded on its sockets' presence documents
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+// ========================================
+// CONNECT / DISCONNECT
+// ========================================
+
+/**
+ * Adds one connection to the user's count
+ * Returns the user's presence after the update
+ */
+const addConnection = (userId) =>
+  User.findByIdAndUpdate(
+    userId,
+    { $inc: { connectionCount: 1 }, $set: { isOnline: true, lastSeen: new Date() } },
+    { new: true, projection: { connectionCount: 1, isOnline: 1, lastSeen: 1 } }
+  ).lean();
+
+/**
+ * Removes count connections; isOnline follows the new count in the same
+ * update. Never goes below 0 (counts from before this service started).
+ */
+const removeConnections = (userId, count = 1) =>
+  User.findOneAndUpdate(
+    { _id: userId },
+    [
+      {
+        $set: {
+          connectionCount: { $max: [0, { $subtract: [{ $ifNull: ["$connectionCount", 0] }, count] }] },
+          lastSeen: new Date(),
+        },
+      },
+      { $set: { isOnline: { $gt: ["$connectionCount", 0] } } },
+    ],
+    { new: true, projection: { connectionCount: 1, isOnline: 1, lastSeen: 1 } }
+  ).lean();
+
+/**
+ * REGISTER SOCKET
+ *
+ * Records a new socket of this instance
+ * Returns { cameOnline, lastSeen } (cameOnline = first open connection)
+ */
+const registerSocket = async (userId, socketId) => {
+  // Step 1: Presence document first, so the stale-user sweep never resets
+  // a user whose counter was just raised
+  await SocketPresence.updateOne(
+    { socketId },
+    { $setOnInsert: { socketId, userId, instanceId: INSTANCE_ID, connectedAt: new Date(), heartbeatAt: new Date() } },
+    { upsert: true }
+  );
+
+  // Step 2: Count the connection
+  const user = await addConnection(userId);
+  return { cameOnline: user?.connectionCount === 1, lastSeen: user?.lastSeen || null };
+};
+
+/**
+ * UNREGISTER SOCKET
+ *
+ * Returns { wentOffline, lastSeen }
+ * A socket already removed by the stale cleanup is not counted twice
+ */
+const unregisterSocket = async (userId, socketId) => {
+  const { deletedCount } = await SocketPresence.deleteOne({ socketId });
+  if (!deletedCount) return { wentOffline: false, lastSeen: null };
+
+  const user = await removeConnections(userId);
+  return { wentOffline: Boolean(user && !user.isOnline), lastSeen: user?.lastSeen || null };
+};
+
+/**
+ * Removes the presence documents matching filter and updates their users
+ * Returns [{ userId, lastSeen }] of users who went offline
+ */
+const releasePresence = async (filter) => {
+  const entries = await SocketPresence.find(filter).select("_id userId").lean();
+
+  // Step 1: Delete one by one; only what this call deleted is uncounted
+  const released = new Map();
+  for (const entry of entries) {
+    const { deletedCount } = await SocketPresence.deleteOne({ _id: entry._id });
+    if (!deletedCount) continue;
+    const userId = entry.userId.toString();
+    released.set(userId, (released.get(userId) || 0) + 1);
+  }
+
+  // Step 2: Uncount per user
+  const wentOffline = [];
+  for (const [userId, count] of released) {
+    const user = await removeConnections(userId, count);
+    if (user && !user.isOnline) wentOffline.push({ userId, lastSeen: user.lastSeen });
+  }
+  return wentOffline;
+};
+
+/**
+ * Releases every socket of this instance (graceful shutdown)
+ */
+const releaseInstancePresence = () => releasePresence({ instanceId: INSTANCE_ID });
+
+// ========================================
+// QUERIES
+// ========================================
+
+/**
+ * Whether the user has an open connection on any instance
+ */
+const isUserOnline = async (userId) => Boolean(await SocketPresence.exists({ userId }));
+
+/**
+ * Ids of users with an open connection on any instance
+ */
+const getOnlineUserIds = async () =>
+  (await SocketPresence.distinct("userId")).map((userId) => userId.toString());
+
+// ========================================
+// MONITOR
+// ========================================
+
+/**
+ * Refreshes the documents of sockets this instance still holds and
+ * re-registers those whose document was removed (instance paused longer
+ * than STALE_SECONDS). Documents of sockets that are gone without a
+ * disconnect stop being refreshed and are cleaned up as stale.
+ * Returns the users that came back online
+ */
+const heartbeat = async (localSockets) => {
+  const socketIds = localSockets.map((socket) => socket.socketId);
+  await SocketPresence.updateMany(
+    { instanceId: INSTANCE_ID, socketId: { $in: socketIds } },
+    { $set: { heartbeatAt: new Date() } }
+  );
+
+  const known = new Set(await SocketPresence.distinct("socketId", { socketId: { $in: socketIds } }));
+  const cameOnline = [];
+  for (const { userId, socketId } of localSockets.filter((socket) => !known.has(socket.socketId))) {
+    const result = await registerSocket(userId, socketId);
+    if (result.cameOnline) cameOnline.push({ userId });
+  }
+  return cameOnline;
+};
+
+/**
+ * Cleans up after crashed instances
+ * 1. Presence documents without a recent heartbeat
+ * 2. Users still marked online with no presence document at all (left over
+ *    from a crash, or from before presence was tracked per socket)
+ * Returns [{ userId, lastSeen }] of users who went offline
+ */
+const cleanupStalePresence = async () => {
+  const staleBefore = new Date(Date.now() - STALE_SECONDS * 1000);
+
+  // Step 1: Stale sockets
+  const wentOffline = await releasePresence({ heartbeatAt: { $lt: staleBefore } });
+
+  // Step 2: Online users with nothing connected. lastSeen is set on every
+  // connect, so a user connecting right now is not matched.
+  const onlineIds = await User.find({ isOnline: true, lastSeen: { $lt: staleBefore } }).distinct("_id");
+  if (onlineIds.length > 0) {
+    const connected = new Set(
+      (await SocketPresence.distinct("userId", { userId: { $in: onlineIds } })).map((id) => id.toString())
+    );
+    const orphaned = onlineIds.filter((id) => !connected.has(id.toString()));
+    if (orphaned.length > 0) {
+      const now = new Date();
+      await User.updateMany(
+        { _id: { $in: orphaned }, isOnline: true, lastSeen: { $lt: staleBefore } },
+        { $set: { isOnline: false, connectionCount: 0, lastSeen: now } }
+      );
+      orphaned.forEach((id) => wentOffline.push({ userId: id.toString(), lastSeen: now }));
+    }
+  }
+
+  if (wentOffline.length > 0) {
+    logger.warn(`Stale presence cleanup: ${wentOffline.length} user(s) marked offline`);
+  }
+  return wentOffline;
+};
+
+/**
+ * Starts heartbeats and stale cleanup for this instance
+ *
+ * - getLocalSockets() => [{ userId, socketId }] sockets held by this process
+ * - onOnline({ userId }) / onOffline({ userId, lastSeen }) announce changes
+ *   made by the monitor
+ *
+ * Returns a function that stops it.
+ */
+const startPresenceMonitor = ({ getLocalSockets = () => [], onOnline, onOffline } = {}) => {
+  let busy = false;
+
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const cameOnline = await heartbeat(getLocalSockets());
+      const wentOffline = await cleanupStalePresence();
+      if (onOnline) cameOnline.forEach(onOnline);
+      if (onOffline) wentOffline.forEach(onOffline);
+    } catch (error) {
+      logger.error(`Presence monitor failed: ${error.message}`);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(tick, HEARTBEAT_SECONDS * 1000);
+  timer.unref();
+  setImmediate(tick);
+
+  logger.info(`Presence monitor started for instance ${INSTANCE_ID}`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  INSTANCE_ID,
+  registerSocket,
+  unregisterSocket,
+  releaseInstancePresence,
+  isUserOnline,
+  getOnlineUserIds,
+  cleanupStalePresence,
+  startPresenceMonitor,
+};
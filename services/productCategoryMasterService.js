@@ -4,10 +4,6 @@ const { translateObjectFields } = require("../utils/translateUtil");
 
 // Create Product Category
 const createProductCategoryService = async (categoryData, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
-
   const existing = await ProductCategory.findOne({
     name: categoryData.name,
     deleted_at: null
@@ -113,10 +109,6 @@ const getProductCategoryByIdService = async (id) => {
 
 // Update Category
 const updateProductCategoryService = async (id, updates, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
-
   // Check duplicate name except itself
   const existing = await ProductCategory.findOne({
     name: updates.name,
@@ -145,10 +137,6 @@ const updateProductCategoryService = async (id, updates, requestUser) => {
 
 // Soft Delete
 const deleteProductCategoryService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
-
   const category = await ProductCategory.findOne({
     _id: id,
     deleted_at: null
@@ -5,9 +5,6 @@ const path = require("path");
 const { translateObjectFields } = require("../utils/translateUtil");
 
 const createProductService = async (productData, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const existingProductSkuCode = await ProductMaster.findOne({ skuCode: productData.skuCode, deleted_at: null });
   if (existingProductSkuCode) {
     throw new ApiError("Product with this sku code already exists", 409);
@@ -93,9 +90,6 @@ const getProductByIdService = async (id) => {
 };
 
 const updateProductService = async (id, updates, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const existingProductSkuCode = await ProductMaster.findOne({ skuCode: updates.skuCode, deleted_at: null, _id: { $ne: id } });
   if (existingProductSkuCode) {
     throw new ApiError("Product with this sku code already exists", 409);
@@ -125,9 +119,6 @@ const updateProductService = async (id, updates, requestUser) => {
 };
 
 const deleteProductService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const product = await ProductMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -151,9 +142,6 @@ const deleteProductService = async (id, requestUser) => {
 };
 
 const disableProductService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const product = await ProductMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -168,9 +156,6 @@ const disableProductService = async (id, requestUser) => {
 };
 
 const enableProductService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const product = await ProductMaster.findOne({
     _id: id,
     deleted_at: null,
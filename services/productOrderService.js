@@ -2,6 +2,7 @@ const ProductOrder = require("../models/productOrderModel");
 const ProductMaster = require("../models/productMasterModel");
 const User = require('../models/User');
 const ApiError = require("../utils/error");
+const { hasPermission } = require("./permissionService");
 const { translateObjectFields } = require("../utils/translateUtil");
 const {sendPushNotification} = require("../utils/sendPushNotification");
 
@@ -110,9 +111,6 @@ const getMyOrdersService = async (requestingUser, { page = 1, limit = 10, status
 };
 
 const getAllOrdersService = async (requestingUser, { page = 1, limit = 10, status, q = "" }) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const skip = (page - 1) * limit;
   const filter = {
     deleted_at: null,
@@ -144,7 +142,10 @@ const getOrderByIdService = async (id, requestingUser) => {
   if (!order) {
     throw new ApiError("Order not found", 404);
   }
-  if (requestingUser.role !== "Admin" && String(order.userId._id) !== String(requestingUser.id)) {
+  if (
+    String(order.userId._id) !== String(requestingUser.id) &&
+    !(await hasPermission(requestingUser.role, "orders:read-all"))
+  ) {
     throw new ApiError("Unauthorized to access this order", 403);
   }
   return order;
@@ -191,9 +192,6 @@ const updateOrderUserService = async (id, updates, requestingUser) => {
 
 const updateOrderStatusService = async (id, updates, requestingUser) => {
   console.log("updates",updates)
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized", 403);
-  }
   const order = await ProductOrder.findOne({ _id: id, deleted_at: null });
   if (!order) {
     throw new ApiError("Order not found", 404);
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const CropSaleRequest = require("../models/cropSaleRequestModel");
+const ProductOrder = require("../models/productOrderModel");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+
+// No 0/O/1/I so codes survive being read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const MAX_GENERATE_ATTEMPTS = 5;
+
+const generateCode = () =>
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join("");
+
+// Returns the user's code, creating one on first use
+const getOrCreateReferralCodeService = async (userId) => {
+  const user = await User.findOne({ _id: userId, deleted_at: null }).select("referralCode");
+  if (!user) throw new ApiError("User not found", 404);
+  if (user.referralCode) return { referralCode: user.referralCode };
+
+  for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, referralCode: null },
+        { $set: { referralCode: generateCode() } },
+        { new: true }
+      ).select("referralCode");
+
+      // Another request assigned a code in the meantime
+      if (!updated) {
+        const current = await User.findById(userId).select("referralCode").lean();
+        return { referralCode: current.referralCode };
+      }
+      return { referralCode: updated.referralCode };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new ApiError("Could not generate a referral code. Please try again.", 500);
+};
+
+// Resolves a code entered at sign-up to the referring user's id. An unknown
+// code (a typo, a deactivated agent) must not stop the farmer signing up, so
+// it is logged and ignored.
+const resolveReferrer = async (referralCode) => {
+  if (!referralCode) return null;
+
+  const code = referralCode.trim().toUpperCase();
+  const referrer = await User.findOne({ referralCode: code, deleted_at: null, isActive: true })
+    .select("_id")
+    .lean();
+
+  if (!referrer) {
+    logger.warn(`Unknown referral code ${code} ignored`);
+    return null;
+  }
+  return referrer._id;
+};
+
+// "to" is a whole day: sign-ups up to the end of it count
+const nextDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day;
+};
+
+// Sign-ups per referrer in the date range, and how many of those farmers
+// went on to raise a crop sale request or place a product order
+const getReferralReportService = async ({ from, to, referrerId } = {}) => {
+  // Accounts deleted since sign-up still count; the agent was paid for them
+  const match = { referredBy: { $ne: null } };
+  if (from || to) {
+    match.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lt: nextDay(to) }),
+    };
+  }
+  if (referrerId) match.referredBy = new mongoose.Types.ObjectId(referrerId);
+
+  const firstActivity = (Model, as) => [
+    {
+      $lookup: {
+        from: Model.collection.name,
+        let: { userId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$userId", "$$userId"] }, deleted_at: null } },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { createdAt: 1 } },
+        ],
+        as,
+      },
+    },
+  ];
+
+  const signups = await User.aggregate([
+    { $match: match },
+    ...firstActivity(CropSaleRequest, "saleRequests"),
+    ...firstActivity(ProductOrder, "orders"),
+    {
+      $project: {
+        referredBy: 1,
+        phone: 1,
+        first_name: 1,
+        last_name: 1,
+        userType: 1,
+        createdAt: 1,
+        firstSaleRequestAt: { $first: "$saleRequests.createdAt" },
+        firstOrderAt: { $first: "$orders.createdAt" },
+      },
+    },
+    { $sort: { createdAt: 1 } },
+  ]);
+
+  const referrerIds = [...new Set(signups.map((signup) => String(signup.referredBy)))];
+  const referrers = await User.find({ _id: { $in: referrerIds } })
+    .select("phone first_name last_name role referralCode")
+    .lean();
+  const referrerById = new Map(referrers.map((referrer) => [String(referrer._id), referrer]));
+
+  const rows = new Map();
+  signups.forEach((signup) => {
+    const key = String(signup.referredBy);
+    if (!rows.has(key)) {
+      const referrer = referrerById.get(key);
+      rows.set(key, {
+        referrer: referrer
+          ? {
+              id: referrer._id,
+              phone: referrer.phone,
+              first_name: referrer.first_name,
+              last_name: referrer.last_name,
+              role: referrer.role,
+              referralCode: referrer.referralCode,
+            }
+          : { id: signup.referredBy },
+        signups: 0,
+        withSaleRequest: 0,
+        withOrder: 0,
+        ...(referrerId && { users: [] }),
+      });
+    }
+
+    const row = rows.get(key);
+    row.signups += 1;
+    if (signup.firstSaleRequestAt) row.withSaleRequest += 1;
+    if (signup.firstOrderAt) row.withOrder += 1;
+    if (row.users) {
+      row.users.push({
+        id: signup._id,
+        phone: signup.phone,
+        first_name: signup.first_name,
+        last_name: signup.last_name,
+        userType: signup.userType,
+        signedUpAt: signup.createdAt,
+        firstSaleRequestAt: signup.firstSaleRequestAt || null,
+        firstOrderAt: signup.firstOrderAt || null,
+      });
+    }
+  });
+
+  const data = [...rows.values()].sort((a, b) => b.signups - a.signups);
+  logger.info(`Referral report generated for ${data.length} referrer(s)`);
+
+  return {
+    range: { from: from || null, to: to || null },
+    totals: {
+      referrers: data.length,
+      signups: signups.length,
+      withSaleRequest: data.reduce((sum, row) => sum + row.withSaleRequest, 0),
+      withOrder: data.reduce((sum, row) => sum + row.withOrder, 0),
+    },
+    data,
+  };
+};
+
+module.exports = {
+  getOrCreateReferralCodeService,
+  resolveReferrer,
+  getReferralReportService,
+};
@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+
+const MAX_SESSIONS = 3; // 🔹 change this number to limit active devices
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+const newTokenId = () => crypto.randomBytes(16).toString("hex");
+
+// typ tells the two token kinds apart, since JWT_REFRESH_SECRET may be
+// unset and both are then signed with JWT_SECRET
+const buildAccessClaims = (user, sessionId) => ({
+  typ: "access",
+  id: user._id,
+  phone: user.phone,
+  role: user.role,
+  ...(user.email && { email: user.email }),
+  sid: sessionId,
+});
+
+const issueTokens = (user, session) => {
+  const token = jwt.sign(buildAccessClaims(user, session._id), process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const refreshToken = jwt.sign(
+    { typ: "refresh", sid: session._id, jti: session.refreshTokenId },
+    getRefreshSecret(),
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, refreshToken, expiresIn: exp - Math.floor(Date.now() / 1000) };
+};
+
+const activeSessionFilter = (userId) => ({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Start a new session (login) and enforce the per-user device limit
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenId: newTokenId(),
+    userAgent,
+    ipAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  const active = await Session.find(activeSessionFilter(user._id))
+    .sort({ loginTime: -1 })
+    .select("_id");
+  if (active.length > MAX_SESSIONS) {
+    await Session.updateMany(
+      { _id: { $in: active.slice(MAX_SESSIONS).map((s) => s._id) } },
+      { revokedAt: new Date(), revokedReason: "session-limit" }
+    );
+  }
+
+  return { session, ...issueTokens(user, session) };
+};
+
+const refreshSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    throw new ApiError("Invalid or expired refresh token", 401);
+  }
+  // Refresh tokens issued before typ existed carry no user claims; an access
+  // token must never reach the reuse check below (it would revoke the session)
+  if (decoded.typ !== "refresh" && (decoded.typ || decoded.id)) {
+    throw new ApiError("Invalid or expired refresh token", 401);
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new ApiError("Session has expired. Please log in again.", 401);
+  }
+
+  // Rotate only if the presented token is still the current one. Anything
+  // else is an already-rotated token being replayed: kill the family.
+  const nextTokenId = newTokenId();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenId: decoded.jti, revokedAt: null },
+    {
+      refreshTokenId: nextTokenId,
+      lastUsedAt: new Date(),
+      ...(userAgent && { userAgent }),
+      ...(ipAddress && { ipAddress }),
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id },
+      { revokedAt: new Date(), revokedReason: "reuse-detected" }
+    );
+    logger.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+    throw new ApiError("Refresh token reuse detected. Please log in again.", 401);
+  }
+
+  const user = await User.findOne({ _id: rotated.userId, deleted_at: null });
+  if (!user || !user.isActive) {
+    await revokeSession(rotated.userId, rotated._id, "user-inactive");
+    throw new ApiError("Unauthorized: User is inactive", 403);
+  }
+
+  return issueTokens(user, rotated);
+};
+
+const getActiveSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find(activeSessionFilter(userId)).sort({ loginTime: -1 });
+
+  return sessions.map((session) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    loginTime: session.loginTime,
+    lastUsedAt: session.lastUsedAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+};
+
+const revokeSession = async (userId, sessionId, reason = "logout") => {
+  await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeAllSessions = async (userId, reason = "logout-all") => {
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,270 @@
+/**
+ * ============================================
+ * SUPPORT QUEUE SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Manages conversations that are waiting without an assigned agent.
+ *
+ * HOW IT WORKS:
+ * 1. Routing finds no agent → conversation is created with
+ *    assignedSupportId = null and queuedAt = now
+ * 2. Online Support agents get a "queue:new" socket event
+ * 3. An agent claims it from GET /api/v1/chat/support/queue
+ *    (first claim wins; the others get "queue:claimed")
+ * 4. Conversations waiting longer than CHAT_QUEUE_ESCALATION_MINUTES are
+ *    escalated to Admins once, via "queue:escalated" and a push notification
+ *
+ * SOCKET ROOMS USED:
+ * - "role:Support" / "role:Admin": every connected user with that role
+ * - userId: the farmer's personal room
+ */
+
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const ApiError = require("../utils/error");
+const logger = require("../utils/logger");
+const { emitToRoom } = require("../socket/chatSocket");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const { isBlockedBetween } = require("./chatModerationService");
+
+const ESCALATION_MINUTES = parseInt(process.env.CHAT_QUEUE_ESCALATION_MINUTES || "10", 10);
+const CHECK_INTERVAL_SECONDS = parseInt(process.env.CHAT_QUEUE_CHECK_INTERVAL_SECONDS || "60", 10);
+
+const QUEUE_FILTER = { assignedSupportId: null, isActive: true };
+
+// ========================================
+// QUEUE EVENTS
+// ========================================
+
+/**
+ * Tell online agents that a conversation is waiting to be claimed
+ */
+const notifyConversationQueued = (conversation) => {
+  emitToRoom("role:Support", "queue:new", {
+    conversationId: conversation._id,
+    language: conversation.language,
+    topic: conversation.topic,
+    queuedAt: conversation.queuedAt,
+  });
+};
+
+// ========================================
+// QUEUE LISTING
+// ========================================
+
+/**
+ * GET QUEUE SERVICE
+ *
+ * Business logic:
+ * - Returns unassigned conversations, oldest first
+ * - Optional language/topic filters so agents can pick what they handle
+ * - waitingMinutes is included for the dashboard
+ */
+const getQueueService = async (page, limit, { language, topic } = {}) => {
+  // Step 1: Build query
+  const query = {
+    ...QUEUE_FILTER,
+    ...(language ? { language } : {}),
+    ...(topic ? { topic } : {}),
+  };
+  const skip = (page - 1) * limit;
+
+  // Step 2: Count and fetch
+  const total = await Conversation.countDocuments(query);
+  const conversations = await Conversation.find(query)
+    .populate("userId", "first_name last_name phone image isOnline lastSeen")
+    .populate("lastMessage")
+    .sort({ queuedAt: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  // Step 3: Add how long each one has been waiting
+  const now = Date.now();
+  const data = conversations.map((conversation) => ({
+    ...conversation,
+    waitingMinutes: Math.floor((now - new Date(conversation.queuedAt || conversation.createdAt)) / 60000),
+  }));
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+// ========================================
+// CLAIM
+// ========================================
+
+/**
+ * CLAIM CONVERSATION SERVICE
+ *
+ * Business logic:
+ * - Atomic: only succeeds while the conversation is still unassigned,
+ *   so two agents claiming at once cannot both get it
+ * - The agent's unread count starts at the farmer's unread messages
+ * - Not when the agent and the farmer blocked each other
+ * - Farmer and other agents are notified over Socket.IO
+ */
+const claimConversationService = async (conversationId, agentId) => {
+  // Step 1: Blocked pairs are left for another agent
+  const target = await Conversation.findById(conversationId).select("userId").lean();
+  if (target && (await isBlockedBetween(target.userId, agentId))) {
+    throw new ApiError("You and this farmer have blocked each other", 403);
+  }
+
+  // Step 1.1: Count what the farmer already sent while waiting (same
+  // messages markConversationAsReadService clears; notes have no receipts)
+  const unread = target
+    ? await Message.countDocuments({
+        conversationId,
+        senderId: target.userId,
+        visibility: { $ne: "internal" },
+        isRead: false,
+      })
+    : 0;
+
+  // Step 2: Claim only if still unassigned
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, ...QUEUE_FILTER },
+    {
+      $set: {
+        assignedSupportId: agentId,
+        queuedAt: null,
+        [`unreadCount.${agentId}`]: unread,
+        "routing.tier": "claimed",
+        "routing.assignedAt": new Date(),
+      },
+    },
+    { new: true }
+  )
+    .populate("userId", "first_name last_name phone email image isOnline lastSeen")
+    .populate("assignedSupportId", "first_name last_name phone email image role isOnline lastSeen")
+    .populate("lastMessage");
+
+  // Step 3: Explain why the claim failed
+  if (!conversation) {
+    const exists = await Conversation.exists({ _id: conversationId, isActive: true });
+    if (!exists) {
+      throw new ApiError("Conversation not found", 404);
+    }
+    throw new ApiError("Conversation has already been claimed", 409);
+  }
+
+  logger.info(`Conversation ${conversationId} claimed by support ${agentId}`);
+
+  // Step 4: Notify the farmer and the rest of the team
+  emitToRoom(String(conversation.userId._id), "conversation:assigned", {
+    conversationId: conversation._id,
+    assignedSupport: conversation.assignedSupportId,
+  });
+  emitToRoom("role:Support", "queue:claimed", {
+    conversationId: conversation._id,
+    claimedBy: agentId,
+  });
+
+  return conversation;
+};
+
+// ========================================
+// ESCALATION
+// ========================================
+
+/**
+ * ESCALATE STALE QUEUED CONVERSATIONS
+ *
+ * Business logic:
+ * - Finds unassigned conversations queued longer than the threshold
+ * - Marks each one escalated atomically (safe with several instances)
+ * - Sends one socket event and one push notification to Admins
+ *
+ * Returns the number of conversations escalated
+ */
+const escalateStaleQueuedConversations = async () => {
+  const threshold = new Date(Date.now() - ESCALATION_MINUTES * 60 * 1000);
+
+  // Step 1: Claim each stale conversation for escalation
+  const escalated = [];
+  for (;;) {
+    const conversation = await Conversation.findOneAndUpdate(
+      { ...QUEUE_FILTER, queuedAt: { $ne: null, $lte: threshold }, escalatedAt: null },
+      { $set: { escalatedAt: new Date() } },
+      { new: true, sort: { queuedAt: 1 } }
+    ).lean();
+    if (!conversation) break;
+    escalated.push(conversation);
+  }
+
+  if (escalated.length === 0) return 0;
+
+  logger.warn(`${escalated.length} queued conversation(s) waiting over ${ESCALATION_MINUTES} minutes, escalating to Admins`);
+
+  // Step 2: Real-time alert to connected Admins
+  emitToRoom("role:Admin", "queue:escalated", {
+    thresholdMinutes: ESCALATION_MINUTES,
+    conversations: escalated.map((conversation) => ({
+      conversationId: conversation._id,
+      userId: conversation.userId,
+      language: conversation.language,
+      topic: conversation.topic,
+      queuedAt: conversation.queuedAt,
+    })),
+  });
+
+  // Step 3: Push notification to Admins' devices
+  const admins = await User.find({
+    role: "Admin",
+    isActive: true,
+    deleted_at: null,
+    "fcmToken.0": { $exists: true },
+  })
+    .select("fcmToken")
+    .lean();
+  const tokens = admins.flatMap((admin) => admin.fcmToken);
+
+  await sendPushNotification(tokens, {
+    title: "Support queue needs attention",
+    body: `${escalated.length} conversation(s) have waited over ${ESCALATION_MINUTES} minutes without an agent.`,
+    data: {
+      click_action: "FLUTTER_NOTIFICATION_CLICK",
+      type: "chatQueueEscalation",
+    },
+  });
+
+  return escalated.length;
+};
+
+/**
+ * Runs the escalation check every CHAT_QUEUE_CHECK_INTERVAL_SECONDS
+ * inside the API process (it needs the Socket.IO instance).
+ * Returns a function that stops the monitor.
+ */
+const startQueueEscalationMonitor = () => {
+  const timer = setInterval(() => {
+    escalateStaleQueuedConversations().catch((error) =>
+      logger.error(`Queue escalation check failed: ${error.message}`)
+    );
+  }, CHECK_INTERVAL_SECONDS * 1000);
+  timer.unref();
+
+  logger.info(`Support queue escalation monitor started (threshold ${ESCALATION_MINUTES} min)`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  notifyConversationQueued,
+  getQueueService,
+  claimConversationService,
+  escalateStaleQueuedConversations,
+  startQueueEscalationMonitor,
+};
@@ -0,0 +1,249 @@
+/**
+ * ============================================
+ * SUPPORT ROUTING SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Decides which support agent gets a new conversation.
+ *
+ * HOW IT WORKS:
+ * 1. Load every active Support user with their routing profile
+ *    (languages, skills, max active conversations) and current load
+ * 2. Run the strategy named in SUPPORT_ROUTING_STRATEGY
+ * 3. If the strategy finds nobody, apply SUPPORT_ROUTING_FALLBACK
+ *    ("queue" leaves the conversation unassigned, "least-busy" forces an agent)
+ *
+ * STRATEGIES:
+ * - skills (default): online + qualified + least loaded, relaxing the
+ *   language/skill match step by step
+ * - least-busy: fewest open/waiting conversations, online or not
+ * - round-robin: takes turns, the agent after the one who got the last
+ *   round-robin conversation (skipping agents at capacity)
+ * - online: least busy among online agents, else most recently seen
+ * - single: the first Support user (original single-agent behaviour)
+ *
+ * Extra strategies can be plugged in with registerRoutingStrategy().
+ */
+
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { ROUTING_FALLBACKS } = require("../config/supportRouting");
+const { getBlockedUserIds } = require("./chatModerationService");
+
+const DEFAULT_STRATEGY = "skills";
+const DEFAULT_FALLBACK = "queue";
+
+const getStrategyName = () => {
+  const name = process.env.SUPPORT_ROUTING_STRATEGY;
+  return name && strategies.has(name) ? name : DEFAULT_STRATEGY;
+};
+
+const getFallbackName = () => {
+  const name = process.env.SUPPORT_ROUTING_FALLBACK;
+  return ROUTING_FALLBACKS.includes(name) ? name : DEFAULT_FALLBACK;
+};
+
+// ========================================
+// AGENT DATA
+// ========================================
+
+/**
+ * Active Support users with the fields routing needs
+ */
+const findSupportAgents = () =>
+  User.find({
+    role: "Support",
+    isActive: true,
+    deleted_at: null,
+  })
+    .select("first_name last_name isOnline lastSeen supportProfile")
+    .lean();
+
+/**
+ * Open + waiting conversations per agent, in one query
+ * Returns Map { agentId: count }
+ */
+const getActiveLoads = async (agentIds) => {
+  const counts = await Conversation.aggregate([
+    {
+      $match: {
+        assignedSupportId: { $in: agentIds },
+        status: { $in: ["open", "waiting"] },
+        isActive: true,
+      },
+    },
+    { $group: { _id: "$assignedSupportId", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((item) => [String(item._id), item.count]));
+};
+
+const loadOf = (agent, loads) => loads.get(String(agent._id)) || 0;
+
+const isAtCapacity = (agent, loads) => {
+  const max = agent.supportProfile?.maxActiveConversations;
+  return Boolean(max) && loadOf(agent, loads) >= max;
+};
+
+const pickLeastLoaded = (agents, loads) =>
+  [...agents].sort((a, b) => loadOf(a, loads) - loadOf(b, loads))[0];
+
+// ========================================
+// STRATEGIES
+// ========================================
+
+/**
+ * SKILLS STRATEGY
+ *
+ * Only online agents below their capacity are considered. The first tier
+ * with any match wins, and inside a tier the least loaded agent is picked:
+ * 1. language+skill:   speaks the farmer's language AND has the topic skill
+ * 2. language+general: speaks the language AND handles "general" questions
+ * 3. language:         speaks the language
+ * 4. skill:            has the topic skill
+ * 5. online:           anyone online
+ */
+const skillsStrategy = (agents, { language, topic, loads }) => {
+  const speaks = (agent) => agent.supportProfile?.languages?.includes(language);
+  const hasSkill = (skill) => (agent) => agent.supportProfile?.skills?.includes(skill);
+
+  const tiers = [
+    ["language+skill", (agent) => speaks(agent) && hasSkill(topic)(agent)],
+    ["language+general", (agent) => speaks(agent) && hasSkill("general")(agent)],
+    ["language", speaks],
+    ["skill", hasSkill(topic)],
+    ["online", () => true],
+  ];
+
+  const available = agents.filter((agent) => agent.isOnline && !isAtCapacity(agent, loads));
+
+  for (const [tier, matches] of tiers) {
+    const candidates = available.filter(matches);
+    if (candidates.length > 0) {
+      return { agentId: pickLeastLoaded(candidates, loads)._id, tier };
+    }
+  }
+  return null;
+};
+
+/**
+ * LEAST-BUSY STRATEGY
+ * Fewest open/waiting conversations, skipping agents at capacity
+ */
+const leastBusyStrategy = (agents, { loads }) => {
+  const available = agents.filter((agent) => !isAtCapacity(agent, loads));
+  if (available.length === 0) return null;
+  return { agentId: pickLeastLoaded(available, loads)._id, tier: "least-busy" };
+};
+
+/**
+ * ROUND-ROBIN STRATEGY
+ * Agents take turns in a fixed order (by id): the next one after whoever
+ * got the last conversation routed this way, skipping agents at capacity.
+ * The turn is read from the conversations, so every instance shares it.
+ */
+const roundRobinStrategy = async (agents, { loads }) => {
+  const ordered = [...agents].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+  const last = await Conversation.findOne({ "routing.strategy": "round-robin", "routing.tier": "round-robin" })
+    .sort({ "routing.assignedAt": -1 })
+    .select("assignedSupportId")
+    .lean();
+  // -1 when the last agent is gone (or there is none yet): start from the first
+  const lastIndex = ordered.findIndex((agent) => String(agent._id) === String(last?.assignedSupportId));
+
+  for (let step = 1; step <= ordered.length; step++) {
+    const agent = ordered[(lastIndex + step) % ordered.length];
+    if (!isAtCapacity(agent, loads)) {
+      return { agentId: agent._id, tier: "round-robin" };
+    }
+  }
+  return null;
+};
+
+/**
+ * ONLINE STRATEGY
+ * Least busy among online agents; if nobody is online, the agent seen most recently
+ */
+const onlineStrategy = (agents, context) => {
+  const online = agents.filter((agent) => agent.isOnline);
+  if (online.length > 0) {
+    const result = leastBusyStrategy(online, context);
+    if (result) return { ...result, tier: "online" };
+  }
+
+  const [mostRecent] = [...agents].sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  return { agentId: mostRecent._id, tier: "last-seen" };
+};
+
+/**
+ * SINGLE STRATEGY
+ * The original behaviour: always the first Support user
+ */
+const singleStrategy = (agents) => ({ agentId: agents[0]._id, tier: "single" });
+
+const strategies = new Map([
+  ["skills", skillsStrategy],
+  ["least-busy", leastBusyStrategy],
+  ["round-robin", roundRobinStrategy],
+  ["online", onlineStrategy],
+  ["single", singleStrategy],
+]);
+
+/**
+ * Register a custom strategy at boot:
+ *   registerRoutingStrategy("vip", async (agents, { language, topic, loads, userId }) => ({ agentId, tier }) | null)
+ * Then select it with SUPPORT_ROUTING_STRATEGY=vip
+ */
+const registerRoutingStrategy = (name, strategy) => {
+  strategies.set(name, strategy);
+};
+
+// ========================================
+// ENTRY POINT
+// ========================================
+
+/**
+ * ROUTE CONVERSATION
+ *
+ * Returns { agentId, strategy, tier }. agentId is null when the
+ * conversation should wait in the unassigned queue (no Support users,
+ * or nobody matched and SUPPORT_ROUTING_FALLBACK is "queue").
+ */
+const routeConversation = async ({ userId, language = "en", topic = "general" } = {}) => {
+  // Step 1: Load agents (minus those blocked by or blocking the farmer)
+  // and their current workload
+  const blocked = userId ? await getBlockedUserIds(userId) : new Set();
+  const agents = (await findSupportAgents()).filter((agent) => !blocked.has(String(agent._id)));
+  const strategy = getStrategyName();
+  if (agents.length === 0) {
+    logger.warn(`No active support users, conversation for user ${userId} queued`);
+    return { agentId: null, strategy, tier: "queue" };
+  }
+  const loads = await getActiveLoads(agents.map((agent) => agent._id));
+  const context = { userId, language, topic, loads };
+
+  // Step 2: Run the configured strategy
+  let result = await strategies.get(strategy)(agents, context);
+
+  // Step 3: Nobody matched, apply the fallback
+  if (!result) {
+    result =
+      getFallbackName() === "least-busy"
+        ? { agentId: pickLeastLoaded(agents, loads)._id, tier: "fallback" }
+        : { agentId: null, tier: "queue" };
+  }
+
+  logger.info(
+    `Routing (${strategy}): conversation for user ${userId} [${language}/${topic}] → ${
+      result.agentId ? `support ${result.agentId}` : "unassigned queue"
+    } via ${result.tier}`
+  );
+  return { ...result, strategy };
+};
+
+module.exports = {
+  routeConversation,
+  registerRoutingStrategy,
+  getActiveLoads,
+};
@@ -0,0 +1,281 @@
+/**
+ * ============================================
+ * SUPPORT SLA SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Tracks first-response and resolution times on conversations and
+ * reports them against the per-priority targets in config/supportSla.js.
+ *
+ * HOW IT WORKS:
+ * 1. Both timers start when the conversation is opened (createdAt)
+ * 2. First response stops at the first message not sent by the farmer
+ * 3. Resolution stops when the status becomes resolved/closed and
+ *    restarts if the conversation is reopened
+ * 4. Breaches are stored when a timer stops; conversations still running
+ *    past their deadline are counted as breached in reports
+ *
+ * The record* helpers only change the document in memory; callers save it
+ * together with their own changes.
+ */
+
+const Conversation = require("../models/Conversation");
+const User = require("../models/User");
+const {
+  DEFAULT_PRIORITY,
+  SLA_TARGETS,
+  RESOLVED_STATUSES,
+  SLA_REPORT_INTERVALS,
+  SLA_REPORT_TIMEZONE,
+} = require("../config/supportSla");
+
+const MINUTE_MS = 60 * 1000;
+
+// ========================================
+// TIMERS
+// ========================================
+
+const getSlaTargets = (priority) => ({
+  firstResponseMinutes: SLA_TARGETS.firstResponseMinutes[priority || DEFAULT_PRIORITY],
+  resolutionMinutes: SLA_TARGETS.resolutionMinutes[priority || DEFAULT_PRIORITY],
+});
+
+/**
+ * Deadlines for a priority, counted from when the conversation was opened
+ */
+const buildSlaDeadlines = (priority, openedAt = new Date()) => {
+  const targets = getSlaTargets(priority);
+  const start = new Date(openedAt).getTime();
+  return {
+    firstResponseDueAt: new Date(start + targets.firstResponseMinutes * MINUTE_MS),
+    resolutionDueAt: new Date(start + targets.resolutionMinutes * MINUTE_MS),
+  };
+};
+
+const secondsSinceOpened = (conversation, at) =>
+  Math.max(0, Math.round((at - new Date(conversation.createdAt || at)) / 1000));
+
+/**
+ * Recalculates deadlines (and breaches for stopped timers) for the
+ * conversation's current priority. Also fills in deadlines on
+ * conversations created before SLA tracking existed.
+ */
+const refreshSlaDeadlines = (conversation) => {
+  const deadlines = buildSlaDeadlines(conversation.priority, conversation.createdAt || new Date());
+  conversation.sla.firstResponseDueAt = deadlines.firstResponseDueAt;
+  conversation.sla.resolutionDueAt = deadlines.resolutionDueAt;
+
+  if (conversation.sla.firstResponseAt) {
+    conversation.sla.firstResponseBreached = conversation.sla.firstResponseAt > deadlines.firstResponseDueAt;
+  }
+  if (conversation.sla.resolvedAt) {
+    conversation.sla.resolutionBreached = conversation.sla.resolvedAt > deadlines.resolutionDueAt;
+  }
+};
+
+/**
+ * Stops the first-response timer on the first message from the support side
+ */
+const recordFirstResponse = (conversation, senderId, at = new Date()) => {
+  const farmerId = (conversation.userId?._id || conversation.userId).toString();
+  if (farmerId === senderId.toString() || conversation.sla.firstResponseAt) {
+    return;
+  }
+
+  if (!conversation.sla.firstResponseDueAt) {
+    refreshSlaDeadlines(conversation);
+  }
+
+  conversation.sla.firstResponseAt = at;
+  conversation.sla.firstResponseSeconds = secondsSinceOpened(conversation, at);
+  conversation.sla.firstResponseBreached = at > conversation.sla.firstResponseDueAt;
+};
+
+/**
+ * Stops the resolution timer on resolved/closed, restarts it on reopen
+ */
+const recordStatusChange = (conversation, newStatus, at = new Date()) => {
+  if (!conversation.sla.resolutionDueAt) {
+    refreshSlaDeadlines(conversation);
+  }
+
+  if (RESOLVED_STATUSES.includes(newStatus)) {
+    if (!conversation.sla.resolvedAt) {
+      conversation.sla.resolvedAt = at;
+      conversation.sla.resolutionSeconds = secondsSinceOpened(conversation, at);
+      conversation.sla.resolutionBreached = at > conversation.sla.resolutionDueAt;
+    }
+    return;
+  }
+
+  conversation.sla.resolvedAt = null;
+  conversation.sla.resolutionSeconds = null;
+  conversation.sla.resolutionBreached = false;
+};
+
+// ========================================
+// REPORT
+// ========================================
+
+/**
+ * Metrics shared by every grouping of the report
+ */
+const SLA_METRICS = {
+  conversations: { $sum: 1 },
+  responded: { $sum: { $cond: [{ $ne: ["$firstResponseAt", null] }, 1, 0] } },
+  avgFirstResponseSeconds: { $avg: "$sla.firstResponseSeconds" },
+  resolved: { $sum: { $cond: [{ $ne: ["$resolvedAt", null] }, 1, 0] } },
+  avgResolutionSeconds: { $avg: "$sla.resolutionSeconds" },
+  firstResponseBreaches: { $sum: { $cond: ["$firstResponseBreached", 1, 0] } },
+  resolutionBreaches: { $sum: { $cond: ["$resolutionBreached", 1, 0] } },
+};
+
+const formatMetrics = ({ _id, ...metrics }) => ({
+  conversations: metrics.conversations,
+  responded: metrics.responded,
+  avgFirstResponseSeconds:
+    metrics.avgFirstResponseSeconds == null ? null : Math.round(metrics.avgFirstResponseSeconds),
+  resolved: metrics.resolved,
+  avgResolutionSeconds: metrics.avgResolutionSeconds == null ? null : Math.round(metrics.avgResolutionSeconds),
+  firstResponseBreaches: metrics.firstResponseBreaches,
+  resolutionBreaches: metrics.resolutionBreaches,
+  firstResponseBreachRate: metrics.conversations
+    ? Math.round((metrics.firstResponseBreaches / metrics.conversations) * 1000) / 10
+    : 0,
+  resolutionBreachRate: metrics.conversations
+    ? Math.round((metrics.resolutionBreaches / metrics.conversations) * 1000) / 10
+    : 0,
+});
+
+const EMPTY_METRICS = formatMetrics({
+  conversations: 0,
+  responded: 0,
+  avgFirstResponseSeconds: null,
+  resolved: 0,
+  avgResolutionSeconds: null,
+  firstResponseBreaches: 0,
+  resolutionBreaches: 0,
+});
+
+/**
+ * GET SLA REPORT SERVICE
+ *
+ * Business logic:
+ * - Covers conversations opened from "from" up to, not including, "to"
+ *   (createdAt)
+ * - A timer that is still running past its deadline counts as a breach
+ * - Returns totals, a breakdown per priority, a time series bucketed by
+ *   day/week/month and per-agent averages
+ */
+const getSlaReportService = async ({ from, to, interval = "day", agentId } = {}) => {
+  const now = new Date();
+
+  // Step 1: Conversations opened in the range
+  const match = {
+    isActive: true,
+    createdAt: { $gte: from, $lt: to },
+    ...(agentId ? { assignedSupportId: agentId } : {}),
+  };
+
+  // Step 2: Normalise legacy documents and work out live breaches
+  const withSla = {
+    $addFields: {
+      priority: { $ifNull: ["$priority", DEFAULT_PRIORITY] },
+      firstResponseAt: { $ifNull: ["$sla.firstResponseAt", null] },
+      resolvedAt: { $ifNull: ["$sla.resolvedAt", null] },
+      firstResponseBreached: {
+        $or: [
+          { $eq: ["$sla.firstResponseBreached", true] },
+          {
+            $and: [
+              { $eq: [{ $ifNull: ["$sla.firstResponseAt", null] }, null] },
+              { $ne: [{ $ifNull: ["$sla.firstResponseDueAt", null] }, null] },
+              { $lt: ["$sla.firstResponseDueAt", now] },
+            ],
+          },
+        ],
+      },
+      resolutionBreached: {
+        $or: [
+          { $eq: ["$sla.resolutionBreached", true] },
+          {
+            $and: [
+              { $eq: [{ $ifNull: ["$sla.resolvedAt", null] }, null] },
+              { $ne: [{ $ifNull: ["$sla.resolutionDueAt", null] }, null] },
+              { $lt: ["$sla.resolutionDueAt", now] },
+            ],
+          },
+        ],
+      },
+    },
+  };
+
+  // Step 3: All groupings in one pass
+  const [result] = await Conversation.aggregate([
+    { $match: match },
+    withSla,
+    {
+      $facet: {
+        summary: [{ $group: { _id: null, ...SLA_METRICS } }],
+        byPriority: [{ $group: { _id: "$priority", ...SLA_METRICS } }],
+        series: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: SLA_REPORT_INTERVALS[interval],
+                  date: "$createdAt",
+                  timezone: SLA_REPORT_TIMEZONE,
+                },
+              },
+              ...SLA_METRICS,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        perAgent: [
+          { $match: { assignedSupportId: { $ne: null } } },
+          { $group: { _id: "$assignedSupportId", ...SLA_METRICS } },
+          { $sort: { conversations: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  // Step 4: Agent names
+  const agents = await User.find({ _id: { $in: result.perAgent.map((row) => row._id) } })
+    .select("first_name last_name email")
+    .lean();
+  const agentsById = new Map(agents.map((agent) => [agent._id.toString(), agent]));
+
+  // Step 5: Shape the response
+  return {
+    range: { from, to, interval, timezone: SLA_REPORT_TIMEZONE },
+    targets: SLA_TARGETS,
+    summary: result.summary[0] ? formatMetrics(result.summary[0]) : EMPTY_METRICS,
+    byPriority: result.byPriority.map((row) => ({
+      priority: row._id,
+      targets: getSlaTargets(row._id),
+      ...formatMetrics(row),
+    })),
+    series: result.series.map((row) => ({ period: row._id, ...formatMetrics(row) })),
+    perAgent: result.perAgent.map((row) => {
+      const agent = agentsById.get(row._id.toString());
+      return {
+        agentId: row._id,
+        agentName: agent ? `${agent.first_name} ${agent.last_name}` : "Unknown",
+        agentEmail: agent?.email,
+        ...formatMetrics(row),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  getSlaTargets,
+  buildSlaDeadlines,
+  refreshSlaDeadlines,
+  recordFirstResponse,
+  recordStatusChange,
+  getSlaReportService,
+};
@@ -0,0 +1,257 @@
+/**
+ * ============================================
+ * TRANSCRIPTION SERVICE
+ * ============================================
+ *
+ * PURPOSE:
+ * Many farmers send voice notes instead of typing. Voice notes are turned
+ * into text so agents can skim them and search finds them.
+ *
+ * HOW IT WORKS:
+ * 1. An audio file is uploaded for chat → a TranscriptionJob is queued
+ * 2. A worker in this process picks due jobs (CHAT_TRANSCRIPTION_CONCURRENCY
+ *    at a time) and sends the audio to the speech-to-text provider
+ *    (CHAT_STT_PROVIDER, see utils/sttProvider.js)
+ * 3. Failures are retried with a growing delay, up to
+ *    CHAT_TRANSCRIPTION_MAX_ATTEMPTS; then the transcript is "failed"
+ * 4. The result is copied to every audio message that uses the file
+ *    (message.transcript) and announced with "message:transcribed"
+ *
+ * Audio messages start with transcript.status "pending"; a message sent
+ * after its job finished gets the transcript right away. Jobs live in
+ * MongoDB, so a restart picks up where it stopped, and claiming a job is
+ * atomic, so several server instances can share the queue.
+ */
+
+const path = require("path");
+const TranscriptionJob = require("../models/TranscriptionJob");
+const Message = require("../models/Message");
+const MediaMaster = require("../models/mediaMaster");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { getSttProvider } = require("../utils/sttProvider");
+const { normalizeLanguage } = require("../config/supportRouting");
+
+const CONCURRENCY = parseInt(process.env.CHAT_TRANSCRIPTION_CONCURRENCY || "2", 10);
+const MAX_ATTEMPTS = parseInt(process.env.CHAT_TRANSCRIPTION_MAX_ATTEMPTS || "3", 10);
+const POLL_SECONDS = parseInt(process.env.CHAT_TRANSCRIPTION_POLL_SECONDS || "30", 10);
+const RETRY_BASE_SECONDS = 30;
+// A job "processing" for this long belongs to a crashed worker
+const STALE_PROCESSING_MINUTES = 10;
+
+let running = 0;
+let onTranscribed = null;
+
+// ========================================
+// JOBS
+// ========================================
+
+/**
+ * Path of an uploaded file on disk, from its MediaMaster URL
+ * ("https://api.example.com/uploads/chat/x.ogg" → "uploads/chat/x.ogg")
+ */
+const mediaFilePath = (media) => {
+  const baseUrl = process.env.BASE_URL;
+  if (baseUrl && media.url.startsWith(`${baseUrl}/`)) {
+    return media.url.slice(baseUrl.length + 1);
+  }
+  return new URL(media.url, "http://localhost").pathname.replace(/^\//, "");
+};
+
+/**
+ * Message.transcript for a job in any state
+ */
+const transcriptOf = (job) => {
+  if (job?.status === "completed") {
+    return { status: "completed", text: job.text, language: job.language, completedAt: job.completedAt };
+  }
+  if (job?.status === "failed") {
+    return { status: "failed", text: null, language: null, completedAt: job.completedAt };
+  }
+  return { status: "pending", text: null, language: null, completedAt: null };
+};
+
+/**
+ * Queues the transcription of an uploaded audio file (once per file) and
+ * wakes the worker. Does not wait for the transcript.
+ */
+const enqueueTranscription = async (media, uploadedBy) => {
+  const job = await TranscriptionJob.findOneAndUpdate(
+    { mediaId: media._id },
+    {
+      $setOnInsert: {
+        mediaId: media._id,
+        uploadedBy: uploadedBy || null,
+        filePath: mediaFilePath(media),
+        mimeType: media.format,
+        status: "queued",
+        nextAttemptAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  setImmediate(processQueue);
+  return job;
+};
+
+/**
+ * Gives a newly saved audio message (saved as "pending", see Message.js)
+ * the transcript of its file if it is already finished, and queues files
+ * that have no job yet. Run after the message is saved so a job finishing
+ * meanwhile is not missed.
+ */
+const attachTranscript = async (message) => {
+  if (message.messageType !== "audio" || !message.mediaId) return message;
+
+  const mediaId = message.mediaId._id || message.mediaId;
+  let job = await TranscriptionJob.findOne({ mediaId }).lean();
+  if (!job) {
+    const media = message.mediaId._id ? message.mediaId : await MediaMaster.findById(mediaId);
+    if (media) job = await enqueueTranscription(media, message.senderId?._id || message.senderId);
+  }
+
+  message.transcript = transcriptOf(job);
+  if (message.transcript.status !== "pending") {
+    await Message.updateOne({ _id: message._id }, { $set: { transcript: message.transcript } });
+  }
+  return message;
+};
+
+// ========================================
+// WORKER
+// ========================================
+
+/**
+ * Atomically takes the next due job (or one abandoned by a crashed worker)
+ */
+const claimNextJob = () => {
+  const now = new Date();
+  return TranscriptionJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "processing", startedAt: { $lt: new Date(now - STALE_PROCESSING_MINUTES * 60 * 1000) } },
+      ],
+    },
+    { $set: { status: "processing", startedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Copies the result to the audio messages of the file and announces it
+ */
+const publishTranscript = async (job) => {
+  const transcript = transcriptOf(job);
+  await Message.updateMany({ mediaId: job.mediaId, messageType: "audio" }, { $set: { transcript } });
+
+  if (!onTranscribed) return;
+  const messages = await Message.find({ mediaId: job.mediaId, messageType: "audio" })
+    .select("conversationId")
+    .lean();
+  messages.forEach((message) =>
+    onTranscribed({ conversationId: message.conversationId, messageId: message._id, transcript })
+  );
+};
+
+const runJob = async (job) => {
+  const provider = getSttProvider();
+
+  try {
+    // Step 1: The uploader's language helps the provider with short clips
+    if (!job.languageHint && job.uploadedBy) {
+      const uploader = await User.findById(job.uploadedBy).select("preferredLanguage").lean();
+      job.languageHint = uploader?.preferredLanguage || null;
+    }
+
+    // Step 2: Transcribe
+    const result = await provider.transcribe({
+      filePath: path.resolve(job.filePath),
+      mimeType: job.mimeType,
+      languageHint: job.languageHint,
+    });
+
+    job.set({
+      status: "completed",
+      provider: provider.name,
+      text: result.text,
+      language: normalizeLanguage(result.language) || result.language || null,
+      confidence: result.confidence ?? null,
+      error: null,
+      completedAt: new Date(),
+    });
+    logger.info(`Voice note ${job.mediaId} transcribed by ${provider.name}`);
+  } catch (error) {
+    // Step 3: Retry later, or give up
+    const giveUp = job.attempts >= MAX_ATTEMPTS;
+    job.set({
+      status: giveUp ? "failed" : "queued",
+      provider: provider.name,
+      error: error.message,
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_SECONDS * 2 ** (job.attempts - 1) * 1000),
+      ...(giveUp && { completedAt: new Date() }),
+    });
+    logger.error(
+      `Transcription of ${job.mediaId} failed (attempt ${job.attempts}/${MAX_ATTEMPTS}): ${error.message}`
+    );
+  }
+
+  await job.save();
+  if (job.status !== "queued") {
+    await publishTranscript(job);
+  }
+};
+
+/**
+ * Starts due jobs until CONCURRENCY of them run in this process
+ */
+const processQueue = async () => {
+  try {
+    while (running < CONCURRENCY) {
+      // Slot taken before claiming, so overlapping checks cannot overshoot
+      running += 1;
+      const job = await claimNextJob().catch((error) => {
+        running -= 1;
+        throw error;
+      });
+      if (!job) {
+        running -= 1;
+        return;
+      }
+
+      runJob(job)
+        .catch((error) => logger.error(`Transcription job ${job._id} crashed: ${error.message}`))
+        .finally(() => {
+          running -= 1;
+          setImmediate(processQueue);
+        });
+    }
+  } catch (error) {
+    logger.error(`Transcription queue check failed: ${error.message}`);
+  }
+};
+
+/**
+ * Starts the worker. onTranscribed({ conversationId, messageId, transcript })
+ * is called for every audio message whose transcript is ready or failed.
+ * Returns a function that stops polling.
+ */
+const startTranscriptionWorker = ({ onTranscribed: listener } = {}) => {
+  // Throws before polling starts if the provider is unusable (stub in production)
+  const provider = getSttProvider();
+  onTranscribed = listener || null;
+
+  const timer = setInterval(processQueue, POLL_SECONDS * 1000);
+  timer.unref();
+  setImmediate(processQueue);
+
+  logger.info(`Transcription worker started (${provider.name}, ${CONCURRENCY} at a time)`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  enqueueTranscription,
+  attachTranscript,
+  startTranscriptionWorker,
+};
@@ -7,8 +7,6 @@ const extractYouTubeIframes = require("../utils/extractYouTubeIframes");
 const embedHtmlToShareHtml = require("../utils/embedHtmlToShareHtml");
 
 const createTutorialService = async (data, requestUser) => {
-  if (requestUser.role !== "Admin") throw new ApiError("Unauthorized", 403);
-
   const exists = await TutorialsMaster.findOne({
     name: data.name,
     deleted_at: null,
@@ -108,8 +106,6 @@ const getTutorialByIdService = async (id) => {
 };
 
 const updateTutorialService = async (id, updates, requestUser) => {
-  if (requestUser.role !== "Admin") throw new ApiError("Unauthorized", 403);
-
   // If name is being updated, check for uniqueness
   if (updates.name) {
     const exists = await TutorialsMaster.findOne({
@@ -139,7 +135,6 @@ const updateTutorialService = async (id, updates, requestUser) => {
 };
 
 const deleteTutorialService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") throw new ApiError("Unauthorized", 403);
   const tutorial = await TutorialsMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -154,7 +149,6 @@ const deleteTutorialService = async (id, requestUser) => {
 };
 
 const disableTutorialService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") throw new ApiError("Unauthorized", 403);
   const tutorial = await TutorialsMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -168,7 +162,6 @@ const disableTutorialService = async (id, requestUser) => {
 };
 
 const enableTutorialService = async (id, requestUser) => {
-  if (requestUser.role !== "Admin") throw new ApiError("Unauthorized", 403);
   const tutorial = await TutorialsMaster.findOne({
     _id: id,
     deleted_at: null,
@@ -0,0 +1,309 @@
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const ExcelJS = require("exceljs");
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const ApiError = require("../utils/error");
+const { validateUser } = require("../utils/validator");
+const { toCsvRow } = require("../utils/csv");
+const { hasPermission } = require("./permissionService");
+const { buildUserFilter } = require("./userService");
+
+const MAX_IMPORT_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS || "5000", 10);
+
+const USER_TYPES = User.schema.path("userType").enumValues;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Spreadsheet header -> request field. Headers are matched case-insensitively.
+const HEADER_ALIASES = {
+  phone: "phone",
+  mobile: "phone",
+  email: "email",
+  password: "password",
+  role: "role",
+  first_name: "first_name",
+  firstname: "first_name",
+  last_name: "last_name",
+  lastname: "last_name",
+  state: "state",
+  city: "city",
+  address: "address",
+  usertype: "userType",
+  user_type: "userType",
+  lat: "location.lat",
+  latitude: "location.lat",
+  "location.lat": "location.lat",
+  long: "location.long",
+  lng: "location.long",
+  longitude: "location.long",
+  "location.long": "location.long",
+};
+
+const EXPORT_COLUMNS = [
+  "id",
+  "phone",
+  "email",
+  "role",
+  "first_name",
+  "last_name",
+  "userType",
+  "state",
+  "city",
+  "address",
+  "lat",
+  "long",
+  "landSize",
+  "isActive",
+  "createdAt",
+];
+
+// ========================================
+// FILE PARSING
+// ========================================
+
+const readCsvRows = (filePath) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+
+const readXlsxRows = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cell.text.trim().toLowerCase();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) record[header] = row.getCell(column).text;
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+
+const readRows = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (extension === ".xlsx") return readXlsxRows(file.path);
+  if (extension === ".csv") return readCsvRows(file.path);
+  // Legacy .xls workbooks are binary; reading them as CSV gives garbage rows
+  throw new ApiError("Only .csv and .xlsx files can be imported; save .xls files as .xlsx", 400);
+};
+
+// Turn a raw spreadsheet row into the body shape validateUser expects
+const toUserBody = (raw) => {
+  const body = {};
+  Object.entries(raw).forEach(([header, value]) => {
+    const field = HEADER_ALIASES[header];
+    const text = typeof value === "string" ? value.trim() : value;
+    if (!field || text === "" || text === undefined || text === null) return;
+
+    if (field.startsWith("location.")) {
+      body.location = body.location || {};
+      body.location[field.split(".")[1]] = text;
+    } else {
+      body[field] = String(text);
+    }
+  });
+  return body;
+};
+
+// Run the exact validateUser chain against a row
+const validateRow = async (body) => {
+  const req = { body };
+  for (const chain of validateUser) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req)
+    .array()
+    .map((err) => ({ field: err.path, message: err.msg }));
+
+  if (req.body.userType && !USER_TYPES.includes(req.body.userType)) {
+    errors.push({ field: "userType", message: `userType must be one of: ${USER_TYPES.join(", ")}` });
+  }
+
+  return { body: req.body, errors };
+};
+
+// ========================================
+// IMPORT
+// ========================================
+
+const importUsersService = async (file, requestingUser, { dryRun = false } = {}) => {
+  if (!file) {
+    throw new ApiError("A CSV or XLSX file is required", 400);
+  }
+
+  try {
+    const rawRows = await readRows(file);
+    if (!rawRows.length) {
+      throw new ApiError("The file has no data rows", 400);
+    }
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+      throw new ApiError(`A file can contain at most ${MAX_IMPORT_ROWS} rows`, 400);
+    }
+
+    const canAssignRoles = await hasPermission(requestingUser.role, "users:manage");
+    const rows = [];
+    const seenPhones = new Map();
+    const seenEmails = new Map();
+
+    // Step 1: Validate every row and catch duplicates inside the file
+    for (const [index, raw] of rawRows.entries()) {
+      const rowNumber = index + 2; // 1-based, after the header row
+      const { body, errors } = await validateRow(toUserBody(raw));
+
+      if (body.role && body.role !== "User" && !canAssignRoles) {
+        errors.push({ field: "role", message: "Not allowed to assign this role" });
+      }
+      if (body.phone && seenPhones.has(body.phone)) {
+        errors.push({ field: "phone", message: `Duplicate of row ${seenPhones.get(body.phone)}` });
+      }
+      if (body.email && seenEmails.has(body.email.toLowerCase())) {
+        errors.push({ field: "email", message: `Duplicate of row ${seenEmails.get(body.email.toLowerCase())}` });
+      }
+      if (body.phone) seenPhones.set(body.phone, rowNumber);
+      if (body.email) seenEmails.set(body.email.toLowerCase(), rowNumber);
+
+      rows.push({ rowNumber, body, errors });
+    }
+
+    // Step 2: Reject rows that clash with existing accounts
+    const phones = [...seenPhones.keys()];
+    const emails = [...seenEmails.keys()];
+    const existing = await User.find({
+      deleted_at: null,
+      // Accounts saved before emails were lowercased may differ in case
+      $or: [
+        { phone: { $in: phones } },
+        { email: { $in: emails.map((email) => new RegExp(`^${escapeRegex(email)}$`, "i")) } },
+      ],
+    })
+      .select("phone email")
+      .lean();
+    const existingPhones = new Set(existing.map((user) => user.phone));
+    const existingEmails = new Set(existing.filter((user) => user.email).map((user) => user.email.toLowerCase()));
+
+    rows.forEach(({ body, errors }) => {
+      if (existingPhones.has(body.phone)) {
+        errors.push({ field: "phone", message: "A user with this phone already exists" });
+      }
+      if (body.email && existingEmails.has(body.email.toLowerCase())) {
+        errors.push({ field: "email", message: "A user with this email already exists" });
+      }
+    });
+
+    // Step 3: Create the valid rows. Farmers are attributed to whoever
+    // imported them, as if they had signed up with their referral code
+    const created = [];
+    for (const row of rows) {
+      if (row.errors.length || dryRun) continue;
+
+      const { body } = row;
+      try {
+        const user = await new User({
+          ...body,
+          location: body.location
+            ? { lat: parseFloat(body.location.lat), long: parseFloat(body.location.long) }
+            : undefined,
+          role: body.role || "User",
+          isActive: true,
+          referredBy: (body.role || "User") === "User" ? requestingUser.id : null,
+        }).save();
+        created.push({ row: row.rowNumber, id: user._id, phone: user.phone });
+      } catch (error) {
+        row.errors.push({ field: "row", message: error.message });
+      }
+    }
+
+    const failed = rows
+      .filter((row) => row.errors.length)
+      .map((row) => ({ row: row.rowNumber, phone: row.body.phone || null, errors: row.errors }));
+
+    logger.info(
+      `User import by ${requestingUser.id}: ${rows.length} rows, ${created.length} created, ${failed.length} failed${dryRun ? " (dry run)" : ""}`
+    );
+
+    return {
+      dryRun,
+      totalRows: rows.length,
+      valid: rows.length - failed.length,
+      createdCount: created.length,
+      failedCount: failed.length,
+      created,
+      errors: failed,
+    };
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+// ========================================
+// EXPORT
+// ========================================
+
+// Streams matching users as CSV straight to the response. The headers are
+// already sent, so a cursor error aborts the response instead of throwing
+const exportUsersCsvService = async (res, search, filters) => {
+  res.write(toCsvRow(EXPORT_COLUMNS));
+
+  const cursor = User.find(buildUserFilter(search, filters))
+    .select("phone email role first_name last_name userType state city address location landSize isActive createdAt")
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  let count = 0;
+  try {
+    for await (const user of cursor) {
+      res.write(
+        toCsvRow([
+          user._id,
+          user.phone,
+          user.email,
+          user.role,
+          user.first_name,
+          user.last_name,
+          user.userType,
+          user.state,
+          user.city,
+          user.address,
+          user.location?.lat,
+          user.location?.long,
+          user.landSize,
+          user.isActive,
+          user.createdAt,
+        ])
+      );
+      count += 1;
+    }
+  } catch (error) {
+    logger.error(`User export failed after ${count} rows: ${error.message}`);
+    res.destroy(error);
+    return count;
+  }
+  res.end();
+
+  return count;
+};
+
+module.exports = {
+  importUsersService,
+  exportUsersCsvService,
+};
@@ -1,78 +1,200 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const LoginHistory = require("../models/LoginHistory");
+const { recordLoginAttempt } = require("./loginSecurityService");
 const logger = require("../utils/logger");
 const ApiError = require("../utils/error");
+const {
+  OTP_TTL_MINUTES,
+  shouldExposeOtp,
+  deliverOtp,
+} = require("./otpDeliveryService");
+const {
+  createSession,
+  refreshSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("./sessionService");
+const { hasPermission } = require("./permissionService");
+const { resolveReferrer } = require("./referralService");
+const { STAFF_ROLES } = require("../config/permissions");
 const fs = require("fs").promises;
 const path = require("path");
 
-const MAX_SESSIONS = 3; // 🔹 change this number to limit active devices
+const generateOtpCode = () =>
+  Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
 
+const getOtpExpiry = () => new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
 
-const generateOtp = async (phone, location, userType) => {
+const OTP_MAX_VERIFY_ATTEMPTS = parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS || "5", 10);
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES || "15", 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || "60", 10);
+
+const secondsUntil = (date) => (date.getTime() - Date.now()) / 1000;
+
+// Rejects when the phone is locked out or a fresh OTP was sent too recently
+const assertCanSendOtp = (user) => {
+  if (user.otpLockedUntil && user.otpLockedUntil > new Date()) {
+    throw ApiError.tooManyRequests(
+      "Too many failed attempts. Please try again later.",
+      secondsUntil(user.otpLockedUntil)
+    );
+  }
+  if (user.otpLastSentAt) {
+    const nextAllowedAt = new Date(
+      user.otpLastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000
+    );
+    if (nextAllowedAt > new Date()) {
+      throw ApiError.tooManyRequests(
+        "Please wait before requesting another OTP.",
+        secondsUntil(nextAllowedAt)
+      );
+    }
+  }
+};
+
+// Adds one verification attempt unless the limit is already reached or the
+// phone is locked. Returns { otpAttempts } after the update, or null.
+const reserveOtpAttempt = (userId) => {
+  const now = new Date();
+  return User.findOneAndUpdate(
+    {
+      _id: userId,
+      $and: [
+        { $or: [{ otpAttempts: { $lt: OTP_MAX_VERIFY_ATTEMPTS } }, { otpAttempts: null }] },
+        { $or: [{ otpLockedUntil: null }, { otpLockedUntil: { $lte: now } }] },
+      ],
+    },
+    { $inc: { otpAttempts: 1 } },
+    { new: true, projection: { otpAttempts: 1 } }
+  ).lean();
+};
+
+const issueOtp = (user) => {
+  const otp = generateOtpCode();
+  user.otp = otp;
+  user.otpExpires = getOtpExpiry();
+  user.otpLastSentAt = new Date();
+  return otp;
+};
+
+const generateOtp = async (phone, location, userType, referralCode) => {
   const user = await User.findOne({ phone, deleted_at: null }).select(
-    "+otp +otpExpires"
+    "+otp +otpExpires +otpLockedUntil +otpLastSentAt"
   );
   if (user) {
     if (!user.isActive) {
       throw new ApiError("Unauthorized: User is inactive", 403);
     }
-    //otp-generate for existingUser
-    const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
-    const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // Expires in 10 minutes
+    assertCanSendOtp(user);
 
-    user.otp = otp;
-    user.otpExpires = otpExpires;
+    //otp-generate for existingUser
+    const otp = issueOtp(user);
     await user.save();
+    await deliverOtp({ userId: user._id, phone, otp, purpose: "login" });
 
     logger.info(`OTP generated for phone: ${phone}`);
-    return { message: "OTP generated successfully", otp };
+    return { message: "OTP generated successfully", ...(shouldExposeOtp() && { otp }) };
   } else {
-    const result = await createSimpleUser({ phone, location, userType });
+    const result = await createSimpleUser({ phone, location, userType, referralCode });
     logger.info(`OTP generated for phone: ${phone}`);
-    return { message: "OTP generated successfully", otp: result.otp };
+    return {
+      message: "OTP generated successfully",
+      ...(result.otp && { otp: result.otp }),
+    };
   }
 };
 
 const verifyOtp = async ({ phone, otp }, { req }) => {
   const user = await User.findOne({ phone, deleted_at: null }).select(
-    "+otp +otpExpires +activeSessions"
+    "+otp +otpExpires +otpAttempts +otpLockedUntil"
   );
   if (!user) throw new ApiError("User not found", 404);
-  if (!user.isActive) throw new ApiError("Unauthorized: User is inactive", 403);
 
-  if (!user.otp || !user.otpExpires) throw new ApiError("No OTP found", 400);
-  if (user.otpExpires < new Date()) throw new ApiError("OTP has expired", 400);
+  const recordFailure = (failureReason) =>
+    recordLoginAttempt({ user, req, method: "otp", status: "failure", failureReason });
 
-  const isMatch = await bcrypt.compare(otp, user.otp);
-  if (!isMatch) throw new ApiError("Invalid OTP", 400);
+  if (!user.isActive) {
+    await recordFailure("inactive");
+    throw new ApiError("Unauthorized: User is inactive", 403);
+  }
 
-  user.otp = undefined;
-  user.otpExpires = undefined;
+  if (user.otpLockedUntil && user.otpLockedUntil > new Date()) {
+    await recordFailure("locked");
+    throw ApiError.tooManyRequests(
+      "Too many failed attempts. Please try again later.",
+      secondsUntil(user.otpLockedUntil)
+    );
+  }
 
-  const token = jwt.sign(
-    { id: user._id, phone: user.phone, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: "30d" }
-  );
+  if (!user.otp || !user.otpExpires) throw new ApiError("No OTP found", 400);
+  if (user.otpExpires < new Date()) {
+    await recordFailure("otp-expired");
+    throw new ApiError("OTP has expired", 400);
+  }
 
-  const userAgent = req.headers["user-agent"] || "unknown";
+  // Count the attempt before comparing, in one conditional update, so
+  // parallel guesses cannot all slip past the limit
+  const attempt = await reserveOtpAttempt(user._id);
+  if (!attempt) {
+    await recordFailure("locked");
+    throw ApiError.tooManyRequests(
+      "Too many failed attempts. Please try again later.",
+      OTP_LOCKOUT_MINUTES * 60
+    );
+  }
 
-  user.activeSessions = user.activeSessions || [];
-  user.activeSessions.push({ token, loginTime: new Date(), userAgent });
+  const isMatch = await bcrypt.compare(otp, user.otp);
+  if (!isMatch) {
+    await recordFailure("invalid-otp");
+
+    if (attempt.otpAttempts >= OTP_MAX_VERIFY_ATTEMPTS) {
+      // Burn the current code so it cannot be guessed after the lock expires
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            otpAttempts: 0,
+            otpLockedUntil: new Date(Date.now() + OTP_LOCKOUT_MINUTES * 60 * 1000),
+          },
+          $unset: { otp: 1, otpExpires: 1 },
+        }
+      );
+
+      logger.warn(`OTP verification locked for phone: ${phone}`);
+      throw ApiError.tooManyRequests(
+        "Too many failed attempts. Please try again later.",
+        OTP_LOCKOUT_MINUTES * 60
+      );
+    }
 
-  if (user.activeSessions.length > MAX_SESSIONS) {
-    user.activeSessions = user.activeSessions.slice(-MAX_SESSIONS);
+    throw new ApiError("Invalid OTP", 400, [
+      {
+        field: "otp",
+        message: `${OTP_MAX_VERIFY_ATTEMPTS - attempt.otpAttempts} attempt(s) remaining`,
+      },
+    ]);
   }
 
-  await user.save();
-  await LoginHistory.create({ userId: user._id, phone: user.phone });
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { otpAttempts: 0 }, $unset: { otp: 1, otpExpires: 1, otpLockedUntil: 1 } }
+  );
+
+  const userAgent = req.headers["user-agent"] || "unknown";
+  const { token, refreshToken, expiresIn } = await createSession(user, {
+    userAgent,
+    ipAddress: req.ip,
+  });
+  await recordLoginAttempt({ user, req, method: "otp" });
 
   logger.info(`User logged in via OTP: ${phone} from ${userAgent}`);
 
   return {
     token,
+    refreshToken,
+    expiresIn,
     data: {
       id: user._id,
       phone: user.phone,
@@ -93,7 +215,7 @@ const verifyOtp = async ({ phone, otp }, { req }) => {
 
 const resendOtp = async (phone) => {
   const user = await User.findOne({ phone, deleted_at: null }).select(
-    "+otp +otpExpires"
+    "+otp +otpExpires +otpLockedUntil +otpLastSentAt"
   );
   if (!user) {
     throw new ApiError("User not found", 404);
@@ -101,16 +223,14 @@ const resendOtp = async (phone) => {
   if (!user.isActive) {
     throw new ApiError("Unauthorized: User is inactive", 403);
   }
+  assertCanSendOtp(user);
 
-  const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
-  const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // Expires in 10 minutes
-
-  user.otp = otp;
-  user.otpExpires = otpExpires;
+  const otp = issueOtp(user);
   await user.save();
+  await deliverOtp({ userId: user._id, phone, otp, purpose: "resend" });
 
   logger.info(`OTP resent for phone: ${phone}`);
-  return { message: "OTP resent successfully", otp }; // OTP returned for testing; in production, send via SMS/email
+  return { message: "OTP resent successfully", ...(shouldExposeOtp() && { otp }) };
 };
 
 const createUser = async ({
@@ -141,9 +261,8 @@ const createUser = async ({
     throw new ApiError("User already exists with this phone or email", 400);
   }
 
-  const generatedOtp =
-    otp || Math.floor(100000 + Math.random() * 900000).toString(); // Generate OTP if not provided
-  const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // Expires in 10 minutes
+  const generatedOtp = otp || generateOtpCode(); // Generate OTP if not provided
+  const otpExpires = getOtpExpiry();
 
   const user = new User({
     phone,
@@ -151,6 +270,7 @@ const createUser = async ({
     password,
     otp: generatedOtp,
     otpExpires,
+    otpLastSentAt: phone ? new Date() : undefined,
     first_name,
     last_name,
     location,
@@ -163,36 +283,39 @@ const createUser = async ({
   });
 
   await user.save();
+  if (phone) {
+    await deliverOtp({ userId: user._id, phone, otp: generatedOtp, purpose: "registration" });
+  }
   logger.info(`User created: ${phone}`);
   return {
     user: { id: user._id, phone, email, role: user.role },
-    otp: generatedOtp,
-  }; // Return OTP for testing
+    ...(shouldExposeOtp() && { otp: generatedOtp }),
+  };
 };
 
-const createSimpleUser = async ({ phone, userType, location }) => {
+const createSimpleUser = async ({ phone, userType, location, referralCode }) => {
   // Check if user already exists
   const existingUser = await User.findOne({ phone, deleted_at: null });
   if (existingUser) {
     throw new ApiError("User already exists with this phone number", 400);
   }
 
-  // Generate OTP for verification
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // Expires in 10 minutes
+  const referredBy = await resolveReferrer(referralCode);
 
   const user = new User({
     phone,
-    otp,
-    otpExpires,
     location,
     userType,
     role: "User",
     isActive: true,
+    referredBy,
   });
+  // Generate OTP for verification
+  const otp = issueOtp(user);
 
   await user.save();
-  logger.info(`Simple user registration: ${phone}`);
+  await deliverOtp({ userId: user._id, phone, otp, purpose: "registration" });
+  logger.info(`Simple user registration: ${phone}${referredBy ? ` (referred by ${referredBy})` : ""}`);
 
   return {
     message:
@@ -204,7 +327,7 @@ const createSimpleUser = async ({ phone, userType, location }) => {
       role: user.role,
       requiresOtpVerification: true,
     },
-    otp, // Return OTP for testing; in production, send via SMS
+    ...(shouldExposeOtp() && { otp }),
   };
 };
 
@@ -229,6 +352,7 @@ const updateSimpleUser = async (userId, updates) => {
     "cropType",
     "landSize",
     "farmLocation",
+    "preferredLanguage",
   ];
 
   // Filter out invalid fields
@@ -295,36 +419,33 @@ const updateSimpleUser = async (userId, updates) => {
 
 const loginUserAdmin = async ({ email, password }, { req }) => {
   const user = await User.findOne({ email, deleted_at: null })
-    .select("+password +activeSessions");
+    .select("+password");
   if (!user) throw new ApiError("Invalid credentials", 401);
-  if (!user.isActive) throw new ApiError("Unauthorized: User is inactive", 403);
-  if (user.role !== "Admin" && user.role !== "Support" && user.role !== "User") throw new ApiError("Only Admin and Support can log in", 403);
+  if (!user.isActive) {
+    await recordLoginAttempt({ user, req, method: "password", status: "failure", failureReason: "inactive" });
+    throw new ApiError("Unauthorized: User is inactive", 403);
+  }
+  if (!STAFF_ROLES.includes(user.role)) throw new ApiError("Only staff accounts can log in here", 403);
 
   const isMatch = await bcrypt.compare(password, user.password);
-  if (!isMatch) throw new ApiError("Invalid credentials", 401);
-
-  const token = jwt.sign(
-    { id: user._id, phone: user.phone, role: user.role, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: "12h" }
-  );
-
-  const userAgent = req.headers["user-agent"] || "unknown";
-
-  user.activeSessions = user.activeSessions || [];
-  user.activeSessions.push({ token, loginTime: new Date(), userAgent });
-
-  if (user.activeSessions.length > MAX_SESSIONS) {
-    user.activeSessions = user.activeSessions.slice(-MAX_SESSIONS);
+  if (!isMatch) {
+    await recordLoginAttempt({ user, req, method: "password", status: "failure", failureReason: "invalid-password" });
+    throw new ApiError("Invalid credentials", 401);
   }
 
-  await user.save();
-  await LoginHistory.create({ userId: user._id, phone: user.phone });
+  const userAgent = req.headers["user-agent"] || "unknown";
+  const { token, refreshToken, expiresIn } = await createSession(user, {
+    userAgent,
+    ipAddress: req.ip,
+  });
+  await recordLoginAttempt({ user, req, method: "password" });
 
   logger.info(`User logged in: ${email} from ${userAgent}`);
 
   return {
     token,
+    refreshToken,
+    expiresIn,
     data: { id: user._id, phone: user.phone, email: user.email, role: user.role },
     message: "Login successful",
   };
@@ -332,13 +453,16 @@ const loginUserAdmin = async ({ email, password }, { req }) => {
 
 const getUserById = async (userId, requestingUser) => {
   const user = await User.findOne({ _id: userId, deleted_at: null }).select(
-    "-password -otp -otpExpires"
+    "-password -otp -otpExpires -activeSessions"
   );
   if (!user) {
     throw new ApiError("User not found", 404);
   }
 
-  if (requestingUser.role !== "Admin" && requestingUser.id !== userId) {
+  if (
+    requestingUser.id !== userId &&
+    !(await hasPermission(requestingUser.role, "users:read-all"))
+  ) {
     throw new ApiError("Unauthorized to access this user", 403);
   }
 
@@ -348,22 +472,11 @@ const getUserById = async (userId, requestingUser) => {
   };
 };
 
-const getAllUsers = async (page = 1, limit = 10, requestingUser, search) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized to access all users", 403);
-  }
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-  const skip = (page - 1) * limit;
-  const count = await User.countDocuments({
-    deleted_at: null,
-    $or: [
-      { first_name: { $regex: search, $options: "i" } },
-      { last_name: { $regex: search, $options: "i" } },
-      { phone: { $regex: search, $options: "i" } },
-      { email: { $regex: search, $options: "i" } },
-    ],
-  });
-  const users = await User.find({
+// Shared by the paginated list and the CSV export
+const buildUserFilter = (search = "", { role, userType, state, city, isActive, from, to } = {}) => {
+  const filter = {
     deleted_at: null,
     $or: [
       { first_name: { $regex: search, $options: "i" } },
@@ -371,8 +484,29 @@ const getAllUsers = async (page = 1, limit = 10, requestingUser, search) => {
       { phone: { $regex: search, $options: "i" } },
       { email: { $regex: search, $options: "i" } },
     ],
-  })
-    .select("-password -otp -otpExpires")
+    ...(role && { role }),
+    ...(userType && { userType }),
+    ...(state && { state: { $regex: `^${escapeRegex(state)}$`, $options: "i" } }),
+    ...(city && { city: { $regex: `^${escapeRegex(city)}$`, $options: "i" } }),
+    ...(isActive !== undefined && { isActive }),
+  };
+
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lt: to }),
+    };
+  }
+
+  return filter;
+};
+
+const getAllUsers = async (page = 1, limit = 10, requestingUser, search, filters = {}) => {
+  const skip = (page - 1) * limit;
+  const filter = buildUserFilter(search, filters);
+  const count = await User.countDocuments(filter);
+  const users = await User.find(filter)
+    .select("-password -otp -otpExpires -activeSessions")
     .skip(skip)
     .limit(limit)
     .sort({ createdAt: -1 });
@@ -393,9 +527,14 @@ const getAllUsers = async (page = 1, limit = 10, requestingUser, search) => {
 };
 
 const updateUser = async (userId, updates, requestingUser) => {
-  if (requestingUser.role !== "Admin" && requestingUser.id !== userId) {
+  const canManageUsers = await hasPermission(requestingUser.role, "users:manage");
+  if (!canManageUsers && requestingUser.id !== userId) {
     throw new ApiError("Unauthorized to update this user", 403);
   }
+  // Changing a role is privilege management, even on your own account
+  if (updates.role !== undefined && !canManageUsers) {
+    throw new ApiError("Unauthorized to change user role", 403);
+  }
   const allowedUpdates = [
     "first_name",
     "last_name",
@@ -452,7 +591,10 @@ const updateUser = async (userId, updates, requestingUser) => {
 };
 
 const deleteUser = async (userId, requestingUser) => {
-  if (requestingUser.role !== "Admin" && requestingUser.id !== userId) {
+  if (
+    requestingUser.id !== userId &&
+    !(await hasPermission(requestingUser.role, "users:manage"))
+  ) {
     throw new ApiError("Unauthorized to delete this user", 403);
   }
 
@@ -469,10 +611,6 @@ const deleteUser = async (userId, requestingUser) => {
 };
 
 const enableUser = async (userId, requestingUser) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized to enable user", 403);
-  }
-
   const user = await User.findOne({ _id: userId, deleted_at: null });
   if (!user) {
     throw new ApiError("User not found", 404);
@@ -489,10 +627,6 @@ const enableUser = async (userId, requestingUser) => {
 };
 
 const disableUser = async (userId, requestingUser) => {
-  if (requestingUser.role !== "Admin") {
-    throw new ApiError("Unauthorized to disable user", 403);
-  }
-
   const user = await User.findOne({ _id: userId, deleted_at: null });
   if (!user) {
     throw new ApiError("User not found", 404);
@@ -509,36 +643,33 @@ const disableUser = async (userId, requestingUser) => {
 };
 
 const getLoginHistory = async (userId) => {
-  const history = await LoginHistory.find().sort({ loginAt: -1 }).limit(50);
+  const history = await LoginHistory.find({ userId })
+    .select("-deviceFingerprint")
+    .sort({ loginAt: -1 })
+    .limit(50);
   return history;
 };
 
 // List all active sessions
-const getActiveSessionsService = async (userId) => {
-  const user = await User.findById(userId).select("activeSessions");
-  if (!user) throw new ApiError("User not found", 404);
-  return user.activeSessions || [];
+const getActiveSessionsService = async (userId, currentSessionId) => {
+  return getActiveSessions(userId, currentSessionId);
 };
 
-// Logout from current session (remove token)
-const logoutSessionService = async (userId, token) => {
-  const user = await User.findById(userId).select("activeSessions");
-  if (!user) throw new ApiError("User not found", 404);
-
-  user.activeSessions = (user.activeSessions || []).filter(
-    (session) => session.token !== token
-  );
-
-  await user.save();
+// Logout from current session (revokes its refresh token family)
+const logoutSessionService = async (userId, sessionId) => {
+  await revokeSession(userId, sessionId);
 };
 
-// Logout from all sessions (clear all tokens)
+// Logout from all sessions
 const logoutAllSessionsService = async (userId) => {
-  const user = await User.findById(userId).select("activeSessions");
-  if (!user) throw new ApiError("User not found", 404);
+  await revokeAllSessions(userId);
+};
 
-  user.activeSessions = [];
-  await user.save();
+const refreshTokenService = async (refreshToken, { req }) => {
+  return refreshSession(refreshToken, {
+    userAgent: req.headers["user-agent"],
+    ipAddress: req.ip,
+  });
 };
 
 const saveUserFCMTokenService = async (userId, token) => {
@@ -568,9 +699,11 @@ module.exports = {
   deleteUser,
   enableUser,
   disableUser,
+  buildUserFilter,
   getLoginHistory,
   getActiveSessionsService,
   logoutSessionService,
   logoutAllSessionsService,
+  refreshTokenService,
   saveUserFCMTokenService
 };
@@ -10,7 +10,7 @@
  * 
  * WHAT THIS DOES:
  * - Authenticates Socket.IO connections using JWT
- * - Manages user online/offline status
+ * - Manages user online/offline status (services/presenceService.js)
  * - Sends/receives messages in real-time
  * - Handles typing indicators
  * - Manages read receipts
@@ -34,24 +34,60 @@ const Conversation = require("../models/Conversation");
 const Message = require("../models/Message");
 const MediaMaster = require("../models/mediaMaster");
 const logger = require("../utils/logger");
-const {sendPushNotification} = require("../utils/sendPushNotification");
+const { notifyChatMessage } = require("../services/chatNotificationService");
+const { autoTranslateMessage } = require("../services/messageTranslationService");
+const { attachTranscript } = require("../services/transcriptionService");
+const { filterMessageContent, assertCanMessage } = require("../services/chatModerationService");
+const { SOCKET_RATE_LIMIT } = require("../config/chatModeration");
+const { recordFirstResponse, recordStatusChange } = require("../services/supportSlaService");
+const { renderCannedResponseService, recordCannedResponseUse } = require("../services/cannedResponseService");
+const { hasPermission } = require("../services/permissionService");
+const { registerSocket, unregisterSocket, isUserOnline } = require("../services/presenceService");
+const { canSeeInternalNotes, addInternalNoteService } = require("../services/internalNoteService");
+const {
+  REPLY_TO_POPULATE,
+  resolveReplyTo,
+  editMessageService,
+  toggleReactionService,
+} = require("../services/messageActionService");
+const {
+  normalizeClientMessageId,
+  findMessageByClientId,
+  isDuplicateClientMessageError,
+  getConversationSyncService,
+} = require("../services/chatSyncService");
 
-// ========================================
-// CONNECTED USERS TRACKER
-// ========================================
+/**
+ * Socket.IO server instance, kept so services can emit events
+ * (e.g. queue updates) without access to req.app
+ * With several server instances, its adapter (utils/socketAdapter.js)
+ * delivers room events to sockets held by the other instances too
+ */
+let ioInstance = null;
 
 /**
- * Stores all currently connected users
- * 
- * Structure: Map { userId: socketId }
- * Example: { "user123": "socket_abc", "support456": "socket_xyz" }
- * 
- * Used for:
- * - Finding which socket to send messages to
- * - Checking if user is online
- * - Broadcasting to specific users
+ * Agent-only room for a conversation's internal notes
+ * The farmer's sockets never join it
  */
-const connectedUsers = new Map();
+const internalRoom = (conversationId) => `internal:${conversationId}`;
+
+/**
+ * Per-socket flood protection (SOCKET_RATE_LIMIT in config/chatModeration.js)
+ * Sliding window over the socket's recent sends, edits and reactions.
+ * Returns 0 when the event may go through, else the seconds to wait.
+ */
+const takeRateLimitSlot = (socket) => {
+  const now = Date.now();
+  const windowStart = now - SOCKET_RATE_LIMIT.windowSeconds * 1000;
+  const recent = (socket.data.messageTimes || []).filter((time) => time > windowStart);
+  socket.data.messageTimes = recent;
+
+  if (recent.length >= SOCKET_RATE_LIMIT.limit) {
+    return Math.max(1, Math.ceil((recent[0] - windowStart) / 1000));
+  }
+  recent.push(now);
+  return 0;
+};
 
 // ========================================
 // INITIALIZE SOCKET.IO
@@ -64,6 +100,7 @@ const connectedUsers = new Map();
  * @param {Object} io - Socket.IO server instance
  */
 const initializeSocket = (io) => {
+  ioInstance = io;
   
   // ========================================
   // AUTHENTICATION MIDDLEWARE
@@ -98,21 +135,18 @@ const initializeSocket = (io) => {
 
       // Step 3: Verify token using JWT secret
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.typ !== "access") {
+        throw new Error("Not an access token");
+      }
 
       // Step 4: Attach user info to socket for later use
       socket.userId = decoded.id;
       socket.userRole = decoded.role;
       socket.userPhone = decoded.phone;
 
-      // Step 5: Update user's online status in database
-      await User.findByIdAndUpdate(decoded.id, {
-        isOnline: true,
-        lastSeen: new Date(),
-      });
-
       logger.info(`Socket authentication successful: User ${decoded.id} (${decoded.role})`);
 
-      // Step 6: Allow connection
+      // Step 5: Allow connection
       next();
     } catch (error) {
       // Token invalid or expired
@@ -129,27 +163,48 @@ const initializeSocket = (io) => {
    * Fired when user successfully connects
    * 
    * What happens:
-   * 1. User stored in connectedUsers map
+   * 1. Socket counted in the user's presence (any device, any instance)
    * 2. User joins their personal room (for direct notifications)
-   * 3. Online status broadcasted to others
+   * 3. Online status broadcasted to others on their first connection
    * 4. All event listeners registered
    */
   io.on("connection", (socket) => {
     // Step 1: Log connection
     logger.info(`✅ User connected: ${socket.userId} (${socket.userRole}) - Socket ID: ${socket.id}`);
 
-    // Step 2: Store user in connected users map
-    connectedUsers.set(socket.userId, socket.id);
+    // Step 2: Count the connection; disconnect waits for this to finish
+    // Step 4: Broadcast to ALL users that this user is now online
+    // (only for the first device, a second one changes nothing)
+    socket.data.presence = registerSocket(socket.userId, socket.id)
+      .then(({ cameOnline }) => {
+        if (cameOnline) emitUserPresence({ userId: socket.userId, isOnline: true });
+      })
+      .catch((error) => logger.error(`Presence update failed for ${socket.userId}: ${error.message}`));
 
     // Step 3: User joins their personal room (room name = userId)
     // Used for sending notifications directly to this user
     socket.join(socket.userId);
 
-    // Step 4: Broadcast to ALL users that this user is now online
-    io.emit("user:online", {
-      userId: socket.userId,
-      timestamp: new Date(),
-    });
+    // Step 3.1: User joins their role room (e.g. "role:Support", "role:Admin")
+    // Used for queue updates and escalations aimed at a whole team
+    socket.join(`role:${socket.userRole}`);
+
+    // Step 5: Flood protection for message:send / message:edit / message:react
+    // Rejected events get "error" with code "RATE_LIMITED" and retryAfter (seconds)
+    const isRateLimited = (event, data) => {
+      const retryAfter = takeRateLimitSlot(socket);
+      if (retryAfter === 0) return false;
+
+      logger.warn(`Socket ${socket.id} (user ${socket.userId}) rate limited on ${event}`);
+      socket.emit("error", {
+        message: "You are sending messages too fast. Please wait a moment.",
+        code: "RATE_LIMITED",
+        event: event,
+        retryAfter: retryAfter,
+        tempId: data?.tempId,
+      });
+      return true;
+    };
 
     // ========================================
     // EVENT: CONVERSATION JOIN
@@ -163,16 +218,29 @@ const initializeSocket = (io) => {
      * What it does:
      * - Adds user to conversation room
      * - All participants in room receive messages in real-time
+     * - On reconnect, replays what the client missed ("conversation:sync")
      * 
      * Data sent by client:
-     * { conversationId: "abc123" }
+     * {
+     *   conversationId: "abc123",
+     *   lastMessageId: "msg123" (optional: newest message the client has),
+     *   lastSeenAt: "2024-01-15T10:30:00Z" (optional: last time the client
+     *     was in sync; also replays edits, reactions and read receipts)
+     * }
      * 
      * Flutter example:
      * socket.emit('conversation:join', { conversationId: conversationId });
+     * 
+     * Flutter example (reconnect):
+     * socket.emit('conversation:join', {
+     *   conversationId: conversationId,
+     *   lastMessageId: messages.last.id,
+     *   lastSeenAt: lastSyncedAt
+     * });
      */
     socket.on("conversation:join", async (data) => {
       try {
-        const { conversationId } = data;
+        const { conversationId, lastMessageId, lastSeenAt } = data;
 
         // Validate data
         if (!conversationId) {
@@ -198,6 +266,12 @@ const initializeSocket = (io) => {
         // Join conversation room
         socket.join(conversationId);
 
+        // Agents also join the room that carries internal notes
+        const includeInternal = await canSeeInternalNotes(conversation, socket.userId, socket.userRole);
+        if (includeInternal) {
+          socket.join(internalRoom(conversationId));
+        }
+
         logger.info(`User ${socket.userId} joined conversation ${conversationId}`);
 
         // Notify user they successfully joined
@@ -205,9 +279,21 @@ const initializeSocket = (io) => {
           conversationId: conversationId,
           message: "Successfully joined conversation",
         });
+
+        // Replay what the client missed while disconnected
+        // (after joining, so nothing sent in between is lost; the client
+        // drops duplicates by message id)
+        if (lastMessageId || lastSeenAt) {
+          const sync = await getConversationSyncService(conversationId, socket.userId, {
+            lastMessageId,
+            lastSeenAt,
+            includeInternal,
+          });
+          socket.emit("conversation:sync", sync);
+        }
       } catch (error) {
         logger.error(`Error joining conversation: ${error.message}`);
-        socket.emit("error", { message: "Failed to join conversation" });
+        socket.emit("error", { message: error.status ? error.message : "Failed to join conversation" });
       }
     });
 
@@ -237,8 +323,9 @@ const initializeSocket = (io) => {
         return;
       }
 
-      // Leave conversation room
+      // Leave conversation room (and the internal notes room, if joined)
       socket.leave(conversationId);
+      socket.leave(internalRoom(conversationId));
 
       logger.info(`User ${socket.userId} left conversation ${conversationId}`);
 
@@ -263,13 +350,27 @@ const initializeSocket = (io) => {
      * 2. Updates conversation (last message, unread count)
      * 3. Broadcasts message to OTHER participant in real-time
      * 4. Sends confirmation back to sender
+     * 5. Sends the receiver "message:translated" when they read another language
+     * 6. Voice notes: "message:transcribed" follows when the transcript is ready
      * 
      * Data sent by client:
      * {
      *   conversationId: "abc123",
      *   messageType: "text" | "image" | "audio" | "video",
      *   content: "Hello" (only for text),
-     *   mediaId: "media123" (only for media)
+     *   mediaId: "media123" (only for media),
+     *   cannedResponseId: "canned123" (optional, support side only:
+     *     sends the canned response rendered for this conversation instead
+     *     of content; needs chat:canned-use),
+     *   visibility: "internal" (optional, agents only: saves an internal
+     *     note that only agents receive; text only),
+     *   mentions: ["agentUserId"] (optional, internal notes only),
+     *   replyToId: "msg123" (optional: message being replied to, shown as a quote),
+     *   clientMessageId: "01HQ3K9..." (optional but recommended: ID generated
+     *     by the client, 8-64 of [A-Za-z0-9_-]; resending with the same id
+     *     after a dropped connection is acknowledged with duplicate: true
+     *     instead of creating a second message),
+     *   tempId: "tmp1" (optional: echoed back in "message:sent")
      * }
      * 
      * Flutter example (text):
@@ -289,8 +390,29 @@ const initializeSocket = (io) => {
      * });
      */
     socket.on("message:send", async (data) => {
+      if (isRateLimited("message:send", data)) return;
+      let clientMessageId = null;
+
+      // Retries only get the ack again; the message was already delivered
+      const acknowledgeDuplicate = (message) => {
+        logger.info(`Duplicate send ignored: ${message._id} (client id ${message.clientMessageId})`);
+        socket.emit("message:sent", {
+          messageId: message._id,
+          tempId: data.tempId,
+          clientMessageId: message.clientMessageId,
+          timestamp: message.createdAt,
+          duplicate: true,
+        });
+      };
+
       try {
-        const { conversationId, messageType, content, mediaId } = data;
+        const { conversationId, mediaId, cannedResponseId } = data;
+        let { messageType, content } = data;
+
+        // Macros are always text
+        if (cannedResponseId) {
+          messageType = "text";
+        }
 
         // Step 1: Validate required fields
         if (!conversationId || !messageType) {
@@ -298,6 +420,40 @@ const initializeSocket = (io) => {
           return;
         }
 
+        // Step 1.1: Internal notes never reach the farmer's room
+        if (data.visibility === "internal") {
+          const { note, mentionedUserIds, duplicate } = await addInternalNoteService({
+            conversationId,
+            senderId: socket.userId,
+            senderRole: socket.userRole,
+            content,
+            mentions: data.mentions,
+            replyToId: data.replyToId,
+            clientMessageId: data.clientMessageId,
+          });
+          if (!duplicate) {
+            emitInternalNote(note, mentionedUserIds);
+            translateInBackground(note);
+          }
+
+          socket.emit("message:sent", {
+            messageId: note._id,
+            tempId: data.tempId,
+            clientMessageId: note.clientMessageId,
+            timestamp: note.createdAt,
+            ...(duplicate && { duplicate: true }),
+          });
+          return;
+        }
+
+        // Step 1.2: A retry of a message that was already stored is only acknowledged
+        clientMessageId = normalizeClientMessageId(data.clientMessageId);
+        const alreadySent = await findMessageByClientId(socket.userId, clientMessageId, conversationId);
+        if (alreadySent) {
+          acknowledgeDuplicate(alreadySent);
+          return;
+        }
+
         // Step 2: Verify conversation exists and user is participant
         const conversation = await Conversation.findOne({
           _id: conversationId,
@@ -313,11 +469,47 @@ const initializeSocket = (io) => {
           return;
         }
 
+        // Step 2.1: Resolve a canned response macro into the message text
+        // Refuses to send while placeholders have no value (e.g. no orders yet)
+        if (cannedResponseId) {
+          if (!(await hasPermission(socket.userRole, "chat:canned-use"))) {
+            socket.emit("error", { message: "You are not allowed to send canned responses" });
+            return;
+          }
+
+          const rendered = await renderCannedResponseService(
+            cannedResponseId,
+            conversationId,
+            socket.userId,
+            socket.userRole
+          );
+          if (rendered.missing.length > 0) {
+            socket.emit("error", {
+              message: `Canned response has placeholders without a value: ${rendered.missing.join(", ")}`,
+              cannedResponseId: cannedResponseId,
+              missing: rendered.missing,
+            });
+            return;
+          }
+
+          content = rendered.content;
+        }
+
+        // Step 2.2: Blocked users cannot reach each other
+        // (no receiver yet while the conversation waits in the queue)
+        const receiverId =
+          conversation.userId.toString() === socket.userId
+            ? conversation.assignedSupportId?.toString() || null
+            : conversation.userId.toString();
+        await assertCanMessage(socket.userId, receiverId);
+
         // Step 3: Build message data
         const messageData = {
           conversationId: conversationId,
           senderId: socket.userId,
           messageType: messageType,
+          replyTo: await resolveReplyTo(conversationId, data.replyToId),
+          ...(clientMessageId && { clientMessageId }),
           deliveredAt: new Date(),
         };
 
@@ -327,7 +519,12 @@ const initializeSocket = (io) => {
             socket.emit("error", { message: "Content is required for text messages" });
             return;
           }
-          messageData.content = content.trim();
+          // Word filters may mask or reject it (chatModerationService.js)
+          const filtered = await filterMessageContent(content.trim(), conversation.language);
+          if (filtered.masked > 0) {
+            logger.warn(`Message from ${socket.userId} in ${conversationId}: ${filtered.masked} filtered word(s) masked`);
+          }
+          messageData.content = filtered.content;
         } else {
           // Media message
           if (!mediaId) {
@@ -353,29 +550,38 @@ const initializeSocket = (io) => {
         if (messageType !== "text") {
           await message.populate("mediaId");
         }
+        if (message.replyTo) {
+          await message.populate(REPLY_TO_POPULATE);
+        }
+        await attachTranscript(message); // Voice notes: transcript, or "pending"
 
         // Step 7: Update conversation
-        const receiverId =
-          conversation.userId.toString() === socket.userId
-            ? conversation.assignedSupportId.toString()
-            : conversation.userId.toString();
-
         conversation.lastMessage = message._id;
 
         // Increase receiver's unread count
-        const currentUnread = conversation.unreadCount.get(receiverId) || 0;
-        conversation.unreadCount.set(receiverId, currentUnread + 1);
+        if (receiverId) {
+          const currentUnread = conversation.unreadCount.get(receiverId) || 0;
+          conversation.unreadCount.set(receiverId, currentUnread + 1);
+        }
 
         // Update status if user sent message
         if (conversation.userId.toString() === socket.userId && conversation.status !== "closed") {
           conversation.status = "waiting";
+          recordStatusChange(conversation, "waiting", message.createdAt);
         }
 
+        // First reply from the support side stops the SLA first-response timer
+        recordFirstResponse(conversation, socket.userId, message.createdAt);
+
         conversation.updatedAt = new Date();
         await conversation.save();
 
         logger.info(`Message sent: ${message._id} by user ${socket.userId} in conversation ${conversationId}`);
 
+        if (cannedResponseId) {
+          recordCannedResponseUse(cannedResponseId);
+        }
+
         // Step 8: Broadcast message to conversation room (all participants)
         // This sends to everyone in the room INCLUDING sender
         io.to(conversationId).emit("message:new", {
@@ -383,9 +589,13 @@ const initializeSocket = (io) => {
           conversationId: conversationId,
         });
 
+        // Step 8.1: Receiver reads another language: "message:translated" follows
+        translateInBackground(message);
+
         // Step 9: Send notification to receiver if they're online but not in this conversation room
-        // Check if receiver is connected
-        if (connectedUsers.has(receiverId)) {
+        // Check if receiver is connected (any device, any server instance)
+        const receiverOnline = Boolean(receiverId) && (await isUserOnline(receiverId));
+        if (receiverOnline) {
           // Send direct notification to receiver's personal room
           io.to(receiverId).emit("notification:new-message", {
             conversationId: conversationId,
@@ -398,34 +608,33 @@ const initializeSocket = (io) => {
           });
         }
 
-        // Step 9.1: Send push notification if receiver has FCM tokens
-        const receiver = await User.findById(receiverId);
-
-        if (receiver?.fcmToken?.length > 0) {
-          await sendPushNotification(receiver.fcmToken, {
-            title: `New message from ${message.senderId.first_name}`,
-            body:
-              message.messageType === "text"
-                ? message.content
-                : `Sent a ${message.messageType}`,
-            data: {
-              click_action: "FLUTTER_NOTIFICATION_CLICK",
-              type: "chat",
-            },
-          });
+        // Step 9.1: Receiver has no live socket (app closed): push notification
+        // (bursts collapsed per conversation, quiet hours respected)
+        if (receiverId && !receiverOnline) {
+          await notifyChatMessage({ conversationId, message, receiverId });
         }
 
-
         // Step 10: Send confirmation back to sender
         socket.emit("message:sent", {
           messageId: message._id,
           tempId: data.tempId, // If client sends temporary ID for optimistic UI
+          clientMessageId: message.clientMessageId,
           timestamp: message.createdAt,
         });
 
       } catch (error) {
+        // Two retries raced and the other one stored the message
+        if (isDuplicateClientMessageError(error)) {
+          const existing = await Message.findOne({ senderId: socket.userId, clientMessageId }).catch(() => null);
+          if (existing) {
+            acknowledgeDuplicate(existing);
+            return;
+          }
+        }
+
         logger.error(`Error sending message: ${error.message}`);
-        socket.emit("error", { message: "Failed to send message" });
+        // ApiErrors (e.g. canned response not found) are safe to show
+        socket.emit("error", { message: error.status ? error.message : "Failed to send message" });
       }
     });
 
@@ -561,7 +770,8 @@ const initializeSocket = (io) => {
         }
 
         // Only recipient can mark as read (not sender)
-        if (message.senderId.toString() === socket.userId) {
+        // Internal notes have no read receipts (the receipt would reach the farmer)
+        if (message.senderId.toString() === socket.userId || message.visibility === "internal") {
           return;
         }
 
@@ -642,6 +852,7 @@ const initializeSocket = (io) => {
         const unreadMessages = await Message.find({
           conversationId: conversationId,
           senderId: { $ne: socket.userId },
+          visibility: { $ne: "internal" },
           isRead: false,
         });
 
@@ -652,6 +863,7 @@ const initializeSocket = (io) => {
             {
               conversationId: conversationId,
               senderId: { $ne: socket.userId },
+              visibility: { $ne: "internal" },
               isRead: false,
             },
             {
@@ -679,6 +891,88 @@ const initializeSocket = (io) => {
       }
     });
 
+    // ========================================
+    // EVENT: EDIT MESSAGE
+    // ========================================
+
+    /**
+     * CLIENT → SERVER
+     * 
+     * When: Sender corrects a text message (within the edit window)
+     * 
+     * What it does:
+     * 1. Saves the new text, keeps the old one in editHistory, sets editedAt
+     * 2. Broadcasts "message:edited" to the conversation
+     *    (internal notes: to agents only)
+     * 3. Re-translates it for the receiver ("message:translated")
+     * 
+     * Data sent by client:
+     * { messageId: "msg123", content: "Corrected text" }
+     */
+    socket.on("message:edit", async (data) => {
+      if (isRateLimited("message:edit", data)) return;
+      try {
+        const { messageId, content } = data || {};
+
+        if (!messageId) {
+          socket.emit("error", { message: "Message ID is required" });
+          return;
+        }
+
+        const message = await editMessageService(messageId, content, socket.userId, socket.userRole);
+        emitMessageUpdate(message, "message:edited", {
+          messageId: message._id,
+          content: message.content,
+          editedAt: message.editedAt,
+          message: message,
+        });
+        translateInBackground(message);
+      } catch (error) {
+        logger.error(`Error editing message: ${error.message}`);
+        socket.emit("error", { message: error.status ? error.message : "Failed to edit message" });
+      }
+    });
+
+    // ========================================
+    // EVENT: REACT TO MESSAGE
+    // ========================================
+
+    /**
+     * CLIENT → SERVER
+     * 
+     * When: User taps an emoji on a message
+     * 
+     * What it does:
+     * 1. Adds the reaction, or removes it if the user already reacted with it
+     * 2. Broadcasts "message:reaction" with the updated reactions list
+     * 
+     * Data sent by client:
+     * { messageId: "msg123", emoji: "👍" }
+     */
+    socket.on("message:react", async (data) => {
+      if (isRateLimited("message:react", data)) return;
+      try {
+        const { messageId, emoji } = data || {};
+
+        if (!messageId) {
+          socket.emit("error", { message: "Message ID is required" });
+          return;
+        }
+
+        const { message, action } = await toggleReactionService(messageId, emoji, socket.userId, socket.userRole);
+        emitMessageUpdate(message, "message:reaction", {
+          messageId: message._id,
+          emoji: emoji.trim(),
+          userId: socket.userId,
+          action: action,
+          reactions: message.reactions,
+        });
+      } catch (error) {
+        logger.error(`Error reacting to message: ${error.message}`);
+        socket.emit("error", { message: error.status ? error.message : "Failed to react to message" });
+      }
+    });
+
     // ========================================
     // EVENT: DISCONNECT
     // ========================================
@@ -687,29 +981,22 @@ const initializeSocket = (io) => {
      * Fired when user disconnects (closes app, loses internet, etc.)
      * 
      * What happens:
-     * 1. Remove user from connectedUsers map
-     * 2. Update user's offline status in database
-     * 3. Broadcast to others that user is offline
-     * 4. Clean up any resources
+     * 1. Remove the socket from the user's presence
+     * 2. When it was their last connection (all devices, all instances),
+     *    the user is offline and others are told
      */
     socket.on("disconnect", async () => {
       try {
         logger.info(`❌ User disconnected: ${socket.userId} - Socket ID: ${socket.id}`);
 
-        // Step 1: Remove from connected users
-        connectedUsers.delete(socket.userId);
+        // Step 1: Uncount the connection (after it was counted)
+        await socket.data.presence;
+        const { wentOffline, lastSeen } = await unregisterSocket(socket.userId, socket.id);
 
-        // Step 2: Update user's offline status
-        await User.findByIdAndUpdate(socket.userId, {
-          isOnline: false,
-          lastSeen: new Date(),
-        });
-
-        // Step 3: Broadcast offline status to all users
-        io.emit("user:offline", {
-          userId: socket.userId,
-          lastSeen: new Date(),
-        });
+        // Step 2: Broadcast offline status to all users
+        if (wentOffline) {
+          emitUserPresence({ userId: socket.userId, isOnline: false, lastSeen: lastSeen });
+        }
       } catch (error) {
         logger.error(`Error handling disconnect: ${error.message}`);
       }
@@ -733,22 +1020,112 @@ const initializeSocket = (io) => {
 };
 
 // ========================================
-// HELPER FUNCTION: GET CONNECTED USERS
+// HELPER FUNCTION: PRESENCE
 // ========================================
 
 /**
- * Returns list of currently connected user IDs
- * Useful for checking if specific user is online
+ * Sockets held by this server instance, for the presence heartbeat
+ * (services/presenceService.js, started in index.js)
+ */
+const getLocalSockets = () => {
+  if (!ioInstance) return [];
+  return Array.from(ioInstance.of("/").sockets.values()).map((socket) => ({
+    userId: socket.userId,
+    socketId: socket.id,
+  }));
+};
+
+/**
+ * Broadcasts "user:online" / "user:offline" to every connected user
+ */
+const emitUserPresence = ({ userId, isOnline, lastSeen }) => {
+  if (!ioInstance) return;
+  if (isOnline) {
+    ioInstance.emit("user:online", { userId: userId, timestamp: new Date() });
+  } else {
+    ioInstance.emit("user:offline", { userId: userId, lastSeen: lastSeen || new Date() });
+  }
+};
+
+/**
+ * Emit an event to a room (userId, conversationId or "role:<Role>")
+ * No-op when Socket.IO is not initialised (scripts, tests)
+ */
+const emitToRoom = (room, event, payload) => {
+  if (!ioInstance) return false;
+  ioInstance.to(room).emit(event, payload);
+  return true;
+};
+
+/**
+ * Takes a user's sockets (every device, every instance) out of a
+ * conversation's rooms, e.g. an agent who was unassigned or blocked
+ */
+const leaveConversationRooms = (userId, conversationId) => {
+  if (!ioInstance || !userId) return false;
+  const room = conversationId.toString();
+  ioInstance.in(userId.toString()).socketsLeave([room, internalRoom(room)]);
+  return true;
+};
+
+/**
+ * Broadcasts a change to an existing message (edit, reaction) to whoever
+ * can see it: the conversation room, or only agents for internal notes
+ */
+const emitMessageUpdate = (message, event, payload) => {
+  const conversationId = message.conversationId.toString();
+  const room = message.visibility === "internal" ? internalRoom(conversationId) : conversationId;
+
+  emitToRoom(room, event, { conversationId: conversationId, ...payload });
+};
+
+/**
+ * Detects the language of a new or edited text message and sends the
+ * receiver "message:translated" when they read another language
+ * Not awaited, so a slow translation API never delays delivery
  */
-const getConnectedUsers = () => {
-  return Array.from(connectedUsers.keys());
+const translateInBackground = (message) => {
+  autoTranslateMessage(message)
+    .then((result) => {
+      if (result) emitToRoom(result.receiverId, "message:translated", result.translation);
+    })
+    .catch((error) => logger.error(`Auto-translation of message ${message._id} failed: ${error.message}`));
 };
 
 /**
- * Check if specific user is currently connected
+ * Announces a voice note transcript (ready or failed) to the conversation
+ * Registered as the transcription worker's listener in index.js
+ */
+const emitMessageTranscribed = ({ conversationId, messageId, transcript }) =>
+  emitToRoom(conversationId.toString(), "message:transcribed", {
+    conversationId: conversationId,
+    messageId: messageId,
+    transcript: transcript,
+  });
+
+/**
+ * Delivers an internal note to agents only
+ * - "message:new" to the conversation's internal room
+ * - "note:mention" to each mentioned agent's personal room
  */
-const isUserOnline = (userId) => {
-  return connectedUsers.has(userId);
+const emitInternalNote = (note, mentionedUserIds = []) => {
+  const conversationId = note.conversationId.toString();
+
+  emitToRoom(internalRoom(conversationId), "message:new", {
+    message: note,
+    conversationId: conversationId,
+  });
+
+  mentionedUserIds.forEach((userId) => {
+    emitToRoom(userId, "note:mention", {
+      conversationId: conversationId,
+      message: note,
+      mentionedBy: {
+        id: note.senderId._id,
+        name: `${note.senderId.first_name} ${note.senderId.last_name}`,
+      },
+    });
+  });
 };
 
 // ========================================
@@ -757,6 +1134,12 @@ const isUserOnline = (userId) => {
 
 module.exports = {
   initializeSocket,
-  getConnectedUsers,
-  isUserOnline,
+  getLocalSockets,
+  emitUserPresence,
+  emitToRoom,
+  leaveConversationRooms,
+  emitInternalNote,
+  emitMessageUpdate,
+  translateInBackground,
+  emitMessageTranscribed,
 };
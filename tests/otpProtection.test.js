@@ -0,0 +1,238 @@
+/**
+ * OTP brute-force protection and throttling (services/userService.js,
+ * middleware/otpRateLimiter.js)
+ *
+ * Runs without MongoDB: the User model's queries are replaced by an
+ * in-memory record that applies filters and updates like MongoDB would.
+ */
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const express = require("express");
+
+// Keep the test runner's output readable
+require("../utils/logger").silent = true;
+
+// Collaborators that need Firebase, SMS or JWT secrets are stubbed before
+// userService loads them
+const deliveries = [];
+const stubModule = (relativePath, exports) => {
+  const file = require.resolve(path.join(__dirname, "..", relativePath));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+};
+stubModule("services/loginSecurityService", { recordLoginAttempt: async () => {} });
+stubModule("services/otpDeliveryService", {
+  OTP_TTL_MINUTES: 10,
+  shouldExposeOtp: () => false,
+  deliverOtp: async (delivery) => deliveries.push(delivery),
+});
+stubModule("services/sessionService", {
+  createSession: async () => ({ token: "access", refreshToken: "refresh", expiresIn: 900 }),
+  refreshSession: async () => {},
+  getActiveSessions: async () => [],
+  revokeSession: async () => {},
+  revokeAllSessions: async () => {},
+});
+
+const User = require("../models/User");
+const { verifyOtp, resendOtp } = require("../services/userService");
+const { otpPhoneLimiter } = require("../middleware/otpRateLimiter");
+
+const PHONE = "9876543210";
+const CODE = "123456";
+const MAX_ATTEMPTS = 5;
+const req = { headers: { "user-agent": "test" }, ip: "127.0.0.1" };
+
+// ========================================
+// IN-MEMORY USER
+// ========================================
+
+let record;
+
+// Enough of MongoDB's matching for the filters used by userService
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    const value = doc[key];
+    if (condition === null) return value === null || value === undefined;
+    if (condition && typeof condition === "object" && !(condition instanceof Date) && !condition._bsontype) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (value === null || value === undefined) return false;
+        if (operator === "$lt") return value < operand;
+        if (operator === "$lte") return value <= operand;
+        throw new Error(`Operator ${operator} not supported by the test double`);
+      });
+    }
+    return String(value) === String(condition);
+  });
+
+const applyUpdate = (update) => {
+  Object.entries(update.$set || {}).forEach(([key, value]) => (record[key] = value));
+  Object.keys(update.$unset || {}).forEach((key) => delete record[key]);
+  Object.entries(update.$inc || {}).forEach(([key, value]) => (record[key] = (record[key] || 0) + value));
+};
+
+// A short await, as a database round trip would add
+const roundTrip = () => new Promise((resolve) => setImmediate(resolve));
+
+User.findOne = () => ({
+  select: async () => {
+    await roundTrip();
+    return new User({ ...record });
+  },
+});
+User.findOneAndUpdate = (filter, update) => ({
+  lean: async () => {
+    await roundTrip();
+    if (!matches(record, filter)) return null;
+    applyUpdate(update);
+    return { _id: record._id, otpAttempts: record.otpAttempts };
+  },
+});
+User.updateOne = async (filter, update) => {
+  await roundTrip();
+  if (matches(record, filter)) applyUpdate(update);
+};
+User.prototype.save = async function () {
+  ["otp", "otpExpires", "otpLastSentAt"].forEach((key) => (record[key] = this[key]));
+  return this;
+};
+
+const hashedCode = bcrypt.hashSync(CODE, 4);
+
+beforeEach(() => {
+  deliveries.length = 0;
+  record = {
+    _id: new User()._id,
+    phone: PHONE,
+    role: "User",
+    isActive: true,
+    deleted_at: null,
+    otp: hashedCode,
+    otpExpires: new Date(Date.now() + 10 * 60 * 1000),
+    otpAttempts: 0,
+  };
+});
+
+const attempt = (otp) =>
+  verifyOtp({ phone: PHONE, otp }, { req }).then(
+    (result) => ({ status: 200, result }),
+    (error) => ({ status: error.status, error })
+  );
+
+// ========================================
+// VERIFICATION LOCKOUT
+// ========================================
+
+test("wrong codes count down, then lock the phone and burn the code", async () => {
+  for (let i = 1; i < MAX_ATTEMPTS; i++) {
+    const { status, error } = await attempt("000000");
+    assert.strictEqual(status, 400);
+    assert.strictEqual(error.errors[0].message, `${MAX_ATTEMPTS - i} attempt(s) remaining`);
+  }
+
+  const last = await attempt("000000");
+  assert.strictEqual(last.status, 429);
+  assert.ok(last.error.retryAfter > 0);
+  assert.ok(record.otpLockedUntil > new Date());
+  assert.strictEqual(record.otp, undefined);
+  assert.strictEqual(record.otpAttempts, 0);
+});
+
+test("a locked phone is refused even with the right code", async () => {
+  record.otpLockedUntil = new Date(Date.now() + 60 * 1000);
+
+  const { status, error } = await attempt(CODE);
+  assert.strictEqual(status, 429);
+  assert.ok(error.retryAfter > 0 && error.retryAfter <= 60);
+});
+
+test("parallel guesses cannot exceed the attempt limit", async () => {
+  const results = await Promise.all(Array.from({ length: 20 }, () => attempt("000000")));
+
+  const rejectedAsWrong = results.filter((result) => result.status === 400).length;
+  const locked = results.filter((result) => result.status === 429).length;
+  assert.strictEqual(rejectedAsWrong, MAX_ATTEMPTS - 1);
+  assert.strictEqual(locked, 20 - rejectedAsWrong);
+  assert.ok(record.otpLockedUntil > new Date());
+
+  // The right code guessed afterwards is refused too
+  assert.strictEqual((await attempt(CODE)).status, 429);
+});
+
+test("the right code logs in and resets the counters", async () => {
+  await attempt("000000");
+  assert.strictEqual(record.otpAttempts, 1);
+
+  const { status, result } = await attempt(CODE);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(result.token, "access");
+  assert.strictEqual(record.otpAttempts, 0);
+  assert.strictEqual(record.otp, undefined);
+});
+
+test("an expired code is refused without using an attempt", async () => {
+  record.otpExpires = new Date(Date.now() - 1000);
+
+  assert.strictEqual((await attempt(CODE)).status, 400);
+  assert.strictEqual(record.otpAttempts, 0);
+});
+
+// ========================================
+// RESEND COOLDOWN
+// ========================================
+
+test("resend waits for the cooldown", async () => {
+  record.otpLastSentAt = new Date(Date.now() - 10 * 1000);
+
+  await assert.rejects(resendOtp(PHONE), (error) => {
+    assert.strictEqual(error.status, 429);
+    assert.ok(error.retryAfter > 0 && error.retryAfter <= 50);
+    return true;
+  });
+  assert.strictEqual(deliveries.length, 0);
+
+  record.otpLastSentAt = new Date(Date.now() - 61 * 1000);
+  await resendOtp(PHONE);
+  assert.strictEqual(deliveries.length, 1);
+  assert.strictEqual(deliveries[0].phone, PHONE);
+});
+
+// ========================================
+// PER-PHONE BUDGET
+// ========================================
+
+test("the per-phone budget answers 429 with Retry-After", async () => {
+  const app = express();
+  app.use(express.json());
+  app.post("/otp/generate", otpPhoneLimiter, (req, res) => res.status(200).json({ ok: true }));
+  app.use((err, req, res, next) => {
+    res.set("Retry-After", String(err.retryAfter)).status(err.status).json({ message: err.message });
+  });
+
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    const send = (phone) =>
+      fetch(`http://127.0.0.1:${port}/otp/generate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ phone }),
+      });
+
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await send(PHONE)).status, 200);
+    }
+    const limited = await send(PHONE);
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+
+    // Another phone has its own budget
+    assert.strictEqual((await send("9123456780")).status, 200);
+  } finally {
+    server.close();
+  }
+});
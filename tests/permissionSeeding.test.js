@@ -0,0 +1,64 @@
+/**
+ * Default permissions added in later releases reach roles that are already
+ * stored (services/permissionService.js)
+ */
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+require("../utils/logger").silent = true;
+
+const RolePermission = require("../models/RolePermission");
+const { DEFAULT_ROLE_PERMISSIONS } = require("../config/permissions");
+const { getRolePermissions, clearPermissionCache } = require("../services/permissionService");
+
+let stored;
+let writes;
+
+RolePermission.find = () => ({ lean: async () => stored });
+RolePermission.bulkWrite = async (operations) => writes.push(...operations);
+
+beforeEach(() => {
+  clearPermissionCache();
+  writes = [];
+});
+
+test("roles stored before seeding was tracked get the newer defaults", async () => {
+  // Support as seeded by the first matrix, minus chat:stats removed by an admin
+  stored = [{ role: "Support", permissions: ["chat:view-all", "chat:update-status"] }];
+
+  const permissions = await getRolePermissions("Support");
+
+  assert.ok(permissions.includes("chat:claim"));
+  assert.ok(permissions.includes("chat:internal-notes"));
+  assert.ok(!permissions.includes("chat:stats"), "a removed initial default stays removed");
+
+  const write = writes.find((operation) => operation.updateOne.filter.role === "Support");
+  assert.deepStrictEqual(write.updateOne.update.$addToSet.seededPermissions.$each, DEFAULT_ROLE_PERMISSIONS.Support);
+  assert.ok(!write.updateOne.update.$addToSet.permissions.$each.includes("chat:stats"));
+});
+
+test("a default removed after seeding is not granted again", async () => {
+  stored = [
+    {
+      role: "Admin",
+      permissions: DEFAULT_ROLE_PERMISSIONS.Admin.filter((permission) => permission !== "chat:broadcast"),
+      seededPermissions: DEFAULT_ROLE_PERMISSIONS.Admin,
+    },
+  ];
+
+  const permissions = await getRolePermissions("Admin");
+
+  assert.ok(!permissions.includes("chat:broadcast"));
+  assert.ok(!writes.some((operation) => operation.updateOne.filter.role === "Admin"));
+});
+
+test("roles never stored are seeded with their defaults", async () => {
+  stored = [];
+
+  const permissions = await getRolePermissions("Content Editor");
+
+  assert.deepStrictEqual(permissions.sort(), [...DEFAULT_ROLE_PERMISSIONS["Content Editor"]].sort());
+  const write = writes.find((operation) => operation.updateOne.filter.role === "Content Editor");
+  assert.strictEqual(write.updateOne.upsert, true);
+});
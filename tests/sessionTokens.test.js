@@ -0,0 +1,58 @@
+/**
+ * Access and refresh tokens are told apart by their typ claim
+ * (middleware/authMiddleware.js, services/sessionService.js)
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-at-least-32-characters-long";
+// Refresh tokens signed with JWT_SECRET, as when JWT_REFRESH_SECRET is unset
+delete process.env.JWT_REFRESH_SECRET;
+
+require("../utils/logger").silent = true;
+
+const Session = require("../models/Session");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { createSession, refreshSession } = require("../services/sessionService");
+
+const user = { _id: "64b000000000000000000001", phone: "9876543210", role: "User" };
+
+const login = async () => {
+  Session.create = async (data) => ({ _id: "64b0000000000000000000aa", ...data });
+  Session.find = () => ({ sort: () => ({ select: async () => [] }) });
+  return createSession(user);
+};
+
+const authenticate = (token) =>
+  new Promise((resolve) => {
+    const req = { header: () => `Bearer ${token}` };
+    authMiddleware(req, {}, (error) => resolve({ error, user: req.user }));
+  });
+
+test("access tokens authenticate without a session lookup", async () => {
+  const { token } = await login();
+  Session.exists = () => assert.fail("no database lookup expected");
+
+  const { error, user: authenticated } = await authenticate(token);
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(authenticated.id, user._id);
+  assert.strictEqual(authenticated.typ, "access");
+});
+
+test("refresh tokens are refused as access tokens", async () => {
+  const { refreshToken } = await login();
+
+  const { error } = await authenticate(refreshToken);
+  assert.strictEqual(error.status, 401);
+});
+
+test("an access token sent to refresh is refused without revoking the session", async () => {
+  const { token } = await login();
+  const writes = [];
+  Session.findById = async () => assert.fail("no session lookup expected");
+  Session.updateOne = async (...args) => writes.push(args);
+
+  await assert.rejects(refreshSession(token), (error) => error.status === 401);
+  assert.strictEqual(writes.length, 0);
+});
@@ -0,0 +1,17 @@
+// Minimal CSV writer (RFC 4180 quoting). Cells that a spreadsheet would
+// evaluate as a formula are prefixed with a quote; phone numbers such as
+// "+919876543210" are left alone.
+const FORMULA_PATTERN = /^[=@\t\r]|^[+-](?!\d+$)/;
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PATTERN.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvCell).join(",")}\r\n`;
+
+module.exports = { toCsvCell, toCsvRow };
@@ -0,0 +1,48 @@
+// Date range query params (from/to). A date-only value ("2026-10-19") means
+// that whole day in the given time zone; a value with a time is used as is.
+// Ranges are queried as { $gte: start, $lt: end }.
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Offset of timeZone from UTC at that moment, in milliseconds
+const zoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Midnight at the start of a "YYYY-MM-DD" day in timeZone
+const startOfDay = (day, timeZone) => {
+  const utcMidnight = new Date(`${day}T00:00:00Z`);
+  return new Date(utcMidnight.getTime() - zoneOffsetMs(utcMidnight, timeZone));
+};
+
+// First moment of the range
+const parseRangeStart = (value, timeZone = "UTC") =>
+  DATE_ONLY_PATTERN.test(value) ? startOfDay(value, timeZone) : new Date(value);
+
+// First moment after the range: the start of the next day for a date-only
+// value, so the whole "to" day is included
+const parseRangeEnd = (value, timeZone = "UTC") => {
+  if (!DATE_ONLY_PATTERN.test(value)) {
+    return new Date(new Date(value).getTime() + 1);
+  }
+  const nextDay = new Date(`${value}T00:00:00Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return startOfDay(nextDay.toISOString().slice(0, 10), timeZone);
+};
+
+module.exports = { parseRangeStart, parseRangeEnd };
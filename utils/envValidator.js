@@ -8,16 +8,38 @@ const envSchema = z.object({
   PORT: z.string().default("5000"),
   MONGO_URI: z.string().url().min(1, "MongoDB URI is required"),
   JWT_SECRET: z.string().min(32, "JWT_SECRET must be at least 32 characters"),
+  JWT_REFRESH_SECRET: z
+    .union([z.string().min(32, "JWT_REFRESH_SECRET must be at least 32 characters"), z.literal("")])
+    .optional(),
   CORS_ORIGIN: z.string().optional(),
   LOG_LEVEL: z.string().default("debug"),
+  SMS_PROVIDER: z.enum(["console", "file", "http"]).default("console"),
+  SMS_HTTP_URL: z.union([z.string().url(), z.literal("")]).optional(),
+  OTP_EXPOSE_IN_RESPONSE: z.enum(["true", "false"]).optional(),
+  ACCOUNT_DELETION_MODE: z.enum(["anonymise", "purge"]).optional(),
+  CHAT_STT_PROVIDER: z.enum(["stub", "http"]).default("stub"),
+  CHAT_STT_HTTP_URL: z.union([z.string().url(), z.literal("")]).optional(),
+  CHAT_SOCKET_ADAPTER: z.enum(["memory", "mongo"]).default("memory"),
+}).refine((env) => env.NODE_ENV !== "production" || env.SMS_PROVIDER === "http", {
+  // console and file providers write plaintext OTPs to disk
+  message: "SMS_PROVIDER must be http in production",
+}).refine((env) => env.SMS_PROVIDER !== "http" || env.SMS_HTTP_URL, {
+  message: "SMS_HTTP_URL is required when SMS_PROVIDER is http",
+}).refine((env) => env.NODE_ENV !== "production" || env.CHAT_STT_PROVIDER === "http", {
+  // The stub makes up transcripts, which agents would read and search
+  message: "CHAT_STT_PROVIDER must be http in production",
+}).refine((env) => env.CHAT_STT_PROVIDER !== "http" || env.CHAT_STT_HTTP_URL, {
+  message: "CHAT_STT_HTTP_URL is required when CHAT_STT_PROVIDER is http",
 });
 
 const validateEnv = () => {
   try {
     envSchema.parse(process.env);
   } catch (error) {
-    if (error && Array.isArray(error.errors)) {
-      const messages = error.errors.map((e) => e.message).join(", ");
+    // zod 4 reports problems as issues (errors in older versions)
+    const issues = error && (error.issues || error.errors);
+    if (Array.isArray(issues)) {
+      const messages = issues.map((e) => e.message).join(", ");
       throw new AppError("Environment validation failed: " + messages, 500);
     } else {
       throw new AppError(
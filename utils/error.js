@@ -9,4 +9,11 @@ class ApiError extends Error {
   }
 }
 
+// 429 carrying the number of seconds the client should wait before retrying
+ApiError.tooManyRequests = (message, retryAfterSeconds) => {
+  const error = new ApiError(message, 429);
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return error;
+};
+
 module.exports = ApiError;
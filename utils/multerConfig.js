@@ -1,5 +1,6 @@
 const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const Error = require("./error");
 
@@ -25,10 +26,13 @@ const getUniqueFilename = async (destination, originalname) => {
 };
 
 // Function to create a dynamic Multer instance
+// randomFilenames: store under an unguessable name instead of the upload's
+// own (personal documents)
 const createMulterInstance = ({
   allowedTypes,
   maxFileSize,
   destinationFolder,
+  randomFilenames = false,
 }) => {
   // Ensure destination folder exists
   fs.mkdir(path.join(__dirname, "../", destinationFolder), {
@@ -42,6 +46,10 @@ const createMulterInstance = ({
       cb(null, destinationFolder);
     },
     filename: async (req, file, cb) => {
+      if (randomFilenames) {
+        const ext = path.extname(file.originalname).toLowerCase();
+        return cb(null, `${crypto.randomBytes(16).toString("hex")}${ext}`);
+      }
       try {
         const uniqueFilename = await getUniqueFilename(
           destinationFolder,
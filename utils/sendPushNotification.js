@@ -1,6 +1,6 @@
 const admin = require("firebase-admin");
 const serviceAccount = require("../config/serviceAccountKey.json");
-const { User } = require("../models/User");
+const User = require("../models/User");
 
 if (!admin.apps.length) {
   admin.initializeApp({
@@ -9,7 +9,8 @@ if (!admin.apps.length) {
 }
 
 const sendPushNotification = async (tokens, payload) => {
-  
+  if (!tokens?.length) return null;
+
   const message = {
     notification: {
       title: payload.title,
@@ -19,8 +20,21 @@ const sendPushNotification = async (tokens, payload) => {
     tokens: tokens,
   };
 
+  // Same collapseKey: a newer notification replaces the older one on the device
+  if (payload.collapseKey) {
+    message.android = {
+      collapseKey: payload.collapseKey,
+      notification: { tag: payload.collapseKey },
+    };
+    message.apns = {
+      headers: { "apns-collapse-id": payload.collapseKey },
+      payload: { aps: { "thread-id": payload.collapseKey } },
+    };
+  }
+
   try {
-    const response = await admin.messaging().sendMulticast(message);
+    // sendMulticast was removed in firebase-admin 12
+    const response = await admin.messaging().sendEachForMulticast(message);
 
     response.responses.forEach(async (res, i) => {
       if (!res.success) {
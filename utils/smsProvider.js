@@ -0,0 +1,132 @@
+const axios = require("axios");
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("./logger");
+
+// Every provider exposes the same shape:
+//   { name, send({ to, message }) => Promise<{ providerMessageId }> }
+// send() must throw when the gateway rejects the message so the caller can
+// record the failure.
+
+// Logs the message instead of sending it. Development only.
+const createConsoleProvider = () => ({
+  name: "console",
+  send: async ({ to, message }) => {
+    logger.info(`[SMS:console] To ${to}: ${message}`);
+    return { providerMessageId: null };
+  },
+});
+
+// Appends one JSON line per message to a file. Development/QA only.
+const createFileProvider = ({ filePath }) => ({
+  name: "file",
+  send: async ({ to, message }) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { providerMessageId: null };
+  },
+});
+
+// Generic HTTP SMS gateway. Field names and auth header are configurable so
+// the same provider works with most Indian SMS vendors.
+const createHttpProvider = ({
+  url,
+  method = "POST",
+  apiKey,
+  apiKeyHeader = "Authorization",
+  senderId,
+  toField = "to",
+  messageField = "message",
+  messageIdPath = "id",
+  timeout = 10000,
+}) => {
+  if (!url) {
+    throw new Error("SMS_HTTP_URL is required for the http SMS provider");
+  }
+
+  return {
+    name: "http",
+    send: async ({ to, message }) => {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers[apiKeyHeader] =
+          apiKeyHeader.toLowerCase() === "authorization" ? `Bearer ${apiKey}` : apiKey;
+      }
+
+      const payload = {
+        [toField]: to,
+        [messageField]: message,
+        ...(senderId && { sender: senderId }),
+      };
+
+      const response = await axios({
+        url,
+        method,
+        headers,
+        timeout,
+        ...(method.toUpperCase() === "GET" ? { params: payload } : { data: payload }),
+      });
+
+      const providerMessageId = messageIdPath
+        .split(".")
+        .reduce((acc, key) => (acc == null ? acc : acc[key]), response.data);
+
+      return { providerMessageId: providerMessageId ? String(providerMessageId) : null };
+    },
+  };
+};
+
+const createProviderFromEnv = () => {
+  const name = (process.env.SMS_PROVIDER || "console").toLowerCase();
+
+  switch (name) {
+    case "http":
+      return createHttpProvider({
+        url: process.env.SMS_HTTP_URL,
+        method: process.env.SMS_HTTP_METHOD || "POST",
+        apiKey: process.env.SMS_HTTP_API_KEY,
+        apiKeyHeader: process.env.SMS_HTTP_API_KEY_HEADER || "Authorization",
+        senderId: process.env.SMS_HTTP_SENDER_ID,
+        toField: process.env.SMS_HTTP_TO_FIELD || "to",
+        messageField: process.env.SMS_HTTP_MESSAGE_FIELD || "message",
+        messageIdPath: process.env.SMS_HTTP_MESSAGE_ID_PATH || "id",
+        timeout: parseInt(process.env.SMS_HTTP_TIMEOUT_MS || "10000", 10),
+      });
+    case "file":
+      return createFileProvider({
+        filePath: process.env.SMS_FILE_PATH || "logs/sms.log",
+      });
+    case "console":
+      return createConsoleProvider();
+    default:
+      throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+};
+
+let activeProvider = null;
+
+const getSmsProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+    if (process.env.NODE_ENV === "production" && activeProvider.name !== "http") {
+      logger.warn(`SMS provider "${activeProvider.name}" is not meant for production`);
+    }
+  }
+  return activeProvider;
+};
+
+// Swap the provider at runtime (tests, or a custom gateway registered at boot)
+const setSmsProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  createConsoleProvider,
+  createFileProvider,
+  createHttpProvider,
+  getSmsProvider,
+  setSmsProvider,
+};
@@ -0,0 +1,203 @@
+/**
+ * ============================================
+ * SOCKET.IO ADAPTER
+ * ============================================
+ *
+ * PURPOSE:
+ * Decides how io.to(room).emit() reaches sockets held by other server
+ * instances.
+ *
+ * HOW IT WORKS:
+ * Every adapter built here is a socket.io cluster adapter that relays its
+ * messages over a "bus":
+ *   { name, publish(record) => Promise, subscribe(listener) => unsubscribe }
+ * A record is { kind: "message" | "response", nsp, requesterUid?, payload }
+ * with the cluster message JSON-encoded in payload, so events must be
+ * JSON-serialisable (binary attachments are not relayed between instances).
+ *
+ * CHAT_SOCKET_ADAPTER picks the bus: "memory" (default, one instance) or
+ * "mongo" (any number of instances sharing the database).
+ */
+
+const mongoose = require("mongoose");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+const logger = require("./logger");
+
+/**
+ * Delivers records to every adapter in this process. Used for a single
+ * instance, and for tests that run several Socket.IO servers in one process
+ */
+const createMemoryBus = () => {
+  const listeners = new Set();
+  return {
+    name: "memory",
+    publish: async (record) => {
+      // Async like a real transport, so tests see the same ordering
+      setImmediate(() => listeners.forEach((listener) => listener(record)));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Relays records through a MongoDB collection watched with a change stream,
+ * so any number of instances sharing the database see each other's events.
+ * Change streams need a replica set (Atlas, or mongod --replSet locally).
+ * Records are only needed for a moment; a TTL index removes them.
+ */
+const createMongoBus = ({ collectionName = "socket_io_events", ttlSeconds = 3600 } = {}) => {
+  const listeners = new Set();
+  let collection = null;
+  let stream = null;
+  let resumeToken = null;
+
+  const getCollection = () => {
+    if (!collection) {
+      if (!mongoose.connection.db) {
+        throw new Error("The mongo Socket.IO adapter needs a MongoDB connection first");
+      }
+      collection = mongoose.connection.db.collection(collectionName);
+      collection
+        .createIndex({ createdAt: 1 }, { expireAfterSeconds: ttlSeconds })
+        .catch((error) => logger.error(`Socket.IO event collection index failed: ${error.message}`));
+    }
+    return collection;
+  };
+
+  const openStream = () => {
+    stream = getCollection().watch([{ $match: { operationType: "insert" } }], {
+      ...(resumeToken && { resumeAfter: resumeToken }),
+    });
+    stream.on("change", (change) => {
+      resumeToken = change._id;
+      listeners.forEach((listener) => listener(change.fullDocument));
+    });
+    stream.on("error", (error) => {
+      logger.error(`Socket.IO event stream failed, reopening: ${error.message}`);
+      stream.close().catch(() => {});
+      stream = null;
+      // Resumes after the last event seen, so nothing is skipped
+      setTimeout(() => {
+        if (listeners.size > 0 && !stream) openStream();
+      }, 1000).unref();
+    });
+  };
+
+  return {
+    name: "mongo",
+    publish: async (record) => {
+      await getCollection().insertOne({ ...record, createdAt: new Date() });
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      if (!stream) openStream();
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && stream) {
+          stream.close().catch(() => {});
+          stream = null;
+        }
+      };
+    },
+  };
+};
+
+/**
+ * Builds the adapter class for a bus, passed as the "adapter" option of the
+ * Socket.IO server
+ */
+const createClusterAdapter = (bus, { heartbeatInterval = 5000, heartbeatTimeout = 10000 } = {}) =>
+  class BusAdapter extends ClusterAdapterWithHeartbeat {
+    static busName = bus.name;
+
+    constructor(nsp) {
+      super(nsp, { heartbeatInterval, heartbeatTimeout });
+      this.unsubscribe = bus.subscribe((record) => this.onRecord(record));
+      // socket.io 4 does not call init() itself: announce this node now
+      this.init();
+    }
+
+    onRecord(record) {
+      if (!record || record.nsp !== this.nsp.name) return;
+      try {
+        if (record.kind === "message") {
+          this.onMessage(JSON.parse(record.payload));
+        } else if (record.kind === "response" && record.requesterUid === this.uid) {
+          this.onResponse(JSON.parse(record.payload));
+        }
+      } catch (error) {
+        logger.error(`Invalid Socket.IO cluster record: ${error.message}`);
+      }
+    }
+
+    async doPublish(message) {
+      await bus.publish({ kind: "message", nsp: this.nsp.name, payload: JSON.stringify(message) });
+      // No offsets: connection state recovery is not used
+      return undefined;
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await bus.publish({
+        kind: "response",
+        nsp: this.nsp.name,
+        requesterUid: requesterUid,
+        payload: JSON.stringify(response),
+      });
+    }
+
+    close() {
+      super.close();
+      this.unsubscribe();
+    }
+  };
+
+/**
+ * Adapter named by CHAT_SOCKET_ADAPTER
+ */
+const createAdapterFromEnv = () => {
+  const name = (process.env.CHAT_SOCKET_ADAPTER || "memory").toLowerCase();
+
+  switch (name) {
+    case "mongo":
+      return createClusterAdapter(
+        createMongoBus({
+          collectionName: process.env.CHAT_SOCKET_ADAPTER_COLLECTION || "socket_io_events",
+        })
+      );
+    case "memory":
+      return createClusterAdapter(createMemoryBus());
+    default:
+      throw new Error(`Unknown CHAT_SOCKET_ADAPTER "${name}"`);
+  }
+};
+
+let activeAdapter = null;
+
+/**
+ * Adapter for the Socket.IO server (see index.js)
+ */
+const getSocketAdapter = () => {
+  if (!activeAdapter) {
+    activeAdapter = createAdapterFromEnv();
+  }
+  return activeAdapter;
+};
+
+/**
+ * Swaps the adapter before the Socket.IO server is created (tests, or a
+ * Redis adapter registered at boot)
+ */
+const setSocketAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+module.exports = {
+  createMemoryBus,
+  createMongoBus,
+  createClusterAdapter,
+  getSocketAdapter,
+  setSocketAdapter,
+};
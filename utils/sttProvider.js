@@ -0,0 +1,123 @@
+const axios = require("axios");
+const fs = require("fs").promises;
+const path = require("path");
+
+// Every speech-to-text provider exposes the same shape:
+//   { name, transcribe({ filePath, mimeType, languageHint }) =>
+//       Promise<{ text, language, confidence }> }
+// filePath is the audio file on local disk, languageHint a code such as "hi"
+// (may be null). transcribe() must throw when the audio could not be
+// transcribed so the job can be retried.
+
+const readPath = (data, dottedPath) =>
+  dottedPath.split(".").reduce((acc, key) => (acc == null ? acc : acc[key]), data);
+
+// Returns a fixed transcript without calling any service. Development and
+// tests only: CHAT_STT_STUB_TEXT, or "<audio file>.txt" when it exists so a
+// test can control the transcript of each recording.
+const createStubProvider = ({ text } = {}) => ({
+  name: "stub",
+  transcribe: async ({ filePath, languageHint }) => {
+    const sidecar = await fs.readFile(`${filePath}.txt`, "utf8").catch(() => null);
+    return {
+      text: (sidecar || text || `Voice note ${path.basename(filePath)}`).trim(),
+      language: languageHint || "en",
+      confidence: 1,
+    };
+  },
+});
+
+// Generic HTTP speech-to-text service: the audio is POSTed as the raw request
+// body with its content type, the language hint as ?language=. Response
+// field names are configurable so the same provider works with most vendors
+// or an in-house Whisper server.
+const createHttpProvider = ({
+  url,
+  apiKey,
+  apiKeyHeader = "Authorization",
+  textPath = "text",
+  languagePath = "language",
+  confidencePath = "confidence",
+  timeout = 60000,
+}) => {
+  if (!url) {
+    throw new Error("CHAT_STT_HTTP_URL is required for the http speech-to-text provider");
+  }
+
+  return {
+    name: "http",
+    transcribe: async ({ filePath, mimeType, languageHint }) => {
+      const headers = { "Content-Type": mimeType || "application/octet-stream" };
+      if (apiKey) {
+        headers[apiKeyHeader] =
+          apiKeyHeader.toLowerCase() === "authorization" ? `Bearer ${apiKey}` : apiKey;
+      }
+
+      const response = await axios.post(url, await fs.readFile(filePath), {
+        headers,
+        timeout,
+        maxBodyLength: Infinity,
+        ...(languageHint && { params: { language: languageHint } }),
+      });
+
+      const text = readPath(response.data, textPath);
+      if (typeof text !== "string") {
+        throw new Error(`Speech-to-text response has no "${textPath}"`);
+      }
+      const confidence = Number(readPath(response.data, confidencePath));
+
+      return {
+        text: text.trim(),
+        language: readPath(response.data, languagePath) || languageHint || null,
+        confidence: Number.isFinite(confidence) ? confidence : null,
+      };
+    },
+  };
+};
+
+const createProviderFromEnv = () => {
+  const name = (process.env.CHAT_STT_PROVIDER || "stub").toLowerCase();
+
+  switch (name) {
+    case "http":
+      return createHttpProvider({
+        url: process.env.CHAT_STT_HTTP_URL,
+        apiKey: process.env.CHAT_STT_HTTP_API_KEY,
+        apiKeyHeader: process.env.CHAT_STT_HTTP_API_KEY_HEADER || "Authorization",
+        textPath: process.env.CHAT_STT_HTTP_TEXT_PATH || "text",
+        languagePath: process.env.CHAT_STT_HTTP_LANGUAGE_PATH || "language",
+        confidencePath: process.env.CHAT_STT_HTTP_CONFIDENCE_PATH || "confidence",
+        timeout: parseInt(process.env.CHAT_STT_HTTP_TIMEOUT_MS || "60000", 10),
+      });
+    case "stub":
+      return createStubProvider({ text: process.env.CHAT_STT_STUB_TEXT });
+    default:
+      throw new Error(`Unknown CHAT_STT_PROVIDER "${name}"`);
+  }
+};
+
+let activeProvider = null;
+
+const getSttProvider = () => {
+  if (!activeProvider) {
+    const provider = createProviderFromEnv();
+    // Fake transcripts must never reach agents: jobs fail instead
+    if (process.env.NODE_ENV === "production" && provider.name === "stub") {
+      throw new Error(`Speech-to-text provider "stub" cannot be used in production`);
+    }
+    activeProvider = provider;
+  }
+  return activeProvider;
+};
+
+// Swap the provider at runtime (tests, or a vendor SDK registered at boot)
+const setSttProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  createStubProvider,
+  createHttpProvider,
+  getSttProvider,
+  setSttProvider,
+};
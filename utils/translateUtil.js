@@ -1,6 +1,7 @@
 const { Translate } = require('@google-cloud/translate').v2;
 const translateFallback = require('google-translate-api-x');
 const ApiError = require('./error');
+const logger = require('./logger');
 const crypto = require("crypto");
 const  LANG_MAP  = require('./Lang_Map');
 require('dotenv').config();
@@ -68,13 +69,16 @@ const setValueByPath = (obj, path, value) => {
 };
 
 // single translator (kept same name)
-const translateText = async (text, targetLang) => {
+// Content is assumed to be English unless options.from says otherwise
+// (user-written text such as chat messages), so "en" is only skipped then
+const translateText = async (text, targetLang, { from } = {}) => {
   if (!text?.trim()) throw new ApiError("Text cannot be empty", 400);
   if (!targetLang) throw new ApiError("Target language is required", 400);
 
-  if (["en", "eng", "english"].includes(targetLang.toLowerCase())) return text;
-
   const lang = LANG_MAP[targetLang.toLowerCase()] || targetLang.toLowerCase();
+  const source = from ? LANG_MAP[from.toLowerCase()] || from.toLowerCase() : "en";
+
+  if (source === lang) return text;
 
   const cached = getCached(lang, text);
   if (cached) return cached;
@@ -83,7 +87,7 @@ const translateText = async (text, targetLang) => {
 
   if (client) {
     try {
-      const [t] = await client.translate(text, lang);
+      const [t] = await client.translate(text, from ? { from: source, to: lang } : lang);
       translated = t || text;
       setCached(lang, text, translated);
       return translated;
@@ -93,7 +97,7 @@ const translateText = async (text, targetLang) => {
   }
 
   try {
-    const r = await translateFallback(text, { to: lang });
+    const r = await translateFallback(text, { ...(from && { from: source }), to: lang });
     translated = r.text || text;
     setCached(lang, text, translated);
     return translated;
@@ -103,6 +107,28 @@ const translateText = async (text, targetLang) => {
   }
 };
 
+// language of a piece of text ("hi", "te", ...), or null if it can't be told
+const detectLanguage = async (text) => {
+  if (!text?.trim()) return null;
+
+  if (client) {
+    try {
+      const [result] = await client.detect(text);
+      if (result?.language && result.language !== "und") return result.language;
+    } catch (err) {
+      logger.debug(`Official API detect failed, using fallback: ${err.message}`);
+    }
+  }
+
+  try {
+    const r = await translateFallback(text, { to: "en" });
+    return r.from?.language?.iso || null;
+  } catch (err) {
+    logger.debug(`Language detection failed: ${err.message}`);
+    return null;
+  }
+};
+
 // kept same name, but internal optimised per-object batching
 const translateObjectFields = async (obj, fields, targetLang) => {
   if (["en", "eng", "english"].includes(targetLang.toLowerCase())) return obj;
@@ -231,6 +257,7 @@ const translateArray = async (data, fieldsToTranslate, language) => {
 
 module.exports = {
   translateText,
+  detectLanguage,
   translateObjectFields,
   translateArray,
 };
@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const UAParser = require("ua-parser-js");
+
+// Mobile clients send their version in X-App-Version; some builds embed it in
+// the user agent instead, e.g. "AgritechApp/2.3.1 (Android 14; Pixel 7)".
+const APP_UA_PATTERN = /agritech[\w-]*\/(\d+(?:\.\d+)*)/i;
+
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+// Undecodable values (a client can send anything) are dropped
+const decodeHeader = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return undefined;
+  }
+};
+
+// Country/city headers set by common CDNs; absent when the API is hit directly
+const getGeoFromHeaders = (headers = {}) => {
+  const country = headers["cf-ipcountry"] || headers["x-vercel-ip-country"] || headers["x-country-code"];
+  const region = headers["x-vercel-ip-country-region"] || headers["cf-region"];
+  const city = headers["x-vercel-ip-city"] || headers["cf-ipcity"];
+
+  if (!country && !region && !city) return undefined;
+  return {
+    country: country || undefined,
+    region: region || undefined,
+    city: city ? decodeHeader(city) : undefined,
+  };
+};
+
+const parseUserAgent = (userAgent = "", appVersionHeader) => {
+  const result = new UAParser(userAgent).getResult();
+  const appVersion = appVersionHeader || userAgent.match(APP_UA_PATTERN)?.[1];
+
+  const device = {
+    type: result.device.type || (/dart|okhttp/i.test(userAgent) ? "mobile" : "desktop"),
+    vendor: result.device.vendor,
+    model: result.device.model,
+  };
+  const os = { name: result.os.name, version: result.os.version };
+  const browser = { name: result.browser.name, version: result.browser.version };
+
+  // Versions are left out on purpose so OS/app upgrades don't look like new devices
+  const fingerprint = crypto
+    .createHash("sha1")
+    .update([device.type, device.vendor, device.model, os.name, browser.name].join("|"))
+    .digest("hex");
+
+  return { device, os, browser, appVersion, fingerprint };
+};
+
+const getClientInfo = (req) => {
+  const userAgent = req.headers["user-agent"] || "unknown";
+  const parsed = parseUserAgent(userAgent, req.headers["x-app-version"]);
+
+  return {
+    ipAddress: getClientIp(req),
+    userAgent,
+    // Only a trusted proxy (TRUST_PROXY) sets these; otherwise they come
+    // from the client
+    geo: req.app?.get("trust proxy") ? getGeoFromHeaders(req.headers) : undefined,
+    ...parsed,
+  };
+};
+
+module.exports = { parseUserAgent, getClientInfo };
@@ -1,6 +1,17 @@
 const { body, validationResult, param, query } = require('express-validator');
 const Error = require('./error');
 const ProductCategory = require('../models/productCategoryMaster');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { AREA_UNITS, SOIL_TYPES, IRRIGATION_TYPES } = require('../config/farmPlot');
+const { normalizeLanguage } = require('../config/supportRouting');
+const {
+  KYC_STATUSES,
+  PAYOUT_METHODS,
+  KYC_DOCUMENT_TYPES,
+  IFSC_PATTERN,
+  ACCOUNT_NUMBER_PATTERN,
+  UPI_ID_PATTERN,
+} = require('../config/kyc');
 const { trim } = require('zod');
 
 const validateUser = [
@@ -15,8 +26,8 @@ const validateUser = [
   // Role - optional but validated if present
   body('role')
     .optional({ checkFalsy: true })
-    .isIn(['Admin', 'User', 'Support'])
-    .withMessage('Role must be Admin or User or Support'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
 
   // Email - required if role is Admin
   body('email')
@@ -108,6 +119,14 @@ const validateOtpGenerate = [
     .withMessage('Phone number is required')
     .matches(/^\+?[1-9]\d{1,14}$/)
     .withMessage('Invalid phone number format'),
+
+  body('referralCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Referral code must be letters and digits only')
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Referral code must be between 4 and 20 characters'),
 ];
 
 const validateOtpVerify = [
@@ -124,6 +143,15 @@ const validateOtpVerify = [
     .withMessage('OTP must be a 6-digit number'),
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .bail()
+    .isString()
+    .withMessage('Refresh token must be a string'),
+];
+
 const validateSimpleRegistration = [
   body('phone')
     .trim()
@@ -138,7 +166,15 @@ const validateSimpleRegistration = [
     .withMessage('User type is required')
     .bail()
     .isIn(["Farmer", "Seller", "Local Dealers", "Distributors", "Buyer"]),
-  
+
+  body('referralCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Referral code must be letters and digits only')
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Referral code must be between 4 and 20 characters'),
+
   body('location.lat')
     .optional({ checkFalsy: true })
     .custom((value) => {
@@ -196,6 +232,17 @@ const validateSimpleUserUpdate = [
     .isLength({ min: 1, max: 500 })
     .withMessage('Address must be between 1 and 500 characters'),
   
+  body('preferredLanguage')
+    .optional({ checkFalsy: true })
+    .trim()
+    .custom((value) => {
+      if (!normalizeLanguage(value)) {
+        throw new Error('Unsupported language');
+      }
+      return true;
+    })
+    .customSanitizer(normalizeLanguage),
+  
   body('location.lat')
     .optional({ checkFalsy: true })
     .custom((value) => {
@@ -420,6 +467,255 @@ const validateCreateProductCategory = [
   body('name').trim().notEmpty().withMessage('Name is required'),
 ];
 
+// Shared by create (name required) and update (everything optional)
+const farmPlotFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Plot name is required')
+    .isLength({ max: 100 })
+    .withMessage('Plot name must be at most 100 characters'),
+
+  body('location')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('location must be an object with lat and long'),
+
+  body('location.lat')
+    .if(body('location').exists({ values: 'null' }))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+
+  body('location.long')
+    .if(body('location').exists({ values: 'null' }))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be at most 500 characters'),
+
+  body('area')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Area must be greater than 0')
+    .toFloat(),
+
+  body('areaUnit')
+    .optional()
+    .isIn(AREA_UNITS)
+    .withMessage(`areaUnit must be one of: ${AREA_UNITS.join(', ')}`),
+
+  body('soilType')
+    .optional()
+    .isIn(SOIL_TYPES)
+    .withMessage(`soilType must be one of: ${SOIL_TYPES.join(', ')}`),
+
+  body('irrigationType')
+    .optional()
+    .isIn(IRRIGATION_TYPES)
+    .withMessage(`irrigationType must be one of: ${IRRIGATION_TYPES.join(', ')}`),
+
+  body('crops')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('crops must be an array of at most 20 crop IDs'),
+
+  body('crops.*')
+    .isMongoId()
+    .withMessage('Each crop must be a valid crop ID'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be at most 1000 characters'),
+];
+
+const validateCreateFarmPlot = farmPlotFieldRules(false);
+
+const validateUpdateFarmPlot = farmPlotFieldRules(true);
+
+const validatePlotId = [
+  param('plotId')
+    .isMongoId()
+    .withMessage('Invalid plot ID'),
+];
+
+const validateDeletionRequest = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+];
+
+const validateDataExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('format must be json or zip'),
+];
+
+const validateUserListFilters = [
+  // Express 5 query values stay strings (sanitizers cannot write them back);
+  // the controller parses them
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+];
+
+const validateUserImport = [
+  // Express 5 query values stay strings (sanitizers cannot write them back)
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+];
+
+const validateReferralReport = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date')
+    .toDate(),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+    .toDate(),
+  query('referrerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid referrer ID'),
+];
+
+const whenPayoutMethod = (method) => (value, { req }) => req.body.payoutMethod === method;
+
+const validateKycSubmission = [
+  body('documentType')
+    .trim()
+    .notEmpty()
+    .withMessage('Document type is required')
+    .bail()
+    .isIn(Object.keys(KYC_DOCUMENT_TYPES))
+    .withMessage(`Document type must be one of: ${Object.keys(KYC_DOCUMENT_TYPES).join(', ')}`),
+  body('documentNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Document number is required')
+    .bail()
+    .customSanitizer((value) => value.replace(/\s+/g, '').toUpperCase())
+    .custom((value, { req }) => {
+      const pattern = KYC_DOCUMENT_TYPES[req.body.documentType];
+      if (pattern && !pattern.test(value)) {
+        throw new Error(`Invalid ${req.body.documentType} number`);
+      }
+      return true;
+    }),
+  body('payoutMethod')
+    .trim()
+    .notEmpty()
+    .withMessage('Payout method is required')
+    .bail()
+    .isIn(PAYOUT_METHODS)
+    .withMessage(`Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`),
+  body('accountHolderName')
+    .if(whenPayoutMethod('bank'))
+    .trim()
+    .notEmpty()
+    .withMessage('Account holder name is required')
+    .isLength({ max: 100 })
+    .withMessage('Account holder name must be at most 100 characters'),
+  body('accountNumber')
+    .if(whenPayoutMethod('bank'))
+    .trim()
+    .matches(ACCOUNT_NUMBER_PATTERN)
+    .withMessage('Account number must be 9 to 18 digits'),
+  body('ifsc')
+    .if(whenPayoutMethod('bank'))
+    .trim()
+    .toUpperCase()
+    .matches(IFSC_PATTERN)
+    .withMessage('Invalid IFSC code'),
+  body('bankName')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank name must be at most 100 characters'),
+  body('upiId')
+    .if(whenPayoutMethod('upi'))
+    .trim()
+    .matches(UPI_ID_PATTERN)
+    .withMessage('Invalid UPI ID'),
+];
+
+const validateKycUserId = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const validateKycList = [
+  query('status')
+    .optional()
+    .isIn(KYC_STATUSES)
+    .withMessage(`Status must be one of: ${KYC_STATUSES.join(', ')}`),
+];
+
+const validateKycDetails = [
+  // Express 5 query values stay strings (sanitizers cannot write them back)
+  query('reveal')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('reveal must be true or false'),
+];
+
+const validateKycReview = [
+  body('status')
+    .isIn(['verified', 'rejected'])
+    .withMessage('Status must be verified or rejected'),
+  body('reason')
+    .if(body('status').equals('rejected'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required when rejecting KYC')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+];
+
+const validateRoleParam = [
+  param('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+];
+
+const validateRolePermissionsUpdate = [
+  body('permissions')
+    .isArray()
+    .withMessage('permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission'),
+];
+
 
 
 module.exports = {
@@ -427,8 +723,17 @@ module.exports = {
   validateLogin,
   validateUserId,
   validatePagination,
+  validateUserListFilters,
+  validateUserImport,
+  validateReferralReport,
+  validateKycSubmission,
+  validateKycUserId,
+  validateKycList,
+  validateKycDetails,
+  validateKycReview,
   validateOtpGenerate,
   validateOtpVerify,
+  validateRefreshToken,
   validateSimpleRegistration,
   validateSimpleUserUpdate,
   validateCreateCrop,
@@ -447,5 +752,12 @@ module.exports = {
   validateUpdateProductOrderUser,
   validateUpdateProductOrderStatus,
   validateCartItems,
-  validateCreateProductCategory
+  validateCreateProductCategory,
+  validateRoleParam,
+  validateRolePermissionsUpdate,
+  validateCreateFarmPlot,
+  validateUpdateFarmPlot,
+  validatePlotId,
+  validateDeletionRequest,
+  validateDataExport
 };
\ No newline at end of file